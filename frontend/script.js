@@ -1,32 +1,252 @@
 class BookManager {
     constructor() {
         this.API_BASE = '/api/books';
+        this.AUTH_BASE = '/api/auth';
+        this.EVENTS_URL = '/api/events';
+        this.AUTH_STORAGE_KEY = 'bookManagerAuth';
+        this.auth = this.loadAuth();
         this.editingId = null;
+        // ETag of the book being edited, sent as If-Match so edits are not lost
+        this.editingEtag = null;
+        this.conflict = null;
+        this.page = 1;
+        this.searchQuery = '';
+        // The page of books on screen, as the list endpoint returned it
+        this.listing = null;
+        // Aborts the live event stream; null while it is not open
+        this.eventsController = null;
+        this.lastEventId = null;
+        this.eventsRetryMs = 3000;
         this.init();
     }
 
     init() {
         this.bindEvents();
-        this.loadBooks();
+
+        if (this.auth) {
+            this.showApp();
+        } else {
+            this.showLogin();
+        }
     }
 
     bindEvents() {
+        document.getElementById('loginForm').addEventListener('submit', (e) => this.handleLogin(e));
+        document.getElementById('registerBtn').addEventListener('click', () => this.handleRegister());
+        document.getElementById('logoutBtn').addEventListener('click', () => this.logout());
         document.getElementById('bookForm').addEventListener('submit', (e) => this.handleSubmit(e));
         document.getElementById('refreshBtn').addEventListener('click', () => this.loadBooks());
+        document.getElementById('exportBtn').addEventListener('click', () => this.exportBooks());
+        document.getElementById('searchForm').addEventListener('submit', (e) => this.handleSearch(e));
         document.getElementById('cancelBtn').addEventListener('click', () => this.cancelEdit());
+        document.getElementById('prevPageBtn').addEventListener('click', () => this.loadBooks(this.page - 1));
+        document.getElementById('nextPageBtn').addEventListener('click', () => this.loadBooks(this.page + 1));
+        document.getElementById('conflictMergeBtn').addEventListener('click', () => this.resolveConflict('merge'));
+        document.getElementById('conflictOverwriteBtn').addEventListener('click', () => this.resolveConflict('overwrite'));
+        document.getElementById('conflictDiscardBtn').addEventListener('click', () => this.resolveConflict('discard'));
+    }
+
+    loadAuth() {
+        try {
+            return JSON.parse(localStorage.getItem(this.AUTH_STORAGE_KEY));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    saveAuth(auth) {
+        this.auth = auth;
+        if (auth) {
+            localStorage.setItem(this.AUTH_STORAGE_KEY, JSON.stringify(auth));
+        } else {
+            localStorage.removeItem(this.AUTH_STORAGE_KEY);
+        }
+    }
+
+    showLogin() {
+        this.stopEvents();
+        document.getElementById('authSection').style.display = 'block';
+        document.getElementById('appMain').style.display = 'none';
+        document.getElementById('userBar').style.display = 'none';
+    }
+
+    async showApp() {
+        document.getElementById('authSection').style.display = 'none';
+        document.getElementById('appMain').style.display = 'block';
+        document.getElementById('userBar').style.display = 'block';
+
+        // Roles can change between visits, so ask the server what this user may do
+        try {
+            const response = await this.apiFetch(`${this.AUTH_BASE}/me`);
+            const result = await response.json();
+            if (result.success) {
+                this.saveAuth({ ...this.auth, user: result.data.user, permissions: result.data.permissions });
+            }
+        } catch (error) {
+            return;
+        }
+
+        document.getElementById('currentUser').textContent = `${this.auth.user.username} (${this.auth.user.role})`;
+        document.querySelector('.add-book-section').style.display = this.can('books:create') ? 'block' : 'none';
+        this.loadBooks();
+        this.watchEvents();
+    }
+
+    can(permission) {
+        return Boolean(this.auth && this.auth.permissions && this.auth.permissions.includes(permission));
+    }
+
+    async handleLogin(e) {
+        e.preventDefault();
+
+        try {
+            await this.login(
+                document.getElementById('username').value,
+                document.getElementById('password').value
+            );
+        } catch (error) {
+            this.showMessage(error.message, 'error');
+        }
+    }
+
+    async handleRegister() {
+        const username = document.getElementById('username').value;
+        const password = document.getElementById('password').value;
+
+        try {
+            const response = await fetch(`${this.AUTH_BASE}/register`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ username, password })
+            });
+            const result = await response.json();
+
+            if (!result.success) {
+                throw new Error(result.message);
+            }
+
+            await this.login(username, password);
+            this.showMessage('Account created successfully!', 'success');
+        } catch (error) {
+            this.showMessage(error.message, 'error');
+        }
+    }
+
+    async login(username, password) {
+        const response = await fetch(`${this.AUTH_BASE}/login`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username, password })
+        });
+        const result = await response.json();
+
+        if (!result.success) {
+            throw new Error(result.message);
+        }
+
+        this.saveAuth(result.data);
+        document.getElementById('loginForm').reset();
+        this.showApp();
+    }
+
+    async logout() {
+        try {
+            await this.apiFetch(`${this.AUTH_BASE}/logout`, { method: 'POST' }, false);
+        } catch (error) {
+            // The local session is dropped either way
+        }
+
+        this.saveAuth(null);
+        this.resetForm();
+        this.showLogin();
+    }
+
+    // Exchange the refresh token for a new token pair; returns false when the session is gone
+    async refreshSession() {
+        if (!this.auth || !this.auth.refreshToken) {
+            return false;
+        }
+
+        const response = await fetch(`${this.AUTH_BASE}/refresh`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ refreshToken: this.auth.refreshToken })
+        });
+
+        if (!response.ok) {
+            return false;
+        }
+
+        const result = await response.json();
+        this.saveAuth(result.data);
+        return true;
+    }
+
+    // fetch() with the access token attached; refreshes once on 401
+    async apiFetch(url, options = {}, retry = true) {
+        const headers = { ...(options.headers || {}) };
+        if (this.auth) {
+            headers.Authorization = `Bearer ${this.auth.accessToken}`;
+        }
+
+        const response = await fetch(url, { ...options, headers });
+
+        if (response.status === 401 && retry) {
+            if (await this.refreshSession()) {
+                return this.apiFetch(url, options, false);
+            }
+
+            this.saveAuth(null);
+            this.showLogin();
+            throw new Error('Your session has expired. Please log in again.');
+        }
+
+        return response;
     }
 
     async handleSubmit(e) {
         e.preventDefault();
-        
-        const formData = {
+        await this.saveBook(this.readForm());
+    }
+
+    // The form as a book payload
+    readForm() {
+        return {
             title: document.getElementById('title').value,
             author: document.getElementById('author').value,
             isbn: document.getElementById('isbn').value || null,
             published_year: document.getElementById('published_year').value || null,
             genre: document.getElementById('genre').value || null,
+            tags: document.getElementById('tags').value.split(',').map(tag => tag.trim()).filter(Boolean),
             description: document.getElementById('description').value || null
         };
+    }
+
+    // A book from the API in the shape readForm returns
+    bookFormValues(book) {
+        return {
+            title: book.title,
+            author: book.author,
+            isbn: book.isbn || null,
+            published_year: book.published_year ? String(book.published_year) : null,
+            genre: book.genre || null,
+            tags: (book.tags || []).map(tag => tag.name),
+            description: book.description || null
+        };
+    }
+
+    fillForm(values) {
+        document.getElementById('title').value = values.title;
+        document.getElementById('author').value = values.author;
+        document.getElementById('isbn').value = values.isbn || '';
+        document.getElementById('published_year').value = values.published_year || '';
+        document.getElementById('genre').value = values.genre || '';
+        document.getElementById('tags').value = values.tags.join(', ');
+        document.getElementById('description').value = values.description || '';
+    }
+
+    async saveBook(formData) {
+        this.clearFieldErrors();
 
         try {
             if (this.editingId) {
@@ -37,20 +257,120 @@ class BookManager {
             this.resetForm();
             this.loadBooks();
         } catch (error) {
+            if (error.conflict) {
+                this.showConflict(formData, error.conflict);
+                return;
+            }
+            if (error.errors) {
+                this.showFieldErrors(error.errors);
+            }
             this.showMessage(error.message, 'error');
         }
     }
 
-    async loadBooks() {
+    // Someone saved the book after it was loaded into the form: list the fields where
+    // the two versions differ and let the user choose between them
+    showConflict(mine, { book, etag }) {
+        const labels = {
+            title: 'Title',
+            author: 'Author',
+            isbn: 'ISBN',
+            published_year: 'Published Year',
+            genre: 'Genre',
+            tags: 'Tags',
+            description: 'Description'
+        };
+        const theirs = this.bookFormValues(book);
+        const fields = Object.keys(labels).filter(field => JSON.stringify(mine[field]) !== JSON.stringify(theirs[field]));
+        const show = (value) => {
+            const text = Array.isArray(value) ? value.join(', ') : value;
+            return text ? this.escapeHtml(text) : '<em>empty</em>';
+        };
+
+        this.conflict = { mine, theirs, etag, fields };
+        document.getElementById('conflictFields').innerHTML = fields.length
+            ? fields.map(field => `
+                <tr>
+                    <th>${labels[field]}</th>
+                    <td><label><input type="radio" name="conflict-${field}" value="mine" checked> ${show(mine[field])}</label></td>
+                    <td><label><input type="radio" name="conflict-${field}" value="theirs"> ${show(theirs[field])}</label></td>
+                </tr>
+            `).join('')
+            : '<tr><td colspan="3">The fields in this form are the same in both versions.</td></tr>';
+        document.getElementById('conflictDialog').showModal();
+    }
+
+    async resolveConflict(choice) {
+        const { mine, theirs, etag, fields } = this.conflict;
+        document.getElementById('conflictDialog').close();
+        this.conflict = null;
+        // Later saves are checked against the version the user has now seen
+        this.editingEtag = etag;
+
+        if (choice === 'discard') {
+            this.fillForm(theirs);
+            this.showMessage('Loaded the saved version of the book.', 'success');
+            return;
+        }
+
+        const values = { ...mine };
+        if (choice === 'merge') {
+            fields
+                .filter(field => document.querySelector(`input[name="conflict-${field}"]:checked`).value === 'theirs')
+                .forEach(field => { values[field] = theirs[field]; });
+        }
+        this.fillForm(values);
+        await this.saveBook(values);
+    }
+
+    // Error carrying the field-level errors of a 422 response
+    requestError(result) {
+        const error = new Error(result.message);
+        error.errors = result.errors;
+        return error;
+    }
+
+    // Show each validation error under the form row of its input, e.g. authors[0] -> #author
+    showFieldErrors(errors) {
+        const inputIds = { authors: 'author', genres: 'genre' };
+
+        errors.forEach(({ field, message }) => {
+            const name = field ? field.split(/[.[]/)[0] : null;
+            const input = name && document.getElementById(inputIds[name] || name);
+            if (!input || !input.closest('#bookForm')) {
+                return;
+            }
+
+            input.classList.add('invalid');
+            const errorDiv = document.createElement('div');
+            errorDiv.className = 'field-error';
+            errorDiv.textContent = message;
+            const row = input.closest('.form-row');
+            row.parentNode.insertBefore(errorDiv, row.nextSibling);
+        });
+    }
+
+    clearFieldErrors() {
+        document.querySelectorAll('#bookForm .field-error').forEach(errorDiv => errorDiv.remove());
+        document.querySelectorAll('#bookForm .invalid').forEach(input => input.classList.remove('invalid'));
+    }
+
+    async loadBooks(page = this.page) {
         const container = document.getElementById('booksContainer');
         container.innerHTML = '<div class="loading">Loading books...</div>';
 
         try {
-            const response = await fetch(this.API_BASE);
+            const url = this.searchQuery
+                ? `${this.API_BASE}/search?q=${encodeURIComponent(this.searchQuery)}&page=${page}`
+                : `${this.API_BASE}?page=${page}`;
+            const response = await this.apiFetch(url);
             const result = await response.json();
 
             if (result.success) {
+                this.page = result.page;
+                this.listing = result;
                 this.displayBooks(result.data);
+                this.displayPagination(result);
             } else {
                 throw new Error(result.message);
             }
@@ -63,7 +383,9 @@ class BookManager {
         const container = document.getElementById('booksContainer');
         
         if (books.length === 0) {
-            container.innerHTML = '<div class="loading">No books found. Add your first book!</div>';
+            container.innerHTML = this.searchQuery
+                ? '<div class="loading">No books match your search.</div>'
+                : '<div class="loading">No books found. Add your first book!</div>';
             return;
         }
 
@@ -75,15 +397,16 @@ class BookManager {
                         <div class="book-author">by ${this.escapeHtml(book.author)}</div>
                     </div>
                     <div class="book-actions">
-                        <button class="edit-btn" onclick="bookManager.editBook(${book.id})">Edit</button>
-                        <button class="delete-btn" onclick="bookManager.deleteBook(${book.id})">Delete</button>
+                        ${this.can('books:update') ? `<button class="edit-btn" onclick="bookManager.editBook(${book.id})">Edit</button>` : ''}
+                        ${this.can('books:delete') ? `<button class="delete-btn" onclick="bookManager.deleteBook(${book.id}, ${book.version})">Delete</button>` : ''}
                     </div>
                 </div>
                 <div class="book-details">
                     ${book.isbn ? `<div><strong>ISBN:</strong> ${this.escapeHtml(book.isbn)}</div>` : ''}
                     ${book.published_year ? `<div><strong>Published:</strong> ${book.published_year}</div>` : ''}
                     ${book.genre ? `<div><strong>Genre:</strong> ${this.escapeHtml(book.genre)}</div>` : ''}
-                    ${book.description ? `<div><strong>Description:</strong> ${this.escapeHtml(book.description)}</div>` : ''}
+                    ${book.tags && book.tags.length ? `<div><strong>Tags:</strong> ${book.tags.map(tag => this.escapeHtml(tag.name)).join(', ')}</div>` : ''}
+                    ${book.description ? `<div><strong>Description:</strong> ${book.snippet ? this.highlightSnippet(book.snippet) : this.escapeHtml(book.description)}</div>` : ''}
                 </div>
             </div>
         `).join('');
@@ -91,8 +414,49 @@ class BookManager {
         container.innerHTML = booksHTML;
     }
 
+    handleSearch(e) {
+        e.preventDefault();
+        this.searchQuery = document.getElementById('searchInput').value.trim();
+        this.loadBooks(1);
+    }
+
+    // Download the whole catalog; the token has to go in a header, so fetch it as a blob
+    async exportBooks() {
+        const format = document.getElementById('exportFormat').value;
+
+        try {
+            const response = await this.apiFetch(`${this.API_BASE}/export?format=${format}`);
+            if (!response.ok) {
+                const result = await response.json();
+                throw new Error(result.message);
+            }
+
+            const disposition = response.headers.get('Content-Disposition') || '';
+            const match = disposition.match(/filename="([^"]+)"/);
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(await response.blob());
+            link.download = match ? match[1] : `books.${format}`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            URL.revokeObjectURL(link.href);
+        } catch (error) {
+            this.showMessage(`Error exporting books: ${error.message}`, 'error');
+        }
+    }
+
+    displayPagination(result) {
+        const pagination = document.getElementById('pagination');
+        const totalPages = Math.max(Math.ceil(result.total / result.pageSize), 1);
+
+        document.getElementById('pageInfo').textContent = `Page ${result.page} of ${totalPages} (${result.total} books)`;
+        document.getElementById('prevPageBtn').disabled = !result.links.prev;
+        document.getElementById('nextPageBtn').disabled = !result.links.next;
+        pagination.style.display = totalPages > 1 ? 'flex' : 'none';
+    }
+
     async createBook(bookData) {
-        const response = await fetch(this.API_BASE, {
+        const response = await this.apiFetch(this.API_BASE, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify(bookData)
@@ -101,7 +465,7 @@ class BookManager {
         const result = await response.json();
         
         if (!result.success) {
-            throw new Error(result.message);
+            throw this.requestError(result);
         }
 
         this.showMessage('Book added successfully!', 'success');
@@ -109,16 +473,28 @@ class BookManager {
     }
 
     async updateBook(id, bookData) {
-        const response = await fetch(`${this.API_BASE}/${id}`, {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.editingEtag) {
+            headers['If-Match'] = this.editingEtag;
+        }
+
+        const response = await this.apiFetch(`${this.API_BASE}/${id}`, {
             method: 'PUT',
-            headers: { 'Content-Type': 'application/json' },
+            headers,
             body: JSON.stringify(bookData)
         });
 
         const result = await response.json();
+
+        // 412: the book changed since it was loaded; the response has the saved version
+        if (response.status === 412) {
+            const error = new Error(result.message);
+            error.conflict = { book: result.data, etag: response.headers.get('ETag') };
+            throw error;
+        }
         
         if (!result.success) {
-            throw new Error(result.message);
+            throw this.requestError(result);
         }
 
         this.showMessage('Book updated successfully!', 'success');
@@ -127,22 +503,17 @@ class BookManager {
 
     async editBook(id) {
         try {
-            const response = await fetch(`${this.API_BASE}/${id}`);
+            const response = await this.apiFetch(`${this.API_BASE}/${id}`);
             const result = await response.json();
 
             if (result.success) {
-                const book = result.data;
-                
                 // Fill form with book data
-                document.getElementById('title').value = book.title;
-                document.getElementById('author').value = book.author;
-                document.getElementById('isbn').value = book.isbn || '';
-                document.getElementById('published_year').value = book.published_year || '';
-                document.getElementById('genre').value = book.genre || '';
-                document.getElementById('description').value = book.description || '';
+                this.clearFieldErrors();
+                this.fillForm(this.bookFormValues(result.data));
 
                 // Update UI for editing mode
                 this.editingId = id;
+                this.editingEtag = response.headers.get('ETag');
                 document.getElementById('submitBtn').textContent = 'Update Book';
                 document.getElementById('cancelBtn').style.display = 'inline-block';
                 
@@ -156,17 +527,24 @@ class BookManager {
         }
     }
 
-    async deleteBook(id) {
+    // version is the one shown in the list; the delete fails if the book changed since
+    async deleteBook(id, version) {
         if (!confirm('Are you sure you want to delete this book?')) {
             return;
         }
 
         try {
-            const response = await fetch(`${this.API_BASE}/${id}`, { method: 'DELETE' });
+            const response = await this.apiFetch(`${this.API_BASE}/${id}`, {
+                method: 'DELETE',
+                headers: { 'If-Match': `"${version}"` }
+            });
             const result = await response.json();
 
-            if (result.success) {
-                this.showMessage('Book deleted successfully!', 'success');
+            if (response.status === 412) {
+                this.showMessage('Someone changed this book after the list was loaded. Check it and delete again.', 'error');
+                this.loadBooks();
+            } else if (result.success) {
+                this.showMessage('Book moved to the trash. An admin can restore it.', 'success');
                 this.loadBooks();
             } else {
                 throw new Error(result.message);
@@ -176,13 +554,130 @@ class BookManager {
         }
     }
 
+    // Follow /api/events and apply other users' changes to the list as they happen.
+    // The stream is read with fetch so the token can go in a header; after a dropped
+    // connection it resumes from the last event seen.
+    async watchEvents() {
+        if (this.eventsController) {
+            return;
+        }
+
+        const controller = new AbortController();
+        this.eventsController = controller;
+
+        while (this.eventsController === controller) {
+            try {
+                const headers = { Accept: 'text/event-stream' };
+                if (this.lastEventId) {
+                    headers['Last-Event-ID'] = this.lastEventId;
+                }
+
+                const response = await this.apiFetch(this.EVENTS_URL, { headers, signal: controller.signal });
+                if (response.ok) {
+                    await this.readEvents(response.body);
+                }
+            } catch (error) {
+                // Reconnect below, unless the stream was stopped
+            }
+
+            if (this.eventsController === controller) {
+                await new Promise(resolve => setTimeout(resolve, this.eventsRetryMs));
+            }
+        }
+    }
+
+    stopEvents() {
+        if (this.eventsController) {
+            this.eventsController.abort();
+            this.eventsController = null;
+        }
+        this.lastEventId = null;
+    }
+
+    // Split the text/event-stream body into events; a blank line ends each one
+    async readEvents(body) {
+        const reader = body.pipeThrough(new TextDecoderStream()).getReader();
+        let buffer = '';
+
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) {
+                return;
+            }
+
+            buffer += value;
+            const blocks = buffer.split(/\r?\n\r?\n/);
+            buffer = blocks.pop();
+            blocks.forEach(block => this.handleStreamBlock(block));
+        }
+    }
+
+    // One block of "field: value" lines; lines starting with ":" are keep-alive comments
+    handleStreamBlock(block) {
+        let type = 'message';
+        const data = [];
+
+        block.split(/\r?\n/).forEach(line => {
+            if (line === '' || line.startsWith(':')) {
+                return;
+            }
+            const colon = line.indexOf(':');
+            const field = colon === -1 ? line : line.slice(0, colon);
+            const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+
+            if (field === 'id') this.lastEventId = value;
+            if (field === 'event') type = value;
+            if (field === 'data') data.push(value);
+            if (field === 'retry' && /^\d+$/.test(value)) this.eventsRetryMs = Number(value);
+        });
+
+        if (data.length > 0) {
+            this.applyBookEvent(type, JSON.parse(data.join('\n')));
+        }
+    }
+
+    // Update the books on screen for one change. This page's own saves arrive here too,
+    // before or after the list reloads, so applying an event twice must change nothing.
+    applyBookEvent(type, book) {
+        // A restored book goes back wherever it sorts, so let the server place it
+        if (type === 'reset' || type === 'book.restored') {
+            this.loadBooks();
+            return;
+        }
+        if (!this.listing) {
+            return;
+        }
+
+        const books = this.listing.data;
+        const index = books.findIndex(shown => shown.id === book.id);
+
+        if (index !== -1 && type === 'book.deleted') {
+            books.splice(index, 1);
+            this.listing.total -= 1;
+        } else if (index !== -1) {
+            books[index] = book;
+        } else if (type === 'book.created' && this.page === 1 && !this.searchQuery) {
+            // Newest first, as the list is sorted by default
+            books.unshift(book);
+            books.splice(this.listing.pageSize);
+            this.listing.total += 1;
+        } else {
+            return;
+        }
+
+        this.displayBooks(books);
+        this.displayPagination(this.listing);
+    }
+
     cancelEdit() {
         this.resetForm();
     }
 
     resetForm() {
         document.getElementById('bookForm').reset();
+        this.clearFieldErrors();
         this.editingId = null;
+        this.editingEtag = null;
         document.getElementById('submitBtn').textContent = 'Add Book';
         document.getElementById('cancelBtn').style.display = 'none';
     }
@@ -211,6 +706,13 @@ class BookManager {
         }, 5000);
     }
 
+    // Escape a search snippet but keep the <mark> highlighting added by the server
+    highlightSnippet(snippet) {
+        return this.escapeHtml(snippet)
+            .replace(/&lt;mark&gt;/g, '<mark>')
+            .replace(/&lt;\/mark&gt;/g, '</mark>');
+    }
+
     escapeHtml(text) {
         const div = document.createElement('div');
         div.textContent = text;
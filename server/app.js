@@ -1,52 +1,184 @@
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
-const bookRoutes = require('./routes/books');
-
-const app = express();
-const PORT = process.env.PORT || 3000;
-
-// Middleware
-app.use(cors());
-app.use(express.json());
-app.use(express.static(path.join(__dirname, '../frontend')));
-
-// Routes
-app.use('/api/books', bookRoutes);
-
-// Serve frontend
-app.get('/', (req, res) => {
-  res.sendFile(path.join(__dirname, '../frontend/index.html'));
-});
-
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({ 
-    status: 'OK', 
-    timestamp: new Date().toISOString(),
-    message: 'Book Management API is running'
-  });
-});
-
-// 404 handler
-app.use('*', (req, res) => {
-  res.status(404).json({
-    success: false,
-    message: 'Endpoint not found'
-  });
-});
-
-// Error handler
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({
-    success: false,
-    message: 'Something went wrong!'
-  });
-});
-
-app.listen(PORT, () => {
-  console.log(`🚀 Server running on http://localhost:${PORT}`);
-  console.log(`📚 Book Management API is ready!`);
-  console.log(`🌐 Frontend available at http://localhost:${PORT}`);
-});
\ No newline at end of file
+const { createBooksRouter } = require('./routes/books');
+const { createAuthRouter } = require('./routes/auth');
+const { createUsersRouter } = require('./routes/users');
+const { createAuthorsRouter } = require('./routes/authors');
+const { createGenresRouter } = require('./routes/genres');
+const { createTagsRouter } = require('./routes/tags');
+const { createWebhooksRouter } = require('./routes/webhooks');
+const { createEventsRouter } = require('./routes/events');
+const { createDocsRouter } = require('./routes/docs');
+const { createHealthRouter } = require('./routes/health');
+const { createAuthMiddleware } = require('./middleware/auth');
+const { assignRequestId } = require('./middleware/requestId');
+const { createMemoryStore, createRateLimiter } = require('./middleware/rateLimit');
+const { withRequestContext, accessLog } = require('./middleware/logging');
+const { recordRequests } = require('./middleware/metrics');
+const { logger } = require('./logger');
+const { createMetrics } = require('./metrics');
+const { createReadinessCheck } = require('./health');
+const { createEventHub } = require('./events');
+const { sendServerError } = require('./errors');
+const { createDatabase } = require('./database');
+const { loadConfig } = require('./config');
+const { startTrashPurge } = require('./trashPurge');
+const { startWebhookDelivery } = require('./webhooks');
+const { createShutdown, handleSignals } = require('./shutdown');
+
+// Build the Express app around a database created by createDatabase(). Rate limit
+// counters go in rateLimitStore, in memory unless another store is passed, GET
+// /metrics reports from metrics and GET /api/events streams from eventHub.
+const createApp = ({
+  db,
+  config = loadConfig(),
+  rateLimitStore = createMemoryStore(),
+  metrics = createMetrics({ dbOperations: db.dbOperations }),
+  eventHub = createEventHub({ dbOperations: db.dbOperations, pollIntervalMs: config.eventsPollInterval * 1000 })
+}) => {
+  const app = express();
+  const { authenticate, requireAuth, requirePermission } = createAuthMiddleware(db.authOperations);
+  const rateLimit = (group) => createRateLimiter({
+    group,
+    limits: config.rateLimits[group],
+    store: rateLimitStore,
+    identify: authenticate
+  });
+
+  // Middleware
+  app.use(assignRequestId);
+  app.use(accessLog());
+  app.use(recordRequests(metrics));
+  app.use(cors({
+    exposedHeaders: [
+      'ETag',
+      'X-Request-Id',
+      'RateLimit-Limit',
+      'RateLimit-Remaining',
+      'RateLimit-Reset',
+      'RateLimit-Policy',
+      'Retry-After'
+    ]
+  }));
+  app.use(express.json());
+  app.use(withRequestContext);
+  app.use(express.static(path.join(__dirname, '../frontend')));
+
+  // Routes
+  app.use('/api/auth', rateLimit('auth'), createAuthRouter({ authOperations: db.authOperations, requireAuth, config }));
+  app.use('/api/users', rateLimit('users'), createUsersRouter({ authOperations: db.authOperations, requirePermission }));
+  app.use('/api/books', rateLimit('books'), createBooksRouter({
+    dbOperations: metrics.instrument(db.dbOperations),
+    requirePermission,
+    cacheControl: config.cacheControl
+  }));
+  app.use('/api/authors', rateLimit('authors'), createAuthorsRouter({ authorOperations: db.authorOperations, requirePermission }));
+  app.use('/api/genres', rateLimit('genres'), createGenresRouter({ genreOperations: db.genreOperations, requirePermission }));
+  app.use('/api/tags', rateLimit('tags'), createTagsRouter({ tagOperations: db.tagOperations, requirePermission }));
+  app.use('/api/webhooks', rateLimit('webhooks'), createWebhooksRouter({
+    webhookOperations: db.webhookOperations,
+    requirePermission
+  }));
+  app.use('/api/events', rateLimit('events'), createEventsRouter({ eventHub, requirePermission }));
+  app.use('/api', createDocsRouter());
+
+  // Serve frontend
+  app.get('/', (req, res) => {
+    res.sendFile(path.join(__dirname, '../frontend/index.html'));
+  });
+
+  // Liveness and readiness probes
+  app.use('/health', createHealthRouter({
+    checkReadiness: createReadinessCheck({ database: db, minFreeBytes: config.healthMinFreeDiskMb * 1024 * 1024 })
+  }));
+
+  // Prometheus metrics
+  app.get('/metrics', async (req, res) => {
+    try {
+      res.type('text/plain; version=0.0.4').send(await metrics.render());
+    } catch (error) {
+      sendServerError(res, error, 'Error collecting metrics');
+    }
+  });
+
+  // 404 handler
+  app.use('*', (req, res) => {
+    res.status(404).json({
+      success: false,
+      message: 'Endpoint not found'
+    });
+  });
+
+  // Error handler
+  app.use((err, req, res, next) => {
+    // Client errors raised by middleware, such as malformed JSON bodies
+    if (err.status >= 400 && err.status < 500) {
+      return res.status(err.status).json({
+        success: false,
+        message: err.type === 'entity.parse.failed' ? 'Malformed JSON in request body' : err.message
+      });
+    }
+
+    logger.error('Unhandled error', { error: err });
+    res.status(500).json({
+      success: false,
+      message: 'Something went wrong!'
+    });
+  });
+
+  return app;
+};
+
+// Open the configured database and start listening once migrations have run.
+// Resolves once the server is listening; shutdown() stops it and closes the database.
+const start = async (config = loadConfig()) => {
+  const db = createDatabase({ filename: config.dbPath, seed: config.seedSampleData });
+  await db.ready;
+
+  const metrics = createMetrics({ dbOperations: db.dbOperations });
+  const rateLimitStore = createMemoryStore();
+  const eventHub = createEventHub({ dbOperations: db.dbOperations, pollIntervalMs: config.eventsPollInterval * 1000 });
+  const app = createApp({ db, config, metrics, rateLimitStore, eventHub });
+  const stopTrashPurge = startTrashPurge({
+    dbOperations: db.dbOperations,
+    retentionDays: config.trashRetentionDays,
+    intervalMs: config.trashPurgeInterval * 1000
+  });
+  const stopWebhookDelivery = startWebhookDelivery({
+    webhookOperations: db.webhookOperations,
+    intervalMs: config.webhooks.pollInterval * 1000,
+    timeoutMs: config.webhooks.timeout * 1000,
+    maxAttempts: config.webhooks.maxAttempts,
+    retryBaseSeconds: config.webhooks.retryBase
+  });
+
+  const server = app.listen(config.port);
+  const shutdown = createShutdown({
+    server,
+    db,
+    timeoutMs: config.shutdownTimeout * 1000,
+    beforeClose: [eventHub.close],
+    cleanup: [stopTrashPurge, stopWebhookDelivery, metrics.stop, rateLimitStore.stop]
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('listening', resolve);
+    server.once('error', reject);
+  });
+  logger.info('Book Management API is ready', { url: `http://localhost:${server.address().port}` });
+
+  return { app, db, server, shutdown };
+};
+
+if (require.main === module) {
+  start().then(
+    ({ shutdown }) => handleSignals(shutdown),
+    (error) => {
+      logger.error('Error starting server', { error });
+      process.exit(1);
+    }
+  );
+}
+
+module.exports = { createApp, start };
@@ -0,0 +1,47 @@
+// server/auth.js - Password hashing and token helpers
+const crypto = require('crypto');
+
+// scrypt cost parameters, stored with every hash so they can be raised later
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+
+const scrypt = (password, salt, params) => {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, KEY_LENGTH, params, (err, key) => {
+      if (err) reject(err);
+      else resolve(key);
+    });
+  });
+};
+
+// Hash a password as scrypt$N$r$p$salt$key
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(password, salt, SCRYPT_PARAMS);
+  const { N, r, p } = SCRYPT_PARAMS;
+
+  return ['scrypt', N, r, p, salt.toString('base64'), key.toString('base64')].join('$');
+};
+
+// Check a password against a stored hash in constant time
+const verifyPassword = async (password, storedHash) => {
+  const [scheme, N, r, p, salt, key] = String(storedHash).split('$');
+  if (scheme !== 'scrypt' || !key) return false;
+
+  const expected = Buffer.from(key, 'base64');
+  const actual = await scrypt(password, Buffer.from(salt, 'base64'), {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p)
+  });
+
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+// Opaque random bearer token
+const generateToken = () => crypto.randomBytes(32).toString('base64url');
+
+// Tokens are looked up by their hash so a leaked database does not leak sessions
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+module.exports = { hashPassword, verifyPassword, generateToken, hashToken };
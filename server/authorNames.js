@@ -0,0 +1,71 @@
+// server/authorNames.js - Parsing and normalizing author names
+const AUTHOR_ROLES = ['author', 'editor', 'translator'];
+
+// Separator used when several names are joined into the legacy books.author string
+const NAME_SEPARATOR = ' & ';
+
+const collapseWhitespace = (value) => value.replace(/\s+/g, ' ').trim();
+
+// "Orwell, George" -> "George Orwell"; other names are returned as they are
+const toDisplayName = (name) => {
+  const cleaned = collapseWhitespace(name);
+  const parts = cleaned.split(',');
+
+  if (parts.length === 2 && parts[0].trim() && parts[1].trim()) {
+    return `${parts[1].trim()} ${parts[0].trim()}`;
+  }
+  return cleaned;
+};
+
+// "George Orwell" -> "Orwell, George", for alphabetical listings. A name already
+// written as "Le Guin, Ursula K." keeps its split, since the last word can be wrong.
+const toSortName = (name) => {
+  const cleaned = collapseWhitespace(name);
+  const parts = cleaned.split(',');
+
+  if (parts.length === 2 && parts[0].trim() && parts[1].trim()) {
+    return `${parts[0].trim()}, ${parts[1].trim()}`;
+  }
+
+  const words = cleaned.split(' ');
+  if (words.length < 2) return cleaned;
+  return `${words[words.length - 1]}, ${words.slice(0, -1).join(' ')}`;
+};
+
+// Key used to recognize the same person however the name was typed:
+// case, accents, punctuation and "Last, First" order are ignored
+const toNameKey = (name) => {
+  return toDisplayName(name)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+};
+
+// Split a free-text author field such as "Terry Pratchett & Gaiman, Neil" into names,
+// each still written the way it was typed
+const parseAuthorNames = (value) => {
+  if (typeof value !== 'string') return [];
+
+  return value
+    .split(/\s*(?:;|&)\s*/)
+    .map(collapseWhitespace)
+    .filter(Boolean);
+};
+
+// The legacy books.author string for a list of credits: the names credited as
+// authors, or everyone if nobody is
+const formatAuthorNames = (credits) => {
+  const authors = credits.filter((credit) => credit.role === 'author');
+  return (authors.length > 0 ? authors : credits).map((credit) => credit.name).join(NAME_SEPARATOR);
+};
+
+module.exports = {
+  AUTHOR_ROLES,
+  toDisplayName,
+  toSortName,
+  toNameKey,
+  parseAuthorNames,
+  formatAuthorNames
+};
@@ -0,0 +1,54 @@
+// server/bookExport.js - Serializing a stream of books as CSV, JSON Lines or Excel
+const { formatCsvRow } = require('./csv');
+const { writeXlsx } = require('./xlsx');
+
+// Spreadsheet columns; the headers match what POST /api/books/import reads back
+const EXPORT_COLUMNS = [
+  ['id', (book) => book.id],
+  ['title', (book) => book.title],
+  ['author', (book) => book.author],
+  ['isbn', (book) => book.isbn],
+  ['published_year', (book) => book.published_year],
+  ['genres', (book) => (book.genres || []).map((genre) => genre.name).join('; ')],
+  ['tags', (book) => (book.tags || []).map((tag) => tag.name).join('; ')],
+  ['description', (book) => book.description],
+  ['created_at', (book) => book.created_at],
+  ['updated_at', (book) => book.updated_at]
+];
+
+const HEADERS = EXPORT_COLUMNS.map(([header]) => header);
+
+const toRow = (book) => EXPORT_COLUMNS.map(([, value]) => value(book));
+
+const toRows = async function* (books) {
+  for await (const book of books) yield toRow(book);
+};
+
+const toCsv = async function* (books) {
+  yield formatCsvRow(HEADERS);
+  for await (const book of books) yield formatCsvRow(toRow(book));
+};
+
+// JSON Lines keeps the full book, authors with their roles included
+const toJsonLines = async function* (books) {
+  for await (const book of books) yield `${JSON.stringify(book)}\n`;
+};
+
+// Supported ?format= values and how each is written; serialize turns an async
+// iterable of books into an async iterable of strings or Buffers
+const EXPORT_FORMATS = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    serialize: toCsv
+  },
+  jsonl: {
+    contentType: 'application/x-ndjson; charset=utf-8',
+    serialize: toJsonLines
+  },
+  xlsx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    serialize: (books) => writeXlsx(HEADERS, toRows(books), { sheetName: 'Books' })
+  }
+};
+
+module.exports = { EXPORT_FORMATS, EXPORT_COLUMNS };
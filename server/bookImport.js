@@ -0,0 +1,77 @@
+// server/bookImport.js - Turning an uploaded CSV catalog into validated book rows
+const { parseCsv } = require('./csv');
+const { validate } = require('./validation');
+const { bookSchema } = require('./schemas/book');
+
+// Largest number of data rows one import may hold
+const MAX_IMPORT_ROWS = 5000;
+
+// Book field for each accepted header, after lowercasing and turning spaces into underscores
+const COLUMN_FIELDS = {
+  title: 'title',
+  author: 'author',
+  authors: 'author',
+  isbn: 'isbn',
+  isbn13: 'isbn',
+  published_year: 'published_year',
+  publication_year: 'published_year',
+  year: 'published_year',
+  genre: 'genre',
+  genres: 'genres',
+  tags: 'tags',
+  description: 'description'
+};
+
+// List columns hold several values in one cell, separated by semicolons
+// (tags may use commas too)
+const LIST_SEPARATORS = { genres: /;/, tags: /[;,]/ };
+
+const toColumnKey = (header) => header.trim().toLowerCase().replace(/[\s-]+/g, '_');
+
+const splitList = (value, separator) => value.split(separator).map((item) => item.trim()).filter(Boolean);
+
+// Build the book payload for one record; empty cells are left out
+const toBookData = (columns, fields) => {
+  const data = {};
+
+  columns.forEach((field, index) => {
+    const cell = (fields[index] || '').trim();
+    if (!field || cell === '' || data[field] !== undefined) return;
+    data[field] = LIST_SEPARATORS[field] ? splitList(cell, LIST_SEPARATORS[field]) : cell;
+  });
+  return data;
+};
+
+// Parse and validate a CSV catalog. Returns { rows, failed, ignoredColumns } where rows
+// are { line, book } ready for importBooks and failed are { line, errors }, or { error }
+// when the file itself cannot be used.
+const readImportRows = (text) => {
+  const { records, error } = parseCsv(text);
+  if (error) return { error };
+  if (records.length === 0) return { error: 'CSV file is empty' };
+
+  const [header, ...dataRecords] = records;
+  const columns = header.fields.map((name) => COLUMN_FIELDS[toColumnKey(name)] || null);
+  const ignoredColumns = header.fields.filter((name, index) => !columns[index]);
+
+  if (!columns.includes('title') || !columns.includes('author')) {
+    return { error: 'CSV header must include title and author columns' };
+  }
+  if (dataRecords.length > MAX_IMPORT_ROWS) {
+    return { error: `CSV file may hold at most ${MAX_IMPORT_ROWS} rows` };
+  }
+
+  const rows = [];
+  const failed = [];
+
+  for (const { line, fields } of dataRecords) {
+    const { value, errors } = validate(bookSchema, toBookData(columns, fields));
+
+    if (errors.length > 0) failed.push({ line, errors });
+    else rows.push({ line, book: value });
+  }
+
+  return { rows, failed, ignoredColumns };
+};
+
+module.exports = { readImportRows, MAX_IMPORT_ROWS, COLUMN_FIELDS };
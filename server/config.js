@@ -0,0 +1,73 @@
+// server/config.js - Runtime settings read from the environment
+const path = require('path');
+
+// Route groups that each get their own read and write budgets
+const RATE_LIMIT_GROUPS = ['auth', 'users', 'books', 'authors', 'genres', 'tags', 'webhooks', 'events'];
+
+// "100/60" allows 100 requests every 60 seconds and "0" turns the limit off;
+// a missing or unreadable value falls back
+const parseRateLimit = (value, fallback) => {
+  if (value === undefined) return fallback;
+  if (value.trim() === '0') return null;
+
+  const match = /^(\d+)\s*\/\s*(\d+)$/.exec(value.trim());
+  return match && Number(match[2]) > 0
+    ? { limit: Number(match[1]), windowMs: Number(match[2]) * 1000 }
+    : fallback;
+};
+
+// RATE_LIMIT_READ and RATE_LIMIT_WRITE apply to every group unless a group has its
+// own, such as RATE_LIMIT_AUTH_WRITE
+const loadRateLimits = (env) => {
+  const read = parseRateLimit(env.RATE_LIMIT_READ, { limit: 300, windowMs: 60 * 1000 });
+  const write = parseRateLimit(env.RATE_LIMIT_WRITE, { limit: 60, windowMs: 60 * 1000 });
+
+  return Object.fromEntries(RATE_LIMIT_GROUPS.map((group) => {
+    const prefix = `RATE_LIMIT_${group.toUpperCase()}`;
+    return [group, {
+      read: parseRateLimit(env[`${prefix}_READ`], read),
+      write: parseRateLimit(env[`${prefix}_WRITE`], write)
+    }];
+  }));
+};
+
+const loadConfig = (env = process.env) => ({
+  port: parseInt(env.PORT, 10) || 3000,
+  // ':memory:' gives a throwaway database
+  dbPath: env.DB_PATH || path.join(__dirname, 'books.db'),
+  seedSampleData: env.SEED_SAMPLE_DATA !== 'false',
+  // debug, info, warn, error or silent
+  logLevel: env.LOG_LEVEL || 'info',
+  // Token lifetimes in seconds
+  accessTokenTtl: parseInt(env.ACCESS_TOKEN_TTL, 10) || 15 * 60,
+  refreshTokenTtl: parseInt(env.REFRESH_TOKEN_TTL, 10) || 7 * 24 * 60 * 60,
+  // Days a deleted book stays in the trash before it is purged; 0 keeps it until purged by hand
+  trashRetentionDays: env.TRASH_RETENTION_DAYS === undefined ? 30 : parseInt(env.TRASH_RETENTION_DAYS, 10) || 0,
+  // How often, in seconds, the trash is checked for books past retention
+  trashPurgeInterval: parseInt(env.TRASH_PURGE_INTERVAL, 10) || 60 * 60,
+  // Webhook delivery: how often, in seconds, the queue is checked, how long a receiver
+  // has to answer, and how many tries a delivery gets, retryBase seconds apart at
+  // first and doubling after every failure
+  webhooks: {
+    pollInterval: parseInt(env.WEBHOOK_POLL_INTERVAL, 10) || 5,
+    timeout: parseInt(env.WEBHOOK_TIMEOUT, 10) || 10,
+    maxAttempts: parseInt(env.WEBHOOK_MAX_ATTEMPTS, 10) || 8,
+    retryBase: parseInt(env.WEBHOOK_RETRY_BASE, 10) || 30
+  },
+  // How often, in seconds, open /api/events streams are checked for book changes
+  eventsPollInterval: parseInt(env.EVENTS_POLL_INTERVAL, 10) || 1,
+  // Seconds to let requests in flight finish when shutting down
+  shutdownTimeout: parseInt(env.SHUTDOWN_TIMEOUT, 10) || 10,
+  // Free disk space, in megabytes, below which /health/ready fails
+  healthMinFreeDiskMb: env.HEALTH_MIN_FREE_DISK_MB === undefined ? 100 : parseInt(env.HEALTH_MIN_FREE_DISK_MB, 10) || 0,
+  // Cache-Control for book lists and single books; by default clients may keep a
+  // copy but must revalidate it with If-None-Match or If-Modified-Since
+  cacheControl: {
+    bookList: env.BOOK_LIST_CACHE_CONTROL || 'private, no-cache',
+    book: env.BOOK_CACHE_CONTROL || 'private, no-cache'
+  },
+  // { read, write } budgets per route group, each { limit, windowMs } or null
+  rateLimits: loadRateLimits(env)
+});
+
+module.exports = { loadConfig, RATE_LIMIT_GROUPS };
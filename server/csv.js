@@ -0,0 +1,79 @@
+// server/csv.js - Reading and writing RFC 4180 CSV text
+
+// Split CSV text into records. Quoted fields may hold commas, doubled quotes and
+// line breaks. Returns { records } where each record is { line, fields } and line is
+// the 1-based line it starts on, or { error } for an unterminated quote.
+const parseCsv = (text) => {
+  const input = text.startsWith('\uFEFF') ? text.slice(1) : text;
+  const records = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+  let i = 0;
+
+  const endField = () => {
+    fields.push(field);
+    field = '';
+  };
+  const endRecord = () => {
+    endField();
+    // Blank lines carry no record
+    if (fields.length > 1 || fields[0] !== '') records.push({ line: recordLine, fields });
+    fields = [];
+  };
+
+  while (i < input.length) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 2;
+        continue;
+      }
+      if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line += 1;
+        field += char;
+      }
+      i += 1;
+      continue;
+    }
+
+    if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      endRecord();
+      line += 1;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+    i += 1;
+  }
+
+  if (quoted) {
+    return { error: `Unterminated quoted field starting on line ${recordLine}` };
+  }
+  if (field !== '' || fields.length > 0) endRecord();
+
+  return { records };
+};
+
+// Quote a value when it holds a comma, quote or line break, or starts or ends with spaces
+const formatCsvField = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One CSV record, CRLF-terminated as RFC 4180 asks
+const formatCsvRow = (values) => `${values.map(formatCsvField).join(',')}\r\n`;
+
+module.exports = { parseCsv, formatCsvRow };
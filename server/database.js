@@ -1,149 +1,776 @@
-// server/database.js - Windows Compatible Version
+// server/database.js - SQLite connection, schema setup and book queries
 const sqlite3 = require('sqlite3').verbose();
-const path = require('path');
-
-// Create or connect to database
-const dbPath = path.join(__dirname, 'books.db');
-const db = new sqlite3.Database(dbPath, (err) => {
-  if (err) {
-    console.error('Error opening database:', err.message);
-  } else {
-    console.log('Connected to SQLite database');
+const { migrate } = require('./migrate');
+const { loadConfig } = require('./config');
+const { logger } = require('./logger');
+const { promisify, createTransaction, escapeLike } = require('./sqlite');
+const { formatAuthorNames } = require('./authorNames');
+const {
+  createAuthorOperations,
+  creditsFromBookData,
+  hasCredits,
+  resolveCredits,
+  setBookAuthors,
+  attachAuthors
+} = require('./operations/authors');
+const {
+  createGenreOperations,
+  createTagOperations,
+  booksInGenreSql,
+  booksWithTagSql,
+  genresFromBookData,
+  hasGenres,
+  resolveGenres,
+  resolveTags,
+  setBookGenres,
+  setBookTags,
+  attachTaxonomy
+} = require('./operations/taxonomy');
+const {
+  bookDataFromSnapshot,
+  recordRevision,
+  getRevisions,
+  countRevisions,
+  getRevision,
+  getRevisionsAfter,
+  getLatestRevisionId
+} = require('./operations/revisions');
+const { BOOK_EVENTS, enqueueBookEvent, createWebhookOperations } = require('./operations/webhooks');
+const { toTermKey } = require('./terms');
+const { toIsbn13 } = require('./isbn');
+const { HttpError } = require('./errors');
+
+// Columns GET /api/books can be sorted on
+const SORTABLE_COLUMNS = [
+  'id', 'title', 'author', 'isbn', 'published_year',
+  'genre', 'description', 'created_at', 'updated_at'
+];
+
+// Fields a PATCH request may change; `authors`, `genres` and `tags` replace the book's links
+const PATCHABLE_COLUMNS = [
+  'title', 'author', 'authors', 'isbn', 'published_year',
+  'genre', 'genres', 'tags', 'description'
+];
+
+// Build the WHERE clause shared by the list and count queries; books in the trash never match
+const buildBookFilters = (filters = {}) => {
+  const conditions = ['deleted_at IS NULL'];
+  const params = [];
+
+  // Match the display string or anyone credited on the book, editors and translators included
+  if (filters.author) {
+    conditions.push(`(author LIKE ? ESCAPE '\\' OR id IN (
+      SELECT book_authors.book_id FROM book_authors
+      JOIN authors ON authors.id = book_authors.author_id
+      WHERE authors.name LIKE ? ESCAPE '\\'))`);
+    params.push(`%${escapeLike(filters.author)}%`, `%${escapeLike(filters.author)}%`);
+  }
+  // A genre matches its subgenres too; every requested tag must be present
+  if (filters.genre) {
+    conditions.push(`id IN (${booksInGenreSql})`);
+    params.push(toTermKey(filters.genre));
+  }
+  for (const tag of filters.tags || []) {
+    conditions.push(`id IN (${booksWithTagSql})`);
+    params.push(toTermKey(tag));
+  }
+  if (filters.yearFrom !== undefined) {
+    conditions.push('published_year >= ?');
+    params.push(filters.yearFrom);
+  }
+  if (filters.yearTo !== undefined) {
+    conditions.push('published_year <= ?');
+    params.push(filters.yearTo);
+  }
+
+  return {
+    where: `WHERE ${conditions.join(' AND ')}`,
+    params
+  };
+};
+
+// Build the sorted list query shared by getAllBooks and exportBooks
+const buildBookListQuery = ({ filters, sort = 'created_at', order = 'desc' } = {}) => {
+  if (!SORTABLE_COLUMNS.includes(sort)) {
+    throw new Error(`Invalid sort field: ${sort}`);
+  }
+
+  const direction = order.toLowerCase() === 'asc' ? 'ASC' : 'DESC';
+  const { where, params } = buildBookFilters(filters);
+  return {
+    sql: `SELECT * FROM books ${where} ORDER BY ${sort} ${direction}, id ${direction}`,
+    params
+  };
+};
+
+// Books an export links to their authors, genres and tags at a time
+const EXPORT_BATCH_SIZE = 200;
+
+// Ranking weights for the title, author and description columns of books_fts
+const SEARCH_WEIGHTS = [10.0, 5.0, 1.0];
+
+// Convert user input into an FTS5 query. "Quoted phrases" stay phrases, a trailing *
+// makes a prefix match, AND/OR/NOT stay operators and every other word is quoted so
+// punctuation such as "sci-fi" cannot break the query syntax.
+const buildSearchQuery = (input) => {
+  const tokens = input.match(/"[^"]*"|\S+/g) || [];
+
+  return tokens
+    .map((token) => {
+      if (['AND', 'OR', 'NOT'].includes(token)) return token;
+
+      const isPhrase = token.startsWith('"');
+      const isPrefix = !isPhrase && token.length > 1 && token.endsWith('*');
+      const text = isPhrase ? token.slice(1, -1) : token.replace(/\*+$/, '');
+
+      if (!text.trim()) return null;
+      return `"${text.replace(/"/g, '""')}"${isPrefix ? '*' : ''}`;
+    })
+    .filter(Boolean)
+    .join(' ');
+};
+
+// Run a full-text search statement, turning a query FTS5 cannot parse, such as a
+// lone NOT, into a 400; any other failure is left as it is
+const FTS_SYNTAX_ERROR = /^SQLITE_ERROR: fts5: syntax error/;
+
+const runSearch = (statement) => statement().catch((err) => {
+  if (err.code === 'SQLITE_ERROR' && FTS_SYNTAX_ERROR.test(err.message)) {
+    throw new HttpError(400, 'Invalid search query');
   }
+  throw err;
 });
 
-// Create books table if it doesn't exist
-db.serialize(() => {
-  db.run(`
-    CREATE TABLE IF NOT EXISTS books (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      title TEXT NOT NULL,
-      author TEXT NOT NULL,
-      isbn TEXT UNIQUE,
-      published_year INTEGER,
-      genre TEXT,
-      description TEXT,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )
-  `);
-
-  // Insert sample data if table is empty
-  db.get('SELECT COUNT(*) as count FROM books', (err, result) => {
-    if (err) {
-      console.error('Error checking book count:', err.message);
-      return;
+// Thrown to roll back a dry-run import once its report is complete
+const DRY_RUN = Symbol('dry run');
+
+// Canonical ISBN-13 stored next to the isbn as the client wrote it
+const canonicalIsbn = (isbn) => (isbn ? toIsbn13(isbn) : null);
+
+// The legacy books.genre string: the name of the book's first genre
+const firstGenreName = (genres) => (genres.length > 0 ? genres[0].name : null);
+
+// Clients that only know the author and genre strings send them back unchanged on
+// every update; that must not drop the editors, translators or extra genres behind them
+const keepUnchangedLinks = (book, bookData) => {
+  const changes = { ...bookData };
+
+  if (changes.authors === undefined && changes.author === book.author) delete changes.author;
+  if (changes.genres === undefined && changes.genre !== undefined && (changes.genre || null) === book.genre) {
+    delete changes.genre;
+  }
+  return changes;
+};
+
+// Refuse a conditional write when the book has changed since the client read it.
+// ifMatch lists the versions the client will accept; the 412 carries the current book.
+const checkVersion = (book, ifMatch) => {
+  if (ifMatch && !ifMatch.includes(book.version)) {
+    throw new HttpError(412, 'Book has been changed since you loaded it', { data: book });
+  }
+};
+
+// Sample books, inserted when the books table is empty
+const SAMPLE_BOOKS = [
+  { title: 'The Great Gatsby', author: 'F. Scott Fitzgerald', isbn: '978-0-7432-7356-5', published_year: 1925, genre: 'Fiction', description: 'A classic American novel' },
+  { title: 'To Kill a Mockingbird', author: 'Harper Lee', isbn: '978-0-06-112008-4', published_year: 1960, genre: 'Fiction', description: 'A story of racial injustice and childhood' },
+  { title: '1984', author: 'George Orwell', isbn: '978-0-452-28423-4', published_year: 1949, genre: 'Dystopian Fiction', description: 'A dystopian social science fiction novel' },
+  { title: 'Pride and Prejudice', author: 'Jane Austen', isbn: '978-0-14-143951-8', published_year: 1813, genre: 'Romance', description: 'A romantic novel of manners' }
+];
+
+// Sample genre hierarchy, parents first
+const SAMPLE_GENRES = [
+  { name: 'Fiction', parent: null },
+  { name: 'Dystopian Fiction', parent: 'Fiction' },
+  { name: 'Romance', parent: 'Fiction' }
+];
+
+// Insert sample data if the books table is empty
+const seedSampleBooks = async (q, dbOperations) => {
+  const { count } = await q.get('SELECT COUNT(*) as count FROM books');
+  if (count > 0) return;
+
+  for (const genre of SAMPLE_GENRES) {
+    await q.run(
+      `INSERT OR IGNORE INTO genres (name, name_key, parent_id)
+       VALUES (?, ?, (SELECT id FROM genres WHERE name_key = ?))`,
+      [genre.name, toTermKey(genre.name), genre.parent && toTermKey(genre.parent)]
+    );
+  }
+
+  for (const book of SAMPLE_BOOKS) {
+    await dbOperations.createBook(book);
+  }
+  logger.info('Sample books inserted into database', { count: SAMPLE_BOOKS.length });
+};
+
+// Book snapshots and history bound to one connection, for the book operations and
+// for the author, genre and tag operations that change how books read
+const createBookRecords = (q) => {
+  // Add authors, genres and tags to book rows
+  const withLinks = async (books) => attachTaxonomy(q, await attachAuthors(q, books));
+
+  // A live book, or with { trashed: true } a book in the trash
+  const getBook = async (id, { trashed = false } = {}) => {
+    const book = await q.get(
+      `SELECT * FROM books WHERE id = ? AND deleted_at ${trashed ? 'IS NOT NULL' : 'IS NULL'}`,
+      [id]
+    );
+    if (!book) return book;
+    const [withAllLinks] = await withLinks([book]);
+    return withAllLinks;
+  };
+
+  // Snapshot a book after a change, add it to the book's history and queue it for
+  // the webhooks subscribed to it; `before` is the snapshot from before the change,
+  // null for a new book. Returns the new snapshot.
+  const recordChange = async (id, action, before, { actor, revertedFrom, trashed = false } = {}) => {
+    const after = await getBook(id, { trashed });
+    await recordRevision(q, { bookId: after.id, action, before, after, actor, revertedFrom });
+    await enqueueBookEvent(q, action, after);
+    return after;
+  };
+
+  // Run change(), which rewrites books through something they link to, such as an
+  // author's name, and record it as an update of each book in bookIds, in the trash
+  // or not. Callers run it inside a transaction.
+  const recordLinkedChange = async (bookIds, change, { actor } = {}) => {
+    const before = [];
+    for (const id of bookIds) {
+      before.push((await getBook(id)) || (await getBook(id, { trashed: true })));
     }
 
-    if (result.count === 0) {
-      const sampleBooks = [
-        ['The Great Gatsby', 'F. Scott Fitzgerald', '978-0-7432-7356-5', 1925, 'Fiction', 'A classic American novel'],
-        ['To Kill a Mockingbird', 'Harper Lee', '978-0-06-112008-4', 1960, 'Fiction', 'A story of racial injustice and childhood'],
-        ['1984', 'George Orwell', '978-0-452-28423-4', 1949, 'Dystopian Fiction', 'A dystopian social science fiction novel'],
-        ['Pride and Prejudice', 'Jane Austen', '978-0-14-143951-8', 1813, 'Romance', 'A romantic novel of manners']
-      ];
-
-      const stmt = db.prepare(`
-        INSERT INTO books (title, author, isbn, published_year, genre, description)
-        VALUES (?, ?, ?, ?, ?, ?)
-      `);
-
-      sampleBooks.forEach(book => {
-        stmt.run(...book);
-      });
+    await change();
 
-      stmt.finalize();
-      console.log('Sample books inserted into database');
+    for (const book of before) {
+      await recordChange(book.id, 'update', book, { actor, trashed: book.deleted_at !== null });
     }
-  });
-});
+  };
 
-// Database helper functions
-const dbOperations = {
-  // Get all books
-  getAllBooks: () => {
-    return new Promise((resolve, reject) => {
-      db.all('SELECT * FROM books ORDER BY created_at DESC', (err, rows) => {
-        if (err) reject(err);
-        else resolve(rows);
-      });
-    });
-  },
-
-  // Get book by ID
-  getBookById: (id) => {
-    return new Promise((resolve, reject) => {
-      db.get('SELECT * FROM books WHERE id = ?', [id], (err, row) => {
-        if (err) reject(err);
-        else resolve(row);
-      });
-    });
-  },
-
-  // Create new book
-  createBook: (bookData) => {
-    return new Promise((resolve, reject) => {
-      const { title, author, isbn, published_year, genre, description } = bookData;
-      
-      db.run(
-        `INSERT INTO books (title, author, isbn, published_year, genre, description)
-         VALUES (?, ?, ?, ?, ?, ?)`,
-        [title, author, isbn, published_year, genre, description],
-        function(err) {
-          if (err) reject(err);
-          else {
-            // Get the newly created book
-            db.get('SELECT * FROM books WHERE id = ?', [this.lastID], (err, row) => {
-              if (err) reject(err);
-              else resolve(row);
-            });
-          }
+  return { withLinks, getBook, recordChange, recordLinkedChange };
+};
+
+// Database helper functions bound to one connection
+const createBookOperations = ({ q, transaction }) => {
+  const { withLinks, getBook, recordChange } = createBookRecords(q);
+
+  // Replace a book's tags when the payload has them
+  const linkTags = async (bookId, tags) => {
+    if (tags !== undefined) await setBookTags(q, bookId, await resolveTags(q, tags));
+  };
+
+  // Insert a book with its links; callers run it inside a transaction
+  const insertBook = async (bookData) => {
+    const { title, isbn, published_year, description } = bookData;
+    const credits = await resolveCredits(q, creditsFromBookData(bookData));
+    const genres = await resolveGenres(q, genresFromBookData(bookData));
+
+    const { lastID } = await q.run(
+      `INSERT INTO books (title, author, isbn, isbn13, published_year, genre, description)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [title, formatAuthorNames(credits), isbn, canonicalIsbn(isbn), published_year, firstGenreName(genres), description]
+    );
+    await setBookAuthors(q, lastID, credits);
+    await setBookGenres(q, lastID, genres);
+    await linkTags(lastID, bookData.tags);
+    return lastID;
+  };
+
+  // Replace every column of a live book (from getBook); tags are left alone unless the
+  // payload has them. Callers run it inside a transaction.
+  const replaceBook = async (existing, bookData) => {
+    const { title, isbn, published_year, description } = bookData;
+    const changes = keepUnchangedLinks(existing, bookData);
+    const credits = hasCredits(changes) ? await resolveCredits(q, creditsFromBookData(changes)) : null;
+    // Like every other column, a genre left out of a PUT is cleared
+    let genres = hasGenres(bookData) ? null : [];
+    if (hasGenres(changes)) genres = await resolveGenres(q, genresFromBookData(changes));
+    await q.run(
+      `UPDATE books 
+       SET title = ?, author = ?, isbn = ?, isbn13 = ?, published_year = ?, genre = ?, description = ?,
+           updated_at = CURRENT_TIMESTAMP, version = version + 1
+       WHERE id = ?`,
+      [
+        title,
+        credits ? formatAuthorNames(credits) : existing.author,
+        isbn,
+        canonicalIsbn(isbn),
+        published_year,
+        genres ? firstGenreName(genres) : existing.genre,
+        description,
+        existing.id
+      ]
+    );
+    if (credits) await setBookAuthors(q, existing.id, credits);
+    if (genres) await setBookGenres(q, existing.id, genres);
+    await linkTags(existing.id, bookData.tags);
+  };
+
+  // Insert one import row behind a savepoint, so a row that fails leaves nothing behind
+  const importRow = async (report, { line, book }, actor) => {
+    const duplicate = book.isbn
+      ? await q.get('SELECT id FROM books WHERE isbn13 = ? AND deleted_at IS NULL', [canonicalIsbn(book.isbn)])
+      : null;
+    if (duplicate) {
+      report.skipped.push({ line, isbn: book.isbn, bookId: duplicate.id });
+      return;
+    }
+
+    await q.exec('SAVEPOINT import_row');
+    try {
+      const id = await insertBook(book);
+      await recordChange(id, 'create', null, { actor });
+      await q.exec('RELEASE import_row');
+      report.created.push({ line, id, title: book.title });
+    } catch (err) {
+      await q.exec('ROLLBACK TO import_row');
+      await q.exec('RELEASE import_row');
+      if (!(err instanceof HttpError)) throw err;
+      report.failed.push({ line, errors: [{ field: null, code: 'rejected', message: err.message }] });
+    }
+  };
+
+  return {
+    // Get all books, optionally filtered, sorted and paginated
+    getAllBooks: async (options = {}) => {
+      const { limit, offset = 0 } = options;
+      const { sql, params } = buildBookListQuery(options);
+
+      if (limit !== undefined) {
+        return withLinks(await q.all(`${sql} LIMIT ? OFFSET ?`, [...params, limit, offset]));
+      }
+      return withLinks(await q.all(sql, params));
+    },
+
+    // Every book matching the getAllBooks filters and sort, read through a cursor and
+    // linked in batches, so an export never holds the whole catalog in memory
+    exportBooks: async function* (options = {}) {
+      const { sql, params } = buildBookListQuery(options);
+      let batch = [];
+
+      for await (const row of q.iterate(sql, params)) {
+        batch.push(row);
+        if (batch.length === EXPORT_BATCH_SIZE) {
+          yield* await withLinks(batch);
+          batch = [];
         }
-      );
-    });
-  },
-
-  // Update book
-  updateBook: (id, bookData) => {
-    return new Promise((resolve, reject) => {
-      const { title, author, isbn, published_year, genre, description } = bookData;
-      
-      db.run(
-        `UPDATE books 
-         SET title = ?, author = ?, isbn = ?, published_year = ?, genre = ?, description = ?, updated_at = CURRENT_TIMESTAMP
-         WHERE id = ?`,
-        [title, author, isbn, published_year, genre, description, id],
-        function(err) {
-          if (err) reject(err);
-          else if (this.changes === 0) resolve(null); // No rows updated
-          else {
-            // Get the updated book
-            db.get('SELECT * FROM books WHERE id = ?', [id], (err, row) => {
-              if (err) reject(err);
-              else resolve(row);
-            });
+      }
+      if (batch.length > 0) yield* await withLinks(batch);
+    },
+
+    // Count books matching the same filters as getAllBooks
+    countBooks: async (filters) => {
+      const { where, params } = buildBookFilters(filters);
+      const row = await q.get(`SELECT COUNT(*) AS count FROM books ${where}`, params);
+      return row.count;
+    },
+
+    // How many times the catalog has changed and when it last did; book lists use it
+    // to tell whether a client's copy is still current
+    getCatalogState: () => q.get('SELECT change_count, changed_at FROM catalog_state'),
+
+    // Full-text search ranked by relevance, with highlighted description snippets
+    searchBooks: async (query, { limit = 20, offset = 0 } = {}) => {
+      const books = await runSearch(() => q.all(
+        `SELECT books.*,
+                snippet(books_fts, 2, '<mark>', '</mark>', '…', 16) AS snippet,
+                -bm25(books_fts, ?, ?, ?) AS score
+         FROM books_fts
+         JOIN books ON books.id = books_fts.rowid
+         WHERE books_fts MATCH ? AND books.deleted_at IS NULL
+         ORDER BY score DESC, books.id DESC
+         LIMIT ? OFFSET ?`,
+        [...SEARCH_WEIGHTS, buildSearchQuery(query), limit, offset]
+      ));
+      return withLinks(books);
+    },
+
+    // Count full-text search matches
+    countSearchResults: async (query) => {
+      const row = await runSearch(() => q.get(
+        `SELECT COUNT(*) AS count
+         FROM books_fts
+         JOIN books ON books.id = books_fts.rowid
+         WHERE books_fts MATCH ? AND books.deleted_at IS NULL`,
+        [buildSearchQuery(query)]
+      ));
+      return row.count;
+    },
+
+    // Get book by ID
+    getBookById: getBook,
+
+    // Get a book by ISBN-10 or ISBN-13, in any notation
+    getBookByIsbn: async (isbn) => {
+      const book = await q.get('SELECT id FROM books WHERE isbn13 = ? AND deleted_at IS NULL', [canonicalIsbn(isbn)]);
+      return book ? getBook(book.id) : book;
+    },
+
+    // Create new book; credits come from `authors` or the legacy `author` string,
+    // genres from `genres` or the legacy `genre` string
+    createBook: (bookData, { actor } = {}) => transaction(async () => (
+      recordChange(await insertBook(bookData), 'create', null, { actor })
+    )),
+
+    // Create validated import rows ({ line, book }) in one transaction. Rows whose ISBN
+    // is already in the catalog, or earlier in the file, are skipped; a dry run reports
+    // the same outcome and then rolls everything back.
+    importBooks: async (rows, { dryRun = false, actor } = {}) => {
+      const report = { created: [], skipped: [], failed: [] };
+
+      try {
+        await transaction(async () => {
+          for (const row of rows) {
+            await importRow(report, row, actor);
           }
-        }
+          if (dryRun) throw DRY_RUN;
+        });
+      } catch (err) {
+        if (err !== DRY_RUN) throw err;
+        report.created.forEach((entry) => delete entry.id);
+      }
+      return report;
+    },
+
+    // Update book; tags are left alone unless the payload has them. With ifMatch, only
+    // while the book is at one of those versions.
+    updateBook: (id, bookData, { actor, ifMatch } = {}) => transaction(async () => {
+      const existing = await getBook(id);
+      if (!existing) return null;
+      checkVersion(existing, ifMatch);
+
+      await replaceBook(existing, bookData);
+      return recordChange(id, 'update', existing, { actor });
+    }),
+
+    // Partially update a book, changing only the supplied columns
+    patchBook: (id, patch, { actor, ifMatch } = {}) => transaction(async () => {
+      const existing = await getBook(id);
+      if (!existing) return null;
+      checkVersion(existing, ifMatch);
+
+      const changes = keepUnchangedLinks(existing, patch);
+
+      const values = {};
+      for (const field of Object.keys(changes).filter((name) => PATCHABLE_COLUMNS.includes(name))) {
+        values[field] = changes[field];
+      }
+
+      let credits = null;
+      if (hasCredits(changes)) {
+        credits = await resolveCredits(q, creditsFromBookData(changes));
+        values.author = formatAuthorNames(credits);
+      }
+      delete values.authors;
+
+      let genres = null;
+      if (hasGenres(changes)) {
+        genres = await resolveGenres(q, genresFromBookData(changes));
+        values.genre = firstGenreName(genres);
+      }
+      delete values.genres;
+      delete values.tags;
+
+      if (values.isbn !== undefined) values.isbn13 = canonicalIsbn(values.isbn);
+
+      const fields = Object.keys(values);
+      await q.run(
+        `UPDATE books
+         SET ${[...fields.map((field) => `${field} = ?`), 'updated_at = CURRENT_TIMESTAMP', 'version = version + 1'].join(', ')}
+         WHERE id = ?`,
+        [...fields.map((field) => values[field]), id]
       );
+      if (credits) await setBookAuthors(q, existing.id, credits);
+      if (genres) await setBookGenres(q, existing.id, genres);
+      await linkTags(existing.id, changes.tags);
+      return recordChange(id, 'update', existing, { actor });
+    }),
+
+    // Move a book to the trash; it keeps its links until it is purged
+    deleteBook: (id, { actor, ifMatch } = {}) => transaction(async () => {
+      const existing = await getBook(id);
+      if (!existing) return null;
+      checkVersion(existing, ifMatch);
+
+      await q.run('UPDATE books SET deleted_at = CURRENT_TIMESTAMP, version = version + 1 WHERE id = ?', [id]);
+      return recordChange(id, 'delete', existing, { actor, trashed: true });
+    }),
+
+    // Books in the trash, most recently deleted first
+    getTrash: async ({ limit, offset = 0 } = {}) => {
+      const books = await q.all(
+        `SELECT * FROM books WHERE deleted_at IS NOT NULL
+         ORDER BY deleted_at DESC, id DESC
+         LIMIT ? OFFSET ?`,
+        [limit === undefined ? -1 : limit, offset]
+      );
+      return withLinks(books);
+    },
+
+    countTrash: async () => {
+      const row = await q.get('SELECT COUNT(*) AS count FROM books WHERE deleted_at IS NOT NULL');
+      return row.count;
+    },
+
+    // Take a book out of the trash; 409 if a live book has taken its ISBN meanwhile
+    restoreBook: (id, { actor } = {}) => transaction(async () => {
+      const book = await getBook(id, { trashed: true });
+      if (!book) return null;
+
+      const clash = book.isbn && await q.get(
+        'SELECT id FROM books WHERE (isbn = ? OR isbn13 = ?) AND deleted_at IS NULL',
+        [book.isbn, book.isbn13]
+      );
+      if (clash) {
+        throw new HttpError(409, 'Another book with this ISBN exists; delete or change it first', {
+          data: { id: clash.id }
+        });
+      }
+
+      await q.run('UPDATE books SET deleted_at = NULL, version = version + 1 WHERE id = ?', [id]);
+      return recordChange(id, 'restore', book, { actor });
+    }),
+
+    // A book's changes, newest first, or null when there is no such book. Books in
+    // the trash keep their history until they are purged.
+    getBookHistory: async (id, options) => {
+      const book = await q.get('SELECT id FROM books WHERE id = ?', [id]);
+      return book ? getRevisions(q, book.id, options) : null;
+    },
+
+    countBookHistory: (id) => countRevisions(q, id),
+
+    // Changes to any book after the one with id `after`, oldest first, as
+    // { id, event, occurred_at, data }; ids are history ids, so they only go up
+    getBookEvents: async ({ after, limit }) => {
+      const revisions = await getRevisionsAfter(q, after, { limit });
+      return revisions.map((revision) => ({
+        id: revision.id,
+        event: BOOK_EVENTS[revision.action],
+        occurred_at: revision.created_at,
+        data: revision.after
+      }));
+    },
+
+    // The id of the newest book event, 0 before any
+    getLatestBookEventId: () => getLatestRevisionId(q),
+
+    // Put a live book back the way one of its revisions left it. Null when the book
+    // is not live; 404 when the revision belongs to another book.
+    revertBook: (id, revisionId, { actor } = {}) => transaction(async () => {
+      const existing = await getBook(id);
+      if (!existing) return null;
+
+      const revision = await getRevision(q, existing.id, revisionId);
+      if (!revision) throw new HttpError(404, 'Revision not found');
+
+      await replaceBook(existing, bookDataFromSnapshot(revision.after || revision.before));
+      return recordChange(id, 'revert', existing, { actor, revertedFrom: revision.id });
+    }),
+
+    // Permanently delete one book from the trash; its links go with it
+    purgeBook: async (id) => {
+      const book = await getBook(id, { trashed: true });
+      if (!book) return null;
+
+      await q.run('DELETE FROM books WHERE id = ? AND deleted_at IS NOT NULL', [id]);
+      return book;
+    },
+
+    // Permanently delete books that have been in the trash for at least olderThanDays
+    // days, or all of them; returns how many were purged
+    purgeTrash: async ({ olderThanDays } = {}) => {
+      const { changes } = olderThanDays === undefined
+        ? await q.run('DELETE FROM books WHERE deleted_at IS NOT NULL')
+        : await q.run(
+          "DELETE FROM books WHERE deleted_at IS NOT NULL AND deleted_at <= datetime('now', ?)",
+          [`-${olderThanDays} days`]
+        );
+      return changes;
+    }
+  };
+};
+
+// User and session queries bound to one connection
+const createAuthOperations = ({ q }) => {
+  const USER_COLUMNS = 'id, username, role, created_at, updated_at';
+
+  const getUser = (id) => q.get(`SELECT ${USER_COLUMNS} FROM users WHERE id = ?`, [id]);
+
+  return {
+    // Create a user and return it without the password hash. The first account
+    // becomes an admin, every later one a viewer.
+    createUser: async ({ username, passwordHash }) => {
+      const { lastID } = await q.run(
+        `INSERT INTO users (username, password_hash, role)
+         VALUES (?, ?, CASE WHEN EXISTS (SELECT 1 FROM users) THEN 'viewer' ELSE 'admin' END)`,
+        [username, passwordHash]
+      );
+      return getUser(lastID);
+    },
+
+    // Get a user including the password hash, for login
+    getUserByUsername: (username) => q.get('SELECT * FROM users WHERE username = ?', [username]),
+
+    // Get a user without the password hash
+    getUserById: (id) => getUser(id),
+
+    // List all users without password hashes
+    getAllUsers: () => q.all(`SELECT ${USER_COLUMNS} FROM users ORDER BY id`),
+
+    // Number of users holding a role
+    countUsersWithRole: async (role) => {
+      const row = await q.get('SELECT COUNT(*) AS count FROM users WHERE role = ?', [role]);
+      return row.count;
+    },
+
+    // Change a user's role
+    updateUserRole: async (id, role) => {
+      const { changes } = await q.run(
+        'UPDATE users SET role = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [role, id]
+      );
+      if (changes === 0) return null; // No rows updated
+      return getUser(id);
+    },
+
+    // Delete a user; their sessions go with them
+    deleteUser: async (id) => {
+      const user = await getUser(id);
+      if (!user) return null;
+
+      await q.run('DELETE FROM users WHERE id = ?', [id]);
+      return user;
+    },
+
+    // Start a session for a user; TTLs are in seconds
+    createSession: async ({ userId, accessTokenHash, refreshTokenHash, accessTtl, refreshTtl }) => {
+      const { lastID } = await q.run(
+        `INSERT INTO sessions (user_id, access_token_hash, refresh_token_hash, access_expires_at, refresh_expires_at)
+         VALUES (?, ?, ?, datetime('now', ?), datetime('now', ?))`,
+        [userId, accessTokenHash, refreshTokenHash, `+${accessTtl} seconds`, `+${refreshTtl} seconds`]
+      );
+      return { id: lastID, user_id: userId };
+    },
+
+    // Find the live session and user for an access token hash
+    getSessionByAccessToken: (accessTokenHash) => q.get(
+      `SELECT sessions.id AS session_id, users.id, users.username, users.role, users.created_at, users.updated_at
+       FROM sessions
+       JOIN users ON users.id = sessions.user_id
+       WHERE sessions.access_token_hash = ?
+         AND sessions.revoked_at IS NULL
+         AND sessions.access_expires_at > datetime('now')`,
+      [accessTokenHash]
+    ),
+
+    // Swap both tokens of a live session in one statement, so a refresh token works only once
+    rotateSession: async ({ refreshTokenHash, accessTokenHash, newRefreshTokenHash, accessTtl, refreshTtl }) => {
+      const { changes } = await q.run(
+        `UPDATE sessions
+         SET access_token_hash = ?, refresh_token_hash = ?,
+             access_expires_at = datetime('now', ?), refresh_expires_at = datetime('now', ?)
+         WHERE refresh_token_hash = ?
+           AND revoked_at IS NULL
+           AND refresh_expires_at > datetime('now')`,
+        [accessTokenHash, newRefreshTokenHash, `+${accessTtl} seconds`, `+${refreshTtl} seconds`, refreshTokenHash]
+      );
+      if (changes === 0) return null;
+      return q.get('SELECT id, user_id FROM sessions WHERE refresh_token_hash = ?', [newRefreshTokenHash]);
+    },
+
+    // Revoke a session so neither of its tokens works again
+    revokeSession: async (sessionId) => {
+      const { changes } = await q.run(
+        'UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL',
+        [sessionId]
+      );
+      return changes > 0;
+    }
+  };
+};
+
+// Wrap every operation so it waits for the schema to be ready
+const whenReady = (ready, operations) => {
+  const gated = {};
+  for (const [name, operation] of Object.entries(operations)) {
+    gated[name] = (...args) => ready.then(() => operation(...args));
+  }
+  return gated;
+};
+
+// Open a database, run migrations and optionally seed sample books.
+// Pass filename ':memory:' for a private throwaway database.
+const createDatabase = ({ filename = loadConfig().dbPath, seed = false } = {}) => {
+  let db;
+  const opened = new Promise((resolve, reject) => {
+    db = new sqlite3.Database(filename, (err) => {
+      if (err) {
+        logger.error('Error opening database', { error: err, filename });
+        reject(err);
+      } else {
+        logger.info('Connected to SQLite database', { filename });
+        resolve();
+      }
     });
-  },
-
-  // Delete book
-  deleteBook: (id) => {
-    return new Promise((resolve, reject) => {
-      // First get the book before deleting
-      db.get('SELECT * FROM books WHERE id = ?', [id], (err, book) => {
-        if (err) reject(err);
-        else if (!book) resolve(null);
-        else {
-          db.run('DELETE FROM books WHERE id = ?', [id], function(err) {
-            if (err) reject(err);
-            else resolve(book);
-          });
-        }
+  });
+
+  const q = promisify(db);
+  const transaction = createTransaction(q);
+  const bookOperations = createBookOperations({ q, transaction });
+
+  // Bring the schema up to date, enforce foreign keys, then seed
+  const ready = opened
+    .then(() => migrate(db))
+    .then((applied) => {
+      applied.forEach(({ name }) => logger.info('Applied migration', { migration: name }));
+      return new Promise((resolve, reject) => {
+        db.run('PRAGMA foreign_keys = ON', (err) => (err ? reject(err) : resolve()));
       });
+    })
+    .then(() => {
+      if (seed) return seedSampleBooks(q, bookOperations);
+    })
+    .catch((err) => {
+      logger.error('Error preparing database', { error: err, filename });
+      throw err;
     });
-  }
+
+  // Hold every query until the schema is ready
+  const dbOperations = whenReady(ready, bookOperations);
+  const authOperations = whenReady(ready, createAuthOperations({ q }));
+  const { withLinks, recordLinkedChange } = createBookRecords(q);
+  const authorOperations = whenReady(ready, createAuthorOperations({ q, transaction, withLinks, recordLinkedChange }));
+  const genreOperations = whenReady(ready, createGenreOperations({ q, transaction, recordLinkedChange }));
+  const tagOperations = whenReady(ready, createTagOperations({ q, transaction, recordLinkedChange }));
+  const webhookOperations = whenReady(ready, createWebhookOperations({ q, transaction }));
+
+  const close = () => {
+    return ready
+      .catch(() => {})
+      .then(() => new Promise((resolve, reject) => {
+        db.close((err) => {
+          if (err) reject(err);
+          else resolve();
+        });
+      }));
+  };
+
+  // Callers that never await ready still get errors through dbOperations
+  ready.catch(() => {});
+
+  return {
+    db,
+    filename,
+    ready,
+    dbOperations,
+    authOperations,
+    authorOperations,
+    genreOperations,
+    tagOperations,
+    webhookOperations,
+    close
+  };
 };
 
-module.exports = { db, dbOperations };
\ No newline at end of file
+module.exports = { createDatabase, checkVersion, SORTABLE_COLUMNS, PATCHABLE_COLUMNS };
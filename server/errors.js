@@ -0,0 +1,40 @@
+// server/errors.js - Errors that carry the HTTP status they should produce
+const { logger } = require('./logger');
+
+class HttpError extends Error {
+  constructor(status, message, details = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// Send an HttpError as the usual { success: false, message } envelope
+const sendHttpError = (res, error) => {
+  return res.status(error.status).json({
+    success: false,
+    message: error.message,
+    ...error.details
+  });
+};
+
+// Log an unexpected error with the request's context and send a 500 that leaves
+// its details out
+const sendServerError = (res, error, message) => {
+  logger.error(message, { error });
+  return res.status(500).json({
+    success: false,
+    message
+  });
+};
+
+// Send a failed operation: HttpErrors with their own status, anything else as a 500
+const sendOperationError = (res, error, message) => {
+  if (error instanceof HttpError) {
+    return sendHttpError(res, error);
+  }
+  sendServerError(res, error, message);
+};
+
+module.exports = { HttpError, sendHttpError, sendServerError, sendOperationError };
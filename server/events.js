@@ -0,0 +1,112 @@
+// server/events.js - Book changes pushed to clients as Server-Sent Events
+const { logger: defaultLogger } = require('./logger');
+const { setBackgroundInterval } = require('./timers');
+
+// Most events a client resuming with Last-Event-ID is sent to catch up; one further
+// behind is told to reload instead
+const MAX_REPLAY = 500;
+
+// Events read from the database per query
+const BATCH_SIZE = 100;
+
+// One event in the text/event-stream format; the id is what the client sends back as
+// Last-Event-ID when it reconnects
+const formatEvent = ({ id, event, data }) => `id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+
+// Fan book events out to open event streams. Events are read from the book history
+// every pollIntervalMs while any stream is open, so changes made by other processes
+// sharing the database are seen too, and a client that reconnects can be sent what
+// it missed. Reads wait their turn behind any open transaction on the connection, so
+// only committed changes go out and no stream moves past an event that could still be
+// rolled back. close() ends every stream.
+const createEventHub = ({ dbOperations, pollIntervalMs, logger = defaultLogger }) => {
+  // Each open stream with the id of the last event it was sent
+  const subscribers = new Set();
+  let timer = null;
+  let polling = null;
+  let closed = false;
+
+  const write = (subscriber, chunk) => {
+    if (!subscriber.res.writableEnded && !subscriber.res.destroyed) subscriber.res.write(chunk);
+  };
+
+  // Send every stream the events it has not had yet, in order, reading from the
+  // stream that is furthest behind
+  const deliver = async () => {
+    while (subscribers.size > 0) {
+      const after = Math.min(...[...subscribers].map((subscriber) => subscriber.lastId));
+      const events = await dbOperations.getBookEvents({ after, limit: BATCH_SIZE });
+
+      for (const event of events) {
+        for (const subscriber of subscribers) {
+          if (event.id > subscriber.lastId) {
+            write(subscriber, formatEvent(event));
+            subscriber.lastId = event.id;
+          }
+        }
+      }
+      if (events.length < BATCH_SIZE) return;
+    }
+  };
+
+  // Polls never overlap, so events go out once and in order
+  const poll = () => {
+    if (!polling) {
+      polling = deliver()
+        .catch((error) => logger.error('Error sending book events', { error }))
+        .finally(() => {
+          polling = null;
+        });
+    }
+    return polling;
+  };
+
+  const stopPolling = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  return {
+    // Start sending book events to a response whose event-stream headers are sent.
+    // With lastEventId the stream resumes after that event; a client too far behind,
+    // or ahead of a database that was reset, gets a `reset` event and should reload.
+    // Returns a function that stops the stream's events.
+    subscribe: async (res, lastEventId) => {
+      const latest = await dbOperations.getLatestBookEventId();
+      const subscriber = { res, lastId: latest };
+
+      // Closed while the lookup ran
+      if (closed) {
+        res.end();
+        return () => {};
+      }
+
+      if (Number.isInteger(lastEventId)) {
+        if (lastEventId <= latest && latest - lastEventId <= MAX_REPLAY) {
+          subscriber.lastId = lastEventId;
+        } else {
+          write(subscriber, formatEvent({ id: latest, event: 'reset', data: {} }));
+        }
+      }
+
+      subscribers.add(subscriber);
+      if (!timer) timer = setBackgroundInterval(poll, pollIntervalMs);
+      poll();
+
+      return () => {
+        subscribers.delete(subscriber);
+        if (subscribers.size === 0) stopPolling();
+      };
+    },
+
+    // End every stream, for shutting down; clients reconnect to another server
+    close: () => {
+      closed = true;
+      stopPolling();
+      subscribers.forEach((subscriber) => subscriber.res.end());
+      subscribers.clear();
+    }
+  };
+};
+
+module.exports = { createEventHub };
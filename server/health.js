@@ -0,0 +1,85 @@
+// server/health.js - Readiness checks: the database answers, its schema is current
+// and the disk holding it has room
+const fs = require('fs/promises');
+const path = require('path');
+const { promisify } = require('./sqlite');
+const { status: migrationStatus, loadMigrations } = require('./migrate');
+
+// A check that takes longer than this fails rather than holding the probe
+const CHECK_TIMEOUT_MS = 2000;
+
+const withTimeout = (promise, ms) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms} ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// Run one check; a check resolves to details to report, or throws when it fails
+const runCheck = async (check, timeoutMs) => {
+  const started = process.hrtime.bigint();
+  const durationMs = () => Math.round(Number(process.hrtime.bigint() - started) / 1e4) / 100;
+
+  try {
+    const details = await withTimeout(check(), timeoutMs);
+    return { status: 'ok', durationMs: durationMs(), ...details };
+  } catch (error) {
+    return { status: 'fail', durationMs: durationMs(), error: error.message, ...error.details };
+  }
+};
+
+const failure = (message, details) => Object.assign(new Error(message), { details });
+
+// The readiness checks of a database from createDatabase(). minFreeBytes is the
+// least free space the database's disk may have.
+const createReadinessCheck = ({ database, minFreeBytes, timeoutMs = CHECK_TIMEOUT_MS }) => {
+  const checks = {
+    // A trivial query through the same connection the API uses
+    database: async () => {
+      await database.ready;
+      await promisify(database.db).get('SELECT 1');
+      return {};
+    },
+
+    // Every migration this server ships with has run, and no newer ones have
+    migrations: async () => {
+      await database.ready;
+      const expected = Math.max(...loadMigrations().map((migration) => migration.version));
+      const { applied, pending } = await migrationStatus(database.db);
+      const version = applied.length ? applied[applied.length - 1].version : 0;
+
+      if (pending.length > 0) {
+        throw failure(`${pending.length} migration(s) pending`, { version, expected });
+      }
+      if (version > expected) {
+        throw failure('The database has migrations this server does not know', { version, expected });
+      }
+      return { version, expected };
+    },
+
+    // Free space where the database file lives; an in-memory database has no file
+    disk: async () => {
+      if (database.filename === ':memory:') return { status: 'skipped' };
+
+      const stats = await fs.statfs(path.dirname(path.resolve(database.filename)));
+      const freeBytes = stats.bavail * stats.bsize;
+      if (freeBytes < minFreeBytes) {
+        throw failure('Not enough free disk space for the database', { freeBytes, minFreeBytes });
+      }
+      return { freeBytes, minFreeBytes };
+    }
+  };
+
+  // Resolves to { ready, checks } with the outcome of each check by name
+  return async () => {
+    const names = Object.keys(checks);
+    const results = await Promise.all(names.map((name) => runCheck(checks[name], timeoutMs)));
+    return {
+      ready: results.every((result) => result.status !== 'fail'),
+      checks: Object.fromEntries(names.map((name, index) => [name, results[index]]))
+    };
+  };
+};
+
+module.exports = { createReadinessCheck };
@@ -0,0 +1,52 @@
+// server/isbn.js - ISBN-10/ISBN-13 validation and conversion
+// Strip an optional "ISBN"/"ISBN-13:" label, hyphens and spaces
+const compact = (value) => String(value)
+  .trim()
+  .replace(/^ISBN(?:-1[03])?:?\s*/i, '')
+  .replace(/[\s-]/g, '')
+  .toUpperCase();
+
+const isbn10CheckDigit = (first9) => {
+  const sum = [...first9].reduce((total, digit, index) => total + Number(digit) * (10 - index), 0);
+  const check = (11 - (sum % 11)) % 11;
+  return check === 10 ? 'X' : String(check);
+};
+
+const isbn13CheckDigit = (first12) => {
+  const sum = [...first12].reduce((total, digit, index) => total + Number(digit) * (index % 2 === 0 ? 1 : 3), 0);
+  return String((10 - (sum % 10)) % 10);
+};
+
+// Parse an ISBN in either format. Returns { isbn13, isbn10 } (isbn10 is null outside
+// the 978 prefix) or { error } describing what is wrong.
+const parseIsbn = (value) => {
+  const digits = compact(value);
+
+  if (/^\d{9}[\dX]$/.test(digits)) {
+    if (isbn10CheckDigit(digits.slice(0, 9)) !== digits[9]) {
+      return { error: 'ISBN-10 check digit does not match' };
+    }
+    const isbn13 = `978${digits.slice(0, 9)}`;
+    return { isbn13: isbn13 + isbn13CheckDigit(isbn13), isbn10: digits };
+  }
+
+  if (/^\d{13}$/.test(digits)) {
+    if (!/^97[89]/.test(digits)) {
+      return { error: 'ISBN-13 must start with 978 or 979' };
+    }
+    if (isbn13CheckDigit(digits.slice(0, 12)) !== digits[12]) {
+      return { error: 'ISBN-13 check digit does not match' };
+    }
+    const isbn10 = digits.startsWith('978')
+      ? digits.slice(3, 12) + isbn10CheckDigit(digits.slice(3, 12))
+      : null;
+    return { isbn13: digits, isbn10 };
+  }
+
+  return { error: 'ISBN must have 10 or 13 digits' };
+};
+
+// The canonical hyphen-free ISBN-13, or null when the value is not a valid ISBN
+const toIsbn13 = (value) => parseIsbn(value).isbn13 || null;
+
+module.exports = { parseIsbn, toIsbn13 };
@@ -0,0 +1,66 @@
+// server/logger.js - Leveled logging as JSON lines, each carrying the current request's id
+const { AsyncLocalStorage } = require('async_hooks');
+const { loadConfig } = require('./config');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+// Fields whose values are replaced before a line is written
+const SENSITIVE_KEY = /pass(word)?|token|secret|authorization|cookie|api[-_]?key/i;
+
+// Nesting deeper than this is cut off, which also stops circular references
+const MAX_DEPTH = 6;
+
+// What is known about the request being handled, such as { requestId, method, path }
+const requestContext = new AsyncLocalStorage();
+
+// The parts of an error worth keeping; sqlite errors carry a code such as SQLITE_BUSY
+const serializeError = (error) => ({
+  name: error.name,
+  message: error.message,
+  ...(error.code ? { code: error.code } : {}),
+  ...(error.status ? { status: error.status } : {}),
+  stack: error.stack
+});
+
+const redact = (value, depth = 0) => {
+  if (value instanceof Error) return redact(serializeError(value), depth);
+  if (value === null || typeof value !== 'object') return value;
+  if (depth >= MAX_DEPTH) return '[Truncated]';
+  if (Array.isArray(value)) return value.map((item) => redact(item, depth + 1));
+
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    SENSITIVE_KEY.test(key) ? '[Redacted]' : redact(item, depth + 1)
+  ]));
+};
+
+// A logger writing lines of at least the given level to stream. Each line is
+// { time, level, msg, ...request context, ...fields }.
+const createLogger = ({ level = 'info', stream = process.stdout } = {}) => {
+  const threshold = LEVELS[level] || LEVELS.info;
+
+  const write = (lineLevel, msg, fields = {}) => {
+    if (LEVELS[lineLevel] < threshold) return;
+
+    const line = {
+      time: new Date().toISOString(),
+      level: lineLevel,
+      msg,
+      ...requestContext.getStore(),
+      ...redact(fields)
+    };
+    stream.write(`${JSON.stringify(line)}\n`);
+  };
+
+  return {
+    debug: (msg, fields) => write('debug', msg, fields),
+    info: (msg, fields) => write('info', msg, fields),
+    warn: (msg, fields) => write('warn', msg, fields),
+    error: (msg, fields) => write('error', msg, fields)
+  };
+};
+
+// The server's logger, at the configured LOG_LEVEL
+const logger = createLogger({ level: loadConfig().logLevel });
+
+module.exports = { createLogger, logger, requestContext, redact, LEVELS };
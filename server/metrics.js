@@ -0,0 +1,229 @@
+// server/metrics.js - Counters, gauges and histograms served in the Prometheus text format
+const { monitorEventLoopDelay } = require('perf_hooks');
+const { HttpError } = require('./errors');
+
+// Histogram buckets in seconds
+const HTTP_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const DB_BUCKETS = [0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1];
+
+// How often, in milliseconds, the event loop is sampled for lag
+const LAG_RESOLUTION_MS = 10;
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  return entries.length === 0 ? '' : `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+};
+
+const formatValue = (value) => (value === Infinity ? '+Inf' : String(value));
+
+// The labels a metric declares, in its order, taken from what the caller passed
+const pickLabels = (labelNames, labels) => Object.fromEntries(labelNames.map((name) => [name, labels[name]]));
+
+// Holds metrics and renders them all. Each metric keeps one series per distinct set
+// of label values.
+const createRegistry = () => {
+  const metrics = [];
+
+  const register = ({ name, help, type }, renderSeries) => {
+    metrics.push(async () => [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...(await renderSeries())]);
+  };
+
+  // Series keyed by their label values, created on first use
+  const seriesStore = (labelNames, create) => {
+    const series = new Map();
+    return {
+      get: (labels) => {
+        const picked = pickLabels(labelNames, labels);
+        const key = JSON.stringify(Object.values(picked));
+        if (!series.has(key)) series.set(key, { labels: picked, ...create() });
+        return series.get(key);
+      },
+      all: () => [...series.values()]
+    };
+  };
+
+  return {
+    counter: ({ name, help, labelNames = [] }) => {
+      const series = seriesStore(labelNames, () => ({ value: 0 }));
+      if (labelNames.length === 0) series.get({});
+
+      register({ name, help, type: 'counter' }, () => series.all()
+        .map(({ labels, value }) => `${name}${formatLabels(labels)} ${formatValue(value)}`));
+
+      return {
+        inc: (labels = {}, amount = 1) => {
+          series.get(labels).value += amount;
+        }
+      };
+    },
+
+    // collect runs at every scrape and returns a number, or [{ labels, value }]
+    gauge: ({ name, help, collect }) => {
+      register({ name, help, type: 'gauge' }, async () => {
+        const collected = await collect();
+        const values = typeof collected === 'number' ? [{ labels: {}, value: collected }] : collected;
+        return values.map(({ labels, value }) => `${name}${formatLabels(labels)} ${formatValue(value)}`);
+      });
+    },
+
+    histogram: ({ name, help, labelNames = [], buckets }) => {
+      const series = seriesStore(labelNames, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+
+      register({ name, help, type: 'histogram' }, () => series.all().flatMap(({ labels, counts, sum, count }) => [
+        ...buckets.map((bound, index) => `${name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[index]}`),
+        `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+        `${name}_sum${formatLabels(labels)} ${sum}`,
+        `${name}_count${formatLabels(labels)} ${count}`
+      ]));
+
+      return {
+        // Buckets are cumulative: a value counts in every bucket at or above it
+        observe: (labels, value) => {
+          const entry = series.get(labels);
+          buckets.forEach((bound, index) => {
+            if (value <= bound) entry.counts[index] += 1;
+          });
+          entry.sum += value;
+          entry.count += 1;
+        }
+      };
+    },
+
+    render: async () => {
+      const blocks = await Promise.all(metrics.map((renderMetric) => renderMetric()));
+      return `${blocks.flat().join('\n')}\n`;
+    }
+  };
+};
+
+const secondsSince = (started) => Number(process.hrtime.bigint() - started) / 1e9;
+
+const isAsyncIterable = (value) => value !== null && typeof value === 'object' && typeof value[Symbol.asyncIterator] === 'function';
+
+// The API's metrics: requests, dbOperations calls, the size of the catalog and the
+// health of the process. stop() ends the event loop sampling.
+const createMetrics = ({ dbOperations }) => {
+  const registry = createRegistry();
+  const eventLoop = monitorEventLoopDelay({ resolution: LAG_RESOLUTION_MS });
+  eventLoop.enable();
+
+  const httpRequests = registry.counter({
+    name: 'http_requests_total',
+    help: 'HTTP requests by method, route and status',
+    labelNames: ['method', 'route', 'status']
+  });
+  const httpDuration = registry.histogram({
+    name: 'http_request_duration_seconds',
+    help: 'HTTP request latency by method, route and status',
+    labelNames: ['method', 'route', 'status'],
+    buckets: HTTP_BUCKETS
+  });
+  const dbDuration = registry.histogram({
+    name: 'db_query_duration_seconds',
+    help: 'Duration of dbOperations calls by method',
+    labelNames: ['method'],
+    buckets: DB_BUCKETS
+  });
+  const dbErrors = registry.counter({
+    name: 'db_query_errors_total',
+    help: 'dbOperations calls that failed, not counting rejections such as a missing revision',
+    labelNames: ['method']
+  });
+
+  registry.gauge({
+    name: 'catalog_books',
+    help: 'Books in the catalog and in the trash',
+    collect: async () => [
+      { labels: { state: 'live' }, value: await dbOperations.countBooks() },
+      { labels: { state: 'trash' }, value: await dbOperations.countTrash() }
+    ]
+  });
+
+  registry.gauge({
+    name: 'process_resident_memory_bytes',
+    help: 'Resident set size of the process',
+    collect: () => process.memoryUsage().rss
+  });
+  registry.gauge({
+    name: 'nodejs_heap_size_used_bytes',
+    help: 'V8 heap in use',
+    collect: () => process.memoryUsage().heapUsed
+  });
+  registry.gauge({
+    name: 'nodejs_heap_size_total_bytes',
+    help: 'V8 heap allocated',
+    collect: () => process.memoryUsage().heapTotal
+  });
+
+  // Lag is how much later than planned the sampling timer ran, since the last scrape
+  const lag = (nanoseconds) => Math.max(0, nanoseconds / 1e9 - LAG_RESOLUTION_MS / 1000);
+  registry.gauge({
+    name: 'nodejs_eventloop_lag_seconds',
+    help: 'Event loop lag since the last scrape, as mean, p99 and max',
+    collect: () => {
+      const values = [
+        { labels: { stat: 'mean' }, value: lag(eventLoop.mean || 0) },
+        { labels: { stat: 'p99' }, value: lag(eventLoop.percentile(99)) },
+        { labels: { stat: 'max' }, value: lag(eventLoop.max) }
+      ];
+      eventLoop.reset();
+      return values;
+    }
+  });
+
+  return {
+    render: registry.render,
+
+    observeRequest: ({ method, route, status, seconds }) => {
+      const labels = { method, route, status: String(status) };
+      httpRequests.inc(labels);
+      httpDuration.observe(labels, seconds);
+    },
+
+    // The same operations, each call timed by method name. What they return or throw
+    // is passed through unchanged.
+    instrument: (operations) => Object.fromEntries(Object.entries(operations).map(([method, operation]) => [
+      method,
+      async (...args) => {
+        const started = process.hrtime.bigint();
+        const failed = (error) => {
+          if (!(error instanceof HttpError)) dbErrors.inc({ method });
+        };
+        const finished = () => dbDuration.observe({ method }, secondsSince(started));
+
+        let result;
+        try {
+          result = await operation(...args);
+        } catch (error) {
+          failed(error);
+          finished();
+          throw error;
+        }
+
+        if (!isAsyncIterable(result)) {
+          finished();
+          return result;
+        }
+
+        // A cursor such as exportBooks queries as it is read, so it is timed until
+        // the reader is done with it
+        return (async function* () {
+          try {
+            yield* result;
+          } catch (error) {
+            failed(error);
+            throw error;
+          } finally {
+            finished();
+          }
+        })();
+      }
+    ])),
+
+    stop: () => eventLoop.disable()
+  };
+};
+
+module.exports = { createRegistry, createMetrics, secondsSince };
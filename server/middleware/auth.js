@@ -0,0 +1,77 @@
+// server/middleware/auth.js - Bearer token authentication and role-based authorization
+const { hashToken } = require('../auth');
+const { hasPermission } = require('../permissions');
+const { sendServerError } = require('../errors');
+
+// Read the token from an "Authorization: Bearer <token>" header
+const getBearerToken = (req) => {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+  return match ? match[1] : null;
+};
+
+const unauthorized = (res, message) => {
+  res.set('WWW-Authenticate', 'Bearer realm="book-management-api"');
+  return res.status(401).json({
+    success: false,
+    message
+  });
+};
+
+const createAuthMiddleware = (authOperations) => {
+  // The live session for the request's access token, or null. Sets req.user and
+  // req.sessionId when there is one; the rate limiter calls it before requireAuth
+  // so that signed-in requests count against their user.
+  const authenticate = async (req) => {
+    const token = getBearerToken(req);
+    if (!token) return null;
+
+    const session = await authOperations.getSessionByAccessToken(hashToken(token));
+    if (!session) return null;
+
+    const { session_id: sessionId, ...user } = session;
+    req.user = user;
+    req.sessionId = sessionId;
+    return session;
+  };
+
+  // Reject requests without a live access token; sets req.user and req.sessionId
+  const requireAuth = async (req, res, next) => {
+    // Already verified by the rate limiter
+    if (req.user) return next();
+
+    if (!getBearerToken(req)) {
+      return unauthorized(res, 'Authentication required');
+    }
+
+    try {
+      if (!(await authenticate(req))) {
+        return unauthorized(res, 'Invalid or expired access token');
+      }
+      next();
+    } catch (error) {
+      sendServerError(res, error, 'Error authenticating request');
+    }
+  };
+
+  // Authenticate, then reject with 403 unless the user's role grants the permission
+  const requirePermission = (permission) => [
+    requireAuth,
+    (req, res, next) => {
+      if (hasPermission(req.user.role, permission)) {
+        return next();
+      }
+
+      res.status(403).json({
+        success: false,
+        message: `Your role (${req.user.role}) does not allow ${permission}`,
+        reason: 'missing_permission',
+        permission,
+        role: req.user.role
+      });
+    }
+  ];
+
+  return { authenticate, requireAuth, requirePermission };
+};
+
+module.exports = { createAuthMiddleware, getBearerToken };
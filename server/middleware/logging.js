@@ -0,0 +1,35 @@
+// server/middleware/logging.js - Request context for log lines, and the access log
+const { logger, requestContext } = require('../logger');
+
+// Keep the request's id, method and path for every line logged while it is handled.
+// Goes after the body parser, which finishes outside the request's async context.
+const withRequestContext = (req, res, next) => {
+  requestContext.run({
+    requestId: req.id,
+    method: req.method,
+    path: req.originalUrl.split('?')[0]
+  }, next);
+};
+
+// The route a request matched, such as /api/books/:id, or null when none did
+const matchedRoute = (req) => (req.route ? `${req.baseUrl}${req.route.path}` : null);
+
+// One line per finished request; query strings are left out as they may carry secrets
+const accessLog = (log = logger) => (req, res, next) => {
+  const started = process.hrtime.bigint();
+
+  res.on('finish', () => {
+    log.info('request completed', {
+      requestId: req.id,
+      method: req.method,
+      route: matchedRoute(req),
+      path: req.originalUrl.split('?')[0],
+      status: res.statusCode,
+      durationMs: Math.round(Number(process.hrtime.bigint() - started) / 1e4) / 100,
+      userId: req.user ? req.user.id : null
+    });
+  });
+  next();
+};
+
+module.exports = { withRequestContext, accessLog, matchedRoute };
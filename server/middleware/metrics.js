@@ -0,0 +1,21 @@
+// server/middleware/metrics.js - Request counts and latency for the metrics endpoint
+const { secondsSince } = require('../metrics');
+const { matchedRoute } = require('./logging');
+
+// Record every finished request under its route pattern; requests that matched no
+// route, such as static files and 404s, share one label so paths cannot flood it
+const recordRequests = (metrics) => (req, res, next) => {
+  const started = process.hrtime.bigint();
+
+  res.on('finish', () => {
+    metrics.observeRequest({
+      method: req.method,
+      route: matchedRoute(req) || 'unmatched',
+      status: res.statusCode,
+      seconds: secondsSince(started)
+    });
+  });
+  next();
+};
+
+module.exports = { recordRequests };
@@ -0,0 +1,105 @@
+// server/middleware/rateLimit.js - Per-client request budgets, with RateLimit-* headers
+const { logger: defaultLogger } = require('../logger');
+const { setBackgroundInterval } = require('../timers');
+
+// Methods that count against the read budget; every other method is a write
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Fixed-window counters kept in this process's memory. Any object with the same
+// increment(key, windowMs) method can take its place, such as one backed by a
+// shared cache when several processes serve the API.
+const createMemoryStore = ({ pruneIntervalMs = 60 * 1000 } = {}) => {
+  const windows = new Map();
+
+  // Forget windows that have ended so idle clients do not pile up
+  const timer = setBackgroundInterval(() => {
+    const now = Date.now();
+    for (const [key, window] of windows) {
+      if (window.resetAt <= now) windows.delete(key);
+    }
+  }, pruneIntervalMs);
+
+  return {
+    // Count one request; resolves to the count in the current window and when it ends
+    increment: async (key, windowMs) => {
+      const now = Date.now();
+      let window = windows.get(key);
+
+      if (!window || window.resetAt <= now) {
+        window = { count: 0, resetAt: now + windowMs };
+        windows.set(key, window);
+      }
+      window.count += 1;
+      return { count: window.count, resetAt: window.resetAt };
+    },
+
+    stop: () => clearInterval(timer)
+  };
+};
+
+// Requests from a signed-in user count against the user, others against the client's
+// IP. req.user is only set once the access token is verified (see the identify
+// option below), so a made-up bearer token cannot buy a fresh budget.
+const clientKey = (req) => (req.user ? `user:${req.user.id}` : `ip:${req.ip}`);
+
+// Enforce one route group's { read, write } budgets, each { limit, windowMs } or null
+// for no limit. identify(req) verifies the request's access token and sets req.user,
+// so the request counts against its user. An unidentified client that has spent its
+// budget is refused without looking its token up until its window ends, so a flood
+// of made-up tokens stops at the limit instead of reaching the database. When the
+// store fails the request is let through rather than refused.
+const createRateLimiter = ({ group, limits, store, identify, keyOf = clientKey, logger = defaultLogger }) => {
+  // When each spent unidentified client's window ends, by store key
+  const spent = new Map();
+
+  return async (req, res, next) => {
+    const kind = READ_METHODS.includes(req.method) ? 'read' : 'write';
+    const budget = limits[kind];
+    if (!budget) return next();
+
+    const anonymousKey = `${group}:${kind}:${keyOf(req)}`;
+    if (identify && !req.user && !(spent.get(anonymousKey) > Date.now())) {
+      try {
+        await identify(req);
+      } catch (error) {
+        // requireAuth reports the failure if the route needs a user
+        logger.error('Error identifying the client', { error });
+      }
+    }
+
+    const key = `${group}:${kind}:${keyOf(req)}`;
+    let counted;
+    try {
+      counted = await store.increment(key, budget.windowMs);
+    } catch (error) {
+      logger.error('Error checking the rate limit', { error });
+      return next();
+    }
+
+    const resetSeconds = Math.max(0, Math.ceil((counted.resetAt - Date.now()) / 1000));
+    res.set({
+      'RateLimit-Limit': String(budget.limit),
+      'RateLimit-Remaining': String(Math.max(0, budget.limit - counted.count)),
+      'RateLimit-Reset': String(resetSeconds),
+      'RateLimit-Policy': `${budget.limit};w=${budget.windowMs / 1000}`
+    });
+
+    if (counted.count > budget.limit) {
+      if (key === anonymousKey) {
+        for (const [other, resetAt] of spent) {
+          if (resetAt <= Date.now()) spent.delete(other);
+        }
+        spent.set(key, counted.resetAt);
+      }
+      res.set('Retry-After', String(resetSeconds));
+      return res.status(429).json({
+        success: false,
+        message: `Too many requests; try again in ${resetSeconds} second(s)`
+      });
+    }
+
+    next();
+  };
+};
+
+module.exports = { createMemoryStore, createRateLimiter, clientKey };
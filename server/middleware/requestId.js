@@ -0,0 +1,15 @@
+// server/middleware/requestId.js - A request ID for every request, echoed in X-Request-Id
+const crypto = require('crypto');
+
+// Ids a client may choose for itself; anything else is replaced
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Keep the caller's X-Request-Id when it looks like an id, otherwise make one; sets req.id
+const assignRequestId = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+};
+
+module.exports = { assignRequestId };
@@ -0,0 +1,151 @@
+// server/migrate.js - Versioned schema migrations
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('./sqlite');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Read migration files named like 001_create_books.js, ordered by version
+const loadMigrations = (dir = MIGRATIONS_DIR) => {
+  return fs.readdirSync(dir)
+    .filter((file) => /^\d+_[\w-]+\.js$/.test(file))
+    .map((file) => {
+      const migration = require(path.join(dir, file));
+      return {
+        version: parseInt(file, 10),
+        name: path.basename(file, '.js'),
+        up: migration.up,
+        down: migration.down
+      };
+    })
+    .sort((a, b) => a.version - b.version);
+};
+
+const ensureMigrationsTable = (conn) => conn.run(`
+  CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )
+`);
+
+// Run fn inside a transaction, rolling back if it throws
+const inTransaction = (conn, fn) => conn.exclusive(async () => {
+  await conn.exec('BEGIN');
+  try {
+    await fn();
+    await conn.exec('COMMIT');
+  } catch (err) {
+    await conn.exec('ROLLBACK');
+    throw err;
+  }
+});
+
+// Applied and pending migrations
+const status = async (db, { dir } = {}) => {
+  const conn = promisify(db);
+  await ensureMigrationsTable(conn);
+
+  const appliedRows = await conn.all('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+  const appliedVersions = new Set(appliedRows.map((row) => row.version));
+  const pending = loadMigrations(dir).filter((migration) => !appliedVersions.has(migration.version));
+
+  return { applied: appliedRows, pending: pending.map(({ version, name }) => ({ version, name })) };
+};
+
+// Apply every pending migration in order, each in its own transaction
+const migrate = async (db, { dir } = {}) => {
+  const conn = promisify(db);
+  await ensureMigrationsTable(conn);
+
+  const appliedRows = await conn.all('SELECT version FROM schema_migrations');
+  const appliedVersions = new Set(appliedRows.map((row) => row.version));
+  const pending = loadMigrations(dir).filter((migration) => !appliedVersions.has(migration.version));
+
+  for (const migration of pending) {
+    try {
+      await inTransaction(conn, async () => {
+        await migration.up(conn);
+        await conn.run('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+      });
+    } catch (err) {
+      err.message = `Migration ${migration.name} failed: ${err.message}`;
+      throw err;
+    }
+  }
+
+  return pending.map(({ version, name }) => ({ version, name }));
+};
+
+// Revert the most recently applied migrations, newest first
+const rollback = async (db, { dir, steps = 1 } = {}) => {
+  const conn = promisify(db);
+  await ensureMigrationsTable(conn);
+
+  const migrations = new Map(loadMigrations(dir).map((migration) => [migration.version, migration]));
+  const latest = await conn.all('SELECT version, name FROM schema_migrations ORDER BY version DESC LIMIT ?', [steps]);
+
+  for (const { version, name } of latest) {
+    const migration = migrations.get(version);
+    if (!migration) {
+      throw new Error(`Cannot roll back ${name}: migration file not found`);
+    }
+
+    try {
+      await inTransaction(conn, async () => {
+        await migration.down(conn);
+        await conn.run('DELETE FROM schema_migrations WHERE version = ?', [version]);
+      });
+    } catch (err) {
+      err.message = `Rollback of ${name} failed: ${err.message}`;
+      throw err;
+    }
+  }
+
+  return latest;
+};
+
+module.exports = { migrate, rollback, status, loadMigrations };
+
+// CLI: node server/migrate.js [up | rollback [steps] | status]
+if (require.main === module) {
+  const sqlite3 = require('sqlite3');
+  const { loadConfig } = require('./config');
+  const [command = 'up', arg] = process.argv.slice(2);
+  const db = new sqlite3.Database(loadConfig().dbPath);
+
+  const commands = {
+    up: async () => {
+      const applied = await migrate(db);
+      if (applied.length === 0) console.log('Database is up to date');
+      applied.forEach(({ name }) => console.log(`Applied ${name}`));
+    },
+    rollback: async () => {
+      const steps = arg === undefined ? 1 : parseInt(arg, 10);
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error('steps must be a positive integer');
+      }
+      const reverted = await rollback(db, { steps });
+      if (reverted.length === 0) console.log('Nothing to roll back');
+      reverted.forEach(({ name }) => console.log(`Rolled back ${name}`));
+    },
+    status: async () => {
+      const { applied, pending } = await status(db);
+      applied.forEach(({ name, applied_at }) => console.log(`[x] ${name} (${applied_at})`));
+      pending.forEach(({ name }) => console.log(`[ ] ${name}`));
+    }
+  };
+
+  if (!commands[command]) {
+    console.error(`Unknown command '${command}'. Use: up, rollback [steps], status`);
+    process.exitCode = 1;
+    db.close();
+  } else {
+    commands[command]()
+      .catch((err) => {
+        console.error(err.message);
+        process.exitCode = 1;
+      })
+      .finally(() => db.close());
+  }
+}
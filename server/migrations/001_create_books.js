@@ -0,0 +1,17 @@
+// Initial books table. IF NOT EXISTS lets databases created before migrations
+// existed adopt this version without losing their data.
+exports.up = (db) => db.exec(`
+  CREATE TABLE IF NOT EXISTS books (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    title TEXT NOT NULL,
+    author TEXT NOT NULL,
+    isbn TEXT UNIQUE,
+    published_year INTEGER,
+    genre TEXT,
+    description TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+`);
+
+exports.down = (db) => db.exec('DROP TABLE IF EXISTS books;');
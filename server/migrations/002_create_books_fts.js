@@ -0,0 +1,37 @@
+// Full-text index over title, author and description, kept in sync with books by triggers
+exports.up = (db) => db.exec(`
+  CREATE VIRTUAL TABLE IF NOT EXISTS books_fts USING fts5(
+    title, author, description,
+    content = 'books',
+    content_rowid = 'id',
+    tokenize = 'unicode61 remove_diacritics 2',
+    prefix = '2 3'
+  );
+
+  CREATE TRIGGER IF NOT EXISTS books_fts_after_insert AFTER INSERT ON books BEGIN
+    INSERT INTO books_fts (rowid, title, author, description)
+    VALUES (new.id, new.title, new.author, new.description);
+  END;
+
+  CREATE TRIGGER IF NOT EXISTS books_fts_after_delete AFTER DELETE ON books BEGIN
+    INSERT INTO books_fts (books_fts, rowid, title, author, description)
+    VALUES ('delete', old.id, old.title, old.author, old.description);
+  END;
+
+  CREATE TRIGGER IF NOT EXISTS books_fts_after_update AFTER UPDATE ON books BEGIN
+    INSERT INTO books_fts (books_fts, rowid, title, author, description)
+    VALUES ('delete', old.id, old.title, old.author, old.description);
+    INSERT INTO books_fts (rowid, title, author, description)
+    VALUES (new.id, new.title, new.author, new.description);
+  END;
+
+  -- Index rows that were written before the index existed
+  INSERT INTO books_fts (books_fts) VALUES ('rebuild');
+`);
+
+exports.down = (db) => db.exec(`
+  DROP TRIGGER IF EXISTS books_fts_after_insert;
+  DROP TRIGGER IF EXISTS books_fts_after_delete;
+  DROP TRIGGER IF EXISTS books_fts_after_update;
+  DROP TABLE IF EXISTS books_fts;
+`);
@@ -0,0 +1,10 @@
+// Roles for authorization. The oldest existing account becomes the admin so an
+// upgraded install is not left without one.
+exports.up = (db) => db.exec(`
+  ALTER TABLE users ADD COLUMN role TEXT NOT NULL DEFAULT 'viewer'
+    CHECK (role IN ('viewer', 'editor', 'admin'));
+
+  UPDATE users SET role = 'admin' WHERE id = (SELECT MIN(id) FROM users);
+`);
+
+exports.down = (db) => db.exec('ALTER TABLE users DROP COLUMN role;');
@@ -0,0 +1,59 @@
+// Authors as their own records, linked to books with a role and an order. The
+// free-text books.author column stays as the display string for older clients.
+const { toDisplayName, toSortName, toNameKey, parseAuthorNames } = require('../authorNames');
+
+exports.up = async (db) => {
+  await db.exec(`
+    CREATE TABLE authors (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      sort_name TEXT NOT NULL,
+      name_key TEXT NOT NULL UNIQUE,
+      bio TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE book_authors (
+      book_id INTEGER NOT NULL REFERENCES books (id) ON DELETE CASCADE,
+      author_id INTEGER NOT NULL REFERENCES authors (id) ON DELETE RESTRICT,
+      role TEXT NOT NULL DEFAULT 'author' CHECK (role IN ('author', 'editor', 'translator')),
+      position INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (book_id, author_id, role)
+    );
+
+    CREATE INDEX book_authors_author_id ON book_authors (author_id);
+  `);
+
+  // Split existing author strings into authors, merging spellings of the same name
+  const books = await db.all('SELECT id, author FROM books ORDER BY id');
+
+  for (const book of books) {
+    const names = parseAuthorNames(book.author);
+
+    for (const [position, name] of names.entries()) {
+      const key = toNameKey(name);
+      let author = await db.get('SELECT id FROM authors WHERE name_key = ?', [key]);
+
+      if (!author) {
+        const displayName = toDisplayName(name);
+        await db.run(
+          'INSERT INTO authors (name, sort_name, name_key) VALUES (?, ?, ?)',
+          [displayName, toSortName(name), key]
+        );
+        author = await db.get('SELECT id FROM authors WHERE name_key = ?', [key]);
+      }
+
+      await db.run(
+        `INSERT OR IGNORE INTO book_authors (book_id, author_id, role, position)
+         VALUES (?, ?, 'author', ?)`,
+        [book.id, author.id, position]
+      );
+    }
+  }
+};
+
+exports.down = (db) => db.exec(`
+  DROP TABLE IF EXISTS book_authors;
+  DROP TABLE IF EXISTS authors;
+`);
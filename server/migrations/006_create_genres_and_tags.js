@@ -0,0 +1,76 @@
+// Managed genres with an optional parent, and free-form tags, both linked to books.
+// books.genre stays as the name of the book's first genre for older clients.
+const { toTermKey } = require('../terms');
+
+exports.up = async (db) => {
+  await db.exec(`
+    CREATE TABLE genres (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      name_key TEXT NOT NULL UNIQUE,
+      parent_id INTEGER REFERENCES genres (id) ON DELETE SET NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE book_genres (
+      book_id INTEGER NOT NULL REFERENCES books (id) ON DELETE CASCADE,
+      genre_id INTEGER NOT NULL REFERENCES genres (id) ON DELETE RESTRICT,
+      position INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (book_id, genre_id)
+    );
+
+    CREATE TABLE tags (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      name_key TEXT NOT NULL UNIQUE,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE book_tags (
+      book_id INTEGER NOT NULL REFERENCES books (id) ON DELETE CASCADE,
+      tag_id INTEGER NOT NULL REFERENCES tags (id) ON DELETE CASCADE,
+      PRIMARY KEY (book_id, tag_id)
+    );
+
+    CREATE INDEX genres_parent_id ON genres (parent_id);
+    CREATE INDEX book_genres_genre_id ON book_genres (genre_id);
+    CREATE INDEX book_tags_tag_id ON book_tags (tag_id);
+  `);
+
+  // One genre per distinct genre string, case-insensitively
+  const books = await db.all("SELECT id, genre FROM books WHERE TRIM(COALESCE(genre, '')) != '' ORDER BY id");
+
+  for (const book of books) {
+    const name = book.genre.trim();
+    const key = toTermKey(name);
+    let genre = await db.get('SELECT id FROM genres WHERE name_key = ?', [key]);
+
+    if (!genre) {
+      await db.run('INSERT INTO genres (name, name_key) VALUES (?, ?)', [name, key]);
+      genre = await db.get('SELECT id FROM genres WHERE name_key = ?', [key]);
+    }
+
+    await db.run('INSERT INTO book_genres (book_id, genre_id) VALUES (?, ?)', [book.id, genre.id]);
+  }
+
+  // "Dystopian Fiction" becomes a subgenre of "Fiction" when both exist
+  const genres = await db.all('SELECT id, name_key FROM genres');
+  for (const genre of genres) {
+    const parent = genres
+      .filter((other) => other.id !== genre.id && genre.name_key.endsWith(` ${other.name_key}`))
+      .sort((a, b) => b.name_key.length - a.name_key.length)[0];
+
+    if (parent) {
+      await db.run('UPDATE genres SET parent_id = ? WHERE id = ?', [parent.id, genre.id]);
+    }
+  }
+};
+
+exports.down = (db) => db.exec(`
+  DROP TABLE IF EXISTS book_tags;
+  DROP TABLE IF EXISTS tags;
+  DROP TABLE IF EXISTS book_genres;
+  DROP TABLE IF EXISTS genres;
+`);
@@ -0,0 +1,26 @@
+// Canonical hyphen-free ISBN-13 next to the isbn column, which keeps the form the
+// client sent. Invalid legacy values, and later copies of an ISBN that is already
+// taken, are left without an isbn13.
+const { toIsbn13 } = require('../isbn');
+
+exports.up = async (db) => {
+  await db.exec('ALTER TABLE books ADD COLUMN isbn13 TEXT;');
+
+  const books = await db.all("SELECT id, isbn FROM books WHERE TRIM(COALESCE(isbn, '')) != '' ORDER BY id");
+  const seen = new Set();
+
+  for (const book of books) {
+    const isbn13 = toIsbn13(book.isbn);
+    if (!isbn13 || seen.has(isbn13)) continue;
+
+    seen.add(isbn13);
+    await db.run('UPDATE books SET isbn13 = ? WHERE id = ?', [isbn13, book.id]);
+  }
+
+  await db.exec('CREATE UNIQUE INDEX books_isbn13 ON books (isbn13);');
+};
+
+exports.down = (db) => db.exec(`
+  DROP INDEX IF EXISTS books_isbn13;
+  ALTER TABLE books DROP COLUMN isbn13;
+`);
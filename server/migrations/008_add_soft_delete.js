@@ -0,0 +1,87 @@
+// Soft delete: books get a deleted_at timestamp instead of being removed. ISBNs only
+// have to be unique among books that are not in the trash, which needs the inline
+// UNIQUE on books.isbn gone, so the table is rebuilt. SQLite cannot drop a column
+// constraint in place.
+const BOOK_COLUMNS = 'id, title, author, isbn, published_year, genre, description, created_at, updated_at, isbn13';
+
+// Copied from 002_create_books_fts: dropping the old table drops its triggers
+const FTS_TRIGGERS = `
+  CREATE TRIGGER books_fts_after_insert AFTER INSERT ON books BEGIN
+    INSERT INTO books_fts (rowid, title, author, description)
+    VALUES (new.id, new.title, new.author, new.description);
+  END;
+
+  CREATE TRIGGER books_fts_after_delete AFTER DELETE ON books BEGIN
+    INSERT INTO books_fts (books_fts, rowid, title, author, description)
+    VALUES ('delete', old.id, old.title, old.author, old.description);
+  END;
+
+  CREATE TRIGGER books_fts_after_update AFTER UPDATE ON books BEGIN
+    INSERT INTO books_fts (books_fts, rowid, title, author, description)
+    VALUES ('delete', old.id, old.title, old.author, old.description);
+    INSERT INTO books_fts (rowid, title, author, description)
+    VALUES (new.id, new.title, new.author, new.description);
+  END;
+`;
+
+// Replace books with a table built by createSql, keeping rows, ids and the
+// AUTOINCREMENT counter, so ids of deleted books are never handed out again
+const rebuildBooks = async (db, createSql, indexesSql) => {
+  // With foreign keys on, DROP TABLE books would cascade to every book's links
+  const { foreign_keys: foreignKeys } = await db.get('PRAGMA foreign_keys');
+  if (foreignKeys) throw new Error('Run this migration with foreign keys off');
+
+  const sequence = await db.get("SELECT seq FROM sqlite_sequence WHERE name = 'books'");
+
+  await db.exec(createSql);
+  await db.exec(`INSERT INTO books_new (${BOOK_COLUMNS}) SELECT ${BOOK_COLUMNS} FROM books;`);
+  await db.exec('DROP TABLE books;');
+  await db.exec('ALTER TABLE books_new RENAME TO books;');
+  if (sequence) {
+    await db.run("UPDATE sqlite_sequence SET seq = MAX(seq, ?) WHERE name = 'books'", [sequence.seq]);
+  }
+  await db.exec(indexesSql + FTS_TRIGGERS);
+};
+
+exports.up = (db) => rebuildBooks(db, `
+  CREATE TABLE books_new (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    title TEXT NOT NULL,
+    author TEXT NOT NULL,
+    isbn TEXT,
+    published_year INTEGER,
+    genre TEXT,
+    description TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    isbn13 TEXT,
+    deleted_at DATETIME
+  );
+`, `
+  CREATE UNIQUE INDEX books_isbn ON books (isbn) WHERE deleted_at IS NULL;
+  CREATE UNIQUE INDEX books_isbn13 ON books (isbn13) WHERE deleted_at IS NULL;
+  CREATE INDEX books_deleted_at ON books (deleted_at) WHERE deleted_at IS NOT NULL;
+`);
+
+// Going back means the trash is emptied: its books could clash with live ISBNs
+exports.down = async (db) => {
+  for (const table of ['book_authors', 'book_genres', 'book_tags']) {
+    await db.exec(`DELETE FROM ${table} WHERE book_id IN (SELECT id FROM books WHERE deleted_at IS NOT NULL);`);
+  }
+  await db.exec('DELETE FROM books WHERE deleted_at IS NOT NULL;');
+
+  await rebuildBooks(db, `
+    CREATE TABLE books_new (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      title TEXT NOT NULL,
+      author TEXT NOT NULL,
+      isbn TEXT UNIQUE,
+      published_year INTEGER,
+      genre TEXT,
+      description TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      isbn13 TEXT
+    );
+  `, 'CREATE UNIQUE INDEX books_isbn13 ON books (isbn13);');
+};
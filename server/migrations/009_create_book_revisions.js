@@ -0,0 +1,21 @@
+// One row per change to a book, with JSON snapshots of the book before and after it.
+// user_id and username say who made the change; username is kept so the history
+// still names the user after the account is deleted.
+exports.up = (db) => db.exec(`
+  CREATE TABLE book_revisions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    book_id INTEGER NOT NULL REFERENCES books (id) ON DELETE CASCADE,
+    action TEXT NOT NULL CHECK (action IN ('create', 'update', 'delete', 'restore', 'revert')),
+    before TEXT,
+    after TEXT,
+    user_id INTEGER REFERENCES users (id) ON DELETE SET NULL,
+    username TEXT,
+    request_id TEXT,
+    reverted_from INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE INDEX book_revisions_book_id ON book_revisions (book_id, id);
+`);
+
+exports.down = (db) => db.exec('DROP TABLE IF EXISTS book_revisions;');
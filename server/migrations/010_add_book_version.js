@@ -0,0 +1,5 @@
+// A counter that goes up with every change to a book row, served as the book's ETag
+// so clients can make updates conditional with If-Match
+exports.up = (db) => db.exec('ALTER TABLE books ADD COLUMN version INTEGER NOT NULL DEFAULT 1;');
+
+exports.down = (db) => db.exec('ALTER TABLE books DROP COLUMN version;');
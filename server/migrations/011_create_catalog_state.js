@@ -0,0 +1,32 @@
+// A single row counting every change to the catalog: books and everything listed
+// with them. Book lists use the count as their ETag, so a conditional GET can be
+// answered without running the list query. A migration that rebuilds one of these
+// tables must create its triggers again.
+const TABLES = ['books', 'book_authors', 'authors', 'book_genres', 'genres', 'book_tags', 'tags'];
+const EVENTS = ['insert', 'update', 'delete'];
+
+const TRIGGERS = TABLES.flatMap((table) => EVENTS.map((event) => ({
+  name: `catalog_change_after_${event}_on_${table}`,
+  table,
+  event
+})));
+
+exports.up = (db) => db.exec(`
+  CREATE TABLE catalog_state (
+    id INTEGER PRIMARY KEY CHECK (id = 1),
+    change_count INTEGER NOT NULL DEFAULT 0,
+    changed_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+  );
+
+  INSERT INTO catalog_state (id) VALUES (1);
+
+  ${TRIGGERS.map(({ name, table, event }) => `
+  CREATE TRIGGER ${name} AFTER ${event.toUpperCase()} ON ${table} BEGIN
+    UPDATE catalog_state SET change_count = change_count + 1, changed_at = CURRENT_TIMESTAMP;
+  END;`).join('\n')}
+`);
+
+exports.down = (db) => db.exec(`
+  ${TRIGGERS.map(({ name }) => `DROP TRIGGER IF EXISTS ${name};`).join('\n  ')}
+  DROP TABLE IF EXISTS catalog_state;
+`);
@@ -0,0 +1,644 @@
+// server/openapi.js - OpenAPI 3.1 description of the book endpoints and /health
+const { version } = require('../package.json');
+const { SORTABLE_COLUMNS } = require('./database');
+const { AUTHOR_ROLES } = require('./authorNames');
+const { bookSchema } = require('./schemas/book');
+const { EXPORT_FORMATS } = require('./bookExport');
+const { DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE } = require('./routes/pagination');
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const nullable = (schema) => ({ ...schema, type: [schema.type, 'null'] });
+
+// Closed objects, so a response that grows an undocumented field fails the contract test
+const object = (properties, required = Object.keys(properties)) => ({
+  type: 'object',
+  required,
+  properties,
+  additionalProperties: false
+});
+
+// JSON Schema for one field of a validation schema; entries with a custom check
+// are described by `items` from the caller
+const fromRule = (rule, items) => {
+  const schema = { type: rule.type };
+  if (rule.type === 'string') {
+    if (rule.minLength !== undefined) schema.minLength = rule.minLength;
+    if (rule.maxLength !== undefined) schema.maxLength = rule.maxLength;
+  }
+  if (rule.type === 'array') {
+    if (rule.minLength !== undefined) schema.minItems = rule.minLength;
+    if (rule.maxLength !== undefined) schema.maxItems = rule.maxLength;
+    schema.items = items || fromRule(rule.items);
+  }
+  if (rule.min !== undefined) schema.minimum = typeof rule.min === 'function' ? rule.min() : rule.min;
+  if (rule.max !== undefined) schema.maximum = typeof rule.max === 'function' ? rule.max() : rule.max;
+  return rule.nullable ? nullable(schema) : schema;
+};
+
+// Schemas for the array entries bookSchema checks by hand
+const ENTRY_SCHEMAS = {
+  authors: {
+    oneOf: [
+      { type: 'string', maxLength: 200, description: 'An author name' },
+      {
+        type: 'object',
+        properties: {
+          id: { type: 'integer', description: 'An existing author' },
+          name: { type: 'string', maxLength: 200, description: 'Found or created by name when no id is given' },
+          role: { enum: AUTHOR_ROLES, default: 'author' }
+        }
+      }
+    ]
+  },
+  genres: {
+    oneOf: [
+      { type: 'string', maxLength: 100, description: 'A genre name, created if new' },
+      object({ id: { type: 'integer' } })
+    ]
+  }
+};
+
+const bookInputProperties = () => Object.fromEntries(
+  Object.entries(bookSchema.fields).map(([field, rule]) => [field, fromRule(rule, ENTRY_SCHEMAS[field])])
+);
+
+const link = object({ id: { type: 'integer' }, name: { type: 'string' } });
+
+const bookProperties = {
+  id: { type: 'integer' },
+  title: { type: 'string' },
+  author: { type: 'string', description: 'Names credited as authors, joined with " & "' },
+  isbn: { type: ['string', 'null'], description: 'As the client wrote it' },
+  isbn13: { type: ['string', 'null'], description: 'Canonical ISBN-13 without hyphens' },
+  published_year: { type: ['integer', 'null'] },
+  genre: { type: ['string', 'null'], description: 'Name of the first genre' },
+  description: { type: ['string', 'null'] },
+  created_at: { type: 'string' },
+  updated_at: { type: 'string' },
+  version: { type: 'integer', description: 'Goes up with every change; the ETag is this number in quotes' },
+  deleted_at: { type: ['string', 'null'], description: 'When the book was moved to the trash' },
+  authors: {
+    type: 'array',
+    items: object({
+      id: { type: 'integer' },
+      name: { type: 'string' },
+      role: { enum: AUTHOR_ROLES },
+      position: { type: 'integer' }
+    })
+  },
+  genres: { type: 'array', items: link },
+  tags: { type: 'array', items: link }
+};
+
+const schemas = () => ({
+  Book: object(bookProperties),
+  SearchResult: object({
+    ...bookProperties,
+    snippet: { type: ['string', 'null'], description: 'Description excerpt with matches wrapped in <mark>' },
+    score: { type: 'number' }
+  }),
+  BookInput: {
+    type: 'object',
+    description: 'Strings are trimmed and numeric strings accepted for integers. Unknown fields are ignored.',
+    required: ['title'],
+    anyOf: [{ required: ['author'] }, { required: ['authors'] }],
+    properties: bookInputProperties()
+  },
+  BookPatch: {
+    type: 'object',
+    description: 'Only the given fields change; null clears an optional field.',
+    properties: bookInputProperties(),
+    additionalProperties: false
+  },
+  PageLinks: object({
+    next: { type: ['string', 'null'] },
+    prev: { type: ['string', 'null'] }
+  }),
+  FieldError: object({
+    field: { type: ['string', 'null'], description: 'Body field, such as title or authors[1]' },
+    code: {
+      enum: [
+        'required', 'type', 'too_short', 'too_long', 'too_small', 'too_large',
+        'not_allowed', 'invalid_isbn', 'invalid_role', 'rejected'
+      ]
+    },
+    message: { type: 'string' }
+  }),
+  Liveness: object({
+    status: { const: 'OK' },
+    timestamp: { type: 'string', format: 'date-time' },
+    message: { type: 'string' },
+    uptime: { type: 'number', description: 'Seconds since the process started' }
+  }),
+  // Checks add their own details, such as the schema version or free disk space
+  HealthCheck: {
+    ...object({
+      status: { enum: ['ok', 'fail', 'skipped'] },
+      durationMs: { type: 'number' },
+      error: { type: 'string', description: 'Why the check failed' }
+    }, ['status', 'durationMs']),
+    additionalProperties: true
+  },
+  Readiness: object({
+    status: { enum: ['OK', 'FAIL'] },
+    timestamp: { type: 'string', format: 'date-time' },
+    checks: object({
+      database: ref('HealthCheck'),
+      migrations: ref('HealthCheck'),
+      disk: ref('HealthCheck')
+    })
+  }),
+  Error: object({
+    success: { const: false },
+    message: { type: 'string' }
+  }, ['success', 'message']),
+  ValidationError: object({
+    success: { const: false },
+    message: { type: 'string', description: 'Every field message joined with "; "' },
+    errors: { type: 'array', items: ref('FieldError') }
+  }),
+  PermissionError: object({
+    success: { const: false },
+    message: { type: 'string' },
+    reason: { const: 'missing_permission' },
+    permission: { type: 'string' },
+    role: { type: 'string' }
+  }),
+  Revision: object({
+    id: { type: 'integer' },
+    book_id: { type: 'integer' },
+    action: { enum: ['create', 'update', 'delete', 'restore', 'revert'] },
+    user: {
+      ...nullable(object({ id: { type: ['integer', 'null'] }, username: { type: 'string' } })),
+      description: 'Who made the change; null for changes made by the server. id is null once the account is deleted.'
+    },
+    request_id: { type: ['string', 'null'], description: 'X-Request-Id of the request that made the change' },
+    reverted_from: { type: ['integer', 'null'], description: 'On a revert, the revision that was restored' },
+    created_at: { type: 'string' },
+    changes: {
+      type: 'array',
+      description: 'Fields that differ between before and after; authors as { name, role }, genres and tags as names',
+      items: object({ field: { type: 'string' }, from: {}, to: {} })
+    },
+    before: { anyOf: [ref('Book'), { type: 'null' }], description: 'The book before the change; null on create' },
+    after: ref('Book')
+  }),
+  ImportReport: object({
+    dryRun: { type: 'boolean' },
+    total: { type: 'integer', description: 'Data rows in the file' },
+    created: {
+      type: 'array',
+      items: object({
+        line: { type: 'integer' },
+        id: { type: 'integer', description: 'Left out on a dry run' },
+        title: { type: 'string' }
+      }, ['line', 'title'])
+    },
+    skipped: {
+      type: 'array',
+      description: 'Rows whose ISBN is already in the catalog or earlier in the file',
+      items: object({ line: { type: 'integer' }, isbn: { type: 'string' }, bookId: { type: 'integer' } })
+    },
+    failed: {
+      type: 'array',
+      items: object({ line: { type: 'integer' }, errors: { type: 'array', items: ref('FieldError') } })
+    },
+    ignoredColumns: { type: 'array', items: { type: 'string' } }
+  })
+});
+
+// The { success, data, message } envelope around a successful response
+const envelope = (data, { message = false, extra = {} } = {}) => object({
+  success: { const: true },
+  ...(message ? { message: { type: 'string' } } : {}),
+  data,
+  ...extra
+});
+
+const json = (description, schema) => ({ description, content: { 'application/json': { schema } } });
+const errorRef = (name) => ({ $ref: `#/components/responses/${name}` });
+
+// A response carrying the book's version as a strong ETag
+const withEtag = (response) => ({
+  ...response,
+  headers: { ETag: { description: 'Send it back in If-Match to make a change conditional', schema: { type: 'string' } } }
+});
+
+// Validators and caching policy of a GET that can be answered with 304
+const cacheHeaders = (etagDescription) => ({
+  ETag: { description: etagDescription, schema: { type: 'string' } },
+  'Last-Modified': { schema: { type: 'string' } },
+  'Cache-Control': { description: 'Set per route by configuration', schema: { type: 'string' } }
+});
+
+const bookCacheHeaders = cacheHeaders('Send it back in If-None-Match to revalidate, or in If-Match to make a change conditional');
+const listCacheHeaders = cacheHeaders('Changes with every change to the catalog; send it back in If-None-Match to revalidate');
+
+const responses = {
+  BadRequest: json('Invalid parameters or a rejected request', ref('Error')),
+  Unauthorized: {
+    ...json('Missing, invalid or expired access token', ref('Error')),
+    headers: { 'WWW-Authenticate': { schema: { type: 'string' } } }
+  },
+  Forbidden: json('The role lacks the permission the route needs', ref('PermissionError')),
+  NotFound: json('Book not found', ref('Error')),
+  UnsupportedMediaType: json('The body has the wrong Content-Type', ref('Error')),
+  PreconditionFailed: withEtag(json('The book has changed since the If-Match ETag; data is the current book', object({
+    success: { const: false },
+    message: { type: 'string' },
+    data: ref('Book')
+  }))),
+  ValidationFailed: json('The body failed validation; every failing field is listed', ref('ValidationError')),
+  ServerError: json('Unexpected server error', ref('Error')),
+  TooManyRequests: {
+    ...json('The client has used up its budget for this route group', ref('Error')),
+    headers: {
+      'Retry-After': { description: 'Seconds until the budget is refilled', schema: { type: 'string' } },
+      'RateLimit-Limit': { schema: { type: 'string' } },
+      'RateLimit-Remaining': { schema: { type: 'string' } },
+      'RateLimit-Reset': { schema: { type: 'string' } }
+    }
+  },
+  NotModified: { description: 'The copy named in If-None-Match or If-Modified-Since is still current; there is no body' }
+};
+
+// Responses every authenticated route can produce
+const guarded = (own) => ({
+  ...own,
+  401: errorRef('Unauthorized'),
+  403: errorRef('Forbidden'),
+  429: errorRef('TooManyRequests'),
+  500: errorRef('ServerError')
+});
+
+const parameter = (name, where, schema, description, required = where === 'path') => ({
+  name, in: where, required, schema, ...(description ? { description } : {})
+});
+
+const pageParameters = [
+  parameter('page', 'query', { type: 'integer', minimum: 1, default: 1 }),
+  parameter('limit', 'query', { type: 'integer', minimum: 1, maximum: MAX_PAGE_SIZE, default: DEFAULT_PAGE_SIZE })
+];
+
+// Filters and sort shared by the list and export endpoints
+const listParameters = [
+  parameter('author', 'query', { type: 'string' }, 'Matches any credited name, editors and translators included'),
+  parameter('genre', 'query', { type: 'string' }, 'Genre name; subgenres match too'),
+  {
+    ...parameter('tag', 'query', { type: 'array', items: { type: 'string' } }, 'Repeat to require every tag'),
+    style: 'form',
+    explode: true
+  },
+  parameter('year_from', 'query', { type: 'integer' }),
+  parameter('year_to', 'query', { type: 'integer' }),
+  parameter('sort', 'query', { enum: SORTABLE_COLUMNS, default: 'created_at' }),
+  parameter('order', 'query', { enum: ['asc', 'desc'], default: 'desc' })
+];
+
+const idParameter = parameter('id', 'path', { type: 'integer' });
+const conditionalGetParameters = [
+  parameter('If-None-Match', 'header', { type: 'string' }, 'ETag of the copy the client holds; 304 if it is current'),
+  parameter('If-Modified-Since', 'header', { type: 'string' }, 'Last-Modified of the copy the client holds; ignored with If-None-Match')
+];
+const ifMatchParameter = parameter(
+  'If-Match',
+  'header',
+  { type: 'string' },
+  'ETag of the book as the client last saw it; the change fails with 412 if the book has changed since'
+);
+
+// A page of books with the listing fields around it
+const bookPage = (description, extra = {}) => json(description, envelope({ type: 'array', items: ref('Book') }, {
+  extra: {
+    total: { type: 'integer' },
+    page: { type: 'integer' },
+    pageSize: { type: 'integer' },
+    ...extra,
+    links: ref('PageLinks')
+  }
+}));
+
+const bookBody = (schema, contentTypes = ['application/json']) => ({
+  required: true,
+  content: Object.fromEntries(contentTypes.map((type) => [type, { schema: ref(schema) }]))
+});
+
+const paths = () => ({
+  '/api/books': {
+    get: {
+      summary: 'List books with filters, sorting and pagination',
+      operationId: 'listBooks',
+      tags: ['Books'],
+      parameters: [...listParameters, ...pageParameters, ...conditionalGetParameters],
+      responses: guarded({
+        200: { ...bookPage('A page of books'), headers: listCacheHeaders },
+        304: errorRef('NotModified'),
+        400: errorRef('BadRequest')
+      })
+    },
+    post: {
+      summary: 'Create a book',
+      operationId: 'createBook',
+      tags: ['Books'],
+      requestBody: bookBody('BookInput'),
+      responses: guarded({
+        201: withEtag(json('The created book', envelope(ref('Book'), { message: true }))),
+        400: errorRef('BadRequest'),
+        422: errorRef('ValidationFailed')
+      })
+    }
+  },
+  '/api/books/search': {
+    get: {
+      summary: 'Full-text search across title, author and description',
+      operationId: 'searchBooks',
+      tags: ['Books'],
+      parameters: [
+        parameter('q', 'query', { type: 'string' }, 'Words, "quoted phrases" and prefix* terms', true),
+        ...pageParameters
+      ],
+      responses: guarded({
+        200: json('Matches, best first', envelope({ type: 'array', items: ref('SearchResult') }, {
+          extra: {
+            total: { type: 'integer' },
+            page: { type: 'integer' },
+            pageSize: { type: 'integer' },
+            query: { type: 'string' },
+            links: ref('PageLinks')
+          }
+        })),
+        400: errorRef('BadRequest')
+      })
+    }
+  },
+  '/api/books/export': {
+    get: {
+      summary: 'Download every book matching the list filters',
+      operationId: 'exportBooks',
+      tags: ['Books'],
+      parameters: [
+        parameter('format', 'query', { enum: Object.keys(EXPORT_FORMATS), default: 'csv' }),
+        ...listParameters
+      ],
+      responses: guarded({
+        200: {
+          description: 'The file, streamed as it is read',
+          headers: { 'Content-Disposition': { schema: { type: 'string' } } },
+          content: Object.fromEntries(Object.values(EXPORT_FORMATS).map(({ contentType }) => [
+            contentType.split(';')[0],
+            { schema: { type: 'string', format: 'binary' } }
+          ]))
+        },
+        400: errorRef('BadRequest')
+      })
+    }
+  },
+  '/api/books/import': {
+    post: {
+      summary: 'Create books from a CSV file',
+      operationId: 'importBooks',
+      tags: ['Books'],
+      parameters: [
+        parameter('dryRun', 'query', { type: 'boolean', default: false }, 'Validate and report without writing')
+      ],
+      requestBody: {
+        required: true,
+        description: 'A header row naming title, author, isbn, published_year, genre, genres, tags and description columns',
+        content: { 'text/csv': { schema: { type: 'string' } } }
+      },
+      responses: guarded({
+        200: json('What was created, skipped and rejected, by line', envelope(ref('ImportReport'), { message: true })),
+        400: errorRef('BadRequest'),
+        413: json('The file is larger than 5 MB', ref('Error')),
+        415: errorRef('UnsupportedMediaType')
+      })
+    }
+  },
+  '/api/books/trash': {
+    get: {
+      summary: 'List deleted books, most recently deleted first',
+      operationId: 'listTrash',
+      tags: ['Trash'],
+      parameters: pageParameters,
+      responses: guarded({
+        200: bookPage('A page of deleted books'),
+        400: errorRef('BadRequest')
+      })
+    },
+    delete: {
+      summary: 'Permanently delete every book in the trash',
+      operationId: 'emptyTrash',
+      tags: ['Trash'],
+      responses: guarded({
+        200: json('How many books were purged', envelope(object({ purged: { type: 'integer' } }), { message: true }))
+      })
+    }
+  },
+  '/api/books/trash/{id}': {
+    delete: {
+      summary: 'Permanently delete a book from the trash',
+      operationId: 'purgeBook',
+      tags: ['Trash'],
+      parameters: [idParameter],
+      responses: guarded({
+        200: json('The purged book', envelope(object({ purgedBook: ref('Book') }), { message: true })),
+        404: json('No book with this id is in the trash', ref('Error'))
+      })
+    }
+  },
+  '/api/books/{id}/restore': {
+    post: {
+      summary: 'Take a book out of the trash',
+      operationId: 'restoreBook',
+      tags: ['Trash'],
+      parameters: [idParameter],
+      responses: guarded({
+        200: withEtag(json('The restored book', envelope(ref('Book'), { message: true }))),
+        404: json('No book with this id is in the trash', ref('Error')),
+        409: json('A live book has taken its ISBN', object({
+          success: { const: false },
+          message: { type: 'string' },
+          data: object({ id: { type: 'integer', description: 'The book holding the ISBN' } })
+        }))
+      })
+    }
+  },
+  '/api/books/{id}/history': {
+    get: {
+      summary: "List a book's changes, newest first",
+      operationId: 'getBookHistory',
+      tags: ['History'],
+      parameters: [idParameter, ...pageParameters],
+      responses: guarded({
+        200: json('A page of revisions', envelope({ type: 'array', items: ref('Revision') }, {
+          extra: {
+            total: { type: 'integer' },
+            page: { type: 'integer' },
+            pageSize: { type: 'integer' },
+            links: ref('PageLinks')
+          }
+        })),
+        400: errorRef('BadRequest'),
+        404: errorRef('NotFound')
+      })
+    }
+  },
+  '/api/books/{id}/revert/{revisionId}': {
+    post: {
+      summary: 'Put a book back the way a revision left it',
+      operationId: 'revertBook',
+      tags: ['History'],
+      parameters: [idParameter, parameter('revisionId', 'path', { type: 'integer' })],
+      responses: guarded({
+        200: withEtag(json('The reverted book', envelope(ref('Book'), { message: true }))),
+        400: errorRef('BadRequest'),
+        404: json('The book is not live, or the revision belongs to another book', ref('Error'))
+      })
+    }
+  },
+  '/api/books/isbn/{isbn}': {
+    get: {
+      summary: 'Look a book up by ISBN-10 or ISBN-13',
+      operationId: 'getBookByIsbn',
+      tags: ['Books'],
+      parameters: [parameter('isbn', 'path', { type: 'string' }, 'With or without hyphens')],
+      responses: guarded({
+        200: json('The book', envelope(ref('Book'))),
+        400: errorRef('BadRequest'),
+        404: errorRef('NotFound')
+      })
+    }
+  },
+  '/api/books/{id}': {
+    get: {
+      summary: 'Get a book',
+      operationId: 'getBook',
+      tags: ['Books'],
+      parameters: [idParameter, ...conditionalGetParameters],
+      responses: guarded({
+        200: { ...json('The book', envelope(ref('Book'))), headers: bookCacheHeaders },
+        304: errorRef('NotModified'),
+        404: errorRef('NotFound')
+      })
+    },
+    put: {
+      summary: 'Replace a book',
+      operationId: 'updateBook',
+      tags: ['Books'],
+      parameters: [idParameter, ifMatchParameter],
+      requestBody: bookBody('BookInput'),
+      responses: guarded({
+        200: withEtag(json('The updated book', envelope(ref('Book'), { message: true }))),
+        400: errorRef('BadRequest'),
+        404: errorRef('NotFound'),
+        412: errorRef('PreconditionFailed'),
+        422: errorRef('ValidationFailed')
+      })
+    },
+    patch: {
+      summary: 'Change some fields of a book',
+      operationId: 'patchBook',
+      tags: ['Books'],
+      parameters: [idParameter, ifMatchParameter],
+      requestBody: bookBody('BookPatch', ['application/json', 'application/merge-patch+json']),
+      responses: guarded({
+        200: withEtag(json('The updated book', envelope(ref('Book'), { message: true }))),
+        400: errorRef('BadRequest'),
+        404: errorRef('NotFound'),
+        412: errorRef('PreconditionFailed'),
+        415: errorRef('UnsupportedMediaType'),
+        422: errorRef('ValidationFailed')
+      })
+    },
+    delete: {
+      summary: 'Move a book to the trash',
+      operationId: 'deleteBook',
+      tags: ['Books'],
+      parameters: [idParameter, ifMatchParameter],
+      responses: guarded({
+        200: json('The deleted book; an admin can restore it until it is purged', envelope(object({ deletedBook: ref('Book') }), { message: true })),
+        404: errorRef('NotFound'),
+        412: errorRef('PreconditionFailed')
+      })
+    }
+  },
+  '/health': {
+    get: {
+      summary: 'Check that the server is up; the same as /health/live',
+      operationId: 'health',
+      tags: ['Health'],
+      security: [],
+      responses: {
+        200: json('The server is running', ref('Liveness'))
+      }
+    }
+  },
+  '/health/live': {
+    get: {
+      summary: 'Liveness probe: the process is up and serving requests',
+      operationId: 'healthLive',
+      tags: ['Health'],
+      security: [],
+      responses: {
+        200: json('The server is running', ref('Liveness'))
+      }
+    }
+  },
+  '/health/ready': {
+    get: {
+      summary: 'Readiness probe: the database answers, its schema is current and its disk has room',
+      operationId: 'healthReady',
+      tags: ['Health'],
+      security: [],
+      responses: {
+        200: json('Every check passed', ref('Readiness')),
+        503: json('At least one check failed; see its error', ref('Readiness'))
+      }
+    }
+  },
+  '/metrics': {
+    get: {
+      summary: 'Request, query, catalog and process metrics in the Prometheus text format',
+      operationId: 'metrics',
+      tags: ['Health'],
+      security: [],
+      responses: {
+        200: {
+          description: 'Counters, gauges and histograms, one sample per line',
+          content: { 'text/plain': { schema: { type: 'string' } } }
+        },
+        500: errorRef('ServerError')
+      }
+    }
+  }
+});
+
+// Build the document; limits that depend on the date, such as the latest
+// published_year, are worked out at call time
+const createOpenApiDocument = () => ({
+  openapi: '3.1.0',
+  info: {
+    title: 'Book Management API',
+    version,
+    description: 'Successful responses use the envelope { success: true, data, message? }; failures use '
+      + '{ success: false, message }. Get an access token from POST /api/auth/login and send it as '
+      + '"Authorization: Bearer <token>".'
+  },
+  tags: [
+    { name: 'Books', description: 'The catalog' },
+    { name: 'Trash', description: 'Deleted books, until they are purged' },
+    { name: 'History', description: 'Who changed each book, and how' },
+    { name: 'Health', description: 'Service status' }
+  ],
+  security: [{ bearerAuth: [] }],
+  paths: paths(),
+  components: {
+    securitySchemes: {
+      bearerAuth: { type: 'http', scheme: 'bearer', description: 'Access token from POST /api/auth/login' }
+    },
+    schemas: schemas(),
+    responses
+  }
+});
+
+module.exports = { createOpenApiDocument };
@@ -0,0 +1,248 @@
+// server/operations/authors.js - Author queries and the book_authors links
+const { HttpError } = require('../errors');
+const { escapeLike } = require('../sqlite');
+const {
+  toDisplayName,
+  toSortName,
+  toNameKey,
+  parseAuthorNames,
+  formatAuthorNames
+} = require('../authorNames');
+
+const AUTHOR_COLUMNS = `authors.id, authors.name, authors.sort_name, authors.bio,
+  authors.created_at, authors.updated_at`;
+
+// Credits requested by a book payload: an `authors` array wins over the legacy `author` string.
+// Array entries are a name, { name, role } or { id, role }.
+const creditsFromBookData = (bookData) => {
+  if (Array.isArray(bookData.authors)) {
+    return bookData.authors.map((entry) => (
+      typeof entry === 'string'
+        ? { name: entry, role: 'author' }
+        : { id: entry.id, name: entry.name, role: entry.role || 'author' }
+    ));
+  }
+
+  return parseAuthorNames(bookData.author).map((name) => ({ name, role: 'author' }));
+};
+
+// Does this payload change who is credited on the book?
+const hasCredits = (bookData) => bookData.authors !== undefined || bookData.author !== undefined;
+
+// Find an author by name, ignoring case, punctuation and "Last, First" order, or create one
+const findOrCreateAuthor = async (q, name) => {
+  const key = toNameKey(name);
+  const existing = await q.get('SELECT id, name FROM authors WHERE name_key = ?', [key]);
+  if (existing) return existing;
+
+  const displayName = toDisplayName(name);
+  const { lastID } = await q.run(
+    'INSERT INTO authors (name, sort_name, name_key) VALUES (?, ?, ?)',
+    [displayName, toSortName(name), key]
+  );
+  return { id: lastID, name: displayName };
+};
+
+// Turn requested credits into author ids, creating authors that are referenced by name
+const resolveCredits = async (q, credits) => {
+  const resolved = [];
+
+  for (const credit of credits) {
+    let author;
+    if (credit.id !== undefined) {
+      author = await q.get('SELECT id, name FROM authors WHERE id = ?', [credit.id]);
+      if (!author) throw new HttpError(400, `Author ${credit.id} not found`);
+    } else {
+      author = await findOrCreateAuthor(q, credit.name);
+    }
+
+    // The same person twice in the same role would break the primary key
+    if (!resolved.some((r) => r.id === author.id && r.role === credit.role)) {
+      resolved.push({ id: author.id, name: author.name, role: credit.role });
+    }
+  }
+
+  return resolved;
+};
+
+// Replace a book's credits, in order
+const setBookAuthors = async (q, bookId, credits) => {
+  await q.run('DELETE FROM book_authors WHERE book_id = ?', [bookId]);
+
+  for (const [position, credit] of credits.entries()) {
+    await q.run(
+      'INSERT INTO book_authors (book_id, author_id, role, position) VALUES (?, ?, ?, ?)',
+      [bookId, credit.id, credit.role, position]
+    );
+  }
+};
+
+// Add an `authors` array to each book row
+const attachAuthors = async (q, books) => {
+  if (books.length === 0) return books;
+
+  const ids = books.map((book) => book.id);
+  const credits = await q.all(
+    `SELECT book_authors.book_id, authors.id, authors.name, book_authors.role, book_authors.position
+     FROM book_authors
+     JOIN authors ON authors.id = book_authors.author_id
+     WHERE book_authors.book_id IN (${ids.map(() => '?').join(', ')})
+     ORDER BY book_authors.book_id, book_authors.position`,
+    ids
+  );
+
+  return books.map((book) => ({
+    ...book,
+    authors: credits
+      .filter((credit) => credit.book_id === book.id)
+      .map(({ id, name, role, position }) => ({ id, name, role, position }))
+  }));
+};
+
+// Recompute the legacy books.author string of the given books
+const refreshAuthorStrings = async (q, bookIds) => {
+  for (const bookId of bookIds) {
+    const [book] = await attachAuthors(q, [{ id: bookId }]);
+    await q.run(
+      'UPDATE books SET author = ?, updated_at = CURRENT_TIMESTAMP, version = version + 1 WHERE id = ?',
+      [formatAuthorNames(book.authors), bookId]
+    );
+  }
+};
+
+// Books crediting authors.id, not counting books in the trash
+const LIVE_BOOK_COUNT = `
+  SELECT COUNT(DISTINCT book_authors.book_id) FROM book_authors
+  JOIN books ON books.id = book_authors.book_id AND books.deleted_at IS NULL
+  WHERE book_authors.author_id = authors.id`;
+
+// Author helper functions bound to one connection. withLinks(books) adds the authors,
+// genres and tags to book rows, as the book operations list them, and
+// recordLinkedChange(bookIds, change, { actor }) records a rename in the history of
+// the books it rewrites.
+const createAuthorOperations = ({ q, transaction, withLinks, recordLinkedChange }) => {
+  const getAuthor = (id) => q.get(
+    `SELECT ${AUTHOR_COLUMNS},
+            (${LIVE_BOOK_COUNT}) AS book_count
+     FROM authors WHERE id = ?`,
+    [id]
+  );
+
+  const nameFilter = (search) => (
+    search
+      ? { where: "WHERE authors.name LIKE ? ESCAPE '\\'", params: [`%${escapeLike(search)}%`] }
+      : { where: '', params: [] }
+  );
+
+  return {
+    // List authors alphabetically by sort name, with how many books each has
+    getAllAuthors: ({ search, limit, offset = 0 } = {}) => {
+      const { where, params } = nameFilter(search);
+      return q.all(
+        `SELECT ${AUTHOR_COLUMNS},
+                (${LIVE_BOOK_COUNT}) AS book_count
+         FROM authors ${where}
+         ORDER BY authors.sort_name COLLATE NOCASE, authors.id
+         LIMIT ? OFFSET ?`,
+        [...params, limit === undefined ? -1 : limit, offset]
+      );
+    },
+
+    countAuthors: ({ search } = {}) => {
+      const { where, params } = nameFilter(search);
+      return q.get(`SELECT COUNT(*) AS count FROM authors ${where}`, params).then((row) => row.count);
+    },
+
+    getAuthorById: getAuthor,
+
+    // Create an author; 409 if the same person already exists
+    createAuthor: ({ name, bio = null }) => transaction(async () => {
+      const key = toNameKey(name);
+      const existing = await q.get('SELECT id FROM authors WHERE name_key = ?', [key]);
+      if (existing) {
+        throw new HttpError(409, 'Author already exists', { data: { id: existing.id } });
+      }
+
+      const displayName = toDisplayName(name);
+      const { lastID } = await q.run(
+        'INSERT INTO authors (name, sort_name, name_key, bio) VALUES (?, ?, ?, ?)',
+        [displayName, toSortName(name), key, bio]
+      );
+      return getAuthor(lastID);
+    }),
+
+    // Rename an author or change the bio; books crediting them pick up the new name,
+    // as an update by actor
+    updateAuthor: (id, { name, bio = null }, { actor } = {}) => transaction(async () => {
+      const current = await q.get('SELECT id, name FROM authors WHERE id = ?', [id]);
+      if (!current) return null;
+
+      const key = toNameKey(name);
+      const clash = await q.get('SELECT id FROM authors WHERE name_key = ? AND id != ?', [key, id]);
+      if (clash) {
+        throw new HttpError(409, 'Another author already has this name', { data: { id: clash.id } });
+      }
+
+      const displayName = toDisplayName(name);
+      const update = () => q.run(
+        `UPDATE authors
+         SET name = ?, sort_name = ?, name_key = ?, bio = ?, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [displayName, toSortName(name), key, bio, id]
+      );
+
+      // Books show the name but not the bio
+      if (displayName === current.name) {
+        await update();
+      } else {
+        const credits = await q.all('SELECT DISTINCT book_id FROM book_authors WHERE author_id = ?', [id]);
+        const bookIds = credits.map((credit) => credit.book_id);
+        await recordLinkedChange(bookIds, async () => {
+          await update();
+          await refreshAuthorStrings(q, bookIds);
+        }, { actor });
+      }
+      return getAuthor(id);
+    }),
+
+    // Delete an author who is not credited on any book
+    deleteAuthor: (id) => transaction(async () => {
+      const author = await getAuthor(id);
+      if (!author) return null;
+
+      if (author.book_count > 0) {
+        throw new HttpError(409, 'Author is credited on books; remove those credits first', {
+          data: { book_count: author.book_count }
+        });
+      }
+      const trashed = await q.get('SELECT COUNT(*) AS count FROM book_authors WHERE author_id = ?', [id]);
+      if (trashed.count > 0) {
+        throw new HttpError(409, 'Author is credited on books in the trash; purge or restore them first');
+      }
+
+      await q.run('DELETE FROM authors WHERE id = ?', [id]);
+      return author;
+    }),
+
+    // Books crediting an author in any role, newest first
+    getBooksByAuthor: async (id, { limit, offset = 0 } = {}) => {
+      const books = await q.all(
+        `SELECT * FROM books
+         WHERE id IN (SELECT book_id FROM book_authors WHERE author_id = ?) AND deleted_at IS NULL
+         ORDER BY created_at DESC, id DESC
+         LIMIT ? OFFSET ?`,
+        [id, limit === undefined ? -1 : limit, offset]
+      );
+      return withLinks(books);
+    }
+  };
+};
+
+module.exports = {
+  createAuthorOperations,
+  creditsFromBookData,
+  hasCredits,
+  resolveCredits,
+  setBookAuthors,
+  attachAuthors
+};
@@ -0,0 +1,119 @@
+// server/operations/revisions.js - The book_revisions audit trail and field-level diffs
+
+// Fields compared between snapshots, each read in a form that is stable across
+// renames of ids: credits as { name, role }, genres and tags as names
+const HISTORY_FIELDS = {
+  title: (book) => book.title,
+  authors: (book) => book.authors.map(({ name, role }) => ({ name, role })),
+  isbn: (book) => book.isbn,
+  published_year: (book) => book.published_year,
+  genres: (book) => book.genres.map((genre) => genre.name),
+  tags: (book) => book.tags.map((tag) => tag.name),
+  description: (book) => book.description,
+  deleted_at: (book) => book.deleted_at
+};
+
+const isEmpty = (value) => value === null || value === undefined || (Array.isArray(value) && value.length === 0);
+
+// The fields that differ between two snapshots, as [{ field, from, to }]; a missing
+// snapshot (before a create) counts as every field being empty
+const diffSnapshots = (before, after) => Object.entries(HISTORY_FIELDS)
+  .map(([field, read]) => ({
+    field,
+    from: before ? read(before) : null,
+    to: after ? read(after) : null
+  }))
+  .filter(({ from, to }) => !(isEmpty(from) && isEmpty(to)) && JSON.stringify(from) !== JSON.stringify(to));
+
+// The book payload that puts a book back the way a snapshot shows it
+const bookDataFromSnapshot = (snapshot) => Object.fromEntries(
+  ['title', 'authors', 'isbn', 'published_year', 'genres', 'tags', 'description']
+    .map((field) => [field, HISTORY_FIELDS[field](snapshot)])
+);
+
+// Who made a change: { userId, username, requestId }, any of them missing for
+// changes the server makes itself, such as seeding
+const recordRevision = (q, { bookId, action, before = null, after = null, actor = {}, revertedFrom = null }) => q.run(
+  `INSERT INTO book_revisions (book_id, action, before, after, user_id, username, request_id, reverted_from)
+   VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+  [
+    bookId,
+    action,
+    before && JSON.stringify(before),
+    after && JSON.stringify(after),
+    actor.userId || null,
+    actor.username || null,
+    actor.requestId || null,
+    revertedFrom
+  ]
+);
+
+const parseRevision = (row) => ({
+  ...row,
+  before: row.before && JSON.parse(row.before),
+  after: row.after && JSON.parse(row.after)
+});
+
+// A revision as the API returns it, with the diff worked out from the snapshots
+const formatRevision = (row) => {
+  const { user_id: userId, username, before, after, ...revision } = parseRevision(row);
+  return {
+    ...revision,
+    user: username ? { id: userId, username } : null,
+    changes: diffSnapshots(before, after),
+    before,
+    after
+  };
+};
+
+// A book's revisions, newest first
+const getRevisions = async (q, bookId, { limit, offset = 0 } = {}) => {
+  const rows = await q.all(
+    `SELECT * FROM book_revisions WHERE book_id = ?
+     ORDER BY id DESC
+     LIMIT ? OFFSET ?`,
+    [bookId, limit === undefined ? -1 : limit, offset]
+  );
+  return rows.map(formatRevision);
+};
+
+const countRevisions = async (q, bookId) => {
+  const row = await q.get('SELECT COUNT(*) AS count FROM book_revisions WHERE book_id = ?', [bookId]);
+  return row.count;
+};
+
+// One revision of a book with its snapshots parsed, or undefined
+const getRevision = async (q, bookId, revisionId) => {
+  const row = await q.get('SELECT * FROM book_revisions WHERE id = ? AND book_id = ?', [revisionId, bookId]);
+  return row && parseRevision(row);
+};
+
+// Revisions of any book after the one with id afterId, oldest first, with the book
+// as each one left it; the event stream follows the catalog through these
+const getRevisionsAfter = async (q, afterId, { limit }) => {
+  const rows = await q.all(
+    `SELECT id, action, after, created_at FROM book_revisions
+     WHERE id > ?
+     ORDER BY id
+     LIMIT ?`,
+    [afterId, limit]
+  );
+  return rows.map(({ after, ...revision }) => ({ ...revision, after: JSON.parse(after) }));
+};
+
+// The id of the newest revision, 0 before any
+const getLatestRevisionId = async (q) => {
+  const row = await q.get('SELECT COALESCE(MAX(id), 0) AS id FROM book_revisions');
+  return row.id;
+};
+
+module.exports = {
+  diffSnapshots,
+  bookDataFromSnapshot,
+  recordRevision,
+  getRevisions,
+  countRevisions,
+  getRevision,
+  getRevisionsAfter,
+  getLatestRevisionId
+};
@@ -0,0 +1,382 @@
+// server/operations/taxonomy.js - Genre and tag queries and their links to books
+const { HttpError } = require('../errors');
+const { toTermKey, toTermName } = require('../terms');
+
+// Every genre paired with itself and each of its subgenres, at any depth
+const GENRE_TREE = `
+  WITH RECURSIVE genre_tree (ancestor_id, genre_id) AS (
+    SELECT id, id FROM genres
+    UNION
+    SELECT genre_tree.ancestor_id, genres.id
+    FROM genres
+    JOIN genre_tree ON genres.parent_id = genre_tree.genre_id
+  )`;
+
+// Join that leaves out links to books in the trash
+const liveBooks = (table) => `JOIN books ON books.id = ${table}.book_id AND books.deleted_at IS NULL`;
+
+// book_count counts books filed directly under a genre, total_book_count includes its
+// subgenres; books in the trash are not counted
+const GENRE_SELECT = `${GENRE_TREE}
+  SELECT genres.id, genres.name, genres.parent_id, genres.created_at, genres.updated_at,
+         (SELECT COUNT(*) FROM book_genres ${liveBooks('book_genres')}
+          WHERE book_genres.genre_id = genres.id) AS book_count,
+         (SELECT COUNT(DISTINCT book_genres.book_id)
+          FROM genre_tree
+          JOIN book_genres ON book_genres.genre_id = genre_tree.genre_id
+          ${liveBooks('book_genres')}
+          WHERE genre_tree.ancestor_id = genres.id) AS total_book_count
+  FROM genres`;
+
+const TAG_SELECT = `
+  SELECT tags.id, tags.name, tags.created_at, tags.updated_at,
+         (SELECT COUNT(*) FROM book_tags ${liveBooks('book_tags')}
+          WHERE book_tags.tag_id = tags.id) AS book_count
+  FROM tags`;
+
+// SQL matching the ids of books filed under a genre (by name) or any of its subgenres
+const booksInGenreSql = `
+  SELECT book_genres.book_id FROM book_genres
+  WHERE book_genres.genre_id IN (
+    ${GENRE_TREE}
+    SELECT genre_tree.genre_id FROM genre_tree
+    JOIN genres ON genres.id = genre_tree.ancestor_id
+    WHERE genres.name_key = ?
+  )`;
+
+// SQL matching the ids of books carrying a tag (by name)
+const booksWithTagSql = `
+  SELECT book_tags.book_id FROM book_tags
+  JOIN tags ON tags.id = book_tags.tag_id
+  WHERE tags.name_key = ?`;
+
+// Genres requested by a book payload: a `genres` array wins over the legacy `genre` string.
+// Array entries are a name or { id }.
+const genresFromBookData = (bookData) => {
+  if (Array.isArray(bookData.genres)) {
+    return bookData.genres.map((entry) => (typeof entry === 'string' ? { name: entry } : entry));
+  }
+
+  return typeof bookData.genre === 'string' && bookData.genre.trim() ? [{ name: bookData.genre }] : [];
+};
+
+// Does this payload change the book's genres?
+const hasGenres = (bookData) => bookData.genres !== undefined || bookData.genre !== undefined;
+
+// Look a term up by its key, creating it when it does not exist yet
+const findOrCreateTerm = async (q, table, name) => {
+  const key = toTermKey(name);
+  const existing = await q.get(`SELECT id, name FROM ${table} WHERE name_key = ?`, [key]);
+  if (existing) return existing;
+
+  const { lastID } = await q.run(`INSERT INTO ${table} (name, name_key) VALUES (?, ?)`, [toTermName(name), key]);
+  return { id: lastID, name: toTermName(name) };
+};
+
+// Turn requested genres into { id, name }, creating genres that are referenced by name
+const resolveGenres = async (q, entries) => {
+  const resolved = [];
+
+  for (const entry of entries) {
+    let genre;
+    if (entry.id !== undefined) {
+      genre = await q.get('SELECT id, name FROM genres WHERE id = ?', [entry.id]);
+      if (!genre) throw new HttpError(400, `Genre ${entry.id} not found`);
+    } else {
+      genre = await findOrCreateTerm(q, 'genres', entry.name);
+    }
+
+    if (!resolved.some((r) => r.id === genre.id)) resolved.push(genre);
+  }
+
+  return resolved;
+};
+
+// Turn tag names into { id, name }, creating new tags
+const resolveTags = async (q, names) => {
+  const resolved = [];
+
+  for (const name of names) {
+    const tag = await findOrCreateTerm(q, 'tags', name);
+    if (!resolved.some((r) => r.id === tag.id)) resolved.push(tag);
+  }
+
+  return resolved;
+};
+
+// Replace a book's genres, in order
+const setBookGenres = async (q, bookId, genres) => {
+  await q.run('DELETE FROM book_genres WHERE book_id = ?', [bookId]);
+
+  for (const [position, genre] of genres.entries()) {
+    await q.run(
+      'INSERT INTO book_genres (book_id, genre_id, position) VALUES (?, ?, ?)',
+      [bookId, genre.id, position]
+    );
+  }
+};
+
+// Replace a book's tags
+const setBookTags = async (q, bookId, tags) => {
+  await q.run('DELETE FROM book_tags WHERE book_id = ?', [bookId]);
+
+  for (const tag of tags) {
+    await q.run('INSERT INTO book_tags (book_id, tag_id) VALUES (?, ?)', [bookId, tag.id]);
+  }
+};
+
+// Add `genres` and `tags` arrays to each book row
+const attachTaxonomy = async (q, books) => {
+  if (books.length === 0) return books;
+
+  const ids = books.map((book) => book.id);
+  const placeholders = ids.map(() => '?').join(', ');
+  const [genres, tags] = await Promise.all([
+    q.all(
+      `SELECT book_genres.book_id, genres.id, genres.name
+       FROM book_genres
+       JOIN genres ON genres.id = book_genres.genre_id
+       WHERE book_genres.book_id IN (${placeholders})
+       ORDER BY book_genres.position`,
+      ids
+    ),
+    q.all(
+      `SELECT book_tags.book_id, tags.id, tags.name
+       FROM book_tags
+       JOIN tags ON tags.id = book_tags.tag_id
+       WHERE book_tags.book_id IN (${placeholders})
+       ORDER BY tags.name COLLATE NOCASE`,
+      ids
+    )
+  ]);
+
+  const forBook = (rows, bookId) => rows
+    .filter((row) => row.book_id === bookId)
+    .map(({ id, name }) => ({ id, name }));
+
+  return books.map((book) => ({
+    ...book,
+    genres: forBook(genres, book.id),
+    tags: forBook(tags, book.id)
+  }));
+};
+
+// Recompute the legacy books.genre string (the first genre) of the given books
+const refreshGenreStrings = async (q, bookIds) => {
+  for (const bookId of bookIds) {
+    await q.run(
+      `UPDATE books
+       SET genre = (SELECT genres.name FROM book_genres
+                    JOIN genres ON genres.id = book_genres.genre_id
+                    WHERE book_genres.book_id = books.id
+                    ORDER BY book_genres.position LIMIT 1),
+           updated_at = CURRENT_TIMESTAMP,
+           version = version + 1
+       WHERE id = ?`,
+      [bookId]
+    );
+  }
+};
+
+// Mark books as changed when something they show, such as a tag name, changes
+const touchBooks = async (q, bookIds) => {
+  for (const bookId of bookIds) {
+    await q.run('UPDATE books SET updated_at = CURRENT_TIMESTAMP, version = version + 1 WHERE id = ?', [bookId]);
+  }
+};
+
+const bookIdsFor = async (q, table, column, id) => {
+  const rows = await q.all(`SELECT book_id FROM ${table} WHERE ${column} = ?`, [id]);
+  return rows.map((row) => row.book_id);
+};
+
+// Genre helper functions bound to one connection. recordLinkedChange(bookIds, change,
+// { actor }) records a rename or merge in the history of the books it rewrites.
+const createGenreOperations = ({ q, transaction, recordLinkedChange }) => {
+  const getGenre = (id) => q.get(`${GENRE_SELECT} WHERE genres.id = ?`, [id]);
+
+  // Refuse a name that another genre already uses
+  const assertNameFree = async (name, id = null) => {
+    const clash = await q.get('SELECT id FROM genres WHERE name_key = ? AND id IS NOT ?', [toTermKey(name), id]);
+    if (clash) {
+      throw new HttpError(409, 'A genre with this name already exists; merge the genres instead', {
+        data: { id: clash.id }
+      });
+    }
+  };
+
+  // A parent must exist and must not be the genre itself or one of its subgenres
+  const assertValidParent = async (parentId, id = null) => {
+    if (parentId === null || parentId === undefined) return;
+
+    const parent = await q.get('SELECT id FROM genres WHERE id = ?', [parentId]);
+    if (!parent) throw new HttpError(400, `Parent genre ${parentId} not found`);
+
+    if (id !== null) {
+      const cycle = await q.get(
+        `${GENRE_TREE} SELECT 1 FROM genre_tree WHERE ancestor_id = ? AND genre_id = ?`,
+        [id, parentId]
+      );
+      if (cycle) throw new HttpError(400, 'A genre cannot be its own parent or a subgenre of itself');
+    }
+  };
+
+  return {
+    // List every genre alphabetically; parent_id describes the hierarchy
+    getAllGenres: () => q.all(`${GENRE_SELECT} ORDER BY genres.name COLLATE NOCASE, genres.id`),
+
+    // Get a genre and its direct subgenres
+    getGenreById: async (id) => {
+      const genre = await getGenre(id);
+      if (!genre) return genre;
+
+      const subgenres = await q.all(
+        `${GENRE_SELECT} WHERE genres.parent_id = ? ORDER BY genres.name COLLATE NOCASE`,
+        [id]
+      );
+      return { ...genre, subgenres };
+    },
+
+    createGenre: ({ name, parent_id: parentId = null }) => transaction(async () => {
+      await assertNameFree(name);
+      await assertValidParent(parentId);
+
+      const { lastID } = await q.run(
+        'INSERT INTO genres (name, name_key, parent_id) VALUES (?, ?, ?)',
+        [toTermName(name), toTermKey(name), parentId]
+      );
+      return getGenre(lastID);
+    }),
+
+    // Rename a genre or move it under another parent; only the supplied fields change.
+    // Books filed under a renamed genre record it as an update by actor.
+    updateGenre: (id, changes, { actor } = {}) => transaction(async () => {
+      const current = await q.get('SELECT id, name FROM genres WHERE id = ?', [id]);
+      if (!current) return null;
+
+      if (changes.name !== undefined && toTermName(changes.name) !== current.name) {
+        await assertNameFree(changes.name, current.id);
+        const bookIds = await bookIdsFor(q, 'book_genres', 'genre_id', current.id);
+        await recordLinkedChange(bookIds, async () => {
+          await q.run(
+            'UPDATE genres SET name = ?, name_key = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [toTermName(changes.name), toTermKey(changes.name), current.id]
+          );
+          await refreshGenreStrings(q, bookIds);
+        }, { actor });
+      }
+
+      if (changes.parent_id !== undefined) {
+        await assertValidParent(changes.parent_id, current.id);
+        await q.run(
+          'UPDATE genres SET parent_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+          [changes.parent_id, current.id]
+        );
+      }
+
+      return getGenre(current.id);
+    }),
+
+    // Fold one genre into another: its books and subgenres move to the target and it is
+    // deleted. Its books record the move as an update by actor.
+    mergeGenre: (id, targetId, { actor } = {}) => transaction(async () => {
+      const source = await q.get('SELECT id, parent_id FROM genres WHERE id = ?', [id]);
+      if (!source) return null;
+
+      const target = await q.get('SELECT id, parent_id FROM genres WHERE id = ?', [targetId]);
+      if (!target) throw new HttpError(400, `Genre ${targetId} not found`);
+      if (target.id === source.id) throw new HttpError(400, 'A genre cannot be merged into itself');
+
+      const bookIds = await bookIdsFor(q, 'book_genres', 'genre_id', source.id);
+      await recordLinkedChange(bookIds, async () => {
+        // Books already filed under both keep their place under the target
+        await q.run('UPDATE OR IGNORE book_genres SET genre_id = ? WHERE genre_id = ?', [target.id, source.id]);
+        await q.run('DELETE FROM book_genres WHERE genre_id = ?', [source.id]);
+        await refreshGenreStrings(q, bookIds);
+      }, { actor });
+
+      // A target among the source's own subgenres, at any depth, first moves up to the
+      // source's place, or it would end up under itself
+      const descendant = await q.get(
+        `${GENRE_TREE} SELECT 1 FROM genre_tree WHERE ancestor_id = ? AND genre_id = ?`,
+        [source.id, target.id]
+      );
+      if (descendant) {
+        await q.run('UPDATE genres SET parent_id = ? WHERE id = ?', [source.parent_id, target.id]);
+      }
+      await q.run('UPDATE genres SET parent_id = ? WHERE parent_id = ?', [target.id, source.id]);
+      await q.run('DELETE FROM genres WHERE id = ?', [source.id]);
+      return getGenre(target.id);
+    })
+  };
+};
+
+// Tag helper functions bound to one connection. recordLinkedChange(bookIds, change,
+// { actor }) records a rename or merge in the history of the books it rewrites.
+const createTagOperations = ({ q, transaction, recordLinkedChange }) => {
+  const getTag = (id) => q.get(`${TAG_SELECT} WHERE tags.id = ?`, [id]);
+
+  return {
+    // List every tag alphabetically with the number of books carrying it
+    getAllTags: () => q.all(`${TAG_SELECT} ORDER BY tags.name COLLATE NOCASE, tags.id`),
+
+    getTagById: getTag,
+
+    // Rename a tag; its books record it as an update by actor
+    renameTag: (id, name, { actor } = {}) => transaction(async () => {
+      const current = await q.get('SELECT id, name FROM tags WHERE id = ?', [id]);
+      if (!current) return null;
+      if (toTermName(name) === current.name) return getTag(current.id);
+
+      const clash = await q.get('SELECT id FROM tags WHERE name_key = ? AND id != ?', [toTermKey(name), current.id]);
+      if (clash) {
+        throw new HttpError(409, 'A tag with this name already exists; merge the tags instead', {
+          data: { id: clash.id }
+        });
+      }
+
+      const bookIds = await bookIdsFor(q, 'book_tags', 'tag_id', current.id);
+      await recordLinkedChange(bookIds, async () => {
+        await q.run(
+          'UPDATE tags SET name = ?, name_key = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+          [toTermName(name), toTermKey(name), current.id]
+        );
+        await touchBooks(q, bookIds);
+      }, { actor });
+      return getTag(current.id);
+    }),
+
+    // Fold one tag into another: its books get the target tag, recorded as an update by
+    // actor, and it is deleted
+    mergeTag: (id, targetId, { actor } = {}) => transaction(async () => {
+      const source = await q.get('SELECT id FROM tags WHERE id = ?', [id]);
+      if (!source) return null;
+
+      const target = await q.get('SELECT id FROM tags WHERE id = ?', [targetId]);
+      if (!target) throw new HttpError(400, `Tag ${targetId} not found`);
+      if (target.id === source.id) throw new HttpError(400, 'A tag cannot be merged into itself');
+
+      const bookIds = await bookIdsFor(q, 'book_tags', 'tag_id', source.id);
+      await recordLinkedChange(bookIds, async () => {
+        await q.run('UPDATE OR IGNORE book_tags SET tag_id = ? WHERE tag_id = ?', [target.id, source.id]);
+        await q.run('DELETE FROM tags WHERE id = ?', [source.id]);
+        await touchBooks(q, bookIds);
+      }, { actor });
+      return getTag(target.id);
+    })
+  };
+};
+
+module.exports = {
+  createGenreOperations,
+  createTagOperations,
+  booksInGenreSql,
+  booksWithTagSql,
+  genresFromBookData,
+  hasGenres,
+  resolveGenres,
+  resolveTags,
+  setBookGenres,
+  setBookTags,
+  attachTaxonomy
+};
@@ -0,0 +1,177 @@
+// server/operations/webhooks.js - Webhook subscriptions, the delivery queue and its log
+const crypto = require('crypto');
+
+// The webhook event each kind of book revision raises
+const BOOK_EVENTS = {
+  create: 'book.created',
+  update: 'book.updated',
+  revert: 'book.updated',
+  delete: 'book.deleted',
+  restore: 'book.restored'
+};
+
+const WEBHOOK_EVENTS = [...new Set(Object.values(BOOK_EVENTS))];
+
+// Everything but the secret, which is only shown when a webhook is created
+const WEBHOOK_COLUMNS = 'id, url, events, active, created_at, updated_at';
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+
+const formatWebhook = (row) => ({
+  ...row,
+  events: JSON.parse(row.events),
+  active: row.active === 1
+});
+
+const formatAttempt = ({ delivery_id: deliveryId, ...attempt }) => attempt;
+
+const formatDelivery = (row, attempts) => ({
+  ...row,
+  payload: JSON.parse(row.payload),
+  attempts: attempts.filter((attempt) => attempt.delivery_id === row.id).map(formatAttempt)
+});
+
+// Queue a book change for every active webhook subscribed to its event. Runs inside
+// the transaction making the change, so a rolled back change sends nothing.
+const enqueueBookEvent = async (q, action, book) => {
+  const event = BOOK_EVENTS[action];
+  const payload = JSON.stringify({
+    id: crypto.randomUUID(),
+    event,
+    occurred_at: new Date().toISOString(),
+    data: book
+  });
+
+  await q.run(
+    `INSERT INTO webhook_deliveries (webhook_id, event, payload)
+     SELECT id, ?, ? FROM webhooks
+     WHERE active = 1 AND EXISTS (SELECT 1 FROM json_each(webhooks.events) WHERE value = ?)`,
+    [event, payload, event]
+  );
+};
+
+// Webhook queries bound to one connection
+const createWebhookOperations = ({ q, transaction }) => {
+  const getWebhook = async (id) => {
+    const row = await q.get(`SELECT ${WEBHOOK_COLUMNS} FROM webhooks WHERE id = ?`, [id]);
+    return row && formatWebhook(row);
+  };
+
+  return {
+    getAllWebhooks: async () => {
+      const rows = await q.all(`SELECT ${WEBHOOK_COLUMNS} FROM webhooks ORDER BY id`);
+      return rows.map(formatWebhook);
+    },
+
+    getWebhookById: getWebhook,
+
+    // Create a webhook, with a generated secret unless one is given; the only
+    // response that includes the secret
+    createWebhook: async ({ url, events, secret = generateSecret(), active = true }) => {
+      const { lastID } = await q.run(
+        'INSERT INTO webhooks (url, events, secret, active) VALUES (?, ?, ?, ?)',
+        [url, JSON.stringify(events), secret, active ? 1 : 0]
+      );
+      return { ...(await getWebhook(lastID)), secret };
+    },
+
+    // Change the supplied fields of a webhook; deliveries already queued keep the
+    // payload they were queued with
+    updateWebhook: (id, changes) => transaction(async () => {
+      const existing = await getWebhook(id);
+      if (!existing) return null;
+
+      const values = { ...changes };
+      if (values.events !== undefined) values.events = JSON.stringify(values.events);
+      if (values.active !== undefined) values.active = values.active ? 1 : 0;
+
+      const fields = Object.keys(values);
+      await q.run(
+        `UPDATE webhooks
+         SET ${[...fields.map((field) => `${field} = ?`), 'updated_at = CURRENT_TIMESTAMP'].join(', ')}
+         WHERE id = ?`,
+        [...fields.map((field) => values[field]), id]
+      );
+      return getWebhook(id);
+    }),
+
+    // Delete a webhook with its queued deliveries and their log
+    deleteWebhook: (id) => transaction(async () => {
+      const webhook = await getWebhook(id);
+      if (!webhook) return null;
+
+      await q.run('DELETE FROM webhooks WHERE id = ?', [id]);
+      return webhook;
+    }),
+
+    // A webhook's deliveries, newest first, each with its attempts; null when there
+    // is no such webhook
+    getDeliveries: async (webhookId, { limit, offset = 0 } = {}) => {
+      const webhook = await q.get('SELECT id FROM webhooks WHERE id = ?', [webhookId]);
+      if (!webhook) return null;
+
+      const deliveries = await q.all(
+        `SELECT id, event, status, attempt_count, next_attempt_at, last_status_code, delivered_at, created_at, payload
+         FROM webhook_deliveries WHERE webhook_id = ?
+         ORDER BY id DESC
+         LIMIT ? OFFSET ?`,
+        [webhook.id, limit === undefined ? -1 : limit, offset]
+      );
+      if (deliveries.length === 0) return [];
+
+      const attempts = await q.all(
+        `SELECT delivery_id, attempt, status_code, error, duration_ms, created_at
+         FROM webhook_delivery_attempts
+         WHERE delivery_id IN (${deliveries.map(() => '?').join(', ')})
+         ORDER BY attempt`,
+        deliveries.map((delivery) => delivery.id)
+      );
+      return deliveries.map((delivery) => formatDelivery(delivery, attempts));
+    },
+
+    countDeliveries: async (webhookId) => {
+      const row = await q.get('SELECT COUNT(*) AS count FROM webhook_deliveries WHERE webhook_id = ?', [webhookId]);
+      return row.count;
+    },
+
+    // Pending deliveries of active webhooks whose next attempt is due, oldest first,
+    // with what it takes to send them
+    getDueDeliveries: ({ limit }) => q.all(
+      `SELECT webhook_deliveries.id, webhook_deliveries.event, webhook_deliveries.payload,
+              webhook_deliveries.attempt_count, webhooks.url, webhooks.secret
+       FROM webhook_deliveries
+       JOIN webhooks ON webhooks.id = webhook_deliveries.webhook_id AND webhooks.active = 1
+       WHERE webhook_deliveries.status = 'pending' AND webhook_deliveries.next_attempt_at <= CURRENT_TIMESTAMP
+       ORDER BY webhook_deliveries.next_attempt_at, webhook_deliveries.id
+       LIMIT ?`,
+      [limit]
+    ),
+
+    // Log one attempt at a delivery and move it on: status is 'delivered', 'failed'
+    // once it has run out of attempts, or 'pending' to try again in retryInSeconds
+    recordAttempt: (deliveryId, { attempt, statusCode = null, error = null, durationMs, status, retryInSeconds = 0 }) => (
+      transaction(async () => {
+        await q.run(
+          `INSERT INTO webhook_delivery_attempts (delivery_id, attempt, status_code, error, duration_ms)
+           VALUES (?, ?, ?, ?, ?)`,
+          [deliveryId, attempt, statusCode, error, durationMs]
+        );
+        await q.run(
+          `UPDATE webhook_deliveries
+           SET status = ?, attempt_count = ?, last_status_code = ?,
+               next_attempt_at = CASE WHEN ? = 'pending' THEN datetime('now', ?) END,
+               delivered_at = CASE WHEN ? = 'delivered' THEN CURRENT_TIMESTAMP END
+           WHERE id = ?`,
+          [status, attempt, statusCode, status, `+${retryInSeconds} seconds`, status, deliveryId]
+        );
+      })
+    )
+  };
+};
+
+module.exports = {
+  BOOK_EVENTS,
+  WEBHOOK_EVENTS,
+  enqueueBookEvent,
+  createWebhookOperations
+};
@@ -0,0 +1,23 @@
+// server/permissions.js - Roles and the permissions they grant
+const ROLES = ['viewer', 'editor', 'admin'];
+
+// Each role includes everything granted to the roles before it
+const ROLE_PERMISSIONS = {
+  viewer: ['books:read', 'authors:read'],
+  editor: [
+    'books:read', 'books:create', 'books:update',
+    'authors:read', 'authors:create', 'authors:update',
+    'taxonomy:manage'
+  ],
+  admin: [
+    'books:read', 'books:create', 'books:update', 'books:delete', 'books:purge',
+    'authors:read', 'authors:create', 'authors:update', 'authors:delete',
+    'taxonomy:manage', 'users:manage', 'webhooks:manage'
+  ]
+};
+
+const permissionsFor = (role) => ROLE_PERMISSIONS[role] || [];
+
+const hasPermission = (role, permission) => permissionsFor(role).includes(permission);
+
+module.exports = { ROLES, permissionsFor, hasPermission };
@@ -0,0 +1,8 @@
+// server/routes/actor.js - Who is making a change, for the history of the books it touches
+const actorOf = (req) => ({
+  userId: req.user.id,
+  username: req.user.username,
+  requestId: req.id || null
+});
+
+module.exports = { actorOf };
@@ -0,0 +1,181 @@
+// server/routes/auth.js - Registration, login and token refresh
+const express = require('express');
+const { hashPassword, verifyPassword, generateToken, hashToken } = require('../auth');
+const { permissionsFor } = require('../permissions');
+const { sendServerError } = require('../errors');
+
+const USERNAME_PATTERN = /^[A-Za-z0-9_.-]{3,50}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 200;
+
+// Check register/login credentials and return an error message, if any
+const validateCredentials = ({ username, password } = {}) => {
+  if (typeof username !== 'string' || typeof password !== 'string') {
+    return 'Username and password are required';
+  }
+  if (!USERNAME_PATTERN.test(username)) {
+    return 'Username must be 3-50 characters of letters, digits, ".", "_" or "-"';
+  }
+  if (password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) {
+    return `Password must be between ${MIN_PASSWORD_LENGTH} and ${MAX_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+};
+
+// Auth routes backed by the given authOperations
+const createAuthRouter = ({ authOperations, requireAuth, config }) => {
+  const router = express.Router();
+  const { accessTokenTtl, refreshTokenTtl } = config;
+
+  // Response body for a freshly issued token pair
+  const tokenResponse = (user, accessToken, refreshToken) => ({
+    user,
+    permissions: permissionsFor(user.role),
+    accessToken,
+    refreshToken,
+    tokenType: 'Bearer',
+    expiresIn: accessTokenTtl
+  });
+
+  // POST /api/auth/register - Create a user account
+  router.post('/register', async (req, res) => {
+    const validationError = validateCredentials(req.body);
+
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    try {
+      const { username, password } = req.body;
+      const user = await authOperations.createUser({
+        username,
+        passwordHash: await hashPassword(password)
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'User registered successfully',
+        data: { user }
+      });
+    } catch (error) {
+      if (error.message.includes('UNIQUE constraint failed')) {
+        res.status(409).json({
+          success: false,
+          message: 'Username already taken'
+        });
+      } else {
+        sendServerError(res, error, 'Error registering user');
+      }
+    }
+  });
+
+  // POST /api/auth/login - Exchange credentials for an access and refresh token
+  router.post('/login', async (req, res) => {
+    const { username, password } = req.body || {};
+
+    if (typeof username !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Username and password are required'
+      });
+    }
+
+    try {
+      const account = await authOperations.getUserByUsername(username);
+
+      if (!account || !(await verifyPassword(password, account.password_hash))) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid username or password'
+        });
+      }
+
+      const accessToken = generateToken();
+      const refreshToken = generateToken();
+      await authOperations.createSession({
+        userId: account.id,
+        accessTokenHash: hashToken(accessToken),
+        refreshTokenHash: hashToken(refreshToken),
+        accessTtl: accessTokenTtl,
+        refreshTtl: refreshTokenTtl
+      });
+
+      const { password_hash: passwordHash, ...user } = account;
+      res.json({
+        success: true,
+        message: 'Logged in successfully',
+        data: tokenResponse(user, accessToken, refreshToken)
+      });
+    } catch (error) {
+      sendServerError(res, error, 'Error logging in');
+    }
+  });
+
+  // POST /api/auth/refresh - Rotate a refresh token into a new token pair
+  router.post('/refresh', async (req, res) => {
+    const { refreshToken } = req.body || {};
+
+    if (typeof refreshToken !== 'string' || !refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'refreshToken is required'
+      });
+    }
+
+    try {
+      const accessToken = generateToken();
+      const newRefreshToken = generateToken();
+      const session = await authOperations.rotateSession({
+        refreshTokenHash: hashToken(refreshToken),
+        accessTokenHash: hashToken(accessToken),
+        newRefreshTokenHash: hashToken(newRefreshToken),
+        accessTtl: accessTokenTtl,
+        refreshTtl: refreshTokenTtl
+      });
+
+      if (!session) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid or expired refresh token'
+        });
+      }
+
+      const user = await authOperations.getUserById(session.user_id);
+      res.json({
+        success: true,
+        message: 'Token refreshed successfully',
+        data: tokenResponse(user, accessToken, newRefreshToken)
+      });
+    } catch (error) {
+      sendServerError(res, error, 'Error refreshing token');
+    }
+  });
+
+  // POST /api/auth/logout - Revoke the current session
+  router.post('/logout', requireAuth, async (req, res) => {
+    try {
+      await authOperations.revokeSession(req.sessionId);
+      res.json({
+        success: true,
+        message: 'Logged out successfully'
+      });
+    } catch (error) {
+      sendServerError(res, error, 'Error logging out');
+    }
+  });
+
+  // GET /api/auth/me - The authenticated user
+  router.get('/me', requireAuth, (req, res) => {
+    res.json({
+      success: true,
+      data: { user: req.user, permissions: permissionsFor(req.user.role) }
+    });
+  });
+
+  return router;
+};
+
+module.exports = { createAuthRouter };
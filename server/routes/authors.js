@@ -0,0 +1,208 @@
+// server/routes/authors.js - Author endpoints
+const express = require('express');
+const { HttpError, sendHttpError, sendServerError } = require('../errors');
+const { parsePagination, pageLinks } = require('./pagination');
+const { actorOf } = require('./actor');
+
+// Check the body of POST and PUT /api/authors
+const validateAuthor = (body) => {
+  const { name, bio } = body || {};
+
+  if (typeof name !== 'string' || name.trim() === '') {
+    return 'name is required';
+  }
+  if (name.length > 200) {
+    return 'name must be at most 200 characters';
+  }
+  if (bio !== undefined && bio !== null && typeof bio !== 'string') {
+    return 'bio must be a string or null';
+  }
+  return null;
+};
+
+// Author routes backed by the given authorOperations; each route checks a permission
+const createAuthorsRouter = ({ authorOperations, requirePermission }) => {
+  const router = express.Router();
+
+  // GET /api/authors - List authors alphabetically, optionally filtered by ?q=
+  router.get('/', requirePermission('authors:read'), async (req, res) => {
+    const pagination = parsePagination(req.query);
+
+    if (pagination.error) {
+      return res.status(400).json({
+        success: false,
+        message: pagination.error
+      });
+    }
+
+    try {
+      const { page, limit, offset } = pagination;
+      const search = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+      const [authors, total] = await Promise.all([
+        authorOperations.getAllAuthors({ search, limit, offset }),
+        authorOperations.countAuthors({ search })
+      ]);
+
+      res.json({
+        success: true,
+        data: authors,
+        total,
+        page,
+        pageSize: limit,
+        links: pageLinks(req, { page, limit, total })
+      });
+    } catch (error) {
+      sendServerError(res, error, 'Error retrieving authors');
+    }
+  });
+
+  // GET /api/authors/:id - Retrieve an author
+  router.get('/:id', requirePermission('authors:read'), async (req, res) => {
+    try {
+      const author = await authorOperations.getAuthorById(req.params.id);
+
+      if (!author) {
+        return res.status(404).json({
+          success: false,
+          message: 'Author not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: author
+      });
+    } catch (error) {
+      sendServerError(res, error, 'Error retrieving author');
+    }
+  });
+
+  // GET /api/authors/:id/books - Books crediting an author in any role
+  router.get('/:id/books', requirePermission('books:read'), async (req, res) => {
+    const pagination = parsePagination(req.query);
+
+    if (pagination.error) {
+      return res.status(400).json({
+        success: false,
+        message: pagination.error
+      });
+    }
+
+    try {
+      const { page, limit, offset } = pagination;
+      const author = await authorOperations.getAuthorById(req.params.id);
+
+      if (!author) {
+        return res.status(404).json({
+          success: false,
+          message: 'Author not found'
+        });
+      }
+
+      const books = await authorOperations.getBooksByAuthor(author.id, { limit, offset });
+      res.json({
+        success: true,
+        data: books,
+        total: author.book_count,
+        page,
+        pageSize: limit,
+        links: pageLinks(req, { page, limit, total: author.book_count })
+      });
+    } catch (error) {
+      sendServerError(res, error, 'Error retrieving books');
+    }
+  });
+
+  // POST /api/authors - Create an author
+  router.post('/', requirePermission('authors:create'), async (req, res) => {
+    const invalid = validateAuthor(req.body);
+
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: invalid
+      });
+    }
+
+    try {
+      const author = await authorOperations.createAuthor({ name: req.body.name, bio: req.body.bio });
+      res.status(201).json({
+        success: true,
+        message: 'Author created successfully',
+        data: author
+      });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return sendHttpError(res, error);
+      }
+      sendServerError(res, error, 'Error creating author');
+    }
+  });
+
+  // PUT /api/authors/:id - Rename an author or change the bio
+  router.put('/:id', requirePermission('authors:update'), async (req, res) => {
+    const invalid = validateAuthor(req.body);
+
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: invalid
+      });
+    }
+
+    try {
+      const author = await authorOperations.updateAuthor(
+        req.params.id,
+        { name: req.body.name, bio: req.body.bio },
+        { actor: actorOf(req) }
+      );
+
+      if (!author) {
+        return res.status(404).json({
+          success: false,
+          message: 'Author not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Author updated successfully',
+        data: author
+      });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return sendHttpError(res, error);
+      }
+      sendServerError(res, error, 'Error updating author');
+    }
+  });
+
+  // DELETE /api/authors/:id - Delete an author who has no books
+  router.delete('/:id', requirePermission('authors:delete'), async (req, res) => {
+    try {
+      const deletedAuthor = await authorOperations.deleteAuthor(req.params.id);
+
+      if (!deletedAuthor) {
+        return res.status(404).json({
+          success: false,
+          message: 'Author not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Author deleted successfully',
+        data: { deletedAuthor }
+      });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return sendHttpError(res, error);
+      }
+      sendServerError(res, error, 'Error deleting author');
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createAuthorsRouter };
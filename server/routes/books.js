@@ -1,172 +1,644 @@
-// server/routes/books.js - Updated for standard sqlite3
+// server/routes/books.js - Book endpoints
 const express = require('express');
-const router = express.Router();
-const { dbOperations } = require('../database');
-
-// API 1: GET /api/books - Retrieve all books
-router.get('/', async (req, res) => {
-  try {
-    const books = await dbOperations.getAllBooks();
-    res.json({
-      success: true,
-      data: books,
-      total: books.length
-    });
-  } catch (error) {
-    res.status(500).json({
+const { Readable, pipeline } = require('stream');
+const { SORTABLE_COLUMNS, checkVersion } = require('../database');
+const { parseIsbn } = require('../isbn');
+const { HttpError, sendHttpError, sendServerError, sendOperationError } = require('../errors');
+const { validateBody } = require('../validation');
+const { bookSchema } = require('../schemas/book');
+const { readImportRows } = require('../bookImport');
+const { EXPORT_FORMATS } = require('../bookExport');
+const { loadConfig } = require('../config');
+const { logger } = require('../logger');
+const { bookEtag, ifMatchVersions, catalogEtag, isFresh } = require('./etag');
+const { actorOf } = require('./actor');
+const {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  parseInteger,
+  parsePagination,
+  pageLinks
+} = require('./pagination');
+
+// Read the first of the books before any headers go out, so an export whose query
+// fails is still answered with a 500. Resolves to all the books, the first included.
+const startExport = async (books) => {
+  const rest = (async function* () {
+    yield* books;
+  })();
+  const first = await rest.next();
+
+  return (async function* () {
+    if (first.done) return;
+    yield first.value;
+    yield* rest;
+  })();
+};
+
+// Turn the filter and sort parameters shared by the list and export endpoints into options
+const parseListOptions = (query) => {
+  const sort = query.sort === undefined ? 'created_at' : query.sort;
+  const order = query.order === undefined ? 'desc' : String(query.order).toLowerCase();
+  const filters = {};
+
+  if (!SORTABLE_COLUMNS.includes(sort)) {
+    return { error: `Invalid sort field '${sort}'. Allowed fields: ${SORTABLE_COLUMNS.join(', ')}` };
+  }
+  if (order !== 'asc' && order !== 'desc') {
+    return { error: "order must be 'asc' or 'desc'" };
+  }
+
+  if (query.author) filters.author = String(query.author);
+  if (query.genre) filters.genre = String(query.genre);
+  if (query.tag) filters.tags = [].concat(query.tag).map(String);
+
+  for (const [param, key] of [['year_from', 'yearFrom'], ['year_to', 'yearTo']]) {
+    if (query[param] === undefined) continue;
+    const year = parseInteger(query[param]);
+    if (!Number.isInteger(year)) {
+      return { error: `${param} must be an integer` };
+    }
+    filters[key] = year;
+  }
+
+  return { sort, order, filters };
+};
+
+// Turn the GET /api/books query string into getAllBooks options
+const parseListQuery = (query) => {
+  const pagination = parsePagination(query);
+  if (pagination.error) {
+    return pagination;
+  }
+
+  const options = parseListOptions(query);
+  return options.error ? options : { ...pagination, ...options };
+};
+
+// Content types accepted by PATCH; a flat book object means the same thing in both
+const PATCH_CONTENT_TYPES = ['application/json', 'application/merge-patch+json'];
+
+// Reject PATCH bodies that are not JSON before validating them
+const requirePatchContentType = (req, res, next) => {
+  if (!req.is(PATCH_CONTENT_TYPES)) {
+    return res.status(415).json({
       success: false,
-      message: 'Error retrieving books',
-      error: error.message
+      message: `Content-Type must be one of: ${PATCH_CONTENT_TYPES.join(', ')}`
     });
   }
-});
+  next();
+};
 
-// API 2: GET /api/books/:id - Retrieve a specific book
-router.get('/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
-    const book = await dbOperations.getBookById(id);
-    
-    if (!book) {
-      return res.status(404).json({
+// Send an error from a book write; a 412 carries the current book, and its ETag so
+// the client can retry against it
+const sendBookHttpError = (res, error) => {
+  if (error.status === 412) res.set('ETag', bookEtag(error.details.data));
+  return sendHttpError(res, error);
+};
+
+// Largest CSV body POST /api/books/import accepts
+const IMPORT_SIZE_LIMIT = '5mb';
+
+// Parse a true/false query flag; undefined means false
+const parseFlag = (value) => {
+  if (value === undefined || value === 'false' || value === '0') return false;
+  if (value === 'true' || value === '1') return true;
+  return null;
+};
+
+// Book routes backed by the given dbOperations; each route checks a permission.
+// cacheControl holds the Cache-Control values of the list and single-book routes.
+const createBooksRouter = ({ dbOperations, requirePermission, cacheControl = loadConfig().cacheControl }) => {
+  const router = express.Router();
+
+  // API 1: GET /api/books - Retrieve books with filtering, sorting and pagination
+  router.get('/', requirePermission('books:read'), async (req, res) => {
+    const listQuery = parseListQuery(req.query);
+
+    if (listQuery.error) {
+      return res.status(400).json({
         success: false,
-        message: 'Book not found'
+        message: listQuery.error
       });
     }
-    
-    res.json({
-      success: true,
-      data: book
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Error retrieving book',
-      error: error.message
-    });
-  }
-});
 
-// API 3: POST /api/books - Create a new book
-router.post('/', async (req, res) => {
-  try {
-    const { title, author, isbn, published_year, genre, description } = req.body;
-    
-    // Basic validation
-    if (!title || !author) {
+    try {
+      // Answer from the change counter before running the query
+      const catalog = await dbOperations.getCatalogState();
+      const validators = {
+        etag: catalogEtag(catalog),
+        lastModified: catalog.changed_at,
+        cacheControl: cacheControl.bookList
+      };
+      if (isFresh(req, res, validators)) {
+        return res.status(304).end();
+      }
+
+      const { page, limit, offset, sort, order, filters } = listQuery;
+      const [books, total] = await Promise.all([
+        dbOperations.getAllBooks({ filters, sort, order, limit, offset }),
+        dbOperations.countBooks(filters)
+      ]);
+
+      res.json({
+        success: true,
+        data: books,
+        total,
+        page,
+        pageSize: limit,
+        links: pageLinks(req, { page, limit, total })
+      });
+    } catch (error) {
+      sendServerError(res, error, 'Error retrieving books');
+    }
+  });
+
+  // GET /api/books/search?q= - Full-text search across title, author and description
+  router.get('/search', requirePermission('books:read'), async (req, res) => {
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    const page = req.query.page === undefined ? 1 : parseInteger(req.query.page);
+    const limit = req.query.limit === undefined ? DEFAULT_PAGE_SIZE : parseInteger(req.query.limit);
+
+    if (!q) {
       return res.status(400).json({
         success: false,
-        message: 'Title and author are required'
+        message: 'Search query (q) is required'
       });
     }
-    
-    const newBook = await dbOperations.createBook({
-      title,
-      author,
-      isbn,
-      published_year,
-      genre,
-      description
+    if (!Number.isInteger(page) || page < 1 || !Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      return res.status(400).json({
+        success: false,
+        message: `page must be a positive integer and limit between 1 and ${MAX_PAGE_SIZE}`
+      });
+    }
+
+    try {
+      const [books, total] = await Promise.all([
+        dbOperations.searchBooks(q, { limit, offset: (page - 1) * limit }),
+        dbOperations.countSearchResults(q)
+      ]);
+
+      res.json({
+        success: true,
+        data: books,
+        total,
+        page,
+        pageSize: limit,
+        query: q,
+        links: pageLinks(req, { page, limit, total })
+      });
+    } catch (error) {
+      sendOperationError(res, error, 'Error searching books');
+    }
+  });
+
+  // GET /api/books/export?format=csv|jsonl|xlsx - Download every book matching the list filters
+  router.get('/export', requirePermission('books:read'), async (req, res) => {
+    const format = req.query.format === undefined ? 'csv' : req.query.format;
+    const options = parseListOptions(req.query);
+
+    if (!Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid format '${format}'. Allowed formats: ${Object.keys(EXPORT_FORMATS).join(', ')}`
+      });
+    }
+    if (options.error) {
+      return res.status(400).json({
+        success: false,
+        message: options.error
+      });
+    }
+
+    let books;
+    try {
+      books = await startExport(await dbOperations.exportBooks(options));
+    } catch (error) {
+      return sendServerError(res, error, 'Error exporting books');
+    }
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.set({
+      'Content-Type': EXPORT_FORMATS[format].contentType,
+      'Content-Disposition': `attachment; filename="books-${date}.${format}"`
     });
-    
-    res.status(201).json({
-      success: true,
-      message: 'Book created successfully',
-      data: newBook
+
+    // Rows are written as the cursor reads them. Once they are flowing a failure can
+    // only cut the download short, so the connection is dropped rather than ending
+    // the response as if the file were complete.
+    pipeline(Readable.from(EXPORT_FORMATS[format].serialize(books)), res, (error) => {
+      if (!error) return;
+      res.destroy();
+      if (error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+        logger.error('Error exporting books', { error });
+      }
     });
-  } catch (error) {
-    if (error.message.includes('UNIQUE constraint failed')) {
-      res.status(400).json({
+  });
+
+  // GET /api/books/isbn/:isbn - Look a book up by ISBN-10 or ISBN-13, with or without hyphens
+  router.get('/isbn/:isbn', requirePermission('books:read'), async (req, res) => {
+    const { error } = parseIsbn(req.params.isbn);
+
+    if (error) {
+      return res.status(400).json({
         success: false,
-        message: 'ISBN already exists'
+        message: `isbn is invalid: ${error}`
+      });
+    }
+
+    try {
+      const book = await dbOperations.getBookByIsbn(req.params.isbn);
+
+      if (!book) {
+        return res.status(404).json({
+          success: false,
+          message: 'Book not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: book
       });
-    } else {
-      res.status(500).json({
+    } catch (error) {
+      sendServerError(res, error, 'Error retrieving book');
+    }
+  });
+
+  // POST /api/books/import - Create books from a CSV upload; ?dryRun=true only validates
+  router.post(
+    '/import',
+    requirePermission('books:create'),
+    express.text({ type: 'text/csv', limit: IMPORT_SIZE_LIMIT }),
+    async (req, res) => {
+      const dryRun = parseFlag(req.query.dryRun);
+
+      if (!req.is('text/csv')) {
+        return res.status(415).json({
+          success: false,
+          message: 'Content-Type must be text/csv'
+        });
+      }
+      if (dryRun === null) {
+        return res.status(400).json({
+          success: false,
+          message: "dryRun must be 'true' or 'false'"
+        });
+      }
+
+      const { rows, failed, ignoredColumns, error } = readImportRows(typeof req.body === 'string' ? req.body : '');
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error
+        });
+      }
+
+      try {
+        const report = await dbOperations.importBooks(rows, { dryRun, actor: actorOf(req) });
+        const allFailed = [...failed, ...report.failed].sort((a, b) => a.line - b.line);
+
+        res.json({
+          success: true,
+          message: dryRun ? 'Dry run complete; nothing was written' : 'Import complete',
+          data: {
+            dryRun,
+            total: rows.length + failed.length,
+            created: report.created,
+            skipped: report.skipped,
+            failed: allFailed,
+            ignoredColumns
+          }
+        });
+      } catch (error) {
+        sendServerError(res, error, 'Error importing books');
+      }
+    }
+  );
+
+  // GET /api/books/trash - Deleted books waiting to be purged, most recently deleted first
+  router.get('/trash', requirePermission('books:delete'), async (req, res) => {
+    const pagination = parsePagination(req.query);
+
+    if (pagination.error) {
+      return res.status(400).json({
         success: false,
-        message: 'Error creating book',
-        error: error.message
+        message: pagination.error
       });
     }
-  }
-});
 
-// API 4: PUT /api/books/:id - Update a book
-router.put('/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { title, author, isbn, published_year, genre, description } = req.body;
-    
-    // Basic validation
-    if (!title || !author) {
+    try {
+      const { page, limit, offset } = pagination;
+      const [books, total] = await Promise.all([
+        dbOperations.getTrash({ limit, offset }),
+        dbOperations.countTrash()
+      ]);
+
+      res.json({
+        success: true,
+        data: books,
+        total,
+        page,
+        pageSize: limit,
+        links: pageLinks(req, { page, limit, total })
+      });
+    } catch (error) {
+      sendServerError(res, error, 'Error retrieving the trash');
+    }
+  });
+
+  // DELETE /api/books/trash - Permanently delete every book in the trash
+  router.delete('/trash', requirePermission('books:purge'), async (req, res) => {
+    try {
+      const purged = await dbOperations.purgeTrash();
+
+      res.json({
+        success: true,
+        message: `${purged} book(s) permanently deleted`,
+        data: { purged }
+      });
+    } catch (error) {
+      sendServerError(res, error, 'Error emptying the trash');
+    }
+  });
+
+  // DELETE /api/books/trash/:id - Permanently delete one book from the trash
+  router.delete('/trash/:id', requirePermission('books:purge'), async (req, res) => {
+    try {
+      const purgedBook = await dbOperations.purgeBook(req.params.id);
+
+      if (!purgedBook) {
+        return res.status(404).json({
+          success: false,
+          message: 'Book not found in the trash'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Book permanently deleted',
+        data: { purgedBook }
+      });
+    } catch (error) {
+      sendServerError(res, error, 'Error purging book');
+    }
+  });
+
+  // POST /api/books/:id/restore - Take a book out of the trash
+  router.post('/:id/restore', requirePermission('books:delete'), async (req, res) => {
+    try {
+      const restoredBook = await dbOperations.restoreBook(req.params.id, { actor: actorOf(req) });
+
+      if (!restoredBook) {
+        return res.status(404).json({
+          success: false,
+          message: 'Book not found in the trash'
+        });
+      }
+
+      res.set('ETag', bookEtag(restoredBook)).json({
+        success: true,
+        message: 'Book restored successfully',
+        data: restoredBook
+      });
+    } catch (error) {
+      sendOperationError(res, error, 'Error restoring book');
+    }
+  });
+
+  // GET /api/books/:id/history - Every recorded change to a book, newest first
+  router.get('/:id/history', requirePermission('books:read'), async (req, res) => {
+    const pagination = parsePagination(req.query);
+
+    if (pagination.error) {
       return res.status(400).json({
         success: false,
-        message: 'Title and author are required'
+        message: pagination.error
+      });
+    }
+
+    try {
+      const { page, limit, offset } = pagination;
+      const [revisions, total] = await Promise.all([
+        dbOperations.getBookHistory(req.params.id, { limit, offset }),
+        dbOperations.countBookHistory(req.params.id)
+      ]);
+
+      if (!revisions) {
+        return res.status(404).json({
+          success: false,
+          message: 'Book not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: revisions,
+        total,
+        page,
+        pageSize: limit,
+        links: pageLinks(req, { page, limit, total })
       });
+    } catch (error) {
+      sendServerError(res, error, 'Error retrieving book history');
     }
+  });
+
+  // POST /api/books/:id/revert/:revisionId - Put a book back the way a revision left it
+  router.post('/:id/revert/:revisionId', requirePermission('books:update'), async (req, res) => {
+    try {
+      const { id, revisionId } = req.params;
+      const revertedBook = await dbOperations.revertBook(id, revisionId, { actor: actorOf(req) });
+
+      if (!revertedBook) {
+        return res.status(404).json({
+          success: false,
+          message: 'Book not found'
+        });
+      }
+
+      res.set('ETag', bookEtag(revertedBook)).json({
+        success: true,
+        message: `Book reverted to revision ${revisionId}`,
+        data: revertedBook
+      });
+    } catch (error) {
+      if (error.message.includes('UNIQUE constraint failed')) {
+        return res.status(400).json({
+          success: false,
+          message: 'ISBN already exists'
+        });
+      }
+      sendOperationError(res, error, 'Error reverting book');
+    }
+  });
+
+  // API 2: GET /api/books/:id - Retrieve a specific book
+  router.get('/:id', requirePermission('books:read'), async (req, res) => {
+    try {
+      const { id } = req.params;
+      const book = await dbOperations.getBookById(id);
     
-    const updatedBook = await dbOperations.updateBook(id, {
-      title,
-      author,
-      isbn,
-      published_year,
-      genre,
-      description
-    });
+      if (!book) {
+        return res.status(404).json({
+          success: false,
+          message: 'Book not found'
+        });
+      }
+
+      const validators = {
+        etag: bookEtag(book),
+        lastModified: book.updated_at,
+        cacheControl: cacheControl.book
+      };
+      if (isFresh(req, res, validators)) {
+        return res.status(304).end();
+      }
     
-    if (!updatedBook) {
-      return res.status(404).json({
-        success: false,
-        message: 'Book not found'
+      res.json({
+        success: true,
+        data: book
       });
+    } catch (error) {
+      sendServerError(res, error, 'Error retrieving book');
     }
+  });
+
+  // API 3: POST /api/books - Create a new book
+  router.post('/', requirePermission('books:create'), validateBody(bookSchema), async (req, res) => {
+    try {
+      const newBook = await dbOperations.createBook(req.body, { actor: actorOf(req) });
     
-    res.json({
-      success: true,
-      message: 'Book updated successfully',
-      data: updatedBook
-    });
-  } catch (error) {
-    if (error.message.includes('UNIQUE constraint failed')) {
-      res.status(400).json({
-        success: false,
-        message: 'ISBN already exists'
-      });
-    } else {
-      res.status(500).json({
-        success: false,
-        message: 'Error updating book',
-        error: error.message
+      res.status(201).set('ETag', bookEtag(newBook)).json({
+        success: true,
+        message: 'Book created successfully',
+        data: newBook
       });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        sendHttpError(res, error);
+      } else if (error.message.includes('UNIQUE constraint failed')) {
+        res.status(400).json({
+          success: false,
+          message: 'ISBN already exists'
+        });
+      } else {
+        sendServerError(res, error, 'Error creating book');
+      }
     }
-  }
-});
+  });
 
-// API 5: DELETE /api/books/:id - Delete a book
-router.delete('/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
+  // API 4: PUT /api/books/:id - Update a book; with If-Match, only if it is unchanged
+  router.put('/:id', requirePermission('books:update'), validateBody(bookSchema), async (req, res) => {
+    try {
+      const { id } = req.params;
+      const updatedBook = await dbOperations.updateBook(id, req.body, {
+        actor: actorOf(req),
+        ifMatch: ifMatchVersions(req)
+      });
     
-    const deletedBook = await dbOperations.deleteBook(id);
+      if (!updatedBook) {
+        return res.status(404).json({
+          success: false,
+          message: 'Book not found'
+        });
+      }
     
-    if (!deletedBook) {
-      return res.status(404).json({
-        success: false,
-        message: 'Book not found'
+      res.set('ETag', bookEtag(updatedBook)).json({
+        success: true,
+        message: 'Book updated successfully',
+        data: updatedBook
       });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        sendBookHttpError(res, error);
+      } else if (error.message.includes('UNIQUE constraint failed')) {
+        res.status(400).json({
+          success: false,
+          message: 'ISBN already exists'
+        });
+      } else {
+        sendServerError(res, error, 'Error updating book');
+      }
     }
+  });
+
+  // PATCH /api/books/:id - Partially update a book (application/json or application/merge-patch+json)
+  router.patch(
+    '/:id',
+    requirePermission('books:update'),
+    express.json({ type: PATCH_CONTENT_TYPES }),
+    requirePatchContentType,
+    validateBody(bookSchema, { partial: true, rejectUnknown: true }),
+    async (req, res) => {
+      try {
+        const { id } = req.params;
+        const ifMatch = ifMatchVersions(req);
+        const isEmpty = Object.keys(req.body).length === 0;
+        const patchedBook = isEmpty
+          ? await dbOperations.getBookById(id)
+          : await dbOperations.patchBook(id, req.body, { actor: actorOf(req), ifMatch });
+
+        if (!patchedBook) {
+          return res.status(404).json({
+            success: false,
+            message: 'Book not found'
+          });
+        }
+        // An empty patch changes nothing, but a stale If-Match still fails
+        if (isEmpty) checkVersion(patchedBook, ifMatch);
+
+        res.set('ETag', bookEtag(patchedBook)).json({
+          success: true,
+          message: 'Book updated successfully',
+          data: patchedBook
+        });
+      } catch (error) {
+        if (error instanceof HttpError) {
+          sendBookHttpError(res, error);
+        } else if (error.message.includes('UNIQUE constraint failed')) {
+          res.status(400).json({
+            success: false,
+            message: 'ISBN already exists'
+          });
+        } else {
+          sendServerError(res, error, 'Error updating book');
+        }
+      }
+    }
+  );
+
+  // API 5: DELETE /api/books/:id - Move a book to the trash; with If-Match, only if it is unchanged
+  router.delete('/:id', requirePermission('books:delete'), async (req, res) => {
+    try {
+      const { id } = req.params;
     
-    res.json({
-      success: true,
-      message: 'Book deleted successfully',
-      data: { deletedBook }
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Error deleting book',
-      error: error.message
-    });
-  }
-});
+      const deletedBook = await dbOperations.deleteBook(id, {
+        actor: actorOf(req),
+        ifMatch: ifMatchVersions(req)
+      });
+    
+      if (!deletedBook) {
+        return res.status(404).json({
+          success: false,
+          message: 'Book not found'
+        });
+      }
+    
+      res.json({
+        success: true,
+        message: 'Book deleted successfully',
+        data: { deletedBook }
+      });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return sendBookHttpError(res, error);
+      }
+      sendServerError(res, error, 'Error deleting book');
+    }
+  });
+
+  return router;
+};
 
-module.exports = router;
\ No newline at end of file
+module.exports = { createBooksRouter };
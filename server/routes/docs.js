@@ -0,0 +1,41 @@
+// server/routes/docs.js - The OpenAPI document and a Swagger UI page to browse it
+const express = require('express');
+const swaggerUi = require('swagger-ui-dist');
+const { createOpenApiDocument } = require('../openapi');
+
+// Swagger UI page; assets are served from the swagger-ui-dist package, not a CDN
+const docsPage = (base) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>Book Management API - Docs</title>
+    <link rel="stylesheet" href="${base}/docs/swagger-ui.css">
+</head>
+<body>
+    <div id="swagger-ui"></div>
+    <script src="${base}/docs/swagger-ui-bundle.js"></script>
+    <script>
+        SwaggerUIBundle({ url: '${base}/openapi.json', dom_id: '#swagger-ui', persistAuthorization: true });
+    </script>
+</body>
+</html>`;
+
+// Mounted at /api: GET /api/openapi.json and the explorer at /api/docs
+const createDocsRouter = () => {
+  const router = express.Router();
+  const document = createOpenApiDocument();
+
+  router.get('/openapi.json', (req, res) => {
+    res.json(document);
+  });
+
+  router.get('/docs', (req, res) => {
+    res.type('html').send(docsPage(req.baseUrl));
+  });
+
+  router.use('/docs', express.static(swaggerUi.getAbsoluteFSPath(), { index: false }));
+
+  return router;
+};
+
+module.exports = { createDocsRouter };
@@ -0,0 +1,41 @@
+// server/routes/etag.js - Book versions as strong ETags, If-Match preconditions and
+// the validators for conditional GETs
+
+// The ETag of a book; it changes whenever the book's version does
+const bookEtag = (book) => `"${book.version}"`;
+
+// The versions listed in an If-Match header, for the ifMatch option of the book
+// writes. Undefined without a header or for *, which any existing book matches.
+// Weak tags never match, because If-Match compares strongly.
+const ifMatchVersions = (req) => {
+  const header = req.get('If-Match');
+  if (header === undefined || header.trim() === '*') return undefined;
+
+  return header.split(',')
+    .map((tag) => /^\s*"(\d+)"\s*$/.exec(tag))
+    .filter(Boolean)
+    .map((match) => Number(match[1]));
+};
+
+// The ETag of a book list; any change to the catalog changes it. Weak, because the
+// same count can stand for lists that differ only in their links.
+const catalogEtag = (catalog) => `W/"catalog-${catalog.change_count}"`;
+
+// An SQLite timestamp, which is UTC without a zone, as an HTTP date
+const httpDate = (timestamp) => new Date(`${timestamp.replace(' ', 'T')}Z`).toUTCString();
+
+// Set the validators and Cache-Control of a GET response. Returns true when the
+// client's copy is still current, in which case the caller should answer 304.
+// Timestamps only count whole seconds, so another write later in the same second
+// would leave Last-Modified unchanged. It is only sent once that second is over;
+// until then If-Modified-Since cannot match and the ETag alone validates.
+const isFresh = (req, res, { etag, lastModified, cacheControl }) => {
+  res.set({ ETag: etag, 'Cache-Control': cacheControl });
+  if (lastModified) {
+    const modified = httpDate(lastModified);
+    if (Date.parse(modified) + 1000 <= Date.now()) res.set('Last-Modified', modified);
+  }
+  return req.fresh;
+};
+
+module.exports = { bookEtag, ifMatchVersions, catalogEtag, httpDate, isFresh };
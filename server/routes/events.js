@@ -0,0 +1,55 @@
+// server/routes/events.js - The live stream of book changes
+const express = require('express');
+const { logger } = require('../logger');
+const { parseInteger } = require('./pagination');
+
+// How long a client waits before reconnecting after the stream drops
+const RETRY_MS = 3000;
+
+// Comment lines sent this often keep proxies from closing an idle stream
+const HEARTBEAT_MS = 15 * 1000;
+
+// eventHub comes from createEventHub()
+const createEventsRouter = ({ eventHub, requirePermission }) => {
+  const router = express.Router();
+
+  // GET /api/events - book.created, book.updated, book.deleted and book.restored as
+  // Server-Sent Events; Last-Event-ID resumes after the last event the client saw
+  router.get('/', requirePermission('books:read'), async (req, res) => {
+    const lastEventId = parseInteger(req.get('Last-Event-ID') || '');
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-store',
+      // Stop nginx from buffering the stream
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    // The client may go away before the subscription is in place
+    let closed = false;
+    let unsubscribe = () => {};
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_MS);
+    res.on('close', () => {
+      closed = true;
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+
+    try {
+      const stop = await eventHub.subscribe(res, lastEventId);
+      if (closed) stop();
+      else unsubscribe = stop;
+    } catch (error) {
+      // The headers are out, so all that can be done is to end the stream; the
+      // client will reconnect
+      logger.error('Error opening event stream', { error });
+      res.end();
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createEventsRouter };
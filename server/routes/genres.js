@@ -0,0 +1,141 @@
+// server/routes/genres.js - Genre endpoints
+const express = require('express');
+const { sendOperationError } = require('../errors');
+const { actorOf } = require('./actor');
+
+// Check a genre body; on updates every field is optional
+const validateGenre = (body, { partial = false } = {}) => {
+  if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+    return 'Request body must be a JSON object';
+  }
+
+  const { name, parent_id: parentId } = body;
+
+  if (name === undefined && !partial) {
+    return 'name is required';
+  }
+  if (name !== undefined && (typeof name !== 'string' || name.trim() === '' || name.length > 100)) {
+    return 'name must be a non-empty string of at most 100 characters';
+  }
+  if (parentId !== undefined && parentId !== null && !Number.isInteger(parentId)) {
+    return 'parent_id must be an integer or null';
+  }
+  return null;
+};
+
+// Genre routes backed by the given genreOperations; each route checks a permission
+const createGenresRouter = ({ genreOperations, requirePermission }) => {
+  const router = express.Router();
+
+  const notFound = (res) => res.status(404).json({
+    success: false,
+    message: 'Genre not found'
+  });
+
+  // GET /api/genres - List genres with their book counts
+  router.get('/', requirePermission('books:read'), async (req, res) => {
+    try {
+      const genres = await genreOperations.getAllGenres();
+      res.json({
+        success: true,
+        data: genres,
+        total: genres.length
+      });
+    } catch (error) {
+      sendOperationError(res, error, 'Error retrieving genres');
+    }
+  });
+
+  // GET /api/genres/:id - Retrieve a genre and its direct subgenres
+  router.get('/:id', requirePermission('books:read'), async (req, res) => {
+    try {
+      const genre = await genreOperations.getGenreById(req.params.id);
+      if (!genre) return notFound(res);
+
+      res.json({
+        success: true,
+        data: genre
+      });
+    } catch (error) {
+      sendOperationError(res, error, 'Error retrieving genre');
+    }
+  });
+
+  // POST /api/genres - Create a genre, optionally under a parent
+  router.post('/', requirePermission('taxonomy:manage'), async (req, res) => {
+    const invalid = validateGenre(req.body);
+
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: invalid
+      });
+    }
+
+    try {
+      const genre = await genreOperations.createGenre(req.body);
+      res.status(201).json({
+        success: true,
+        message: 'Genre created successfully',
+        data: genre
+      });
+    } catch (error) {
+      sendOperationError(res, error, 'Error creating genre');
+    }
+  });
+
+  // PATCH /api/genres/:id - Rename a genre or move it under another parent
+  router.patch('/:id', requirePermission('taxonomy:manage'), async (req, res) => {
+    const invalid = validateGenre(req.body, { partial: true });
+
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: invalid
+      });
+    }
+
+    try {
+      const { name, parent_id } = req.body;
+      const genre = await genreOperations.updateGenre(req.params.id, { name, parent_id }, { actor: actorOf(req) });
+      if (!genre) return notFound(res);
+
+      res.json({
+        success: true,
+        message: 'Genre updated successfully',
+        data: genre
+      });
+    } catch (error) {
+      sendOperationError(res, error, 'Error updating genre');
+    }
+  });
+
+  // POST /api/genres/:id/merge - Move this genre's books and subgenres to another genre and delete it
+  router.post('/:id/merge', requirePermission('taxonomy:manage'), async (req, res) => {
+    const { into } = req.body || {};
+
+    if (!Number.isInteger(into)) {
+      return res.status(400).json({
+        success: false,
+        message: 'into must be the id of the genre to merge into'
+      });
+    }
+
+    try {
+      const genre = await genreOperations.mergeGenre(req.params.id, into, { actor: actorOf(req) });
+      if (!genre) return notFound(res);
+
+      res.json({
+        success: true,
+        message: 'Genres merged successfully',
+        data: genre
+      });
+    } catch (error) {
+      sendOperationError(res, error, 'Error merging genres');
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createGenresRouter };
@@ -0,0 +1,39 @@
+// server/routes/health.js - Liveness and readiness probes
+const express = require('express');
+
+// checkReadiness comes from createReadinessCheck()
+const createHealthRouter = ({ checkReadiness }) => {
+  const router = express.Router();
+
+  // Probe results must never come from a cache
+  router.use((req, res, next) => {
+    res.set('Cache-Control', 'no-store');
+    next();
+  });
+
+  // GET /health - Kept for existing monitors; the same as /health/live
+  // GET /health/live - The process is up and serving requests
+  router.get(['/', '/live'], (req, res) => {
+    res.json({
+      status: 'OK',
+      timestamp: new Date().toISOString(),
+      message: 'Book Management API is running',
+      uptime: process.uptime()
+    });
+  });
+
+  // GET /health/ready - The server can do its work; 503 with the failing checks if not
+  router.get('/ready', async (req, res) => {
+    const { ready, checks } = await checkReadiness();
+
+    res.status(ready ? 200 : 503).json({
+      status: ready ? 'OK' : 'FAIL',
+      timestamp: new Date().toISOString(),
+      checks
+    });
+  });
+
+  return router;
+};
+
+module.exports = { createHealthRouter };
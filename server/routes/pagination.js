@@ -0,0 +1,45 @@
+// server/routes/pagination.js - Page/limit parsing and page links shared by list endpoints
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Parse a query parameter as a whole number, or return NaN when it is not one
+const parseInteger = (value) => (/^-?\d+$/.test(value) ? Number(value) : NaN);
+
+// Read ?page and ?limit, or return { error } when either is out of range
+const parsePagination = (query) => {
+  const page = query.page === undefined ? 1 : parseInteger(query.page);
+  const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : parseInteger(query.limit);
+
+  if (!Number.isInteger(page) || page < 1) {
+    return { error: 'page must be a positive integer' };
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return { error: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}` };
+  }
+
+  return { page, limit, offset: (page - 1) * limit };
+};
+
+// Build a link to another page of the current listing, keeping the other query parameters
+const pageLink = (req, page) => {
+  const params = new URLSearchParams(req.query);
+  params.set('page', page);
+  return `${req.baseUrl}${req.path === '/' ? '' : req.path}?${params.toString()}`;
+};
+
+// The next/prev links for a page of `total` results
+const pageLinks = (req, { page, limit, total }) => {
+  const totalPages = Math.ceil(total / limit);
+  return {
+    next: page < totalPages ? pageLink(req, page + 1) : null,
+    prev: page > 1 ? pageLink(req, Math.min(page - 1, Math.max(totalPages, 1))) : null
+  };
+};
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  parseInteger,
+  parsePagination,
+  pageLinks
+};
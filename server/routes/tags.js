@@ -0,0 +1,97 @@
+// server/routes/tags.js - Tag endpoints; tags are created by tagging books
+const express = require('express');
+const { sendOperationError } = require('../errors');
+const { actorOf } = require('./actor');
+
+// Tag routes backed by the given tagOperations; each route checks a permission
+const createTagsRouter = ({ tagOperations, requirePermission }) => {
+  const router = express.Router();
+
+  const notFound = (res) => res.status(404).json({
+    success: false,
+    message: 'Tag not found'
+  });
+
+  // GET /api/tags - List tags with their book counts
+  router.get('/', requirePermission('books:read'), async (req, res) => {
+    try {
+      const tags = await tagOperations.getAllTags();
+      res.json({
+        success: true,
+        data: tags,
+        total: tags.length
+      });
+    } catch (error) {
+      sendOperationError(res, error, 'Error retrieving tags');
+    }
+  });
+
+  // GET /api/tags/:id - Retrieve a tag
+  router.get('/:id', requirePermission('books:read'), async (req, res) => {
+    try {
+      const tag = await tagOperations.getTagById(req.params.id);
+      if (!tag) return notFound(res);
+
+      res.json({
+        success: true,
+        data: tag
+      });
+    } catch (error) {
+      sendOperationError(res, error, 'Error retrieving tag');
+    }
+  });
+
+  // PATCH /api/tags/:id - Rename a tag
+  router.patch('/:id', requirePermission('taxonomy:manage'), async (req, res) => {
+    const { name } = req.body || {};
+
+    if (typeof name !== 'string' || name.trim() === '' || name.length > 50) {
+      return res.status(400).json({
+        success: false,
+        message: 'name must be a non-empty string of at most 50 characters'
+      });
+    }
+
+    try {
+      const tag = await tagOperations.renameTag(req.params.id, name, { actor: actorOf(req) });
+      if (!tag) return notFound(res);
+
+      res.json({
+        success: true,
+        message: 'Tag updated successfully',
+        data: tag
+      });
+    } catch (error) {
+      sendOperationError(res, error, 'Error updating tag');
+    }
+  });
+
+  // POST /api/tags/:id/merge - Move this tag's books to another tag and delete it
+  router.post('/:id/merge', requirePermission('taxonomy:manage'), async (req, res) => {
+    const { into } = req.body || {};
+
+    if (!Number.isInteger(into)) {
+      return res.status(400).json({
+        success: false,
+        message: 'into must be the id of the tag to merge into'
+      });
+    }
+
+    try {
+      const tag = await tagOperations.mergeTag(req.params.id, into, { actor: actorOf(req) });
+      if (!tag) return notFound(res);
+
+      res.json({
+        success: true,
+        message: 'Tags merged successfully',
+        data: tag
+      });
+    } catch (error) {
+      sendOperationError(res, error, 'Error merging tags');
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createTagsRouter };
@@ -0,0 +1,105 @@
+// server/routes/users.js - User management for admins
+const express = require('express');
+const { ROLES } = require('../permissions');
+const { sendServerError } = require('../errors');
+
+// User routes backed by the given authOperations; every route needs users:manage
+const createUsersRouter = ({ authOperations, requirePermission }) => {
+  const router = express.Router();
+
+  router.use(requirePermission('users:manage'));
+
+  // Refuse changes that would leave nobody able to manage users
+  const wouldRemoveLastAdmin = async (user) => {
+    return user.role === 'admin' && (await authOperations.countUsersWithRole('admin')) <= 1;
+  };
+
+  // GET /api/users - List users
+  router.get('/', async (req, res) => {
+    try {
+      const users = await authOperations.getAllUsers();
+      res.json({
+        success: true,
+        data: users,
+        total: users.length
+      });
+    } catch (error) {
+      sendServerError(res, error, 'Error retrieving users');
+    }
+  });
+
+  // PATCH /api/users/:id - Change a user's role
+  router.patch('/:id', async (req, res) => {
+    const { role } = req.body || {};
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `role must be one of: ${ROLES.join(', ')}`
+      });
+    }
+
+    try {
+      const { id } = req.params;
+      const user = await authOperations.getUserById(id);
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      if (role !== 'admin' && await wouldRemoveLastAdmin(user)) {
+        return res.status(409).json({
+          success: false,
+          message: 'Cannot demote the last admin'
+        });
+      }
+
+      const updatedUser = await authOperations.updateUserRole(id, role);
+      res.json({
+        success: true,
+        message: 'User updated successfully',
+        data: updatedUser
+      });
+    } catch (error) {
+      sendServerError(res, error, 'Error updating user');
+    }
+  });
+
+  // DELETE /api/users/:id - Delete a user and end their sessions
+  router.delete('/:id', async (req, res) => {
+    try {
+      const { id } = req.params;
+      const user = await authOperations.getUserById(id);
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      if (await wouldRemoveLastAdmin(user)) {
+        return res.status(409).json({
+          success: false,
+          message: 'Cannot delete the last admin'
+        });
+      }
+
+      const deletedUser = await authOperations.deleteUser(id);
+      res.json({
+        success: true,
+        message: 'User deleted successfully',
+        data: { deletedUser }
+      });
+    } catch (error) {
+      sendServerError(res, error, 'Error deleting user');
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createUsersRouter };
@@ -0,0 +1,129 @@
+// server/routes/webhooks.js - Webhook subscriptions and their delivery log, for admins
+const express = require('express');
+const { sendServerError } = require('../errors');
+const { validateBody } = require('../validation');
+const { webhookSchema } = require('../schemas/webhook');
+const { parsePagination, pageLinks } = require('./pagination');
+
+// Webhook routes backed by the given webhookOperations; every route needs webhooks:manage
+const createWebhooksRouter = ({ webhookOperations, requirePermission }) => {
+  const router = express.Router();
+
+  router.use(requirePermission('webhooks:manage'));
+
+  const notFound = (res) => res.status(404).json({
+    success: false,
+    message: 'Webhook not found'
+  });
+
+  // GET /api/webhooks - List webhooks
+  router.get('/', async (req, res) => {
+    try {
+      const webhooks = await webhookOperations.getAllWebhooks();
+      res.json({
+        success: true,
+        data: webhooks,
+        total: webhooks.length
+      });
+    } catch (error) {
+      sendServerError(res, error, 'Error retrieving webhooks');
+    }
+  });
+
+  // GET /api/webhooks/:id - Retrieve a webhook
+  router.get('/:id', async (req, res) => {
+    try {
+      const webhook = await webhookOperations.getWebhookById(req.params.id);
+      if (!webhook) return notFound(res);
+
+      res.json({
+        success: true,
+        data: webhook
+      });
+    } catch (error) {
+      sendServerError(res, error, 'Error retrieving webhook');
+    }
+  });
+
+  // POST /api/webhooks - Subscribe a URL to book events; the response has the secret
+  router.post('/', validateBody(webhookSchema), async (req, res) => {
+    try {
+      const webhook = await webhookOperations.createWebhook(req.body);
+      res.status(201).json({
+        success: true,
+        message: 'Webhook created successfully',
+        data: webhook
+      });
+    } catch (error) {
+      sendServerError(res, error, 'Error creating webhook');
+    }
+  });
+
+  // PATCH /api/webhooks/:id - Change a webhook's URL, events, secret or active flag
+  router.patch('/:id', validateBody(webhookSchema, { partial: true, rejectUnknown: true }), async (req, res) => {
+    try {
+      const webhook = await webhookOperations.updateWebhook(req.params.id, req.body);
+      if (!webhook) return notFound(res);
+
+      res.json({
+        success: true,
+        message: 'Webhook updated successfully',
+        data: webhook
+      });
+    } catch (error) {
+      sendServerError(res, error, 'Error updating webhook');
+    }
+  });
+
+  // DELETE /api/webhooks/:id - Delete a webhook and its deliveries
+  router.delete('/:id', async (req, res) => {
+    try {
+      const deletedWebhook = await webhookOperations.deleteWebhook(req.params.id);
+      if (!deletedWebhook) return notFound(res);
+
+      res.json({
+        success: true,
+        message: 'Webhook deleted successfully',
+        data: { deletedWebhook }
+      });
+    } catch (error) {
+      sendServerError(res, error, 'Error deleting webhook');
+    }
+  });
+
+  // GET /api/webhooks/:id/deliveries - The delivery log, newest first, with every attempt
+  router.get('/:id/deliveries', async (req, res) => {
+    const pagination = parsePagination(req.query);
+
+    if (pagination.error) {
+      return res.status(400).json({
+        success: false,
+        message: pagination.error
+      });
+    }
+
+    try {
+      const { page, limit, offset } = pagination;
+      const [deliveries, total] = await Promise.all([
+        webhookOperations.getDeliveries(req.params.id, { limit, offset }),
+        webhookOperations.countDeliveries(req.params.id)
+      ]);
+      if (!deliveries) return notFound(res);
+
+      res.json({
+        success: true,
+        data: deliveries,
+        total,
+        page,
+        pageSize: limit,
+        links: pageLinks(req, { page, limit, total })
+      });
+    } catch (error) {
+      sendServerError(res, error, 'Error retrieving webhook deliveries');
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createWebhooksRouter };
@@ -0,0 +1,60 @@
+// server/schemas/book.js - Validation schema shared by the book create, update and patch routes
+const { AUTHOR_ROLES } = require('../authorNames');
+const { parseIsbn } = require('../isbn');
+const { fieldError } = require('../validation');
+
+const isName = (value, maxLength) => typeof value === 'string' && value.trim() !== '' && value.length <= maxLength;
+
+// An authors entry is a name, { name, role } or { id, role }
+const checkCredit = (entry, field) => {
+  if (typeof entry === 'string') {
+    return entry.length > 200 ? { code: 'too_long', message: `${field} must have at most 200 characters` } : null;
+  }
+  if (typeof entry !== 'object' || Array.isArray(entry)) {
+    return { code: 'type', message: `${field} must be a name or an object with an id or name` };
+  }
+  if (entry.role !== undefined && !AUTHOR_ROLES.includes(entry.role)) {
+    return { code: 'invalid_role', message: `${field}.role must be one of: ${AUTHOR_ROLES.join(', ')}` };
+  }
+  if (!Number.isInteger(entry.id) && !isName(entry.name, 200)) {
+    return { code: 'required', message: `${field} needs an id or a name of at most 200 characters` };
+  }
+  return null;
+};
+
+// A genres entry is a name or { id }
+const checkGenre = (entry, field) => {
+  if (isName(entry, 100) || (typeof entry === 'object' && !Array.isArray(entry) && Number.isInteger(entry.id))) {
+    return null;
+  }
+  return { code: 'type', message: `${field} must be a genre name of at most 100 characters or an object with an id` };
+};
+
+const checkIsbn = (value) => {
+  const { error } = parseIsbn(value);
+  return error ? { code: 'invalid_isbn', message: `isbn is invalid: ${error}` } : null;
+};
+
+const bookSchema = {
+  fields: {
+    title: { type: 'string', required: true, maxLength: 255 },
+    author: { type: 'string', maxLength: 500 },
+    authors: { type: 'array', minLength: 1, maxLength: 50, items: { check: checkCredit } },
+    isbn: { type: 'string', nullable: true, maxLength: 30, check: checkIsbn },
+    published_year: { type: 'integer', nullable: true, min: 1, max: () => new Date().getFullYear() },
+    genre: { type: 'string', nullable: true, maxLength: 100 },
+    genres: { type: 'array', maxLength: 20, items: { check: checkGenre } },
+    tags: { type: 'array', maxLength: 50, items: { type: 'string', maxLength: 50 } },
+    description: { type: 'string', nullable: true, maxLength: 5000 }
+  },
+  checks: [
+    // New and replaced books need their authors, as a string or a list
+    (body, { partial }) => (
+      !partial && body.author === undefined && body.authors === undefined
+        ? fieldError('author', 'required', 'author is required')
+        : null
+    )
+  ]
+};
+
+module.exports = { bookSchema };
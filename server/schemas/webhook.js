@@ -0,0 +1,37 @@
+// server/schemas/webhook.js - Validation schema shared by the webhook create and update routes
+const { WEBHOOK_EVENTS } = require('../operations/webhooks');
+
+// Deliveries are POSTed, so only http and https URLs make sense
+const checkUrl = (value) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return { code: 'invalid_url', message: 'url must be an absolute URL' };
+  }
+  return ['http:', 'https:'].includes(url.protocol)
+    ? null
+    : { code: 'invalid_url', message: 'url must be an http or https URL' };
+};
+
+const checkEvent = (value, field) => (
+  WEBHOOK_EVENTS.includes(value)
+    ? null
+    : { code: 'invalid_event', message: `${field} must be one of: ${WEBHOOK_EVENTS.join(', ')}` }
+);
+
+const checkBoolean = (value, field) => (
+  typeof value === 'boolean' ? null : { code: 'type', message: `${field} must be true or false` }
+);
+
+const webhookSchema = {
+  fields: {
+    url: { type: 'string', required: true, maxLength: 2000, check: checkUrl },
+    events: { type: 'array', required: true, minLength: 1, maxLength: WEBHOOK_EVENTS.length, items: { check: checkEvent } },
+    // Generated when a webhook is created without one
+    secret: { type: 'string', minLength: 16, maxLength: 200 },
+    active: { check: checkBoolean }
+  }
+};
+
+module.exports = { webhookSchema };
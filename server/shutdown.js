@@ -0,0 +1,86 @@
+// server/shutdown.js - Stopping the server without cutting off requests or leaving
+// the database open
+const { logger: defaultLogger } = require('./logger');
+
+// Create the shutdown routine for a listening server; call it as soon as the server
+// is created so it can see every request. The returned function ends long-lived
+// responses through the beforeClose functions, stops accepting connections, waits up
+// to timeoutMs for requests in flight, runs the cleanup functions (timers and the
+// like, awaiting any that return a promise) and closes the database. Calling it again
+// returns the same promise.
+const createShutdown = ({ server, db, timeoutMs, beforeClose = [], cleanup = [], logger = defaultLogger }) => {
+  const inFlight = new Set();
+  let closing = false;
+  let shutdown;
+
+  // Once closing, every response asks the client to drop the connection, and
+  // connections left idle are closed so server.close() need not wait out keep-alive
+  const dropConnectionAfter = (res) => {
+    if (!res.headersSent) res.setHeader('Connection', 'close');
+  };
+
+  server.on('request', (req, res) => {
+    inFlight.add(res);
+    if (closing) dropConnectionAfter(res);
+
+    res.on('close', () => {
+      inFlight.delete(res);
+      if (closing) setImmediate(() => server.closeIdleConnections());
+    });
+  });
+
+  const closeServer = () => new Promise((resolve) => {
+    const timer = setTimeout(() => {
+      logger.warn('Requests still running at the shutdown timeout; closing their connections', {
+        requests: inFlight.size,
+        timeoutMs
+      });
+      server.closeAllConnections();
+    }, timeoutMs);
+
+    server.close(() => {
+      clearTimeout(timer);
+      resolve();
+    });
+    inFlight.forEach(dropConnectionAfter);
+    server.closeIdleConnections();
+  });
+
+  const run = async () => {
+    closing = true;
+    logger.info('Shutting down', { requests: inFlight.size, timeoutMs });
+
+    // Event streams never finish by themselves
+    beforeClose.forEach((close) => close());
+
+    await closeServer();
+    await Promise.all(cleanup.map((stop) => stop()));
+    await db.close();
+
+    logger.info('Shutdown complete');
+  };
+
+  return () => {
+    if (!shutdown) shutdown = run();
+    return shutdown;
+  };
+};
+
+// Shut down on SIGTERM or SIGINT, then exit; 1 if the shutdown itself failed
+const handleSignals = (shutdown, { logger = defaultLogger } = {}) => {
+  const onSignal = (signal) => {
+    logger.info('Received signal', { signal });
+    shutdown().then(
+      () => process.exit(0),
+      (error) => {
+        logger.error('Error shutting down', { error });
+        process.exit(1);
+      }
+    );
+  };
+
+  process.once('SIGTERM', onSignal);
+  process.once('SIGINT', onSignal);
+};
+
+module.exports = { createShutdown, handleSignals };
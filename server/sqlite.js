@@ -0,0 +1,111 @@
+// server/sqlite.js - Promise helpers over the sqlite3 callback API
+const { AsyncLocalStorage } = require('async_hooks');
+
+// sqlite3 sends every query of a connection through one handle, so a statement issued
+// while another caller has a transaction open runs inside it and is committed or
+// rolled back with it. Each connection therefore gets one queue: statements and
+// transactions take turns, and the statements a transaction runs itself go straight
+// through. Work a turn starts but leaves running, such as a timer, inherits the turn
+// along with the rest of its async context; the turn is closed when it ends, so that
+// work queues like anyone else's once it runs.
+const queues = new WeakMap();
+
+const queueOf = (db) => {
+  if (!queues.has(db)) {
+    const turn = new AsyncLocalStorage();
+    let queue = Promise.resolve();
+
+    queues.set(db, (fn) => {
+      const current = turn.getStore();
+      if (current && current.open) return fn();
+
+      const result = queue.then(() => {
+        const token = { open: true };
+        return turn.run(token, async () => {
+          try {
+            return await fn();
+          } finally {
+            token.open = false;
+          }
+        });
+      });
+      queue = result.catch(() => {});
+      return result;
+    });
+  }
+  return queues.get(db);
+};
+
+const promisify = (db) => {
+  const inTurn = queueOf(db);
+
+  return {
+    run: (sql, params = []) => inTurn(() => new Promise((resolve, reject) => {
+      db.run(sql, params, function(err) {
+        if (err) reject(err);
+        else resolve({ lastID: this.lastID, changes: this.changes });
+      });
+    })),
+    get: (sql, params = []) => inTurn(() => new Promise((resolve, reject) => {
+      db.get(sql, params, (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    })),
+    all: (sql, params = []) => inTurn(() => new Promise((resolve, reject) => {
+      db.all(sql, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    })),
+    exec: (sql) => inTurn(() => new Promise((resolve, reject) => {
+      db.exec(sql, (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    })),
+    // Step through the rows of a query one at a time with a prepared statement, so
+    // large results are never held in memory. Each step takes its own turn, so a slow
+    // reader does not hold up other queries. Stopping early finalizes the statement.
+    iterate: async function* (sql, params = []) {
+      const statement = await inTurn(() => new Promise((resolve, reject) => {
+        const prepared = db.prepare(sql, params, (err) => (err ? reject(err) : resolve(prepared)));
+      }));
+
+      try {
+        while (true) {
+          const row = await inTurn(() => new Promise((resolve, reject) => {
+            statement.get((err, next) => (err ? reject(err) : resolve(next)));
+          }));
+          if (row === undefined) return;
+          yield row;
+        }
+      } finally {
+        await inTurn(() => new Promise((resolve) => statement.finalize(() => resolve())));
+      }
+    },
+    // Run an async function with the connection to itself; everyone else's
+    // statements wait until it settles
+    exclusive: (fn) => inTurn(fn)
+  };
+};
+
+// Escape LIKE wildcards so user input is matched literally; pair with ESCAPE '\\'
+const escapeLike = (value) => value.replace(/[\\%_]/g, (char) => `\\${char}`);
+
+// Run async functions in transactions on one connection, one at a time. The
+// transaction holds the connection's queue from BEGIN to COMMIT, so no other
+// caller's statement can land inside it.
+const createTransaction = (conn) => (fn) => conn.exclusive(async () => {
+  await conn.exec('BEGIN IMMEDIATE');
+  try {
+    const value = await fn();
+    await conn.exec('COMMIT');
+    return value;
+  } catch (err) {
+    await conn.exec('ROLLBACK');
+    throw err;
+  }
+});
+
+module.exports = { promisify, createTransaction, escapeLike };
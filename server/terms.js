@@ -0,0 +1,19 @@
+// server/terms.js - Normalizing genre and tag names
+const collapseWhitespace = (value) => value.replace(/\s+/g, ' ').trim();
+
+// Key used to treat "Sci-Fi", "sci fi" and "SCI-FI" as the same term. A name made
+// only of punctuation keeps its punctuation rather than collapsing to an empty key.
+const toTermKey = (name) => {
+  const lowered = collapseWhitespace(name).toLowerCase();
+  const key = lowered
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+  return key || lowered;
+};
+
+// The name as it should be stored: trimmed, with single spaces
+const toTermName = (name) => collapseWhitespace(name);
+
+module.exports = { toTermKey, toTermName };
@@ -0,0 +1,11 @@
+// server/timers.js - Timers for background work
+
+// Call fn every intervalMs, like setInterval, except that the timer alone does not
+// keep the process running. Stop it with clearInterval.
+const setBackgroundInterval = (fn, intervalMs) => {
+  const timer = setInterval(fn, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = { setBackgroundInterval };
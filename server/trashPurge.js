@@ -0,0 +1,27 @@
+// server/trashPurge.js - Purging books that have been in the trash past the retention period
+const { logger: defaultLogger } = require('./logger');
+const { setBackgroundInterval } = require('./timers');
+
+// Purge now and then every intervalMs; returns a function that stops the timer.
+// A retention of 0 days turns automatic purging off.
+const startTrashPurge = ({ dbOperations, retentionDays, intervalMs, logger = defaultLogger }) => {
+  if (!retentionDays) return () => {};
+
+  const purge = async () => {
+    try {
+      const purged = await dbOperations.purgeTrash({ olderThanDays: retentionDays });
+      if (purged > 0) {
+        logger.info('Purged books from the trash', { purged, retentionDays });
+      }
+    } catch (error) {
+      logger.error('Error purging the trash', { error });
+    }
+  };
+
+  purge();
+  const timer = setBackgroundInterval(purge, intervalMs);
+
+  return () => clearInterval(timer);
+};
+
+module.exports = { startTrashPurge };
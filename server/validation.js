@@ -0,0 +1,138 @@
+// server/validation.js - Declarative request body validation
+//
+// A schema is { fields, checks }. Each field rule may have:
+//   type       'string', 'integer' or 'array' (omit to skip type checks)
+//   required   must be present (ignored for partial updates) and not null
+//   nullable   null, or an empty string, is stored as null
+//   minLength / maxLength   string length or array size
+//   min / max  integer range; either may be a function returning the bound
+//   items      rule applied to every array entry
+//   check      (value, field) => null or { code, message } for anything else
+// `checks` are (body, { partial }) => null or { field, code, message } run across fields.
+
+const fieldError = (field, code, message) => ({ field, code, message });
+
+const bound = (limit) => (typeof limit === 'function' ? limit() : limit);
+
+// Convert a raw value to the rule's type; returns { value } or { error }
+const coerce = (field, rule, raw) => {
+  if (rule.type === 'string') {
+    if (typeof raw === 'number' || typeof raw === 'boolean') raw = String(raw);
+    if (typeof raw !== 'string') return { error: fieldError(field, 'type', `${field} must be a string`) };
+    return { value: raw.trim() };
+  }
+
+  if (rule.type === 'integer') {
+    if (typeof raw === 'string' && /^\s*-?\d+\s*$/.test(raw)) raw = Number(raw);
+    if (!Number.isInteger(raw)) return { error: fieldError(field, 'type', `${field} must be an integer`) };
+    return { value: raw };
+  }
+
+  if (rule.type === 'array' && !Array.isArray(raw)) {
+    return { error: fieldError(field, 'type', `${field} must be an array`) };
+  }
+
+  return { value: raw };
+};
+
+// Validate one value against its rule; returns { value, errors }
+const validateValue = (field, rule, raw, { partial = false } = {}) => {
+  const isEmpty = raw === null || (typeof raw === 'string' && raw.trim() === '');
+
+  if (isEmpty) {
+    if (rule.nullable) return { value: null, errors: [] };
+    const message = partial ? `${field} cannot be cleared` : `${field} is required`;
+    return { errors: [fieldError(field, 'required', message)] };
+  }
+
+  const { value, error } = coerce(field, rule, raw);
+  if (error) return { errors: [error] };
+
+  const errors = [];
+  const size = rule.type === 'array' ? 'items' : 'characters';
+  const length = typeof value === 'string' || Array.isArray(value) ? value.length : null;
+
+  if (length !== null && rule.minLength !== undefined && length < rule.minLength) {
+    errors.push(fieldError(field, 'too_short', `${field} must have at least ${rule.minLength} ${size}`));
+  }
+  if (length !== null && rule.maxLength !== undefined && length > rule.maxLength) {
+    errors.push(fieldError(field, 'too_long', `${field} must have at most ${rule.maxLength} ${size}`));
+  }
+  if (rule.min !== undefined && value < bound(rule.min)) {
+    errors.push(fieldError(field, 'too_small', `${field} must be at least ${bound(rule.min)}`));
+  }
+  if (rule.max !== undefined && value > bound(rule.max)) {
+    errors.push(fieldError(field, 'too_large', `${field} must be at most ${bound(rule.max)}`));
+  }
+
+  let result = value;
+  if (rule.items && Array.isArray(value)) {
+    result = value.map((item, index) => {
+      const itemResult = validateValue(`${field}[${index}]`, rule.items, item);
+      errors.push(...itemResult.errors);
+      return itemResult.value;
+    });
+  }
+
+  if (errors.length === 0 && rule.check) {
+    const problem = rule.check(result, field);
+    if (problem) errors.push(fieldError(field, problem.code, problem.message));
+  }
+
+  return { value: result, errors };
+};
+
+// Validate a request body. Returns { value, errors }: value holds the coerced known
+// fields. Unknown fields are dropped, or reported when rejectUnknown is set.
+const validate = (schema, body, { partial = false, rejectUnknown = false } = {}) => {
+  if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+    return { value: {}, errors: [fieldError(null, 'type', 'Request body must be a JSON object')] };
+  }
+
+  const value = {};
+  const errors = [];
+
+  for (const field of Object.keys(body)) {
+    if (schema.fields[field] === undefined && rejectUnknown) {
+      errors.push(fieldError(field, 'not_allowed', `${field} cannot be updated`));
+    }
+  }
+
+  for (const [field, rule] of Object.entries(schema.fields)) {
+    const raw = body[field];
+
+    if (raw === undefined) {
+      if (rule.required && !partial) errors.push(fieldError(field, 'required', `${field} is required`));
+      continue;
+    }
+
+    const result = validateValue(field, rule, raw, { partial });
+    errors.push(...result.errors);
+    if (result.errors.length === 0) value[field] = result.value;
+  }
+
+  for (const check of schema.checks || []) {
+    const problem = check(body, { partial });
+    if (problem) errors.push(problem);
+  }
+
+  return { value, errors };
+};
+
+// Middleware that replaces req.body with the validated value, or answers 422
+const validateBody = (schema, options) => (req, res, next) => {
+  const { value, errors } = validate(schema, req.body, options);
+
+  if (errors.length > 0) {
+    return res.status(422).json({
+      success: false,
+      message: errors.map((error) => error.message).join('; '),
+      errors
+    });
+  }
+
+  req.body = value;
+  next();
+};
+
+module.exports = { validate, validateBody, fieldError };
@@ -0,0 +1,115 @@
+// server/webhooks.js - Sending queued webhook deliveries, signed and retried with backoff
+const crypto = require('crypto');
+const { name, version } = require('../package.json');
+const { logger: defaultLogger } = require('./logger');
+const { setBackgroundInterval } = require('./timers');
+
+// Most deliveries sent at once in one run
+const BATCH_SIZE = 20;
+
+// The X-Webhook-Signature of a payload: an HMAC-SHA256 of "<timestamp>.<body>" keyed
+// with the webhook's secret, so a receiver can check both the body and its age
+const signPayload = (secret, timestamp, body) => (
+  `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`
+);
+
+// Seconds to wait after failed attempt n: retryBaseSeconds, doubling with each attempt
+const retryDelay = (attempt, retryBaseSeconds) => retryBaseSeconds * 2 ** (attempt - 1);
+
+// Why a request got no response at all, for the delivery log
+const describeFailure = (error, timeoutMs) => {
+  if (error.name === 'TimeoutError') return `No response within ${timeoutMs} ms`;
+  return error.cause && error.cause.message ? error.cause.message : error.message;
+};
+
+// POST one delivery to its webhook; resolves to { statusCode, error, durationMs }.
+// Redirects are not followed: the receiver has to answer with a 2xx itself.
+const send = async (delivery, timeoutMs) => {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const startedAt = Date.now();
+
+  try {
+    const response = await fetch(delivery.url, {
+      method: 'POST',
+      redirect: 'manual',
+      signal: AbortSignal.timeout(timeoutMs),
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': `${name}-webhooks/${version}`,
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': String(delivery.id),
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': signPayload(delivery.secret, timestamp, delivery.payload)
+      },
+      body: delivery.payload
+    });
+    // Read the body so the connection can be reused; what it says does not matter
+    await response.arrayBuffer();
+    return { statusCode: response.status, error: null, durationMs: Date.now() - startedAt };
+  } catch (error) {
+    return { statusCode: null, error: describeFailure(error, timeoutMs), durationMs: Date.now() - startedAt };
+  }
+};
+
+// Send every delivery that is due, log each attempt and schedule retries; a delivery
+// still failing after maxAttempts is given up on. Resolves to how many were tried.
+const deliverDueWebhooks = async ({
+  webhookOperations,
+  timeoutMs,
+  maxAttempts,
+  retryBaseSeconds,
+  logger = defaultLogger
+}) => {
+  const deliveries = await webhookOperations.getDueDeliveries({ limit: BATCH_SIZE });
+
+  await Promise.all(deliveries.map(async (delivery) => {
+    const attempt = delivery.attempt_count + 1;
+    const result = await send(delivery, timeoutMs);
+    const delivered = result.statusCode >= 200 && result.statusCode < 300;
+
+    let status = 'pending';
+    if (delivered) status = 'delivered';
+    else if (attempt >= maxAttempts) status = 'failed';
+
+    const retryInSeconds = retryDelay(attempt, retryBaseSeconds);
+    await webhookOperations.recordAttempt(delivery.id, { attempt, ...result, status, retryInSeconds });
+
+    const details = { deliveryId: delivery.id, url: delivery.url, attempt, statusCode: result.statusCode, error: result.error };
+    if (status === 'failed') {
+      logger.warn('Giving up on webhook delivery', details);
+    } else if (status === 'pending') {
+      logger.info('Webhook delivery failed; retrying later', { ...details, retryInSeconds });
+    }
+  }));
+
+  return deliveries.length;
+};
+
+// Send due deliveries now and then every intervalMs. Returns a function that stops the
+// timer and resolves once a run in progress has finished.
+const startWebhookDelivery = ({ intervalMs, logger = defaultLogger, ...options }) => {
+  let running = null;
+
+  // Runs never overlap: a slow receiver holds the next run back rather than being
+  // sent the same delivery twice
+  const run = () => {
+    if (!running) {
+      running = deliverDueWebhooks({ ...options, logger })
+        .catch((error) => logger.error('Error delivering webhooks', { error }))
+        .finally(() => {
+          running = null;
+        });
+    }
+    return running;
+  };
+
+  run();
+  const timer = setBackgroundInterval(run, intervalMs);
+
+  return () => {
+    clearInterval(timer);
+    return Promise.resolve(running);
+  };
+};
+
+module.exports = { signPayload, retryDelay, deliverDueWebhooks, startWebhookDelivery };
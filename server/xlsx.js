@@ -0,0 +1,194 @@
+// server/xlsx.js - Streaming a single-sheet Excel (.xlsx) workbook
+//
+// An .xlsx file is a zip of XML parts. The sheet is deflated in segments as rows
+// arrive, and each zip entry's CRC and sizes follow its data in a data descriptor,
+// so nothing has to be buffered beyond the current batch of rows.
+const zlib = require('zlib');
+
+// Rows deflated together in one segment of the sheet
+const ROWS_PER_SEGMENT = 100;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k += 1) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+const updateCrc = (crc, buffer) => {
+  let c = crc ^ 0xffffffff;
+  for (const byte of buffer) {
+    c = CRC_TABLE[(c ^ byte) & 0xff] ^ (c >>> 8);
+  }
+  return (c ^ 0xffffffff) >>> 0;
+};
+
+// MS-DOS date and time fields used by zip headers
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+// Flags: sizes follow the data (bit 3), names are UTF-8 (bit 11); method 8 is deflate
+const ZIP_FLAGS = 0x0808;
+const DEFLATE = 8;
+
+const localHeader = (name, stamp) => {
+  const header = Buffer.alloc(30);
+  header.writeUInt32LE(0x04034b50, 0);
+  header.writeUInt16LE(20, 4);
+  header.writeUInt16LE(ZIP_FLAGS, 6);
+  header.writeUInt16LE(DEFLATE, 8);
+  header.writeUInt16LE(stamp.time, 10);
+  header.writeUInt16LE(stamp.date, 12);
+  header.writeUInt16LE(name.length, 26);
+  return Buffer.concat([header, name]);
+};
+
+const dataDescriptor = ({ crc, compressedSize, size }) => {
+  const descriptor = Buffer.alloc(16);
+  descriptor.writeUInt32LE(0x08074b50, 0);
+  descriptor.writeUInt32LE(crc, 4);
+  descriptor.writeUInt32LE(compressedSize, 8);
+  descriptor.writeUInt32LE(size, 12);
+  return descriptor;
+};
+
+const centralHeader = ({ name, crc, compressedSize, size, offset }, stamp) => {
+  const header = Buffer.alloc(46);
+  header.writeUInt32LE(0x02014b50, 0);
+  header.writeUInt16LE(20, 4);
+  header.writeUInt16LE(20, 6);
+  header.writeUInt16LE(ZIP_FLAGS, 8);
+  header.writeUInt16LE(DEFLATE, 10);
+  header.writeUInt16LE(stamp.time, 12);
+  header.writeUInt16LE(stamp.date, 14);
+  header.writeUInt32LE(crc, 16);
+  header.writeUInt32LE(compressedSize, 20);
+  header.writeUInt32LE(size, 24);
+  header.writeUInt16LE(name.length, 28);
+  header.writeUInt32LE(offset, 42);
+  return Buffer.concat([header, name]);
+};
+
+const endOfCentralDirectory = (count, size, offset) => {
+  const record = Buffer.alloc(22);
+  record.writeUInt32LE(0x06054b50, 0);
+  record.writeUInt16LE(count, 8);
+  record.writeUInt16LE(count, 10);
+  record.writeUInt32LE(size, 12);
+  record.writeUInt32LE(offset, 16);
+  return record;
+};
+
+// Write a zip archive of { name, chunks } entries, where chunks is an async iterable of
+// strings. Sync-flushed deflate segments end on a byte boundary, so they can be
+// concatenated and closed with one final empty block.
+const zipEntries = async function* (entries) {
+  const stamp = dosDateTime(new Date());
+  const written = [];
+  let offset = 0;
+
+  for (const { name, chunks } of entries) {
+    const nameBytes = Buffer.from(name);
+    const entry = { name: nameBytes, crc: 0, compressedSize: 0, size: 0, offset };
+    const header = localHeader(nameBytes, stamp);
+    offset += header.length;
+    yield header;
+
+    for await (const chunk of chunks) {
+      const data = Buffer.from(chunk);
+      const deflated = zlib.deflateRawSync(data, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+      entry.crc = updateCrc(entry.crc, data);
+      entry.size += data.length;
+      entry.compressedSize += deflated.length;
+      offset += deflated.length;
+      yield deflated;
+    }
+
+    const last = zlib.deflateRawSync(Buffer.alloc(0));
+    entry.compressedSize += last.length;
+    const descriptor = dataDescriptor(entry);
+    offset += last.length + descriptor.length;
+    yield Buffer.concat([last, descriptor]);
+    written.push(entry);
+  }
+
+  const directory = Buffer.concat(written.map((entry) => centralHeader(entry, stamp)));
+  yield Buffer.concat([directory, endOfCentralDirectory(written.length, directory.length, offset)]);
+};
+
+// Escape text for XML, dropping control characters XML 1.0 does not allow
+const escapeXml = (value) => String(value)
+  .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f\ufffe\uffff]/g, '')
+  .replace(/[<>&"]/g, (char) => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;' })[char]);
+
+// Numbers become numeric cells, anything else inline strings; null leaves the cell empty
+const cellXml = (value) => {
+  if (value === null || value === undefined || value === '') return '<c/>';
+  if (typeof value === 'number' && Number.isFinite(value)) return `<c><v>${value}</v></c>`;
+  return `<c t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+};
+
+const XML_DECLARATION = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+const rowXml = (values) => `<row>${values.map(cellXml).join('')}</row>`;
+
+// The sheet XML: the header row, then the data rows in segments
+const sheetChunks = async function* (header, rows) {
+  yield XML_DECLARATION
+    + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>'
+    + rowXml(header);
+
+  let segment = [];
+  for await (const values of rows) {
+    segment.push(rowXml(values));
+    if (segment.length === ROWS_PER_SEGMENT) {
+      yield segment.join('');
+      segment = [];
+    }
+  }
+
+  yield `${segment.join('')}</sheetData></worksheet>`;
+};
+
+const workbookParts = (sheetName) => [
+  {
+    name: '[Content_Types].xml',
+    xml: '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+      + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+      + '<Default Extension="xml" ContentType="application/xml"/>'
+      + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+      + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+      + '</Types>'
+  },
+  {
+    name: '_rels/.rels',
+    xml: '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+      + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+      + '</Relationships>'
+  },
+  {
+    name: 'xl/workbook.xml',
+    xml: '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"'
+      + ' xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+      + `<sheets><sheet name="${escapeXml(sheetName)}" sheetId="1" r:id="rId1"/></sheets>`
+      + '</workbook>'
+  },
+  {
+    name: 'xl/_rels/workbook.xml.rels',
+    xml: '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+      + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+      + '</Relationships>'
+  }
+];
+
+// Stream a workbook with one sheet: a header row, then one row per array in `rows`
+// (any iterable or async iterable). Yields Buffers.
+const writeXlsx = (header, rows, { sheetName = 'Sheet1' } = {}) => zipEntries([
+  ...workbookParts(sheetName).map(({ name, xml }) => ({ name, chunks: [XML_DECLARATION + xml] })),
+  { name: 'xl/worksheets/sheet1.xml', chunks: sheetChunks(header, rows) }
+]);
+
+module.exports = { writeXlsx };
@@ -0,0 +1,172 @@
+// tests/api/authorization.api.test.js
+const { createApp } = require('../../server/app');
+const { createDatabase } = require('../../server/database');
+const { signIn } = require('../helpers/auth');
+
+describe('Role-Based Authorization', () => {
+  let app;
+  let database;
+  const agents = {};
+  const users = {};
+
+  // Sign a user in, keeping the user in users, and return their agent
+  const signInAs = async (username) => {
+    const { user, agent } = await signIn(app, username);
+    users[username] = user;
+    return agent;
+  };
+
+  beforeAll(async () => {
+    database = createDatabase({ filename: ':memory:' });
+    await database.ready;
+    app = createApp({ db: database });
+
+    // The first account is the admin; later ones start as viewers
+    agents.admin = await signInAs('admin');
+    agents.editor = await signInAs('editor');
+    agents.viewer = await signInAs('viewer');
+
+    await agents.admin.patch(`/api/users/${users.editor.id}`).send({ role: 'editor' }).expect(200);
+  });
+
+  afterAll(async () => {
+    await database.close();
+  });
+
+  const createBook = async (title) => {
+    const response = await agents.admin.post('/api/books').send({ title, author: 'Role Author' }).expect(201);
+    return response.body.data.id;
+  };
+
+  describe('registration', () => {
+    test('should make the first user an admin and later users viewers', () => {
+      expect(users.admin.role).toBe('admin');
+      expect(users.viewer.role).toBe('viewer');
+    });
+
+    test('should report the role and its permissions from /me', async () => {
+      const response = await agents.editor.get('/api/auth/me').expect(200);
+
+      expect(response.body.data.user.role).toBe('editor');
+      expect(response.body.data.permissions).toEqual([
+        'books:read', 'books:create', 'books:update',
+        'authors:read', 'authors:create', 'authors:update',
+        'taxonomy:manage'
+      ]);
+    });
+  });
+
+  describe('viewer', () => {
+    test('should read books', async () => {
+      await agents.viewer.get('/api/books').expect(200);
+      await agents.viewer.get('/api/books/search?q=anything').expect(200);
+    });
+
+    test('should get a machine-readable 403 when creating a book', async () => {
+      const response = await agents.viewer
+        .post('/api/books')
+        .send({ title: 'Nope', author: 'Viewer' })
+        .expect(403);
+
+      expect(response.body).toEqual({
+        success: false,
+        message: 'Your role (viewer) does not allow books:create',
+        reason: 'missing_permission',
+        permission: 'books:create',
+        role: 'viewer'
+      });
+    });
+
+    test('should not update or delete books', async () => {
+      const id = await createBook('Viewer Target');
+
+      await agents.viewer.put(`/api/books/${id}`).send({ title: 'X', author: 'Y' }).expect(403);
+      await agents.viewer.patch(`/api/books/${id}`).send({ title: 'X' }).expect(403);
+      await agents.viewer.delete(`/api/books/${id}`).expect(403);
+    });
+  });
+
+  describe('editor', () => {
+    test('should create and update books', async () => {
+      const created = await agents.editor
+        .post('/api/books')
+        .send({ title: 'Editor Book', author: 'Editor' })
+        .expect(201);
+      const { id } = created.body.data;
+
+      await agents.editor.put(`/api/books/${id}`).send({ title: 'Edited', author: 'Editor' }).expect(200);
+      await agents.editor.patch(`/api/books/${id}`).send({ genre: 'Edited Genre' }).expect(200);
+    });
+
+    test('should not delete books', async () => {
+      const id = await createBook('Editor Target');
+
+      const response = await agents.editor.delete(`/api/books/${id}`).expect(403);
+      expect(response.body.permission).toBe('books:delete');
+    });
+
+    test('should not see, restore or purge the trash', async () => {
+      const id = await createBook('Editor Trash');
+      await agents.admin.delete(`/api/books/${id}`).expect(200);
+
+      await agents.editor.get('/api/books/trash').expect(403);
+      await agents.editor.post(`/api/books/${id}/restore`).expect(403);
+      const response = await agents.editor.delete(`/api/books/trash/${id}`).expect(403);
+      expect(response.body.permission).toBe('books:purge');
+    });
+
+    test('should not manage users', async () => {
+      const response = await agents.editor.get('/api/users').expect(403);
+      expect(response.body.permission).toBe('users:manage');
+    });
+  });
+
+  describe('admin', () => {
+    test('should delete, restore and purge books', async () => {
+      const id = await createBook('Admin Target');
+
+      await agents.admin.delete(`/api/books/${id}`).expect(200);
+      await agents.admin.post(`/api/books/${id}/restore`).expect(200);
+      await agents.admin.delete(`/api/books/${id}`).expect(200);
+      await agents.admin.delete(`/api/books/trash/${id}`).expect(200);
+    });
+
+    test('should list users', async () => {
+      const response = await agents.admin.get('/api/users').expect(200);
+
+      expect(response.body.data.map(user => user.username)).toEqual(['admin', 'editor', 'viewer']);
+      response.body.data.forEach(user => expect(user).not.toHaveProperty('password_hash'));
+    });
+
+    test('should reject unknown roles', async () => {
+      await agents.admin.patch(`/api/users/${users.viewer.id}`).send({ role: 'owner' }).expect(400);
+    });
+
+    test('should not demote the last admin', async () => {
+      const response = await agents.admin
+        .patch(`/api/users/${users.admin.id}`)
+        .send({ role: 'viewer' })
+        .expect(409);
+
+      expect(response.body.message).toBe('Cannot demote the last admin');
+    });
+
+    test('should apply a role change to existing sessions', async () => {
+      const temp = await signInAs('temp-editor');
+      await temp.post('/api/books').send({ title: 'Too Early', author: 'Temp' }).expect(403);
+
+      await agents.admin.patch(`/api/users/${users['temp-editor'].id}`).send({ role: 'editor' }).expect(200);
+
+      await temp.post('/api/books').send({ title: 'Now Allowed', author: 'Temp' }).expect(201);
+    });
+
+    test('should delete a user and end their sessions', async () => {
+      const doomed = await signInAs('doomed');
+
+      await agents.admin.delete(`/api/users/${users.doomed.id}`).expect(200);
+
+      await doomed.get('/api/books').expect(401);
+      await agents.admin.delete(`/api/users/${users.doomed.id}`).expect(404);
+    });
+  });
+});
@@ -0,0 +1,200 @@
+// tests/api/authors.api.test.js
+const { createApp } = require('../../server/app');
+const { createDatabase } = require('../../server/database');
+const { signIn } = require('../helpers/auth');
+
+describe('Authors API Endpoints', () => {
+  let app;
+  let api;
+  let database;
+
+  beforeAll(async () => {
+    database = createDatabase({ filename: ':memory:' });
+    await database.ready;
+
+    app = createApp({ db: database });
+
+    // The first account is an admin, so it may use every endpoint
+    api = (await signIn(app, 'author-tester')).agent;
+  });
+
+  afterAll(async () => {
+    await database.close();
+  });
+
+  describe('POST /api/authors', () => {
+    test('should create an author', async () => {
+      const response = await api
+        .post('/api/authors')
+        .send({ name: 'Le Guin, Ursula K.', bio: 'Wrote Earthsea' })
+        .expect(201);
+
+      expect(response.body.data).toMatchObject({
+        name: 'Ursula K. Le Guin',
+        sort_name: 'Le Guin, Ursula K.',
+        bio: 'Wrote Earthsea',
+        book_count: 0
+      });
+    });
+
+    test('should return 409 for an author that already exists', async () => {
+      const response = await api
+        .post('/api/authors')
+        .send({ name: 'ursula k le guin' })
+        .expect(409);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.data.id).toEqual(expect.any(Number));
+    });
+
+    test('should return 400 without a name', async () => {
+      const response = await api.post('/api/authors').send({ bio: 'Nameless' }).expect(400);
+      expect(response.body.message).toBe('name is required');
+    });
+  });
+
+  describe('books with authors', () => {
+    test('should accept an authors array and still return the author string', async () => {
+      const response = await api
+        .post('/api/books')
+        .send({ title: 'Good Omens', authors: ['Terry Pratchett', { name: 'Neil Gaiman', role: 'author' }] })
+        .expect(201);
+
+      expect(response.body.data.author).toBe('Terry Pratchett & Neil Gaiman');
+      expect(response.body.data.authors.map((credit) => credit.name)).toEqual(['Terry Pratchett', 'Neil Gaiman']);
+    });
+
+    test('should credit an existing author by id', async () => {
+      const list = await api.get('/api/authors?q=Le%20Guin').expect(200);
+      const { id } = list.body.data[0];
+
+      const response = await api
+        .post('/api/books')
+        .send({ title: 'The Dispossessed', authors: [{ id }] })
+        .expect(201);
+
+      expect(response.body.data.author).toBe('Ursula K. Le Guin');
+      expect(response.body.data.authors[0].id).toBe(id);
+    });
+
+    test('should reject an invalid authors array', async () => {
+      const response = await api
+        .post('/api/books')
+        .send({ title: 'Nobody', authors: [{ name: 'Someone', role: 'illustrator' }] })
+        .expect(422);
+
+      expect(response.body.errors).toEqual([{
+        field: 'authors[0]',
+        code: 'invalid_role',
+        message: 'authors[0].role must be one of: author, editor, translator'
+      }]);
+    });
+
+    test('should return 400 for an unknown author id', async () => {
+      const response = await api
+        .post('/api/books')
+        .send({ title: 'Nobody', authors: [{ id: 999999 }] })
+        .expect(400);
+
+      expect(response.body.message).toBe('Author 999999 not found');
+    });
+  });
+
+  describe('GET /api/authors', () => {
+    test('should list authors by sort name with book counts', async () => {
+      const response = await api.get('/api/authors').expect(200);
+
+      expect(response.body.data.map((author) => author.name)).toEqual([
+        'Neil Gaiman', 'Ursula K. Le Guin', 'Terry Pratchett'
+      ]);
+      expect(response.body.data.map((author) => author.book_count)).toEqual([1, 1, 1]);
+      expect(response.body.total).toBe(3);
+    });
+
+    test('should return 404 for an unknown author', async () => {
+      await api.get('/api/authors/999999').expect(404);
+    });
+  });
+
+  describe('GET /api/authors/:id/books', () => {
+    test('should list the books crediting an author', async () => {
+      const list = await api.get('/api/authors?q=Gaiman').expect(200);
+      const response = await api.get(`/api/authors/${list.body.data[0].id}/books`).expect(200);
+
+      expect(response.body.data.map((book) => book.title)).toEqual(['Good Omens']);
+      expect(response.body.total).toBe(1);
+    });
+
+    test('should list the books with their genres and tags', async () => {
+      const book = await api
+        .post('/api/books')
+        .send({ title: 'Kraken', author: 'China Miéville', genres: ['Weird Fiction'], tags: ['london'] })
+        .expect(201);
+
+      const response = await api.get(`/api/authors/${book.body.data.authors[0].id}/books`).expect(200);
+      expect(response.body.data).toEqual([book.body.data]);
+    });
+  });
+
+  describe('PUT /api/authors/:id', () => {
+    test('should rename an author on every book crediting them', async () => {
+      const list = await api.get('/api/authors?q=Pratchett').expect(200);
+      const { id } = list.body.data[0];
+
+      const response = await api.put(`/api/authors/${id}`).send({ name: 'Sir Terry Pratchett' }).expect(200);
+      expect(response.body.data.name).toBe('Sir Terry Pratchett');
+
+      const books = await api.get(`/api/authors/${id}/books`).expect(200);
+      expect(books.body.data[0].author).toBe('Sir Terry Pratchett & Neil Gaiman');
+    });
+
+    test('should return 409 when the new name belongs to another author', async () => {
+      const list = await api.get('/api/authors?q=Pratchett').expect(200);
+
+      await api.put(`/api/authors/${list.body.data[0].id}`).send({ name: 'Gaiman, Neil' }).expect(409);
+    });
+  });
+
+  describe('DELETE /api/authors/:id', () => {
+    test('should refuse to delete an author who still has books', async () => {
+      const list = await api.get('/api/authors?q=Gaiman').expect(200);
+
+      const response = await api.delete(`/api/authors/${list.body.data[0].id}`).expect(409);
+      expect(response.body.data.book_count).toBe(1);
+    });
+
+    test('should refuse to delete an author whose books are in the trash', async () => {
+      const book = await api.post('/api/books').send({ title: 'Binned', author: 'Binned Writer' }).expect(201);
+      const [credit] = book.body.data.authors;
+      await api.delete(`/api/books/${book.body.data.id}`).expect(200);
+
+      const author = await api.get(`/api/authors/${credit.id}`).expect(200);
+      expect(author.body.data.book_count).toBe(0);
+      const books = await api.get(`/api/authors/${credit.id}/books`).expect(200);
+      expect(books.body.data).toEqual([]);
+
+      const response = await api.delete(`/api/authors/${credit.id}`).expect(409);
+      expect(response.body.message).toBe('Author is credited on books in the trash; purge or restore them first');
+
+      await api.delete(`/api/books/trash/${book.body.data.id}`).expect(200);
+      await api.delete(`/api/authors/${credit.id}`).expect(200);
+    });
+
+    test('should delete an author without books', async () => {
+      const created = await api.post('/api/authors').send({ name: 'Unpublished Writer' }).expect(201);
+
+      await api.delete(`/api/authors/${created.body.data.id}`).expect(200);
+      await api.get(`/api/authors/${created.body.data.id}`).expect(404);
+    });
+  });
+
+  describe('authorization', () => {
+    test('should let viewers read but not create authors', async () => {
+      const { agent: viewer } = await signIn(app, 'author-viewer');
+
+      await viewer.get('/api/authors').expect(200);
+      const response = await viewer.post('/api/authors').send({ name: 'Anyone' }).expect(403);
+      expect(response.body.permission).toBe('authors:create');
+    });
+  });
+});
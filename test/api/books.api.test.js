@@ -1,72 +1,34 @@
 // tests/api/books.api.test.js
 const request = require('supertest');
-const path = require('path');
-const fs = require('fs');
-const express = require('express');
-const cors = require('cors');
-
-// We need to create an instance of the app rather than importing it directly
-// Import the routes instead
-const bookRoutes = require('../../server/routes/books');
-
-// Create a test app for testing
-const createTestApp = () => {
-  const app = express();
-  app.use(cors());
-  app.use(express.json());
-  app.use('/api/books', bookRoutes);
-  
-  // Health check endpoint
-  app.get('/health', (req, res) => {
-    res.status(200).json({
-      status: 'OK',
-      timestamp: new Date().toISOString(),
-      message: 'Book Management API is running'
-    });
-  });
-
-  // Frontend route
-  app.get('/', (req, res) => {
-    res.set('Content-Type', 'text/html');
-    res.status(200).send('<html><body><h1>Book Management App</h1></body></html>');
-  });
 
-  // 404 handler for API routes
-  app.use('/api/*', (req, res) => {
-    res.status(404).json({
-      success: false,
-      message: 'Endpoint not found'
-    });
-  });
-
-  return app;
-}
+const { createApp } = require('../../server/app');
+const { createDatabase } = require('../../server/database');
+const { signIn } = require('../helpers/auth');
 
 describe('Books API Endpoints', () => {
   let testBookId;
   let app;
-  const testDbPath = path.join(__dirname, '../../server/books_test.db');
+  let api;
+  let database;
 
   beforeAll(async () => {
-    // Clean up any existing test database
-    if (fs.existsSync(testDbPath)) {
-      fs.unlinkSync(testDbPath);
-    }
-    
-    // Create test app
-    app = createTestApp();
+    // Run the real app against a private in-memory database
+    database = createDatabase({ filename: ':memory:' });
+    await database.ready;
+
+    app = createApp({ db: database });
+
+    // Sign in once and send the access token with every request
+    api = (await signIn(app, 'api-tester')).agent;
   });
 
   afterAll(async () => {
-    // Clean up test database after tests
-    if (fs.existsSync(testDbPath)) {
-      fs.unlinkSync(testDbPath);
-    }
+    await database.close();
   });
 
   describe('GET /api/books', () => {
     test('should return all books with success status', async () => {
-      const response = await request(app)
+      const response = await api
         .get('/api/books')
         .expect(200);
 
@@ -78,7 +40,7 @@ describe('Books API Endpoints', () => {
     });
 
     test('should return books with correct structure', async () => {
-      const response = await request(app)
+      const response = await api
         .get('/api/books')
         .expect(200);
 
@@ -93,18 +55,158 @@ describe('Books API Endpoints', () => {
     });
   });
 
+  describe('GET /api/books filtering, sorting and pagination', () => {
+    const author = `Pagination Author ${Date.now()}`;
+    const createdIds = [];
+
+    beforeAll(async () => {
+      const books = [
+        { title: 'Paging C', author, published_year: 1990, genre: 'Paging Genre' },
+        { title: 'Paging A', author, published_year: 2000, genre: 'Paging Genre' },
+        { title: 'Paging B', author, published_year: 2010, genre: 'Other Paging Genre' }
+      ];
+
+      for (const book of books) {
+        const response = await api.post('/api/books').send(book);
+        createdIds.push(response.body.data.id);
+      }
+    });
+
+    afterAll(async () => {
+      for (const id of createdIds) {
+        await api.delete(`/api/books/${id}`);
+      }
+    });
+
+    test('should filter by author, genre and published year range', async () => {
+      const response = await api
+        .get('/api/books')
+        .query({ author, genre: 'paging genre', year_from: 1995, year_to: 2005 })
+        .expect(200);
+
+      expect(response.body.total).toBe(1);
+      expect(response.body.data.map(book => book.title)).toEqual(['Paging A']);
+    });
+
+    test('should sort on the requested column and direction', async () => {
+      const response = await api
+        .get('/api/books')
+        .query({ author, sort: 'title', order: 'asc' })
+        .expect(200);
+
+      expect(response.body.data.map(book => book.title)).toEqual(['Paging A', 'Paging B', 'Paging C']);
+    });
+
+    test('should paginate with page and limit', async () => {
+      const response = await api
+        .get('/api/books')
+        .query({ author, sort: 'published_year', order: 'desc', limit: 2, page: 2 })
+        .expect(200);
+
+      expect(response.body.total).toBe(3);
+      expect(response.body.page).toBe(2);
+      expect(response.body.pageSize).toBe(2);
+      expect(response.body.data.map(book => book.title)).toEqual(['Paging C']);
+      expect(response.body.links.next).toBeNull();
+      expect(response.body.links.prev).toContain('page=1');
+    });
+
+    test('should reject unknown sort fields', async () => {
+      const response = await api
+        .get('/api/books?sort=unknown_column')
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe('GET /api/books/search', () => {
+    const marker = `zyxsearch${Date.now()}`;
+    const searchBookIds = [];
+
+    beforeAll(async () => {
+      const books = [
+        { title: `Quantum ${marker}`, author: 'Search Author', description: 'A tale of entangled particles and lost letters' },
+        { title: 'Unrelated Title', author: `${marker} Writer`, description: `Mentions ${marker} once in passing` }
+      ];
+
+      for (const book of books) {
+        const response = await api.post('/api/books').send(book);
+        searchBookIds.push(response.body.data.id);
+      }
+    });
+
+    afterAll(async () => {
+      for (const id of searchBookIds) {
+        await api.delete(`/api/books/${id}`);
+      }
+    });
+
+    test('should rank title matches above other columns', async () => {
+      const response = await api
+        .get('/api/books/search')
+        .query({ q: marker })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.total).toBe(2);
+      expect(response.body.data[0].id).toBe(searchBookIds[0]);
+      expect(response.body.data[0]).toHaveProperty('score');
+    });
+
+    test('should support phrase queries with highlighted snippets', async () => {
+      const response = await api
+        .get('/api/books/search')
+        .query({ q: '"entangled particles"' })
+        .expect(200);
+
+      const match = response.body.data.find(book => book.id === searchBookIds[0]);
+      expect(match.snippet).toContain('<mark>entangled particles</mark>');
+    });
+
+    test('should support prefix matching', async () => {
+      const response = await api
+        .get('/api/books/search')
+        .query({ q: `${marker.slice(0, -3)}*` })
+        .expect(200);
+
+      expect(response.body.data.map(book => book.id).sort()).toEqual([...searchBookIds].sort());
+    });
+
+    test('should keep the index in sync when a book is updated', async () => {
+      await api
+        .put(`/api/books/${searchBookIds[1]}`)
+        .send({ title: 'Unrelated Title', author: 'Renamed Writer', description: 'No marker anymore' })
+        .expect(200);
+
+      const response = await api
+        .get('/api/books/search')
+        .query({ q: marker })
+        .expect(200);
+
+      expect(response.body.data.map(book => book.id)).toEqual([searchBookIds[0]]);
+    });
+
+    test('should return 400 for an invalid query', async () => {
+      await api
+        .get('/api/books/search')
+        .query({ q: 'NOT' })
+        .expect(400);
+    });
+  });
+
   describe('POST /api/books', () => {
     test('should create a new book with valid data', async () => {
       const newBook = {
         title: 'Test Book API',
         author: 'Test Author API',
-        isbn: '978-0-123456-78-9',
+        isbn: '978-0-123456-78-6',
         published_year: 2024,
         genre: 'Test Genre',
         description: 'A test book for API testing'
       };
 
-      const response = await request(app)
+      const response = await api
         .post('/api/books')
         .send(newBook)
         .expect(201);
@@ -132,7 +234,7 @@ describe('Books API Endpoints', () => {
         author: 'Minimal Author'
       };
 
-      const response = await request(app)
+      const response = await api
         .post('/api/books')
         .send(minimalBook)
         .expect(201);
@@ -142,56 +244,61 @@ describe('Books API Endpoints', () => {
       expect(response.body.data.author).toBe(minimalBook.author);
     });
 
-    test('should return 400 when title is missing', async () => {
+    test('should return 422 when title is missing', async () => {
       const invalidBook = {
         author: 'Test Author'
       };
 
-      const response = await request(app)
+      const response = await api
         .post('/api/books')
         .send(invalidBook)
-        .expect(400);
+        .expect(422);
 
       expect(response.body).toHaveProperty('success', false);
-      expect(response.body).toHaveProperty('message', 'Title and author are required');
+      expect(response.body.errors).toEqual([
+        { field: 'title', code: 'required', message: 'title is required' }
+      ]);
     });
 
-    test('should return 400 when author is missing', async () => {
+    test('should return 422 when author is missing', async () => {
       const invalidBook = {
         title: 'Test Title'
       };
 
-      const response = await request(app)
+      const response = await api
         .post('/api/books')
         .send(invalidBook)
-        .expect(400);
+        .expect(422);
 
       expect(response.body).toHaveProperty('success', false);
-      expect(response.body).toHaveProperty('message', 'Title and author are required');
+      expect(response.body.errors).toEqual([
+        { field: 'author', code: 'required', message: 'author is required' }
+      ]);
     });
 
-    test('should return 400 when both title and author are missing', async () => {
+    test('should return 422 listing every missing field', async () => {
       const invalidBook = {
-        isbn: '978-0-123456-78-0'
+        isbn: '978-0-123456-79-3'
       };
 
-      const response = await request(app)
+      const response = await api
         .post('/api/books')
         .send(invalidBook)
-        .expect(400);
+        .expect(422);
 
       expect(response.body).toHaveProperty('success', false);
-      expect(response.body).toHaveProperty('message', 'Title and author are required');
+      expect(response.body).toHaveProperty('message', 'title is required; author is required');
+      expect(response.body.errors.map((error) => error.field)).toEqual(['title', 'author']);
     });
 
     test('should handle duplicate ISBN', async () => {
       const bookWithDuplicateISBN = {
         title: 'Another Test Book',
         author: 'Another Author',
-        isbn: '978-0-123456-78-9' // Same ISBN as first test book
+        isbn: '978-0-123456-78-6' // Same ISBN as first test book
       };
 
-      const response = await request(app)
+      const response = await api
         .post('/api/books')
         .send(bookWithDuplicateISBN)
         .expect(400);
@@ -199,11 +306,71 @@ describe('Books API Endpoints', () => {
       expect(response.body).toHaveProperty('success', false);
       expect(response.body.message).toContain('ISBN already exists');
     });
+
+    test('should treat the same ISBN in another notation as a duplicate', async () => {
+      const response = await api
+        .post('/api/books')
+        .send({ title: 'Same Book, Other Notation', author: 'Another Author', isbn: '9780123456786' })
+        .expect(400);
+
+      expect(response.body.message).toBe('ISBN already exists');
+    });
+
+    test('should return 422 for an invalid ISBN', async () => {
+      const response = await api
+        .post('/api/books')
+        .send({ title: 'Bad ISBN', author: 'Someone', isbn: '978-0-123456-78-9' })
+        .expect(422);
+
+      expect(response.body.errors).toEqual([
+        { field: 'isbn', code: 'invalid_isbn', message: 'isbn is invalid: ISBN-13 check digit does not match' }
+      ]);
+    });
+
+    test('should coerce numeric strings and trim text', async () => {
+      const response = await api
+        .post('/api/books')
+        .send({ title: '  Coerced Book  ', author: 'Someone', published_year: '1999' })
+        .expect(201);
+
+      expect(response.body.data.title).toBe('Coerced Book');
+      expect(response.body.data.published_year).toBe(1999);
+    });
+
+    test('should reject negative and future publication years', async () => {
+      const nextYear = new Date().getFullYear() + 1;
+      const negative = await api
+        .post('/api/books')
+        .send({ title: 'Old Book', author: 'Someone', published_year: -5 })
+        .expect(422);
+      const future = await api
+        .post('/api/books')
+        .send({ title: 'New Book', author: 'Someone', published_year: nextYear })
+        .expect(422);
+
+      expect(negative.body.errors[0]).toMatchObject({ field: 'published_year', code: 'too_small' });
+      expect(future.body.errors[0]).toMatchObject({ field: 'published_year', code: 'too_large' });
+    });
+  });
+
+  describe('GET /api/books/isbn/:isbn', () => {
+    test('should find a book by its ISBN-13 without hyphens and by its ISBN-10', async () => {
+      const byIsbn13 = await api.get('/api/books/isbn/9780123456786').expect(200);
+      const byIsbn10 = await api.get('/api/books/isbn/0-12-345678-9').expect(200);
+
+      expect(byIsbn13.body.data.id).toBe(testBookId);
+      expect(byIsbn10.body.data.id).toBe(testBookId);
+      expect(byIsbn13.body.data).toMatchObject({ isbn: '978-0-123456-78-6', isbn13: '9780123456786' });
+    });
+
+    test('should return 404 for a valid ISBN nobody has', async () => {
+      await api.get('/api/books/isbn/978-0-306-40615-7').expect(404);
+    });
   });
 
   describe('GET /api/books/:id', () => {
     test('should return a specific book by ID', async () => {
-      const response = await request(app)
+      const response = await api
         .get(`/api/books/${testBookId}`)
         .expect(200);
 
@@ -219,14 +386,14 @@ describe('Books API Endpoints', () => {
     test('should return 404 for non-existent book ID', async () => {
       const nonExistentId = 99999;
       
-      const response = await request(app)
+      const response = await api
         .get(`/api/books/${nonExistentId}`)
         .expect(404);
 
       expect(response.body).toHaveProperty('success', false);
       expect(response.body).toHaveProperty('message', 'Book not found');
     });    test('should handle invalid book ID format', async () => {
-      const response = await request(app)
+      const response = await api
         .get('/api/books/invalid-id')
         .expect(404);
 
@@ -239,13 +406,13 @@ describe('Books API Endpoints', () => {
       const updatedData = {
         title: 'Updated Test Book API',
         author: 'Updated Test Author API',
-        isbn: '978-0-123456-78-9',
+        isbn: '978-0-123456-78-6',
         published_year: 2025,
         genre: 'Updated Test Genre',
         description: 'An updated test book for API testing'
       };
 
-      const response = await request(app)
+      const response = await api
         .put(`/api/books/${testBookId}`)
         .send(updatedData)
         .expect(200);
@@ -269,7 +436,7 @@ describe('Books API Endpoints', () => {
         author: 'Updated Test Author API' // Keep author as required
       };
 
-      const response = await request(app)
+      const response = await api
         .put(`/api/books/${testBookId}`)
         .send(partialUpdate)
         .expect(200);
@@ -286,7 +453,7 @@ describe('Books API Endpoints', () => {
         author: 'Non-existent Author'
       };
 
-      const response = await request(app)
+      const response = await api
         .put(`/api/books/${nonExistentId}`)
         .send(updateData)
         .expect(404);
@@ -295,19 +462,79 @@ describe('Books API Endpoints', () => {
       expect(response.body).toHaveProperty('message', 'Book not found');
     });
 
-    test('should return 400 when required fields are missing in update', async () => {
+    test('should return 422 when required fields are missing in update', async () => {
       const invalidUpdate = {
-        isbn: '978-0-123456-78-1'
+        isbn: '978-0-123456-80-9'
         // Missing title and author
       };
 
-      const response = await request(app)
+      const response = await api
         .put(`/api/books/${testBookId}`)
         .send(invalidUpdate)
-        .expect(400);
+        .expect(422);
 
       expect(response.body).toHaveProperty('success', false);
-      expect(response.body).toHaveProperty('message', 'Title and author are required');
+      expect(response.body).toHaveProperty('message', 'title is required; author is required');
+    });
+  });
+
+  describe('PATCH /api/books/:id', () => {
+    let patchBookId;
+
+    beforeAll(async () => {
+      const response = await api
+        .post('/api/books')
+        .send({
+          title: 'Patch Target',
+          author: 'Patch Author',
+          published_year: 2001,
+          genre: 'Patch Genre',
+          description: 'Before patching'
+        });
+      patchBookId = response.body.data.id;
+    });
+
+    afterAll(async () => {
+      await api.delete(`/api/books/${patchBookId}`);
+    });
+
+    test('should leave fields that are not supplied untouched', async () => {
+      const response = await api
+        .patch(`/api/books/${patchBookId}`)
+        .send({ description: 'After patching' })
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({
+        title: 'Patch Target',
+        author: 'Patch Author',
+        published_year: 2001,
+        genre: 'Patch Genre',
+        description: 'After patching'
+      });
+    });
+
+    test('should apply a JSON Merge Patch document', async () => {
+      const response = await api
+        .patch(`/api/books/${patchBookId}`)
+        .set('Content-Type', 'application/merge-patch+json')
+        .send(JSON.stringify({ genre: null, published_year: 2002 }))
+        .expect(200);
+
+      expect(response.body.data.genre).toBeNull();
+      expect(response.body.data.published_year).toBe(2002);
+      expect(response.body.data.title).toBe('Patch Target');
+    });
+
+    test('should reject invalid field values', async () => {
+      const response = await api
+        .patch(`/api/books/${patchBookId}`)
+        .send({ published_year: 'last year' })
+        .expect(422);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.errors).toEqual([
+        { field: 'published_year', code: 'type', message: 'published_year must be an integer' }
+      ]);
     });
   });
 
@@ -315,7 +542,7 @@ describe('Books API Endpoints', () => {
     test('should return 404 when deleting non-existent book', async () => {
       const nonExistentId = 99999;
 
-      const response = await request(app)
+      const response = await api
         .delete(`/api/books/${nonExistentId}`)
         .expect(404);
 
@@ -324,7 +551,7 @@ describe('Books API Endpoints', () => {
     });
 
     test('should delete an existing book', async () => {
-      const response = await request(app)
+      const response = await api
         .delete(`/api/books/${testBookId}`)
         .expect(200);
 
@@ -335,10 +562,11 @@ describe('Books API Endpoints', () => {
       
       const deletedBook = response.body.data.deletedBook;
       expect(deletedBook.id).toBe(testBookId);
+      expect(deletedBook.deleted_at).toEqual(expect.any(String));
     });
 
     test('should confirm book is actually deleted', async () => {
-      const response = await request(app)
+      const response = await api
         .get(`/api/books/${testBookId}`)
         .expect(404);
 
@@ -347,9 +575,345 @@ describe('Books API Endpoints', () => {
     });
   });
 
+  describe('Conditional updates', () => {
+    let bookId;
+    let etag;
+
+    beforeAll(async () => {
+      const created = await api.post('/api/books').send({ title: 'Shared Record', author: 'Two Librarians' }).expect(201);
+      bookId = created.body.data.id;
+      etag = created.headers.etag;
+    });
+
+    test('should serve a strong ETag that follows the version', async () => {
+      const response = await api.get(`/api/books/${bookId}`).expect(200);
+
+      expect(response.headers.etag).toBe(etag);
+      expect(etag).toBe(`"${response.body.data.version}"`);
+    });
+
+    test('should apply a change made against the current ETag', async () => {
+      const response = await api
+        .patch(`/api/books/${bookId}`)
+        .set('If-Match', etag)
+        .send({ description: 'First librarian' })
+        .expect(200);
+
+      expect(response.headers.etag).not.toBe(etag);
+      expect(response.headers.etag).toBe(`"${Number(JSON.parse(etag)) + 1}"`);
+    });
+
+    test('should refuse a change made against a stale ETag', async () => {
+      // The second librarian still has the ETag from before the first one saved
+      const response = await api
+        .put(`/api/books/${bookId}`)
+        .set('If-Match', etag)
+        .send({ title: 'Second librarian', author: 'Two Librarians' })
+        .expect(412);
+
+      expect(response.body.message).toBe('Book has been changed since you loaded it');
+      expect(response.body.data).toMatchObject({ id: bookId, title: 'Shared Record', description: 'First librarian' });
+      expect(response.headers.etag).toBe(`"${response.body.data.version}"`);
+
+      await api.delete(`/api/books/${bookId}`).set('If-Match', etag).expect(412);
+      await api.get(`/api/books/${bookId}`).expect(200);
+    });
+
+    test('should overwrite with the ETag from the 412', async () => {
+      const conflict = await api
+        .put(`/api/books/${bookId}`)
+        .set('If-Match', etag)
+        .send({ title: 'Second librarian', author: 'Two Librarians' })
+        .expect(412);
+
+      const response = await api
+        .put(`/api/books/${bookId}`)
+        .set('If-Match', conflict.headers.etag)
+        .send({ title: 'Second librarian', author: 'Two Librarians' })
+        .expect(200);
+      expect(response.body.data.title).toBe('Second librarian');
+    });
+
+    test('should stay last-write-wins without If-Match', async () => {
+      await api.patch(`/api/books/${bookId}`).send({ title: 'No Precondition' }).expect(200);
+    });
+  });
+
+  describe('Conditional GET', () => {
+    test('should answer 304 until the catalog changes', async () => {
+      const first = await api.get('/api/books?limit=5').expect(200);
+      expect(first.headers.etag).toMatch(/^W\/"catalog-\d+"$/);
+      expect(first.headers['cache-control']).toBe('private, no-cache');
+
+      await api.get('/api/books?limit=5').set('If-None-Match', first.headers.etag).expect(304);
+
+      await api.post('/api/books').send({ title: 'Fresh Arrival', author: 'Cache Buster' }).expect(201);
+
+      const second = await api.get('/api/books?limit=5').set('If-None-Match', first.headers.etag).expect(200);
+      expect(second.headers.etag).not.toBe(first.headers.etag);
+      expect(second.body.data.map((book) => book.title)).toContain('Fresh Arrival');
+    });
+
+    test('should answer 304 for a book until it changes', async () => {
+      const created = await api.post('/api/books').send({ title: 'Polled Book', author: 'Cache Buster' }).expect(201);
+      const { id } = created.body.data;
+
+      const first = await api.get(`/api/books/${id}`).expect(200);
+      await api.get(`/api/books/${id}`).set('If-None-Match', first.headers.etag).expect(304);
+
+      await api.patch(`/api/books/${id}`).send({ description: 'Now with a blurb' }).expect(200);
+
+      await api.get(`/api/books/${id}`).set('If-None-Match', first.headers.etag).expect(200);
+    });
+
+    test('should not let If-Modified-Since hide a write made in the same second', async () => {
+      const created = await api.post('/api/books').send({ title: 'Busy Book', author: 'Cache Buster' }).expect(201);
+      const { id, updated_at: updatedAt } = created.body.data;
+      const written = new Date(`${updatedAt.replace(' ', 'T')}Z`);
+      const now = jest.spyOn(Date, 'now');
+
+      try {
+        // Still the second of the write, so another write could follow unseen
+        now.mockReturnValue(written.getTime() + 500);
+        const first = await api.get(`/api/books/${id}`).expect(200);
+        expect(first.headers['last-modified']).toBeUndefined();
+
+        await api.patch(`/api/books/${id}`).send({ description: 'Written in the same second' }).expect(200);
+        const second = await api
+          .get(`/api/books/${id}`)
+          .set('If-Modified-Since', written.toUTCString())
+          .expect(200);
+        expect(second.body.data.description).toBe('Written in the same second');
+
+        // Once the second is over the date validates on its own
+        const { updated_at: patchedAt } = second.body.data;
+        now.mockReturnValue(new Date(`${patchedAt.replace(' ', 'T')}Z`).getTime() + 1000);
+        const third = await api.get(`/api/books/${id}`).expect(200);
+        expect(third.headers['last-modified']).toEqual(expect.any(String));
+        await api.get(`/api/books/${id}`).set('If-Modified-Since', third.headers['last-modified']).expect(304);
+      } finally {
+        now.mockRestore();
+      }
+    });
+  });
+
+  describe('History', () => {
+    let bookId;
+    let revisions;
+
+    beforeAll(async () => {
+      const created = await api
+        .post('/api/books')
+        .set('X-Request-Id', 'history-create')
+        .send({ title: 'Draft Title', author: 'History Author', published_year: 1999, tags: ['draft'] })
+        .expect(201);
+      bookId = created.body.data.id;
+
+      await api.put(`/api/books/${bookId}`)
+        .send({ title: 'Final Title', author: 'History Author', published_year: 2001, genres: ['Essays'] })
+        .expect(200);
+      await api.patch(`/api/books/${bookId}`).send({ description: 'Added later' }).expect(200);
+
+      const response = await api.get(`/api/books/${bookId}/history`).expect(200);
+      revisions = response.body.data;
+    });
+
+    test('should echo or assign a request id', async () => {
+      const given = await api.get('/api/books?limit=1').set('X-Request-Id', 'abc-123').expect(200);
+      expect(given.headers['x-request-id']).toBe('abc-123');
+
+      const assigned = await api.get('/api/books?limit=1').set('X-Request-Id', 'not an id!').expect(200);
+      expect(assigned.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+    });
+
+    test('should record every change with who made it, newest first', async () => {
+      expect(revisions.map(revision => revision.action)).toEqual(['update', 'update', 'create']);
+      revisions.forEach(revision => {
+        expect(revision.user).toEqual({ id: expect.any(Number), username: 'api-tester' });
+        expect(revision.request_id).toEqual(expect.any(String));
+      });
+      expect(revisions[2].request_id).toBe('history-create');
+      expect(revisions[2].before).toBeNull();
+      expect(revisions[0].after.description).toBe('Added later');
+    });
+
+    test('should describe each change field by field', () => {
+      expect(revisions[2].changes).toEqual([
+        { field: 'title', from: null, to: 'Draft Title' },
+        { field: 'authors', from: null, to: [{ name: 'History Author', role: 'author' }] },
+        { field: 'published_year', from: null, to: 1999 },
+        { field: 'tags', from: null, to: ['draft'] }
+      ]);
+      expect(revisions[1].changes).toEqual([
+        { field: 'title', from: 'Draft Title', to: 'Final Title' },
+        { field: 'published_year', from: 1999, to: 2001 },
+        { field: 'genres', from: [], to: ['Essays'] }
+      ]);
+      expect(revisions[0].changes).toEqual([{ field: 'description', from: null, to: 'Added later' }]);
+    });
+
+    test('should revert to an earlier revision', async () => {
+      const response = await api.post(`/api/books/${bookId}/revert/${revisions[2].id}`).expect(200);
+
+      expect(response.body.message).toBe(`Book reverted to revision ${revisions[2].id}`);
+      expect(response.body.data).toMatchObject({
+        title: 'Draft Title',
+        published_year: 1999,
+        description: null,
+        genres: [],
+        tags: [expect.objectContaining({ name: 'draft' })]
+      });
+
+      const history = await api.get(`/api/books/${bookId}/history?limit=1`).expect(200);
+      expect(history.body.total).toBe(4);
+      expect(history.body.data[0]).toMatchObject({ action: 'revert', reverted_from: revisions[2].id });
+    });
+
+    test('should only revert to a revision of the same book', async () => {
+      const other = await api.post('/api/books').send({ title: 'Other', author: 'History Author' }).expect(201);
+
+      const response = await api.post(`/api/books/${other.body.data.id}/revert/${revisions[0].id}`).expect(404);
+      expect(response.body).toEqual({ success: false, message: 'Revision not found' });
+    });
+
+    test('should keep the history of a deleted book', async () => {
+      const created = await api.post('/api/books').send({ title: 'Short Lived', author: 'History Author' }).expect(201);
+      const { id } = created.body.data;
+      await api.delete(`/api/books/${id}`).expect(200);
+      await api.post(`/api/books/${id}/restore`).expect(200);
+      await api.delete(`/api/books/${id}`).expect(200);
+
+      const history = await api.get(`/api/books/${id}/history`).expect(200);
+      expect(history.body.data.map(revision => revision.action)).toEqual(['delete', 'restore', 'delete', 'create']);
+      expect(history.body.data[0].changes).toEqual([
+        { field: 'deleted_at', from: null, to: expect.any(String) }
+      ]);
+
+      // Reverting needs the book out of the trash
+      await api.post(`/api/books/${id}/revert/${history.body.data[3].id}`).expect(404);
+    });
+
+    test('should return 404 for the history of an unknown book', async () => {
+      const response = await api.get('/api/books/99999/history').expect(404);
+      expect(response.body.message).toBe('Book not found');
+    });
+  });
+
+  describe('Trash', () => {
+    const isbn = '978-0-14-044913-6';
+    let trashedId;
+
+    beforeAll(async () => {
+      const created = await api.post('/api/books').send({ title: 'Trash Me', author: 'Trash Author', isbn }).expect(201);
+      trashedId = created.body.data.id;
+      await api.delete(`/api/books/${trashedId}`).expect(200);
+    });
+
+    test('should leave deleted books out of listings, search and ISBN lookup', async () => {
+      const list = await api.get('/api/books?author=Trash%20Author').expect(200);
+      expect(list.body.total).toBe(0);
+
+      const search = await api.get('/api/books/search?q=Trash').expect(200);
+      expect(search.body.data.map(book => book.id)).not.toContain(trashedId);
+
+      await api.get(`/api/books/isbn/${isbn}`).expect(404);
+      await api.delete(`/api/books/${trashedId}`).expect(404);
+    });
+
+    test('should list deleted books with when they were deleted', async () => {
+      const response = await api.get('/api/books/trash?limit=1').expect(200);
+
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.data[0]).toMatchObject({ id: trashedId, title: 'Trash Me' });
+      expect(response.body.data[0].deleted_at).toEqual(expect.any(String));
+      expect(response.body).toMatchObject({ page: 1, pageSize: 1 });
+    });
+
+    test('should reject a bad page size', async () => {
+      const response = await api.get('/api/books/trash?limit=0').expect(400);
+      expect(response.body.message).toMatch(/limit/);
+    });
+
+    test('should let a new book take the ISBN of a deleted one', async () => {
+      const created = await api.post('/api/books').send({ title: 'Second Copy', author: 'Trash Author', isbn }).expect(201);
+
+      // The deleted copy cannot come back while the ISBN is taken
+      const blocked = await api.post(`/api/books/${trashedId}/restore`).expect(409);
+      expect(blocked.body).toMatchObject({
+        success: false,
+        message: 'Another book with this ISBN exists; delete or change it first',
+        data: { id: created.body.data.id }
+      });
+
+      await api.delete(`/api/books/${created.body.data.id}`).expect(200);
+      await api.delete(`/api/books/trash/${created.body.data.id}`).expect(200);
+    });
+
+    test('should restore a deleted book', async () => {
+      const response = await api.post(`/api/books/${trashedId}/restore`).expect(200);
+
+      expect(response.body.message).toBe('Book restored successfully');
+      expect(response.body.data).toMatchObject({ id: trashedId, deleted_at: null });
+      await api.get(`/api/books/${trashedId}`).expect(200);
+      await api.post(`/api/books/${trashedId}/restore`).expect(404);
+    });
+
+    test('should purge one book from the trash', async () => {
+      await api.delete(`/api/books/trash/${trashedId}`).expect(404);
+      await api.delete(`/api/books/${trashedId}`).expect(200);
+
+      const response = await api.delete(`/api/books/trash/${trashedId}`).expect(200);
+      expect(response.body.data.purgedBook.id).toBe(trashedId);
+
+      await api.post(`/api/books/${trashedId}/restore`).expect(404);
+    });
+
+    test('should empty the trash', async () => {
+      const created = await api.post('/api/books').send({ title: 'Emptied', author: 'Trash Author' }).expect(201);
+      await api.delete(`/api/books/${created.body.data.id}`).expect(200);
+
+      const response = await api.delete('/api/books/trash').expect(200);
+      expect(response.body.data.purged).toBeGreaterThanOrEqual(1);
+
+      const trash = await api.get('/api/books/trash').expect(200);
+      expect(trash.body).toMatchObject({ data: [], total: 0 });
+    });
+  });
+
+  describe('Authentication', () => {
+    test.each([
+      ['get', '/api/books'],
+      ['get', '/api/books/1'],
+      ['post', '/api/books'],
+      ['put', '/api/books/1'],
+      ['patch', '/api/books/1'],
+      ['delete', '/api/books/1']
+    ])('should reject %s %s without a token', async (method, url) => {
+      const response = await request(app)[method](url)
+        .send({ title: 'Anonymous', author: 'Nobody' })
+        .expect(401);
+
+      expect(response.headers['www-authenticate']).toMatch(/^Bearer/);
+      expect(response.body).toEqual({
+        success: false,
+        message: 'Authentication required'
+      });
+    });
+
+    test('should reject an unknown token', async () => {
+      const response = await request(app)
+        .post('/api/books')
+        .set('Authorization', 'Bearer not-a-real-token')
+        .send({ title: 'Forged', author: 'Nobody' })
+        .expect(401);
+
+      expect(response.body.message).toBe('Invalid or expired access token');
+    });
+  });
+
   describe('Error Handling', () => {
     test('should return 404 for invalid endpoints', async () => {
-      const response = await request(app)
+      const response = await api
         .get('/api/invalid-endpoint')
         .expect(404);
 
@@ -358,7 +922,7 @@ describe('Books API Endpoints', () => {
     });
 
     test('should handle malformed JSON in POST request', async () => {
-      const response = await request(app)
+      const response = await api
         .post('/api/books')
         .set('Content-Type', 'application/json')
         .send('{ invalid json }')
@@ -372,13 +936,13 @@ describe('Books API Endpoints', () => {
         author: 'JSON Test Author'
       };
 
-      const createResponse = await request(app)
+      const createResponse = await api
         .post('/api/books')
         .send(newBook);
 
       const bookId = createResponse.body.data.id;
 
-      const response = await request(app)
+      const response = await api
         .put(`/api/books/${bookId}`)
         .set('Content-Type', 'application/json')
         .send('{ invalid json }')
@@ -388,13 +952,13 @@ describe('Books API Endpoints', () => {
 
   describe('Data Validation', () => {
     test('should handle empty request body', async () => {
-      const response = await request(app)
+      const response = await api
         .post('/api/books')
         .send({})
-        .expect(400);
+        .expect(422);
 
       expect(response.body.success).toBe(false);
-      expect(response.body.message).toBe('Title and author are required');
+      expect(response.body.message).toBe('title is required; author is required');
     });
 
     test('should handle null values in request', async () => {
@@ -407,7 +971,7 @@ describe('Books API Endpoints', () => {
         description: null
       };
 
-      const response = await request(app)
+      const response = await api
         .post('/api/books')
         .send(bookWithNulls)
         .expect(201);
@@ -425,18 +989,21 @@ describe('Books API Endpoints', () => {
         description: longString
       };
 
-      const response = await request(app)
+      const response = await api
         .post('/api/books')
-        .send(bookWithLongStrings);
+        .send(bookWithLongStrings)
+        .expect(422);
 
-      // Should either succeed or handle gracefully
-      expect([200, 201, 400]).toContain(response.status);
+      expect(response.body.errors.map(({ field, code }) => ({ field, code }))).toEqual([
+        { field: 'title', code: 'too_long' },
+        { field: 'author', code: 'too_long' }
+      ]);
     });
   });
 
   describe('Health Check', () => {
     test('should return server health status', async () => {
-      const response = await request(app)
+      const response = await api
         .get('/health')
         .expect(200);
 
@@ -446,9 +1013,26 @@ describe('Books API Endpoints', () => {
     });
   });
 
+  describe('Metrics', () => {
+    test('should report requests, queries and the catalog in the Prometheus format', async () => {
+      const created = await api.post('/api/books').send({ title: 'Measured', author: 'Metric Author' }).expect(201);
+      await api.get(`/api/books/${created.body.data.id}`).expect(200);
+      await api.get('/api/books/999999').expect(404);
+
+      const response = await request(app).get('/metrics').expect(200);
+
+      expect(response.headers['content-type']).toMatch(/^text\/plain;/);
+      expect(response.headers['content-type']).toContain('version=0.0.4');
+      expect(response.text).toMatch(/http_requests_total\{method="GET",route="\/api\/books\/:id",status="200"\} \d+/);
+      expect(response.text).toMatch(/http_requests_total\{method="GET",route="\/api\/books\/:id",status="404"\} \d+/);
+      expect(response.text).toMatch(/db_query_duration_seconds_count\{method="getBookById"\} \d+/);
+      expect(response.text).toMatch(/catalog_books\{state="live"\} \d+/);
+    });
+  });
+
   describe('Frontend Serving', () => {
     test('should serve frontend at root path', async () => {
-      const response = await request(app)
+      const response = await api
         .get('/')
         .expect(200);
 
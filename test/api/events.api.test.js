@@ -0,0 +1,184 @@
+// tests/api/events.api.test.js
+const http = require('http');
+const request = require('supertest');
+
+const { createApp } = require('../../server/app');
+const { createDatabase } = require('../../server/database');
+const { createEventHub } = require('../../server/events');
+const { signIn } = require('../helpers/auth');
+
+describe('Book Events Stream', () => {
+  let database;
+  let eventHub;
+  let server;
+  let port;
+  let api;
+  let token;
+  const streams = [];
+
+  // Open GET /api/events and parse what arrives; wait(n) resolves once n events are in
+  const openStream = (headers = {}) => new Promise((resolve, reject) => {
+    const events = [];
+    const waiting = [];
+    let buffer = '';
+
+    const check = () => {
+      waiting.filter(({ count }) => events.length >= count).forEach(({ done }) => done(events));
+    };
+
+    const req = http.get({
+      port,
+      path: '/api/events',
+      headers: { Authorization: `Bearer ${token}`, ...headers }
+    }, (res) => {
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        buffer += chunk;
+        const blocks = buffer.split('\n\n');
+        buffer = blocks.pop();
+        for (const block of blocks) {
+          const fields = Object.fromEntries(block.split('\n').map((line) => {
+            const colon = line.indexOf(':');
+            return [line.slice(0, colon), line.slice(colon + 1).trim()];
+          }));
+          if (fields.event) {
+            events.push({ id: Number(fields.id), event: fields.event, data: JSON.parse(fields.data) });
+          }
+        }
+        check();
+      });
+
+      const stream = {
+        res,
+        events,
+        ended: new Promise((done) => res.on('end', done)),
+        wait: (count) => new Promise((done) => {
+          waiting.push({ count, done });
+          check();
+        }),
+        close: () => req.destroy()
+      };
+      streams.push(stream);
+      resolve(stream);
+    });
+    req.on('error', reject);
+  });
+
+  // Give the stream time to show that nothing else arrives
+  const settle = () => new Promise((resolve) => setTimeout(resolve, 150));
+
+  beforeAll(async () => {
+    database = createDatabase({ filename: ':memory:' });
+    await database.ready;
+    eventHub = createEventHub({ dbOperations: database.dbOperations, pollIntervalMs: 20 });
+    const app = createApp({ db: database, eventHub });
+
+    server = app.listen(0);
+    await new Promise((resolve) => server.once('listening', resolve));
+    port = server.address().port;
+
+    ({ token, agent: api } = await signIn(app, 'events-tester'));
+  });
+
+  afterEach(() => {
+    streams.splice(0).forEach((stream) => stream.close());
+  });
+
+  afterAll(async () => {
+    eventHub.close();
+    await new Promise((resolve) => server.close(resolve));
+    await database.close();
+  });
+
+  test('should stream book changes as they happen', async () => {
+    const stream = await openStream();
+    expect(stream.res.statusCode).toBe(200);
+    expect(stream.res.headers['content-type']).toMatch(/^text\/event-stream/);
+    expect(stream.res.headers['cache-control']).toBe('no-store');
+
+    const created = await api.post('/api/books').send({ title: 'Kindred', author: 'Octavia E. Butler' }).expect(201);
+    const id = created.body.data.id;
+    await api.patch(`/api/books/${id}`).send({ published_year: 1979 }).expect(200);
+    await api.delete(`/api/books/${id}`).expect(200);
+    await api.post(`/api/books/${id}/restore`).expect(200);
+
+    const events = await stream.wait(4);
+    expect(events.map((event) => event.event)).toEqual(['book.created', 'book.updated', 'book.deleted', 'book.restored']);
+    expect(events[0].data).toMatchObject({ id, title: 'Kindred', author: 'Octavia E. Butler' });
+    expect(events[1].data).toMatchObject({ id, published_year: 1979 });
+    expect(events[2].data.deleted_at).toEqual(expect.any(String));
+
+    // Ids only go up, so a client can resume from the last one
+    expect(events[1].id).toBeGreaterThan(events[0].id);
+    expect(events[3].id).toBeGreaterThan(events[2].id);
+  });
+
+  test('should send nothing from before the stream opened', async () => {
+    await api.post('/api/books').send({ title: 'Dawn', author: 'Octavia E. Butler' }).expect(201);
+
+    const stream = await openStream();
+    await settle();
+
+    expect(stream.events).toEqual([]);
+  });
+
+  test('should resume after Last-Event-ID', async () => {
+    const first = await openStream();
+    await api.post('/api/books').send({ title: 'Parable of the Sower', author: 'Octavia E. Butler' }).expect(201);
+    const [seen] = await first.wait(1);
+    first.close();
+
+    // Changes made while the client was away
+    await api.post('/api/books').send({ title: 'Parable of the Talents', author: 'Octavia E. Butler' }).expect(201);
+    await api.post('/api/books').send({ title: 'Fledgling', author: 'Octavia E. Butler' }).expect(201);
+
+    const resumed = await openStream({ 'Last-Event-ID': String(seen.id) });
+    const events = await resumed.wait(2);
+    expect(events.map((event) => event.data.title)).toEqual(['Parable of the Talents', 'Fledgling']);
+
+    await api.post('/api/books').send({ title: 'Wild Seed', author: 'Octavia E. Butler' }).expect(201);
+    await resumed.wait(3);
+    await settle();
+    expect(resumed.events.map((event) => event.data.title)).toEqual(['Parable of the Talents', 'Fledgling', 'Wild Seed']);
+  });
+
+  test('should send nothing for changes that are rolled back', async () => {
+    const stream = await openStream();
+
+    // A dry run writes every row and rolls them all back, long enough for several polls
+    const csv = ['Title,Author', ...Array.from({ length: 300 }, (_, i) => `Draft ${i},Someone`)].join('\n');
+    await api.post('/api/books/import?dryRun=true').set('Content-Type', 'text/csv').send(csv).expect(200);
+    await api.post('/api/books').send({ title: 'Lilith\'s Brood', author: 'Octavia E. Butler' }).expect(201);
+
+    await stream.wait(1);
+    await settle();
+    expect(stream.events.map((event) => event.data.title)).toEqual(['Lilith\'s Brood']);
+  });
+
+  test('should tell a client resuming from an unknown event to reload', async () => {
+    const stream = await openStream({ 'Last-Event-ID': '999999' });
+
+    const [reset] = await stream.wait(1);
+    expect(reset.event).toBe('reset');
+
+    await api.post('/api/books').send({ title: 'Mind of My Mind', author: 'Octavia E. Butler' }).expect(201);
+    const events = await stream.wait(2);
+    expect(events[1]).toMatchObject({ event: 'book.created', data: { title: 'Mind of My Mind' } });
+    expect(events[1].id).toBeGreaterThan(reset.id);
+  });
+
+  test('should require a signed-in user', async () => {
+    const response = await request(server).get('/api/events').expect(401);
+    expect(response.body.success).toBe(false);
+  });
+
+  test('should end open streams when the hub closes', async () => {
+    const hub = createEventHub({ dbOperations: database.dbOperations, pollIntervalMs: 20 });
+    const res = { write: jest.fn(), end: jest.fn(), writableEnded: false, destroyed: false };
+
+    await hub.subscribe(res, NaN);
+    hub.close();
+
+    expect(res.end).toHaveBeenCalled();
+  });
+});
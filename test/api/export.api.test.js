@@ -0,0 +1,129 @@
+// tests/api/export.api.test.js
+const zlib = require('zlib');
+const request = require('supertest');
+
+const { createApp } = require('../../server/app');
+const { createDatabase } = require('../../server/database');
+const { parseCsv } = require('../../server/csv');
+const { signIn } = require('../helpers/auth');
+
+// Read the files of a zip archive through its central directory
+const unzip = (buffer) => {
+  const files = {};
+  const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  let position = buffer.readUInt32LE(end + 16);
+
+  for (let i = 0; i < buffer.readUInt16LE(end + 10); i += 1) {
+    const compressedSize = buffer.readUInt32LE(position + 20);
+    const nameLength = buffer.readUInt16LE(position + 28);
+    const offset = buffer.readUInt32LE(position + 42);
+    const name = buffer.toString('utf8', position + 46, position + 46 + nameLength);
+    const start = offset + 30 + buffer.readUInt16LE(offset + 26);
+
+    files[name] = zlib.inflateRawSync(buffer.subarray(start, start + compressedSize)).toString();
+    position += 46 + nameLength;
+  }
+  return files;
+};
+
+// Collect a binary response body
+const binary = (res, callback) => {
+  const chunks = [];
+  res.on('data', (chunk) => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+describe('Book Export API', () => {
+  let app;
+  let api;
+  let database;
+
+  beforeAll(async () => {
+    database = createDatabase({ filename: ':memory:', seed: true });
+    await database.ready;
+
+    app = createApp({ db: database });
+
+    api = (await signIn(app, 'export-tester')).agent;
+
+    await api.post('/api/books').send({
+      title: 'Quotes, "Commas" & More',
+      author: 'Someone',
+      published_year: 2001,
+      genres: ['Essays'],
+      tags: ['odd', 'punctuation'],
+      description: 'Line one\nline two <b>'
+    });
+  });
+
+  afterAll(async () => {
+    await database.close();
+  });
+
+  test('should export CSV that the import endpoint reads back', async () => {
+    const response = await api.get('/api/books/export?format=csv&sort=title&order=asc').expect(200);
+
+    expect(response.headers['content-type']).toBe('text/csv; charset=utf-8');
+    expect(response.headers['content-disposition']).toMatch(/^attachment; filename="books-\d{4}-\d{2}-\d{2}\.csv"$/);
+
+    const { records } = parseCsv(response.text);
+    expect(records[0].fields).toEqual([
+      'id', 'title', 'author', 'isbn', 'published_year', 'genres', 'tags', 'description', 'created_at', 'updated_at'
+    ]);
+    expect(records.slice(1).map((record) => record.fields[1])).toEqual([
+      '1984', 'Pride and Prejudice', 'Quotes, "Commas" & More', 'The Great Gatsby', 'To Kill a Mockingbird'
+    ]);
+    expect(records[3].fields.slice(5, 8)).toEqual(['Essays', 'odd; punctuation', 'Line one\nline two <b>']);
+
+    const check = await api
+      .post('/api/books/import?dryRun=true')
+      .set('Content-Type', 'text/csv')
+      .send(response.text)
+      .expect(200);
+    expect(check.body.data.failed).toEqual([]);
+    expect(check.body.data.skipped).toHaveLength(4);
+  });
+
+  test('should apply the list filters and stream JSON Lines', async () => {
+    const response = await api.get('/api/books/export?format=jsonl&genre=fiction&year_from=1900').expect(200);
+    const books = response.text.trim().split('\n').map((line) => JSON.parse(line));
+
+    expect(response.headers['content-type']).toBe('application/x-ndjson; charset=utf-8');
+    expect(books.map((book) => book.title).sort()).toEqual(['1984', 'The Great Gatsby', 'To Kill a Mockingbird']);
+    expect(books[0].authors[0]).toMatchObject({ role: 'author' });
+  });
+
+  test('should export an Excel workbook', async () => {
+    const response = await api
+      .get('/api/books/export?format=xlsx&author=someone')
+      .buffer(true)
+      .parse(binary)
+      .expect(200);
+
+    expect(response.headers['content-type']).toBe('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+
+    const files = unzip(response.body);
+    expect(Object.keys(files)).toEqual([
+      '[Content_Types].xml', '_rels/.rels', 'xl/workbook.xml', 'xl/_rels/workbook.xml.rels', 'xl/worksheets/sheet1.xml'
+    ]);
+    expect(files['xl/workbook.xml']).toContain('<sheet name="Books"');
+
+    const sheet = files['xl/worksheets/sheet1.xml'];
+    expect(sheet.match(/<row>/g)).toHaveLength(2);
+    expect(sheet).toContain('<c><v>2001</v></c>');
+    expect(sheet).toContain('Quotes, &quot;Commas&quot; &amp; More');
+    expect(sheet).toContain('Line one\nline two &lt;b&gt;');
+  });
+
+  test('should reject unknown formats and bad filters', async () => {
+    const format = await api.get('/api/books/export?format=pdf').expect(400);
+    expect(format.body.message).toBe("Invalid format 'pdf'. Allowed formats: csv, jsonl, xlsx");
+
+    await api.get('/api/books/export?sort=password').expect(400);
+    await api.get('/api/books/export?year_from=soon').expect(400);
+  });
+
+  test('should require authentication', async () => {
+    await request(app).get('/api/books/export').expect(401);
+  });
+});
@@ -0,0 +1,134 @@
+// tests/api/health.api.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+const { createApp } = require('../../server/app');
+const { createDatabase } = require('../../server/database');
+const { loadConfig } = require('../../server/config');
+const { rollback, migrate, loadMigrations } = require('../../server/migrate');
+
+describe('Health API Endpoints', () => {
+  let app;
+  let database;
+
+  beforeAll(async () => {
+    database = createDatabase({ filename: ':memory:' });
+    await database.ready;
+    app = createApp({ db: database });
+  });
+
+  afterAll(async () => {
+    await database.close();
+  });
+
+  const latestVersion = () => Math.max(...loadMigrations().map((migration) => migration.version));
+
+  describe('GET /health/live', () => {
+    test('should report that the process is up', async () => {
+      const response = await request(app).get('/health/live').expect(200);
+
+      expect(response.headers['cache-control']).toBe('no-store');
+      expect(response.body).toEqual({
+        status: 'OK',
+        timestamp: expect.any(String),
+        message: 'Book Management API is running',
+        uptime: expect.any(Number)
+      });
+    });
+  });
+
+  describe('GET /health/ready', () => {
+    test('should pass every check on a healthy database', async () => {
+      const response = await request(app).get('/health/ready').expect(200);
+
+      expect(response.headers['cache-control']).toBe('no-store');
+      expect(response.body).toEqual({
+        status: 'OK',
+        timestamp: expect.any(String),
+        checks: {
+          database: { status: 'ok', durationMs: expect.any(Number) },
+          migrations: { status: 'ok', durationMs: expect.any(Number), version: latestVersion(), expected: latestVersion() },
+          disk: { status: 'skipped', durationMs: expect.any(Number) }
+        }
+      });
+    });
+
+    test('should fail with 503 while migrations are pending', async () => {
+      await rollback(database.db);
+
+      try {
+        const response = await request(app).get('/health/ready').expect(503);
+
+        expect(response.body.status).toBe('FAIL');
+        expect(response.body.checks.database.status).toBe('ok');
+        expect(response.body.checks.migrations).toMatchObject({
+          status: 'fail',
+          error: '1 migration(s) pending',
+          expected: latestVersion()
+        });
+      } finally {
+        await migrate(database.db);
+      }
+    });
+
+    test('should fail with 503 when the database is closed', async () => {
+      const closed = createDatabase({ filename: ':memory:' });
+      await closed.ready;
+      await closed.close();
+
+      const response = await request(createApp({ db: closed })).get('/health/ready').expect(503);
+
+      expect(response.body.checks.database).toMatchObject({ status: 'fail', error: expect.stringContaining('SQLITE_MISUSE') });
+    });
+
+    test('should fail with 503 when the database file could not be opened', async () => {
+      const broken = createDatabase({ filename: '/nonexistent-dir/books.db' });
+      await expect(broken.ready).rejects.toThrow();
+
+      const response = await request(createApp({ db: broken })).get('/health/ready').expect(503);
+
+      expect(response.body.checks.database).toMatchObject({ status: 'fail', error: expect.stringContaining('SQLITE_CANTOPEN') });
+      expect(response.body.checks.migrations.status).toBe('fail');
+    });
+
+    describe('with a database file', () => {
+      let dir;
+      let fileDatabase;
+
+      beforeAll(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'health-'));
+        fileDatabase = createDatabase({ filename: path.join(dir, 'books.db') });
+        await fileDatabase.ready;
+      });
+
+      afterAll(async () => {
+        await fileDatabase.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+      });
+
+      test('should report the free disk space', async () => {
+        const config = { ...loadConfig(), healthMinFreeDiskMb: 0 };
+        const response = await request(createApp({ db: fileDatabase, config })).get('/health/ready').expect(200);
+
+        expect(response.body.checks.disk).toEqual({
+          status: 'ok',
+          durationMs: expect.any(Number),
+          freeBytes: expect.any(Number),
+          minFreeBytes: 0
+        });
+      });
+
+      test('should fail with 503 when the disk is below the minimum', async () => {
+        const config = { ...loadConfig(), healthMinFreeDiskMb: Number.MAX_SAFE_INTEGER / (1024 * 1024) };
+        const response = await request(createApp({ db: fileDatabase, config })).get('/health/ready').expect(503);
+
+        expect(response.body.checks.disk).toMatchObject({
+          status: 'fail',
+          error: 'Not enough free disk space for the database'
+        });
+      });
+    });
+  });
+});
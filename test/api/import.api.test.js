@@ -0,0 +1,124 @@
+// tests/api/import.api.test.js
+const { createApp } = require('../../server/app');
+const { createDatabase } = require('../../server/database');
+const { signIn } = require('../helpers/auth');
+
+describe('Book Import API', () => {
+  let app;
+  let api;
+  let database;
+
+  // POST a CSV body to the import endpoint
+  const importCsv = (csv, query = '') => api
+    .post(`/api/books/import${query}`)
+    .set('Content-Type', 'text/csv')
+    .send(csv);
+
+  beforeAll(async () => {
+    database = createDatabase({ filename: ':memory:' });
+    await database.ready;
+
+    app = createApp({ db: database });
+
+    api = (await signIn(app, 'import-tester')).agent;
+
+    await api.post('/api/books').send({ title: 'Already Here', author: 'Someone', isbn: '978-0-452-28423-4' });
+  });
+
+  afterAll(async () => {
+    await database.close();
+  });
+
+  const catalog = [
+    'Title,Author,ISBN,Year,Genres,Tags,Shelf',
+    'Dune,Frank Herbert,978-0-441-17271-9,1965,Science Fiction,"classic, desert",A1',
+    '"Good Omens","Terry Pratchett & Neil Gaiman",,1990,Fantasy; Comedy,,A2',
+    'Nineteen Eighty-Four,George Orwell,0452284236,1949,,,A3',
+    ',No Title,,,,,A4',
+    'Future Book,Someone,,3000,,,A5',
+    'Bad ISBN,Someone,978-0-452-28423-5,,,,A6',
+    '"Multi',
+    'line",Someone,,,,,A7',
+    'Dune Again,Frank Herbert,9780441172719,,,,A9'
+  ].join('\r\n');
+
+  test('should report what a dry run would do without writing anything', async () => {
+    const response = await importCsv(catalog, '?dryRun=true').expect(200);
+
+    expect(response.body.success).toBe(true);
+    expect(response.body.data).toMatchObject({
+      dryRun: true,
+      total: 8,
+      created: [
+        { line: 2, title: 'Dune' },
+        { line: 3, title: 'Good Omens' },
+        { line: 8, title: 'Multi\r\nline' }
+      ],
+      skipped: [
+        { line: 4, isbn: '0452284236' },
+        { line: 10, isbn: '9780441172719' }
+      ],
+      ignoredColumns: ['Shelf']
+    });
+    expect(response.body.data.created[0]).not.toHaveProperty('id');
+    expect(response.body.data.failed.map((row) => [row.line, row.errors[0].code])).toEqual([
+      [5, 'required'],
+      [6, 'too_large'],
+      [7, 'invalid_isbn']
+    ]);
+
+    const books = await api.get('/api/books').expect(200);
+    expect(books.body.total).toBe(1);
+  });
+
+  test('should create the valid rows with their links in one go', async () => {
+    const response = await importCsv(catalog).expect(200);
+
+    expect(response.body.data.dryRun).toBe(false);
+    expect(response.body.data.created).toHaveLength(3);
+    expect(response.body.data.skipped).toHaveLength(2);
+    expect(response.body.data.failed).toHaveLength(3);
+
+    const omens = await api.get(`/api/books/${response.body.data.created[1].id}`).expect(200);
+    expect(omens.body.data.authors.map((author) => author.name)).toEqual(['Terry Pratchett', 'Neil Gaiman']);
+    expect(omens.body.data.genres.map((genre) => genre.name)).toEqual(['Fantasy', 'Comedy']);
+
+    const dune = await api.get('/api/books/isbn/9780441172719').expect(200);
+    expect(dune.body.data.published_year).toBe(1965);
+    expect(dune.body.data.tags.map((tag) => tag.name)).toEqual(['classic', 'desert']);
+  });
+
+  test('should skip every row on a second import of the same file', async () => {
+    const response = await importCsv('title,author,isbn\nDune,Frank Herbert,978-0-441-17271-9\n').expect(200);
+
+    expect(response.body.data.created).toEqual([]);
+    expect(response.body.data.skipped).toEqual([
+      { line: 2, isbn: '978-0-441-17271-9', bookId: expect.any(Number) }
+    ]);
+  });
+
+  test('should reject files without the required columns', async () => {
+    const response = await importCsv('name,writer\nDune,Frank Herbert\n').expect(400);
+
+    expect(response.body).toEqual({
+      success: false,
+      message: 'CSV header must include title and author columns'
+    });
+  });
+
+  test('should reject unterminated quotes, other content types and bad flags', async () => {
+    await importCsv('title,author\n"Dune,Frank Herbert\n').expect(400);
+    await importCsv('title,author\n', '?dryRun=maybe').expect(400);
+    await api.post('/api/books/import').send({ title: 'Dune' }).expect(415);
+  });
+
+  test('should require the books:create permission', async () => {
+    const { agent: viewer } = await signIn(app, 'import-viewer');
+
+    await viewer
+      .post('/api/books/import')
+      .set('Content-Type', 'text/csv')
+      .send('title,author\nDune,Frank Herbert\n')
+      .expect(403);
+  });
+});
@@ -0,0 +1,252 @@
+// tests/api/openapi.api.test.js - Real responses checked against the OpenAPI document
+const request = require('supertest');
+const Ajv2020 = require('ajv/dist/2020');
+
+const { createApp } = require('../../server/app');
+const { createDatabase } = require('../../server/database');
+const { createBooksRouter } = require('../../server/routes/books');
+const { signIn } = require('../helpers/auth');
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// Express route path to OpenAPI path template: /:id -> /{id}
+const toTemplate = (path) => path.replace(/:(\w+)/g, '{$1}').replace(/\/$/, '') || '/';
+
+const escapePointer = (key) => key.replace(/~/g, '~0').replace(/\//g, '~1');
+
+describe('OpenAPI contract', () => {
+  let app;
+  let database;
+  let spec;
+  let ajv;
+  let admin;
+  let viewer;
+  const exercised = new Set();
+
+  // Find the documented operation for a request path, e.g. /api/books/7 -> /api/books/{id}
+  const findOperation = (method, url) => {
+    const path = url.split('?')[0];
+    const template = Object.keys(spec.paths).find((candidate) => {
+      const pattern = new RegExp(`^${candidate.replace(/\{\w+\}/g, '[^/]+')}$`);
+      return pattern.test(path) && spec.paths[candidate][method];
+    });
+    return template && { template, operation: spec.paths[template][method] };
+  };
+
+  // Fail unless the status is documented for the operation and the body matches its schema
+  const expectToMatchSpec = (response) => {
+    const method = response.req.method.toLowerCase();
+    const found = findOperation(method, response.req.path);
+    expect(found).toBeTruthy();
+
+    const { template, operation } = found;
+    const key = `${method.toUpperCase()} ${template} ${response.status}`;
+    let documented = operation.responses[response.status];
+    if (!documented) throw new Error(`${key} is not documented`);
+    exercised.add(`${method} ${template}`);
+
+    // JSON pointer to the response, following a $ref into components.responses
+    let pointer = ['paths', template, method, 'responses', String(response.status)].map(escapePointer).join('/');
+    if (documented.$ref) {
+      pointer = documented.$ref.slice(2);
+      documented = pointer.split('/').reduce((node, name) => node[name], spec);
+    }
+
+    // Responses documented without content, such as 304, must not have a body
+    if (!documented.content) {
+      if (response.text) throw new Error(`${key} is documented without a body`);
+      return;
+    }
+
+    const contentType = (response.headers['content-type'] || '').split(';')[0];
+    if (!documented.content[contentType]) {
+      throw new Error(`${key} is not documented as ${contentType}`);
+    }
+    if (contentType !== 'application/json') return;
+
+    const validate = ajv.getSchema(`openapi.json#/${pointer}/content/${escapePointer(contentType)}/schema`);
+    if (!validate(response.body)) {
+      throw new Error(`${key} does not match the spec: ${ajv.errorsText(validate.errors)}\n${JSON.stringify(response.body)}`);
+    }
+  };
+
+  // Send a request and check the response against the spec
+  const call = async (agent, method, url, { body, type, headers = {} } = {}) => {
+    let pending = agent[method](url).set(headers);
+    if (type) pending = pending.set('Content-Type', type);
+    if (body !== undefined) pending = pending.send(body);
+    const response = await pending;
+    expectToMatchSpec(response);
+    return response;
+  };
+
+  beforeAll(async () => {
+    database = createDatabase({ filename: ':memory:', seed: true });
+    await database.ready;
+    app = createApp({ db: database });
+
+    // Response schemas are compiled in place inside the document, so their $refs resolve
+    spec = (await request(app).get('/api/openapi.json').expect(200)).body;
+    ajv = new Ajv2020({ strict: false, validateFormats: false });
+    ajv.addSchema(spec, 'openapi.json');
+
+    admin = (await signIn(app, 'contract-admin')).agent;
+    viewer = (await signIn(app, 'contract-viewer')).agent;
+  });
+
+  afterAll(async () => {
+    await database.close();
+  });
+
+  test('should serve a document and an explorer page', async () => {
+    expect(spec.openapi).toBe('3.1.0');
+
+    const page = await request(app).get('/api/docs').expect(200);
+    expect(page.headers['content-type']).toMatch(/^text\/html/);
+    expect(page.text).toContain("url: '/api/openapi.json'");
+
+    await request(app).get('/api/docs/swagger-ui-bundle.js').expect(200);
+  });
+
+  test('should document exactly the routes in server/routes/books.js', () => {
+    const router = createBooksRouter({ dbOperations: {}, requirePermission: () => [] });
+    const routes = router.stack
+      .filter((layer) => layer.route)
+      .flatMap((layer) => Object.keys(layer.route.methods)
+        .map((method) => `${method} ${toTemplate(`/api/books${layer.route.path}`)}`));
+    const documented = Object.entries(spec.paths)
+      .filter(([path]) => path.startsWith('/api/books'))
+      .flatMap(([path, item]) => METHODS.filter((method) => item[method]).map((method) => `${method} ${path}`));
+
+    expect(documented.sort()).toEqual(routes.sort());
+  });
+
+  test('should match the list, search and lookup responses', async () => {
+    await call(admin, 'get', '/api/books?limit=2&sort=title&order=asc&tag=none');
+    await call(admin, 'get', '/api/books?genre=Fiction&year_from=1900&page=2&limit=1');
+    await call(admin, 'get', '/api/books?sort=password');
+    await call(request(app), 'get', '/api/books');
+
+    await call(admin, 'get', '/api/books/search?q=dystopian');
+    await call(admin, 'get', '/api/books/search');
+
+    await call(admin, 'get', '/api/books/isbn/0452284236');
+    await call(admin, 'get', '/api/books/isbn/9780306406157');
+    await call(admin, 'get', '/api/books/isbn/123');
+
+    const book = await call(admin, 'get', '/api/books/1');
+    await call(admin, 'get', '/api/books/1', { headers: { 'If-None-Match': book.headers.etag } });
+    await call(admin, 'get', '/api/books/99999');
+
+    const list = await call(admin, 'get', '/api/books');
+    await call(admin, 'get', '/api/books', { headers: { 'If-None-Match': list.headers.etag } });
+
+    await call(admin, 'get', '/api/books/export?format=csv');
+    await call(admin, 'get', '/api/books/export?format=jsonl');
+    await call(admin, 'get', '/api/books/export?format=xlsx');
+    await call(admin, 'get', '/api/books/export?format=pdf');
+  });
+
+  test('should match the write responses', async () => {
+    const created = await call(admin, 'post', '/api/books', {
+      body: {
+        title: 'Contract Book',
+        authors: ['Ann Writer', { name: 'Tom Translator', role: 'translator' }],
+        isbn: '978-0-306-40615-7',
+        published_year: 2020,
+        genres: ['Reference'],
+        tags: ['contract']
+      }
+    });
+    expect(created.status).toBe(201);
+    const { id } = created.body.data;
+
+    await call(admin, 'post', '/api/books', { body: { title: 'Copy', author: 'A', isbn: '0-306-40615-2' } });
+    await call(admin, 'post', '/api/books', { body: { title: '', published_year: 'soon' } });
+    await call(viewer, 'post', '/api/books', { body: { title: 'Nope', author: 'Viewer' } });
+
+    await call(admin, 'put', `/api/books/${id}`, { body: { title: 'Contract Book 2', author: 'Ann Writer' } });
+    await call(admin, 'put', '/api/books/99999', { body: { title: 'Missing', author: 'Nobody' } });
+    await call(admin, 'put', `/api/books/${id}`, { body: { author: 'No Title' } });
+
+    await call(admin, 'patch', `/api/books/${id}`, { body: { description: null } });
+    await call(admin, 'patch', `/api/books/${id}`, { type: 'application/merge-patch+json', body: '{"genre":"Essays"}' });
+    await call(admin, 'patch', `/api/books/${id}`, { type: 'text/plain', body: 'title=x' });
+    await call(admin, 'patch', `/api/books/${id}`, { body: { id: 3 } });
+    await call(admin, 'patch', '/api/books/99999', { body: { title: 'Missing' } });
+
+    const current = await call(admin, 'get', `/api/books/${id}`);
+    const stale = { 'If-Match': '"1"' };
+    await call(admin, 'put', `/api/books/${id}`, { headers: stale, body: { title: 'Stale', author: 'Ann Writer' } });
+    await call(admin, 'patch', `/api/books/${id}`, { headers: stale, body: { title: 'Stale' } });
+    await call(admin, 'patch', `/api/books/${id}`, { headers: { 'If-Match': current.headers.etag }, body: { title: 'Fresh' } });
+    await call(admin, 'delete', `/api/books/${id}`, { headers: stale });
+
+    await call(admin, 'post', '/api/books/import?dryRun=true', {
+      type: 'text/csv',
+      body: 'title,author,isbn,shelf\nImported,Someone,,A1\n,Nobody,,A2\nDup,Someone,0-306-40615-2,A3\n'
+    });
+    await call(admin, 'post', '/api/books/import', { type: 'text/csv', body: 'title,author\nImported,Someone\n' });
+    await call(admin, 'post', '/api/books/import', { type: 'text/csv', body: 'name\nx\n' });
+    await call(admin, 'post', '/api/books/import', { body: { title: 'json' } });
+
+    await call(admin, 'delete', `/api/books/${id}`);
+    await call(admin, 'delete', `/api/books/${id}`);
+  });
+
+  test('should match the trash responses', async () => {
+    const isbn = '0-19-852663-6';
+    const created = await call(admin, 'post', '/api/books', { body: { title: 'Trashed', author: 'A', isbn } });
+    const { id } = created.body.data;
+    await call(admin, 'delete', `/api/books/${id}`);
+
+    await call(admin, 'get', '/api/books/trash?limit=1');
+    await call(admin, 'get', '/api/books/trash?page=0');
+
+    const copy = await call(admin, 'post', '/api/books', { body: { title: 'Copy', author: 'A', isbn } });
+    await call(admin, 'post', `/api/books/${id}/restore`);
+    await call(admin, 'delete', `/api/books/${copy.body.data.id}`);
+    await call(admin, 'post', `/api/books/${id}/restore`);
+    await call(admin, 'post', `/api/books/${id}/restore`);
+
+    await call(admin, 'delete', `/api/books/trash/${id}`);
+    await call(admin, 'delete', `/api/books/${id}`);
+    await call(admin, 'delete', `/api/books/trash/${id}`);
+    await call(admin, 'delete', '/api/books/trash');
+  });
+
+  test('should match the history responses', async () => {
+    const created = await call(admin, 'post', '/api/books', {
+      body: { title: 'Versioned', author: 'A', isbn: '0-8044-2957-X', tags: ['v1'] }
+    });
+    const { id } = created.body.data;
+    await call(admin, 'patch', `/api/books/${id}`, { body: { title: 'Versioned 2', tags: [] } });
+
+    const history = await call(admin, 'get', `/api/books/${id}/history`);
+    const [, first] = history.body.data;
+    await call(admin, 'get', `/api/books/${id}/history?limit=0`);
+    await call(admin, 'get', '/api/books/99999/history');
+
+    await call(admin, 'post', `/api/books/${id}/revert/${first.id}`);
+    await call(admin, 'post', `/api/books/${id}/revert/99999`);
+
+    const other = await call(admin, 'post', '/api/books', { body: { title: 'Other', author: 'A' } });
+    await call(admin, 'patch', `/api/books/${id}`, { body: { isbn: null } });
+    await call(admin, 'patch', `/api/books/${other.body.data.id}`, { body: { isbn: '0-8044-2957-X' } });
+    await call(admin, 'post', `/api/books/${id}/revert/${first.id}`);
+  });
+
+  test('should match the health check', async () => {
+    await call(request(app), 'get', '/health');
+    await call(request(app), 'get', '/health/live');
+    await call(request(app), 'get', '/health/ready');
+    await call(request(app), 'get', '/metrics');
+  });
+
+  test('should have exercised every documented operation', () => {
+    const operations = Object.entries(spec.paths)
+      .flatMap(([path, item]) => METHODS.filter((method) => item[method]).map((method) => `${method} ${path}`));
+
+    expect([...exercised].sort()).toEqual(operations.sort());
+  });
+});
@@ -0,0 +1,203 @@
+// tests/api/taxonomy.api.test.js
+const { createApp } = require('../../server/app');
+const { createDatabase } = require('../../server/database');
+const { signIn } = require('../helpers/auth');
+
+describe('Genres and Tags API Endpoints', () => {
+  let app;
+  let api;
+  let database;
+  const genres = {};
+
+  const titles = (response) => response.body.data.map((book) => book.title).sort();
+
+  beforeAll(async () => {
+    database = createDatabase({ filename: ':memory:' });
+    await database.ready;
+
+    app = createApp({ db: database });
+
+    api = (await signIn(app, 'taxonomy-tester')).agent;
+
+    genres.fiction = (await api.post('/api/genres').send({ name: 'Fiction' })).body.data;
+    genres.scienceFiction = (await api.post('/api/genres').send({ name: 'Science Fiction', parent_id: genres.fiction.id })).body.data;
+    genres.cyberpunk = (await api.post('/api/genres').send({ name: 'Cyberpunk', parent_id: genres.scienceFiction.id })).body.data;
+    genres.history = (await api.post('/api/genres').send({ name: 'History' })).body.data;
+
+    await api.post('/api/books').send({ title: 'Middlemarch', author: 'George Eliot', genre: 'fiction', tags: ['classic'] });
+    await api.post('/api/books').send({ title: 'Neuromancer', author: 'William Gibson', genres: ['Cyberpunk'], tags: ['award-winner'] });
+    await api.post('/api/books').send({ title: 'Dune', author: 'Frank Herbert', genres: [{ id: genres.scienceFiction.id }], tags: ['classic', 'award-winner'] });
+    await api.post('/api/books').send({ title: 'SPQR', author: 'Mary Beard', genre: 'History' });
+  });
+
+  afterAll(async () => {
+    await database.close();
+  });
+
+  describe('books with genres and tags', () => {
+    test('should return genres and tags with the legacy genre string', async () => {
+      const response = await api.get('/api/books?genre=Cyberpunk').expect(200);
+      const [book] = response.body.data;
+
+      expect(book.genre).toBe('Cyberpunk');
+      expect(book.genres).toEqual([{ id: genres.cyberpunk.id, name: 'Cyberpunk' }]);
+      expect(book.tags.map((tag) => tag.name)).toEqual(['award-winner']);
+    });
+
+    test('should store a genre string under the existing genre name', async () => {
+      const response = await api.get('/api/books?genre=FICTION&tag=classic').expect(200);
+      const middlemarch = response.body.data.find((book) => book.title === 'Middlemarch');
+
+      expect(middlemarch.genre).toBe('Fiction');
+    });
+
+    test('should include subgenres at any depth when filtering by genre', async () => {
+      const fiction = await api.get('/api/books?genre=Fiction').expect(200);
+      expect(titles(fiction)).toEqual(['Dune', 'Middlemarch', 'Neuromancer']);
+      expect(fiction.body.total).toBe(3);
+
+      const scienceFiction = await api.get('/api/books?genre=science%20fiction').expect(200);
+      expect(titles(scienceFiction)).toEqual(['Dune', 'Neuromancer']);
+    });
+
+    test('should require every requested tag', async () => {
+      const classic = await api.get('/api/books?tag=classic').expect(200);
+      expect(titles(classic)).toEqual(['Dune', 'Middlemarch']);
+
+      const both = await api.get('/api/books?tag=classic&tag=award-winner').expect(200);
+      expect(titles(both)).toEqual(['Dune']);
+    });
+
+    test('should keep tags on a PUT that does not mention them', async () => {
+      const list = await api.get('/api/books?genre=History').expect(200);
+      const book = list.body.data[0];
+      await api.patch(`/api/books/${book.id}`).send({ tags: ['rome'] }).expect(200);
+
+      const response = await api
+        .put(`/api/books/${book.id}`)
+        .send({ title: 'SPQR', author: 'Mary Beard', genre: 'History', published_year: 2015 })
+        .expect(200);
+
+      expect(response.body.data.tags.map((tag) => tag.name)).toEqual(['rome']);
+    });
+  });
+
+  describe('GET /api/genres', () => {
+    test('should list genres with direct and subgenre book counts', async () => {
+      const response = await api.get('/api/genres').expect(200);
+      const fiction = response.body.data.find((genre) => genre.name === 'Fiction');
+
+      expect(fiction).toMatchObject({ parent_id: null, book_count: 1, total_book_count: 3 });
+    });
+
+    test('should return a genre with its subgenres', async () => {
+      const response = await api.get(`/api/genres/${genres.fiction.id}`).expect(200);
+
+      expect(response.body.data.subgenres.map((genre) => genre.name)).toEqual(['Science Fiction']);
+    });
+  });
+
+  describe('PATCH /api/genres/:id', () => {
+    test('should rename a genre on its books', async () => {
+      await api.patch(`/api/genres/${genres.cyberpunk.id}`).send({ name: 'Cyberpunk Fiction' }).expect(200);
+
+      const response = await api.get('/api/books?genre=Cyberpunk%20Fiction').expect(200);
+      expect(response.body.data[0].genre).toBe('Cyberpunk Fiction');
+    });
+
+    test('should return 409 when renaming onto another genre', async () => {
+      await api.patch(`/api/genres/${genres.history.id}`).send({ name: 'fiction' }).expect(409);
+    });
+
+    test('should refuse to move a genre under its own subgenre', async () => {
+      const response = await api
+        .patch(`/api/genres/${genres.fiction.id}`)
+        .send({ parent_id: genres.cyberpunk.id })
+        .expect(400);
+
+      expect(response.body.message).toBe('A genre cannot be its own parent or a subgenre of itself');
+    });
+  });
+
+  describe('POST /api/genres/:id/merge', () => {
+    test('should move books and subgenres to the target genre', async () => {
+      const response = await api
+        .post(`/api/genres/${genres.scienceFiction.id}/merge`)
+        .send({ into: genres.fiction.id })
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({ name: 'Fiction', book_count: 2, total_book_count: 3 });
+      await api.get(`/api/genres/${genres.scienceFiction.id}`).expect(404);
+
+      const cyberpunk = await api.get(`/api/genres/${genres.cyberpunk.id}`).expect(200);
+      expect(cyberpunk.body.data.parent_id).toBe(genres.fiction.id);
+
+      const dune = await api.get('/api/books?tag=classic&tag=award-winner').expect(200);
+      expect(dune.body.data[0].genre).toBe('Fiction');
+    });
+
+    test('should move a target from deeper in the source\'s subgenres up to the source\'s place', async () => {
+      const speculative = (await api.post('/api/genres').send({ name: 'Speculative' }).expect(201)).body.data;
+      const alternateHistory = (await api.post('/api/genres').send({ name: 'Alternate History', parent_id: speculative.id }).expect(201)).body.data;
+      const steampunk = (await api.post('/api/genres').send({ name: 'Steampunk', parent_id: alternateHistory.id }).expect(201)).body.data;
+
+      const response = await api
+        .post(`/api/genres/${speculative.id}/merge`)
+        .send({ into: steampunk.id })
+        .expect(200);
+      expect(response.body.data).toMatchObject({ id: steampunk.id, parent_id: null });
+
+      const moved = await api.get(`/api/genres/${alternateHistory.id}`).expect(200);
+      expect(moved.body.data.parent_id).toBe(steampunk.id);
+
+      // No cycle: the hierarchy still reads as a tree
+      const all = await api.get('/api/genres').expect(200);
+      const byId = new Map(all.body.data.map((genre) => [genre.id, genre]));
+      expect(byId.get(alternateHistory.id).parent_id).toBe(steampunk.id);
+      expect(byId.get(steampunk.id).parent_id).toBeNull();
+    });
+  });
+
+  describe('tags', () => {
+    test('should list tags with book counts', async () => {
+      const response = await api.get('/api/tags').expect(200);
+
+      expect(response.body.data.map(({ name, book_count }) => ({ name, book_count }))).toEqual([
+        { name: 'award-winner', book_count: 2 },
+        { name: 'classic', book_count: 2 },
+        { name: 'rome', book_count: 1 }
+      ]);
+    });
+
+    test('should merge one tag into another', async () => {
+      const list = await api.get('/api/tags').expect(200);
+      const byName = Object.fromEntries(list.body.data.map((tag) => [tag.name, tag.id]));
+
+      const response = await api
+        .post(`/api/tags/${byName['award-winner']}/merge`)
+        .send({ into: byName.classic })
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({ name: 'classic', book_count: 3 });
+    });
+
+    test('should rename a tag', async () => {
+      const list = await api.get('/api/tags').expect(200);
+      const rome = list.body.data.find((tag) => tag.name === 'rome');
+
+      const response = await api.patch(`/api/tags/${rome.id}`).send({ name: 'Ancient Rome' }).expect(200);
+      expect(response.body.data.name).toBe('Ancient Rome');
+    });
+  });
+
+  describe('authorization', () => {
+    test('should let viewers read but not manage genres and tags', async () => {
+      const { agent: viewer } = await signIn(app, 'taxonomy-viewer');
+
+      await viewer.get('/api/genres').expect(200);
+      await viewer.get('/api/tags').expect(200);
+      const response = await viewer.post('/api/genres').send({ name: 'Poetry' }).expect(403);
+      expect(response.body.permission).toBe('taxonomy:manage');
+    });
+  });
+});
@@ -0,0 +1,276 @@
+// tests/api/webhooks.api.test.js
+const http = require('http');
+const crypto = require('crypto');
+
+const { createApp } = require('../../server/app');
+const { createDatabase } = require('../../server/database');
+const { deliverDueWebhooks } = require('../../server/webhooks');
+const { signIn } = require('../helpers/auth');
+
+describe('Webhooks API Endpoints', () => {
+  let app;
+  let database;
+  let admin;
+  let viewer;
+  let receiver;
+  let baseUrl;
+  let received;
+  // Status codes the receiver answers with, in order; 200 once they run out
+  let replies;
+
+  const createWebhook = async (body) => {
+    const response = await admin.post('/api/webhooks').send(body).expect(201);
+    return response.body.data;
+  };
+
+  const deliveriesOf = async (webhook) => {
+    const response = await admin.get(`/api/webhooks/${webhook.id}/deliveries`).expect(200);
+    return response.body.data;
+  };
+
+  const deliver = (options = {}) => deliverDueWebhooks({
+    webhookOperations: database.webhookOperations,
+    timeoutMs: 1000,
+    maxAttempts: 3,
+    retryBaseSeconds: 0,
+    logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+    ...options
+  });
+
+  beforeAll(async () => {
+    database = createDatabase({ filename: ':memory:' });
+    await database.ready;
+    app = createApp({ db: database });
+
+    // The first account is the admin; later ones start as viewers
+    admin = (await signIn(app, 'webhook-admin')).agent;
+    viewer = (await signIn(app, 'webhook-viewer')).agent;
+
+    receiver = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        received.push({ path: req.url, headers: req.headers, body });
+        res.writeHead(replies.length > 0 ? replies.shift() : 200).end();
+      });
+    });
+    await new Promise((resolve) => receiver.listen(0, resolve));
+    baseUrl = `http://localhost:${receiver.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => receiver.close(resolve));
+    await database.close();
+  });
+
+  beforeEach(() => {
+    received = [];
+    replies = [];
+  });
+
+  // Each test starts without webhooks, so nothing is queued for them
+  afterEach(async () => {
+    const response = await admin.get('/api/webhooks');
+    for (const webhook of response.body.data) {
+      await admin.delete(`/api/webhooks/${webhook.id}`).expect(200);
+    }
+  });
+
+  describe('subscriptions', () => {
+    test('should create a webhook with a generated secret shown only once', async () => {
+      const response = await admin
+        .post('/api/webhooks')
+        .send({ url: `${baseUrl}/hooks`, events: ['book.created', 'book.deleted'] })
+        .expect(201);
+
+      expect(response.body.data).toMatchObject({
+        url: `${baseUrl}/hooks`,
+        events: ['book.created', 'book.deleted'],
+        active: true,
+        secret: expect.stringMatching(/^whsec_/)
+      });
+
+      const fetched = await admin.get(`/api/webhooks/${response.body.data.id}`).expect(200);
+      expect(fetched.body.data.secret).toBeUndefined();
+
+      const list = await admin.get('/api/webhooks').expect(200);
+      expect(list.body.total).toBe(1);
+      expect(list.body.data[0].secret).toBeUndefined();
+    });
+
+    test('should keep a secret the client chooses', async () => {
+      const webhook = await createWebhook({ url: `${baseUrl}/hooks`, events: ['book.updated'], secret: 'chosen-secret-value' });
+      expect(webhook.secret).toBe('chosen-secret-value');
+    });
+
+    test('should reject an invalid webhook with 422', async () => {
+      const response = await admin
+        .post('/api/webhooks')
+        .send({ url: 'ftp://example.com/hooks', events: ['book.created', 'book.read'], secret: 'short' })
+        .expect(422);
+
+      expect(response.body.errors.map((error) => error.code)).toEqual(['invalid_url', 'invalid_event', 'too_short']);
+    });
+
+    test('should require events', async () => {
+      const response = await admin.post('/api/webhooks').send({ url: `${baseUrl}/hooks` }).expect(422);
+      expect(response.body.message).toBe('events is required');
+    });
+
+    test('should update the supplied fields', async () => {
+      const webhook = await createWebhook({ url: `${baseUrl}/hooks`, events: ['book.created'] });
+
+      const response = await admin
+        .patch(`/api/webhooks/${webhook.id}`)
+        .send({ events: ['book.updated'], active: false })
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({ url: `${baseUrl}/hooks`, events: ['book.updated'], active: false });
+    });
+
+    test('should reject unknown fields on update', async () => {
+      const webhook = await createWebhook({ url: `${baseUrl}/hooks`, events: ['book.created'] });
+
+      const response = await admin.patch(`/api/webhooks/${webhook.id}`).send({ id: 99 }).expect(422);
+      expect(response.body.errors[0]).toMatchObject({ field: 'id', code: 'not_allowed' });
+    });
+
+    test('should return 404 for a webhook that does not exist', async () => {
+      await admin.get('/api/webhooks/999').expect(404);
+      await admin.patch('/api/webhooks/999').send({ active: false }).expect(404);
+      await admin.delete('/api/webhooks/999').expect(404);
+      await admin.get('/api/webhooks/999/deliveries').expect(404);
+    });
+
+    test('should be for admins only', async () => {
+      const response = await viewer.get('/api/webhooks').expect(403);
+      expect(response.body.permission).toBe('webhooks:manage');
+    });
+  });
+
+  describe('events', () => {
+    test('should queue book changes for the webhooks subscribed to them', async () => {
+      const lifecycle = await createWebhook({ url: `${baseUrl}/lifecycle`, events: ['book.created', 'book.deleted'] });
+      const updates = await createWebhook({ url: `${baseUrl}/updates`, events: ['book.updated'] });
+
+      const created = await admin.post('/api/books').send({ title: 'Hyperion', author: 'Dan Simmons' }).expect(201);
+      const id = created.body.data.id;
+      await admin.patch(`/api/books/${id}`).send({ published_year: 1989 }).expect(200);
+      await admin.delete(`/api/books/${id}`).expect(200);
+
+      const lifecycleDeliveries = await deliveriesOf(lifecycle);
+      expect(lifecycleDeliveries.map((delivery) => delivery.event)).toEqual(['book.deleted', 'book.created']);
+      expect(lifecycleDeliveries[1]).toMatchObject({
+        status: 'pending',
+        attempt_count: 0,
+        attempts: [],
+        payload: {
+          id: expect.any(String),
+          event: 'book.created',
+          occurred_at: expect.any(String),
+          data: { id, title: 'Hyperion', author: 'Dan Simmons' }
+        }
+      });
+      expect(lifecycleDeliveries[0].payload.data.deleted_at).toEqual(expect.any(String));
+
+      const updateDeliveries = await deliveriesOf(updates);
+      expect(updateDeliveries).toHaveLength(1);
+      expect(updateDeliveries[0].payload.data).toMatchObject({ id, published_year: 1989 });
+    });
+
+    test('should queue nothing for inactive webhooks or failed changes', async () => {
+      const inactive = await createWebhook({ url: `${baseUrl}/inactive`, events: ['book.created'], active: false });
+      const active = await createWebhook({ url: `${baseUrl}/active`, events: ['book.created'] });
+
+      await admin.post('/api/books').send({ title: 'Ilium', author: 'Dan Simmons', isbn: '9780380817924' }).expect(201);
+      await admin.post('/api/books').send({ title: 'Ilium again', author: 'Dan Simmons', isbn: '9780380817924' }).expect(400);
+
+      expect(await deliveriesOf(inactive)).toEqual([]);
+      expect(await deliveriesOf(active)).toHaveLength(1);
+    });
+
+    test('should queue an update for each book an author rename rewrites', async () => {
+      const created = await admin.post('/api/books').send({ title: 'The Blind Assassin', author: 'M. Atwood' }).expect(201);
+      const updates = await createWebhook({ url: `${baseUrl}/renames`, events: ['book.updated'] });
+
+      await admin.put(`/api/authors/${created.body.data.authors[0].id}`).send({ name: 'Margaret Atwood' }).expect(200);
+
+      const [delivery] = await deliveriesOf(updates);
+      expect(delivery.payload.data).toMatchObject({
+        id: created.body.data.id,
+        author: 'Margaret Atwood',
+        version: created.body.data.version + 1
+      });
+    });
+  });
+
+  describe('delivery', () => {
+    test('should sign deliveries and log the response codes of every attempt', async () => {
+      const webhook = await createWebhook({ url: `${baseUrl}/signed`, events: ['book.created'] });
+      await admin.post('/api/books').send({ title: 'Endymion', author: 'Dan Simmons' }).expect(201);
+
+      replies = [500];
+      expect(await deliver()).toBe(1);
+      expect(await deliver()).toBe(1);
+      expect(await deliver()).toBe(0);
+
+      expect(received).toHaveLength(2);
+      const { headers, body } = received[1];
+      const signature = crypto.createHmac('sha256', webhook.secret)
+        .update(`${headers['x-webhook-timestamp']}.${body}`)
+        .digest('hex');
+      expect(headers['x-webhook-signature']).toBe(`sha256=${signature}`);
+      expect(JSON.parse(body)).toMatchObject({ event: 'book.created', data: { title: 'Endymion' } });
+
+      const [delivery] = await deliveriesOf(webhook);
+      expect(delivery).toMatchObject({
+        status: 'delivered',
+        attempt_count: 2,
+        last_status_code: 200,
+        next_attempt_at: null,
+        delivered_at: expect.any(String),
+        attempts: [
+          { attempt: 1, status_code: 500, error: null, duration_ms: expect.any(Number), created_at: expect.any(String) },
+          { attempt: 2, status_code: 200, error: null, duration_ms: expect.any(Number), created_at: expect.any(String) }
+        ]
+      });
+      expect(headers['x-webhook-delivery']).toBe(String(delivery.id));
+    });
+
+    test('should hold a failed delivery back until its retry is due', async () => {
+      const webhook = await createWebhook({ url: `${baseUrl}/backoff`, events: ['book.created'] });
+      await admin.post('/api/books').send({ title: 'The Rise of Endymion', author: 'Dan Simmons' }).expect(201);
+
+      replies = [503];
+      expect(await deliver({ retryBaseSeconds: 60 })).toBe(1);
+      expect(await deliver({ retryBaseSeconds: 60 })).toBe(0);
+
+      const [delivery] = await deliveriesOf(webhook);
+      expect(delivery).toMatchObject({ status: 'pending', attempt_count: 1, last_status_code: 503 });
+      const wait = new Date(`${delivery.next_attempt_at}Z`) - new Date(`${delivery.attempts[0].created_at}Z`);
+      expect(wait).toBeGreaterThanOrEqual(59 * 1000);
+      expect(wait).toBeLessThanOrEqual(61 * 1000);
+    });
+
+    test('should mark a delivery failed once it runs out of attempts', async () => {
+      const webhook = await createWebhook({ url: `${baseUrl}/broken`, events: ['book.created'] });
+      await admin.post('/api/books').send({ title: 'Carrion Comfort', author: 'Dan Simmons' }).expect(201);
+
+      replies = [500, 502, 504];
+      for (let run = 0; run < 4; run += 1) await deliver();
+
+      const [delivery] = await deliveriesOf(webhook);
+      expect(delivery).toMatchObject({ status: 'failed', attempt_count: 3, last_status_code: 504, next_attempt_at: null });
+      expect(delivery.attempts.map((attempt) => attempt.status_code)).toEqual([500, 502, 504]);
+    });
+
+    test('should not deliver for a webhook that was turned off', async () => {
+      const webhook = await createWebhook({ url: `${baseUrl}/paused`, events: ['book.created'] });
+      await admin.post('/api/books').send({ title: 'Song of Kali', author: 'Dan Simmons' }).expect(201);
+      await admin.patch(`/api/webhooks/${webhook.id}`).send({ active: false }).expect(200);
+
+      expect(await deliver()).toBe(0);
+      expect(received).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,20 @@
+// test/helpers/auth.js - Sign test users in to an app from createApp()
+const request = require('supertest');
+
+// Register an account and sign it in. The first account on a database is the admin,
+// later ones start as viewers. Resolves to the user, their access token and an agent
+// that sends the token with every request.
+const signIn = async (app, username) => {
+  const credentials = { username, password: `${username}-password` };
+  const registered = await request(app).post('/api/auth/register').send(credentials);
+  const login = await request(app).post('/api/auth/login').send(credentials);
+  const token = login.body.data.accessToken;
+
+  return {
+    user: registered.body.data.user,
+    token,
+    agent: request.agent(app).set('Authorization', `Bearer ${token}`)
+  };
+};
+
+module.exports = { signIn };
@@ -2,13 +2,12 @@ const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs');
 
-// Import the actual database operations (not mocked)
-const { dbOperations } = require('../../server/database');
+const { createDatabase } = require('../../server/database');
 
 describe('Books Integration Tests (Server + Database)', () => {
+  let database;
   let testDb;
   let testDbPath;
-  let originalDb;
 
   beforeAll(async () => {
     // Create a test database file
@@ -19,39 +18,15 @@ describe('Books Integration Tests (Server + Database)', () => {
       fs.unlinkSync(testDbPath);
     }
 
-    // Create test database
-    testDb = new sqlite3.Database(testDbPath);
-    
-    // Create books table in test database
-    await new Promise((resolve, reject) => {
-      testDb.run(`
-        CREATE TABLE IF NOT EXISTS books (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          title TEXT NOT NULL,
-          author TEXT NOT NULL,
-          isbn TEXT UNIQUE,
-          published_year INTEGER,
-          genre TEXT,
-          description TEXT,
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        )
-      `, (err) => {
-        if (err) reject(err);
-        else resolve();
-      });
-    });
-
-    // Replace the database connection in the module
-    // Note: This is a simplified approach for testing
-    originalDb = require('../../server/database').db;
+    // Create the test database through the real factory so it gets the migrated schema
+    database = createDatabase({ filename: testDbPath });
+    await database.ready;
+    testDb = database.db;
   });
 
   afterAll(async () => {
-    if (testDb) {
-      await new Promise((resolve) => {
-        testDb.close(resolve);
-      });
+    if (database) {
+      await database.close();
     }
     
     // Clean up test database file
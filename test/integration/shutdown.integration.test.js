@@ -0,0 +1,155 @@
+const http = require('http');
+
+const { start } = require('../../server/app');
+const { loadConfig } = require('../../server/config');
+const { createShutdown } = require('../../server/shutdown');
+const { signIn } = require('../helpers/auth');
+
+// Start a login request whose body is only half sent, so it stays in flight
+// until finish() sends the rest
+const openRequest = (port) => {
+  const body = JSON.stringify({ username: 'nobody', password: 'wrong-password' });
+  const req = http.request({
+    port,
+    method: 'POST',
+    path: '/api/auth/login',
+    headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) }
+  });
+  const response = new Promise((resolve, reject) => {
+    req.on('response', (res) => {
+      let body = '';
+      res.on('data', (chunk) => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body }));
+    });
+    req.on('error', reject);
+  });
+  req.write(body.slice(0, 10));
+  return { response, finish: () => req.end(body.slice(10)) };
+};
+
+const get = (port, path) => new Promise((resolve, reject) => {
+  http.get({ port, path }, (res) => {
+    res.resume();
+    res.on('end', () => resolve(res.statusCode));
+  }).on('error', reject);
+});
+
+const dbAnswers = (db) => new Promise((resolve) => {
+  db.db.get('SELECT 1', (err) => resolve(!err));
+});
+
+describe('Graceful shutdown', () => {
+  let instance;
+
+  const startServer = async (shutdownTimeout = 5) => {
+    instance = await start({
+      ...loadConfig({}),
+      port: 0,
+      dbPath: ':memory:',
+      seedSampleData: false,
+      trashRetentionDays: 0,
+      shutdownTimeout
+    });
+    return instance.server.address().port;
+  };
+
+  afterEach(async () => {
+    if (instance) await instance.shutdown();
+    instance = null;
+  });
+
+  test('should let a request in flight finish before closing the database', async () => {
+    const port = await startServer();
+    expect(await get(port, '/health/live')).toBe(200);
+
+    const request = openRequest(port);
+    // Give the server a moment to start on the request
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    const shutdown = instance.shutdown();
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    expect(await dbAnswers(instance.db)).toBe(true);
+
+    request.finish();
+    const res = await request.response;
+    expect(res.status).toBe(401);
+    expect(res.headers.connection).toBe('close');
+
+    await shutdown;
+    expect(await dbAnswers(instance.db)).toBe(false);
+  });
+
+  test('should refuse new connections once shutting down', async () => {
+    const port = await startServer();
+    const request = openRequest(port);
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    const shutdown = instance.shutdown();
+    await expect(get(port, '/health/live')).rejects.toMatchObject({ code: 'ECONNREFUSED' });
+
+    request.finish();
+    await request.response;
+    await shutdown;
+  });
+
+  test('should close connections still busy at the timeout', async () => {
+    const port = await startServer(0.2);
+    const request = openRequest(port);
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    const cutOff = expect(request.response).rejects.toMatchObject({ code: 'ECONNRESET' });
+    const startedAt = Date.now();
+    await instance.shutdown();
+
+    expect(Date.now() - startedAt).toBeGreaterThanOrEqual(150);
+    await cutOff;
+    expect(await dbAnswers(instance.db)).toBe(false);
+  });
+
+  test('should end event streams instead of waiting for them', async () => {
+    const port = await startServer();
+    const { token } = await signIn(instance.app, 'stream-reader');
+
+    const stream = await new Promise((resolve, reject) => {
+      http.get({
+        port,
+        path: '/api/events',
+        headers: { Authorization: `Bearer ${token}` }
+      }, resolve).on('error', reject);
+    });
+    stream.resume();
+    const ended = new Promise((resolve) => stream.on('end', resolve));
+
+    const startedAt = Date.now();
+    await instance.shutdown();
+
+    expect(Date.now() - startedAt).toBeLessThan(1000);
+    await ended;
+  });
+
+  test('should return the same promise when called again', async () => {
+    await startServer();
+
+    const first = instance.shutdown();
+    expect(instance.shutdown()).toBe(first);
+    await first;
+  });
+});
+
+describe('createShutdown', () => {
+  const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+  test('should run the cleanup functions and close the database', async () => {
+    const server = http.createServer((req, res) => res.end());
+    await new Promise((resolve) => server.listen(0, resolve));
+    const db = { close: jest.fn().mockResolvedValue() };
+    const cleanup = [jest.fn(), jest.fn()];
+
+    await createShutdown({ server, db, timeoutMs: 1000, cleanup, logger })();
+
+    expect(server.listening).toBe(false);
+    cleanup.forEach((stop) => expect(stop).toHaveBeenCalled());
+    expect(db.close).toHaveBeenCalled();
+    expect(logger.info).toHaveBeenCalledWith('Shutdown complete');
+  });
+});
@@ -4,6 +4,13 @@ const fs = require('fs');
 // Set test environment
 process.env.NODE_ENV = 'test';
 
+// Keep the server's log lines out of the test output; tests that check logging use their own logger
+process.env.LOG_LEVEL = 'silent';
+
+// Suites make many requests from one client; rate limits are tested on their own
+process.env.RATE_LIMIT_READ = '0';
+process.env.RATE_LIMIT_WRITE = '0';
+
 // Clean up test databases before each test suite
 beforeAll(() => {
   const testDbPath = path.join(__dirname, '../server/test_books.db');
@@ -19,13 +26,3 @@ afterAll(() => {
     fs.unlinkSync(testDbPath);
   }
 });
-
-// Mock console.log to reduce noise during tests
-global.console = {
-  ...console,
-  log: jest.fn(),
-  error: console.error,
-  warn: console.warn,
-  info: console.info,
-  debug: console.debug,
-};
\ No newline at end of file
@@ -0,0 +1,62 @@
+const { parseCsv, formatCsvRow } = require('../../server/csv');
+const { readImportRows } = require('../../server/bookImport');
+
+describe('CSV parsing', () => {
+  test('should split records and fields, keeping quoted commas, quotes and line breaks', () => {
+    const { records } = parseCsv('\uFEFFa,b\r\n"x, y","say ""hi""\nthere"\n\nlast,\n');
+
+    expect(records).toEqual([
+      { line: 1, fields: ['a', 'b'] },
+      { line: 2, fields: ['x, y', 'say "hi"\nthere'] },
+      { line: 5, fields: ['last', ''] }
+    ]);
+  });
+
+  test('should read a final record without a trailing newline', () => {
+    expect(parseCsv('a,b\n1,2').records).toEqual([
+      { line: 1, fields: ['a', 'b'] },
+      { line: 2, fields: ['1', '2'] }
+    ]);
+  });
+
+  test('should report an unterminated quote', () => {
+    expect(parseCsv('a\n"open\nstill open')).toEqual({ error: 'Unterminated quoted field starting on line 2' });
+  });
+
+  test('should quote only the fields that need it when writing', () => {
+    const row = formatCsvRow([1, 'plain', 'a, b', 'say "hi"', 'two\nlines', ' padded', null]);
+
+    expect(row).toBe('1,plain,"a, b","say ""hi""","two\nlines"," padded",\r\n');
+    expect(parseCsv(row).records[0].fields).toEqual(['1', 'plain', 'a, b', 'say "hi"', 'two\nlines', ' padded', '']);
+  });
+});
+
+describe('Import rows', () => {
+  test('should map headers to book fields and validate each row', () => {
+    const result = readImportRows([
+      'Title,Authors,Published Year,Genres,Tags,Notes',
+      'Dune,Frank Herbert,1965,Science Fiction; Classics,"desert, epic",keep',
+      'Untitled,,1999,,,'
+    ].join('\n'));
+
+    expect(result).toEqual({
+      rows: [{
+        line: 2,
+        book: {
+          title: 'Dune',
+          author: 'Frank Herbert',
+          published_year: 1965,
+          genres: ['Science Fiction', 'Classics'],
+          tags: ['desert', 'epic']
+        }
+      }],
+      failed: [{ line: 3, errors: [{ field: 'author', code: 'required', message: 'author is required' }] }],
+      ignoredColumns: ['Notes']
+    });
+  });
+
+  test('should reject empty files and files without title and author columns', () => {
+    expect(readImportRows('')).toEqual({ error: 'CSV file is empty' });
+    expect(readImportRows('title\nDune')).toEqual({ error: 'CSV header must include title and author columns' });
+  });
+});
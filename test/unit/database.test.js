@@ -1,128 +1,23 @@
-const sqlite3 = require('sqlite3').verbose();
-const path = require('path');
-
-// Create a test version of database operations
-const createTestDbOperations = (db) => {
-  return {    getAllBooks: () => {
-      return new Promise((resolve, reject) => {
-        // Use explicit rowid to ensure correct ordering when timestamps might be the same
-        db.all('SELECT * FROM books ORDER BY id DESC', (err, rows) => {
-          if (err) reject(err);
-          else resolve(rows);
-        });
-      });
-    },
-
-    getBookById: (id) => {
-      return new Promise((resolve, reject) => {
-        db.get('SELECT * FROM books WHERE id = ?', [id], (err, row) => {
-          if (err) reject(err);
-          else resolve(row);
-        });
-      });
-    },
-
-    createBook: (bookData) => {
-      return new Promise((resolve, reject) => {
-        const { title, author, isbn, published_year, genre, description } = bookData;
-        
-        db.run(
-          `INSERT INTO books (title, author, isbn, published_year, genre, description)
-           VALUES (?, ?, ?, ?, ?, ?)`,
-          [title, author, isbn, published_year, genre, description],
-          function(err) {
-            if (err) reject(err);
-            else {
-              db.get('SELECT * FROM books WHERE id = ?', [this.lastID], (err, row) => {
-                if (err) reject(err);
-                else resolve(row);
-              });
-            }
-          }
-        );
-      });
-    },
-
-    updateBook: (id, bookData) => {
-      return new Promise((resolve, reject) => {
-        const { title, author, isbn, published_year, genre, description } = bookData;
-        
-        db.run(
-          `UPDATE books 
-           SET title = ?, author = ?, isbn = ?, published_year = ?, genre = ?, description = ?, updated_at = CURRENT_TIMESTAMP
-           WHERE id = ?`,
-          [title, author, isbn, published_year, genre, description, id],
-          function(err) {
-            if (err) reject(err);
-            else if (this.changes === 0) resolve(null);
-            else {
-              db.get('SELECT * FROM books WHERE id = ?', [id], (err, row) => {
-                if (err) reject(err);
-                else resolve(row);
-              });
-            }
-          }
-        );
-      });
-    },
-
-    deleteBook: (id) => {
-      return new Promise((resolve, reject) => {
-        db.get('SELECT * FROM books WHERE id = ?', [id], (err, book) => {
-          if (err) reject(err);
-          else if (!book) resolve(null);
-          else {
-            db.run('DELETE FROM books WHERE id = ?', [id], function(err) {
-              if (err) reject(err);
-              else resolve(book);
-            });
-          }
-        });
-      });
-    }
-  };
-};
+const { createDatabase } = require('../../server/database');
 
 describe('Database Operations Unit Tests', () => {
-  let db;
+  let database;
   let dbOperations;
 
-  beforeAll((done) => {
+  beforeAll(async () => {
     // Create in-memory database for testing
-    db = new sqlite3.Database(':memory:', (err) => {
-      if (err) {
-        done(err);
-        return;
-      }
-      
-      // Create table
-      db.serialize(() => {
-        db.run(`
-          CREATE TABLE books (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            title TEXT NOT NULL,
-            author TEXT NOT NULL,
-            isbn TEXT UNIQUE,
-            published_year INTEGER,
-            genre TEXT,
-            description TEXT,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-          )
-        `, done);
-      });
-    });
-
-    dbOperations = createTestDbOperations(db);
+    database = createDatabase({ filename: ':memory:' });
+    dbOperations = database.dbOperations;
+    await database.ready;
   });
 
-  afterAll((done) => {
-    db.close(done);
+  afterAll(async () => {
+    await database.close();
   });
 
   beforeEach((done) => {
     // Clear all books before each test
-    db.run('DELETE FROM books', done);
+    database.db.run('DELETE FROM books', done);
   });
 
   describe('createBook', () => {
@@ -229,6 +124,15 @@ describe('Database Operations Unit Tests', () => {
     });
   });
 
+  describe('searchBooks', () => {
+    test('should reject a query FTS5 cannot parse with a 400', async () => {
+      const invalid = { name: 'HttpError', status: 400, message: 'Invalid search query' };
+
+      await expect(dbOperations.searchBooks('NOT')).rejects.toMatchObject(invalid);
+      await expect(dbOperations.countSearchResults('lighthouse AND')).rejects.toMatchObject(invalid);
+    });
+  });
+
   describe('updateBook', () => {
     test('should update existing book', async () => {
       const createdBook = await dbOperations.createBook({
@@ -265,7 +169,7 @@ describe('Database Operations Unit Tests', () => {
   });
 
   describe('deleteBook', () => {
-    test('should delete existing book and return it', async () => {
+    test('should move an existing book to the trash and return it', async () => {
       const createdBook = await dbOperations.createBook({
         title: 'Book to Delete',
         author: 'Delete Author'
@@ -276,10 +180,12 @@ describe('Database Operations Unit Tests', () => {
       expect(result).toBeDefined();
       expect(result.id).toBe(createdBook.id);
       expect(result.title).toBe('Book to Delete');
+      expect(result.deleted_at).toEqual(expect.any(String));
 
-      // Verify book is actually deleted
+      // Verify book is no longer readable
       const fetchResult = await dbOperations.getBookById(createdBook.id);
       expect(fetchResult).toBeUndefined();
+      expect(await dbOperations.deleteBook(createdBook.id)).toBeNull();
     });
 
     test('should return null when deleting non-existent book', async () => {
@@ -287,4 +193,430 @@ describe('Database Operations Unit Tests', () => {
       expect(result).toBeNull();
     });
   });
-});
\ No newline at end of file
+
+  describe('book versions', () => {
+    test('should count every change to a book', async () => {
+      const book = await dbOperations.createBook({ title: 'Counted', author: 'Version Author' });
+      expect(book.version).toBe(1);
+
+      const updated = await dbOperations.updateBook(book.id, { title: 'Counted', author: 'Version Author' });
+      const patched = await dbOperations.patchBook(book.id, { title: 'Counted Again' });
+      const deleted = await dbOperations.deleteBook(book.id);
+      const restored = await dbOperations.restoreBook(book.id);
+
+      expect([updated, patched, deleted, restored].map(({ version }) => version)).toEqual([2, 3, 4, 5]);
+    });
+
+    test('should count author renames', async () => {
+      const book = await dbOperations.createBook({ title: 'Renamed', author: 'Old Pen Name' });
+
+      await database.authorOperations.updateAuthor(book.authors[0].id, { name: 'New Pen Name' });
+
+      expect((await dbOperations.getBookById(book.id)).version).toBe(2);
+    });
+
+    test('should count tag renames and merges', async () => {
+      const book = await dbOperations.createBook({ title: 'Tagged', author: 'Version Author', tags: ['tag-one', 'tag-two'] });
+      const [first, second] = book.tags;
+
+      await database.tagOperations.renameTag(first.id, 'tag-uno');
+      await database.tagOperations.mergeTag(second.id, first.id);
+
+      expect((await dbOperations.getBookById(book.id)).version).toBe(3);
+    });
+
+    test('should count catalog changes for book lists', async () => {
+      const before = await dbOperations.getCatalogState();
+
+      await dbOperations.createBook({ title: 'Listed', author: 'Version Author' });
+
+      const after = await dbOperations.getCatalogState();
+      expect(after.change_count).toBeGreaterThan(before.change_count);
+      expect(after.changed_at).toEqual(expect.any(String));
+    });
+
+    test('should only write while the book is at an expected version', async () => {
+      const book = await dbOperations.createBook({ title: 'Guarded', author: 'Version Author' });
+
+      for (const write of [
+        () => dbOperations.updateBook(book.id, { title: 'Lost', author: 'Version Author' }, { ifMatch: [7] }),
+        () => dbOperations.patchBook(book.id, { title: 'Lost' }, { ifMatch: [] }),
+        () => dbOperations.deleteBook(book.id, { ifMatch: [2] })
+      ]) {
+        await expect(write()).rejects.toMatchObject({
+          status: 412,
+          details: { data: expect.objectContaining({ title: 'Guarded', version: 1 }) }
+        });
+      }
+
+      const patched = await dbOperations.patchBook(book.id, { title: 'Kept' }, { ifMatch: [1, 3] });
+      expect(patched).toMatchObject({ title: 'Kept', version: 2 });
+      expect(await dbOperations.countBookHistory(book.id)).toBe(2);
+    });
+  });
+
+  describe('book history', () => {
+    const actor = { userId: null, username: 'history-tester', requestId: 'req-1' };
+
+    test('should record who created, changed and deleted a book', async () => {
+      const book = await dbOperations.createBook({ title: 'Tracked', author: 'Tracked Author' }, { actor });
+      await dbOperations.patchBook(book.id, { published_year: 1950 }, { actor: { ...actor, requestId: 'req-2' } });
+      await dbOperations.deleteBook(book.id);
+
+      const history = await dbOperations.getBookHistory(book.id);
+
+      expect(history.map(revision => [revision.action, revision.request_id])).toEqual([
+        ['delete', null],
+        ['update', 'req-2'],
+        ['create', 'req-1']
+      ]);
+      expect(history[2].user).toEqual({ id: null, username: 'history-tester' });
+      expect(history[0].user).toBeNull();
+      expect(history[1].changes).toEqual([{ field: 'published_year', from: null, to: 1950 }]);
+      expect(history[1].before.published_year).toBeNull();
+      expect(history[1].after.published_year).toBe(1950);
+      expect(await dbOperations.countBookHistory(book.id)).toBe(3);
+      expect((await dbOperations.getBookHistory(book.id, { limit: 1, offset: 1 }))[0].action).toBe('update');
+    });
+
+    test('should record books created by an import, but not by a dry run', async () => {
+      const rows = [{ line: 2, book: { title: 'Imported History', author: 'Importer' } }];
+
+      await dbOperations.importBooks(rows, { dryRun: true, actor });
+      const report = await dbOperations.importBooks(rows, { actor });
+
+      const history = await dbOperations.getBookHistory(report.created[0].id);
+      expect(history).toEqual([expect.objectContaining({ action: 'create', request_id: 'req-1' })]);
+    });
+
+    test('should revert to the book as a revision left it', async () => {
+      const book = await dbOperations.createBook({
+        title: 'First', authors: [{ name: 'Ed Itor', role: 'editor' }, 'Au Thor'], genres: ['Poetry']
+      });
+      await dbOperations.updateBook(book.id, { title: 'Second', author: 'Someone Else', isbn: '0-306-40615-2' });
+      const [, created] = await dbOperations.getBookHistory(book.id);
+
+      const reverted = await dbOperations.revertBook(book.id, created.id, { actor });
+
+      expect(reverted).toMatchObject({ title: 'First', isbn: null, author: 'Au Thor', genre: 'Poetry' });
+      expect(reverted.authors.map(({ name, role }) => [name, role])).toEqual([['Ed Itor', 'editor'], ['Au Thor', 'author']]);
+      const [revert] = await dbOperations.getBookHistory(book.id);
+      expect(revert).toMatchObject({ action: 'revert', reverted_from: created.id });
+    });
+
+    test('should record author, genre and tag renames and merges on the books they change', async () => {
+      const book = await dbOperations.createBook({
+        title: 'Renamed Around', author: 'Pen Name', genres: ['Sea Stories'], tags: ['salty', 'briny']
+      });
+      const trashed = await dbOperations.createBook({ title: 'Binned', author: 'Pen Name' });
+      await dbOperations.deleteBook(trashed.id);
+      const [briny, salty] = book.tags;
+
+      await database.authorOperations.updateAuthor(book.authors[0].id, { name: 'Real Name' }, { actor });
+      await database.authorOperations.updateAuthor(book.authors[0].id, { name: 'Real Name', bio: 'Only the bio' }, { actor });
+      await database.genreOperations.updateGenre(book.genres[0].id, { name: 'Nautical' }, { actor });
+      await database.tagOperations.mergeTag(briny.id, salty.id, { actor });
+
+      const history = await dbOperations.getBookHistory(book.id);
+      expect(history.map(({ action, changes }) => [action, changes])).toEqual([
+        ['update', [{ field: 'tags', from: ['briny', 'salty'], to: ['salty'] }]],
+        ['update', [{ field: 'genres', from: ['Sea Stories'], to: ['Nautical'] }]],
+        ['update', [{ field: 'authors', from: [{ name: 'Pen Name', role: 'author' }], to: [{ name: 'Real Name', role: 'author' }] }]],
+        ['create', expect.any(Array)]
+      ]);
+      expect(history[2]).toMatchObject({ user: { id: null, username: 'history-tester' }, request_id: 'req-1' });
+      expect(history[0].after.version).toBe(4);
+
+      // A book in the trash is rewritten too, so it gets a revision as well
+      const [renamed] = await dbOperations.getBookHistory(trashed.id);
+      expect(renamed).toMatchObject({ action: 'update', after: { author: 'Real Name', deleted_at: expect.any(String) } });
+    });
+
+    test('should return null for a book that does not exist', async () => {
+      expect(await dbOperations.getBookHistory(999)).toBeNull();
+      expect(await dbOperations.revertBook(999, 1)).toBeNull();
+    });
+
+    test('should drop the history when a book is purged', async () => {
+      const book = await dbOperations.createBook({ title: 'Purged History', author: 'Gone' });
+      await dbOperations.deleteBook(book.id);
+      await dbOperations.purgeBook(book.id);
+
+      expect(await dbOperations.countBookHistory(book.id)).toBe(0);
+    });
+  });
+
+  describe('trash', () => {
+    // Backdate when a book was deleted
+    const deletedAgo = (id, days) => new Promise((resolve, reject) => {
+      database.db.run(
+        "UPDATE books SET deleted_at = datetime('now', ?) WHERE id = ?",
+        [`-${days} days`, id],
+        (err) => (err ? reject(err) : resolve())
+      );
+    });
+
+    const trash = async (data) => {
+      const book = await dbOperations.createBook(data);
+      await dbOperations.deleteBook(book.id);
+      return book;
+    };
+
+    test('should leave deleted books out of every read', async () => {
+      const kept = await dbOperations.createBook({ title: 'Kept Lighthouse', author: 'Shared Author', genres: ['Sea'] });
+      const trashed = await trash({
+        title: 'Trashed Lighthouse', author: 'Shared Author', isbn: '0-306-40615-2', genres: ['Sea']
+      });
+
+      expect((await dbOperations.getAllBooks()).map(book => book.id)).toEqual([kept.id]);
+      expect(await dbOperations.countBooks({ author: 'Shared Author' })).toBe(1);
+      expect((await dbOperations.searchBooks('lighthouse')).map(book => book.id)).toEqual([kept.id]);
+      expect(await dbOperations.countSearchResults('lighthouse')).toBe(1);
+      expect(await dbOperations.getBookByIsbn('9780306406157')).toBeUndefined();
+      expect(await dbOperations.updateBook(trashed.id, { title: 'X', author: 'Y' })).toBeNull();
+      expect(await dbOperations.patchBook(trashed.id, { title: 'X' })).toBeNull();
+
+      const [author] = await database.authorOperations.getAllAuthors({ search: 'Shared Author' });
+      expect(author.book_count).toBe(1);
+      const genre = (await database.genreOperations.getAllGenres()).find(({ name }) => name === 'Sea');
+      expect(genre).toMatchObject({ book_count: 1, total_book_count: 1 });
+    });
+
+    test('should list deleted books, most recently deleted first', async () => {
+      const first = await trash({ title: 'First Gone', author: 'Trash Author' });
+      const second = await trash({ title: 'Second Gone', author: 'Trash Author' });
+      await deletedAgo(first.id, 1);
+
+      const books = await dbOperations.getTrash();
+
+      expect(books.map(book => book.id)).toEqual([second.id, first.id]);
+      expect(books[0].authors).toEqual([expect.objectContaining({ name: 'Trash Author' })]);
+      expect(await dbOperations.countTrash()).toBe(2);
+      expect((await dbOperations.getTrash({ limit: 1, offset: 1 })).map(book => book.id)).toEqual([first.id]);
+    });
+
+    test('should allow a deleted book\'s ISBN to be used again', async () => {
+      const trashed = await trash({ title: 'Old Copy', author: 'Isbn Author', isbn: '0-306-40615-2' });
+
+      const copy = await dbOperations.createBook({ title: 'New Copy', author: 'Isbn Author', isbn: '978-0-306-40615-7' });
+
+      expect(copy.isbn13).toBe('9780306406157');
+      await expect(dbOperations.restoreBook(trashed.id)).rejects.toMatchObject({
+        status: 409,
+        details: { data: { id: copy.id } }
+      });
+    });
+
+    test('should restore a deleted book', async () => {
+      const trashed = await trash({ title: 'Comeback', author: 'Restore Author', tags: ['back'] });
+
+      const restored = await dbOperations.restoreBook(trashed.id);
+
+      expect(restored).toMatchObject({ id: trashed.id, deleted_at: null, tags: [expect.objectContaining({ name: 'back' })] });
+      expect(await dbOperations.getBookById(trashed.id)).toBeDefined();
+      expect(await dbOperations.restoreBook(trashed.id)).toBeNull();
+    });
+
+    test('should purge only books in the trash', async () => {
+      const live = await dbOperations.createBook({ title: 'Live', author: 'Purge Author' });
+      const trashed = await trash({ title: 'Purged', author: 'Purge Author' });
+
+      expect(await dbOperations.purgeBook(live.id)).toBeNull();
+      expect((await dbOperations.purgeBook(trashed.id)).id).toBe(trashed.id);
+      expect(await dbOperations.purgeBook(trashed.id)).toBeNull();
+      expect(await dbOperations.getBookById(live.id)).toBeDefined();
+    });
+
+    test('should purge books deleted before the retention period', async () => {
+      const old = await trash({ title: 'Old', author: 'Retention Author' });
+      const recent = await trash({ title: 'Recent', author: 'Retention Author' });
+      await deletedAgo(old.id, 31);
+
+      expect(await dbOperations.purgeTrash({ olderThanDays: 30 })).toBe(1);
+      expect((await dbOperations.getTrash()).map(book => book.id)).toEqual([recent.id]);
+
+      expect(await dbOperations.purgeTrash()).toBe(1);
+      expect(await dbOperations.countTrash()).toBe(0);
+    });
+  });
+
+  describe('book authors', () => {
+    test('should link the legacy author string to an author record', async () => {
+      const book = await dbOperations.createBook({ title: 'Dune', author: 'Frank Herbert' });
+
+      expect(book.author).toBe('Frank Herbert');
+      expect(book.authors).toEqual([
+        { id: expect.any(Number), name: 'Frank Herbert', role: 'author', position: 0 }
+      ]);
+    });
+
+    test('should reuse an author however the name is written', async () => {
+      const first = await dbOperations.createBook({ title: 'Emma', author: 'Jane Austen' });
+      const second = await dbOperations.createBook({ title: 'Persuasion', author: 'Austen, Jane' });
+
+      expect(second.authors[0].id).toBe(first.authors[0].id);
+      expect(second.author).toBe('Jane Austen');
+    });
+
+    test('should keep credits in order and leave editors out of the author string', async () => {
+      const book = await dbOperations.createBook({
+        title: 'The Odyssey',
+        authors: [
+          'Homer',
+          { name: 'Emily Wilson', role: 'translator' },
+          { name: 'Bernard Knox', role: 'editor' }
+        ]
+      });
+
+      expect(book.author).toBe('Homer');
+      expect(book.authors.map(({ name, role, position }) => ({ name, role, position }))).toEqual([
+        { name: 'Homer', role: 'author', position: 0 },
+        { name: 'Emily Wilson', role: 'translator', position: 1 },
+        { name: 'Bernard Knox', role: 'editor', position: 2 }
+      ]);
+    });
+
+    test('should replace credits when a patch changes the authors', async () => {
+      const book = await dbOperations.createBook({ title: 'Good Omens', author: 'Terry Pratchett' });
+
+      const patched = await dbOperations.patchBook(book.id, { authors: ['Terry Pratchett', 'Neil Gaiman'] });
+
+      expect(patched.author).toBe('Terry Pratchett & Neil Gaiman');
+      expect(patched.authors.map((credit) => credit.name)).toEqual(['Terry Pratchett', 'Neil Gaiman']);
+    });
+
+    test('should keep editors and extra genres when an update repeats the legacy strings', async () => {
+      const book = await dbOperations.createBook({
+        title: 'The Odyssey',
+        authors: ['Homer', { name: 'Emily Wilson', role: 'translator' }],
+        genres: ['Epic Poetry', 'Classics']
+      });
+
+      const updated = await dbOperations.updateBook(book.id, {
+        title: 'The Odyssey',
+        author: book.author,
+        genre: book.genre,
+        published_year: 2017
+      });
+
+      expect(updated.authors.map((credit) => credit.name)).toEqual(['Homer', 'Emily Wilson']);
+      expect(updated.genres.map((genre) => genre.name)).toEqual(['Epic Poetry', 'Classics']);
+      expect(updated.published_year).toBe(2017);
+    });
+
+    test('should reject an unknown author id and leave no book behind', async () => {
+      await expect(dbOperations.createBook({ title: 'Ghost', authors: [{ id: 999999 }] }))
+        .rejects.toMatchObject({ status: 400, message: 'Author 999999 not found' });
+
+      expect(await dbOperations.countBooks()).toBe(0);
+    });
+  });
+
+  describe('importBooks', () => {
+    test('should keep good rows and undo only the rows that fail', async () => {
+      const report = await dbOperations.importBooks([
+        { line: 2, book: { title: 'Kept', author: 'Someone', isbn: '978-0-123456-78-6' } },
+        { line: 3, book: { title: 'Ghost', authors: [{ id: 999999 }], tags: ['spooky'] } },
+        { line: 4, book: { title: 'Same ISBN', author: 'Someone', isbn: '9780123456786' } }
+      ]);
+
+      expect(report).toEqual({
+        created: [{ line: 2, id: expect.any(Number), title: 'Kept' }],
+        skipped: [{ line: 4, isbn: '9780123456786', bookId: report.created[0].id }],
+        failed: [{ line: 3, errors: [{ field: null, code: 'rejected', message: 'Author 999999 not found' }] }]
+      });
+      expect(await dbOperations.countBooks()).toBe(1);
+    });
+
+    test('should write nothing on a dry run', async () => {
+      const report = await dbOperations.importBooks(
+        [{ line: 2, book: { title: 'Trial', author: 'Someone' } }],
+        { dryRun: true }
+      );
+
+      expect(report.created).toEqual([{ line: 2, title: 'Trial' }]);
+      expect(await dbOperations.countBooks()).toBe(0);
+    });
+
+    test('should keep other queries out of a dry run while it runs', async () => {
+      let reachHalfway;
+      const halfway = new Promise((resolve) => { reachHalfway = resolve; });
+      const rows = Array.from({ length: 50 }, (_, i) => ({
+        line: i + 2,
+        get book() {
+          if (i === 25) reachHalfway();
+          return { title: `Trial ${i}`, author: 'Someone' };
+        }
+      }));
+
+      const importing = dbOperations.importBooks(rows, { dryRun: true });
+      await halfway;
+      const [user, count] = await Promise.all([
+        database.authOperations.createUser({ username: 'during-dry-run', passwordHash: 'hash' }),
+        dbOperations.countBooks()
+      ]);
+      await importing;
+
+      // The count never saw the rows about to be rolled back, and the user outlived them
+      expect(count).toBe(0);
+      expect(await database.authOperations.getUserById(user.id)).toEqual(user);
+    });
+  });
+
+  describe('exportBooks', () => {
+    test('should stream every matching book in order, links included, across batches', async () => {
+      const rows = Array.from({ length: 450 }, (_, i) => ({
+        line: i + 2,
+        book: { title: `Book ${String(i).padStart(3, '0')}`, author: i % 2 ? 'Odd Author' : 'Even Author', tags: ['bulk'] }
+      }));
+      await dbOperations.importBooks(rows);
+
+      const titles = [];
+      for await (const book of await dbOperations.exportBooks({
+        filters: { author: 'Odd' }, sort: 'title', order: 'asc'
+      })) {
+        expect(book.tags).toEqual([{ id: expect.any(Number), name: 'bulk' }]);
+        titles.push(book.title);
+      }
+
+      expect(titles).toHaveLength(225);
+      expect(titles[0]).toBe('Book 001');
+      expect(titles[224]).toBe('Book 449');
+    });
+
+    test('should release the cursor when the reader stops early', async () => {
+      await dbOperations.createBook({ title: 'First', author: 'Someone' });
+      await dbOperations.createBook({ title: 'Second', author: 'Someone' });
+
+      for await (const book of await dbOperations.exportBooks()) {
+        expect(book.title).toBe('Second');
+        break;
+      }
+
+      // Breaking out finalizes the statement, so later writes are not held up
+      await dbOperations.createBook({ title: 'Third', author: 'Someone' });
+      expect(await dbOperations.countBooks()).toBe(3);
+    });
+  });
+});
+describe('createDatabase', () => {
+  test('should seed sample books only when asked to', async () => {
+    const seeded = createDatabase({ filename: ':memory:', seed: true });
+    const empty = createDatabase({ filename: ':memory:' });
+
+    try {
+      expect(await seeded.dbOperations.countBooks()).toBe(4);
+      expect(await empty.dbOperations.countBooks()).toBe(0);
+    } finally {
+      await seeded.close();
+      await empty.close();
+    }
+  });
+
+  test('should reject queries when the database cannot be opened', async () => {
+    const broken = createDatabase({ filename: '/nonexistent-dir/books.db' });
+
+    await expect(broken.ready).rejects.toThrow();
+    await expect(broken.dbOperations.getAllBooks()).rejects.toThrow();
+  });
+});
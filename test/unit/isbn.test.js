@@ -0,0 +1,28 @@
+const { parseIsbn, toIsbn13 } = require('../../server/isbn');
+
+describe('ISBN parsing', () => {
+  test('should accept an ISBN-13 with hyphens and return both forms', () => {
+    expect(parseIsbn('978-0-452-28423-4')).toEqual({ isbn13: '9780452284234', isbn10: '0452284236' });
+  });
+
+  test('should convert an ISBN-10 to ISBN-13, including an X check digit', () => {
+    expect(parseIsbn('0-306-40615-2')).toEqual({ isbn13: '9780306406157', isbn10: '0306406152' });
+    expect(parseIsbn('ISBN 0-8044-2957-x')).toEqual({ isbn13: '9780804429573', isbn10: '080442957X' });
+  });
+
+  test('should have no ISBN-10 for the 979 prefix', () => {
+    expect(parseIsbn('979-10-90636-07-1')).toEqual({ isbn13: '9791090636071', isbn10: null });
+  });
+
+  test('should reject wrong check digits and lengths', () => {
+    expect(parseIsbn('978-0-452-28423-5')).toEqual({ error: 'ISBN-13 check digit does not match' });
+    expect(parseIsbn('0-306-40615-3')).toEqual({ error: 'ISBN-10 check digit does not match' });
+    expect(parseIsbn('123-4-567890-12-8')).toEqual({ error: 'ISBN-13 must start with 978 or 979' });
+    expect(parseIsbn('12345')).toEqual({ error: 'ISBN must have 10 or 13 digits' });
+  });
+
+  test('should return null from toIsbn13 for invalid values', () => {
+    expect(toIsbn13('ISBN-13: 978 0 14 143951 8')).toBe('9780141439518');
+    expect(toIsbn13('not an isbn')).toBeNull();
+  });
+});
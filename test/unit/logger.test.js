@@ -0,0 +1,130 @@
+const request = require('supertest');
+const express = require('express');
+
+const { createLogger, requestContext } = require('../../server/logger');
+const { withRequestContext, accessLog } = require('../../server/middleware/logging');
+const { assignRequestId } = require('../../server/middleware/requestId');
+
+// A logger writing into an array of parsed lines
+const captureLogger = (level = 'debug') => {
+  const lines = [];
+  const stream = { write: (text) => lines.push(JSON.parse(text)) };
+  return { log: createLogger({ level, stream }), lines };
+};
+
+describe('Logger', () => {
+  test('should write one JSON line per entry with its level and fields', () => {
+    const { log, lines } = captureLogger();
+
+    log.info('book created', { bookId: 3 });
+
+    expect(lines).toEqual([{
+      time: expect.stringMatching(/^\d{4}-\d{2}-\d{2}T/),
+      level: 'info',
+      msg: 'book created',
+      bookId: 3
+    }]);
+  });
+
+  test('should leave out entries below the configured level', () => {
+    const { log, lines } = captureLogger('warn');
+
+    log.debug('noise');
+    log.info('noise');
+    log.warn('careful');
+    log.error('broken');
+
+    expect(lines.map((line) => line.level)).toEqual(['warn', 'error']);
+    expect(captureLogger('silent').lines).toEqual([]);
+  });
+
+  test('should redact sensitive fields at any depth', () => {
+    const { log, lines } = captureLogger();
+
+    log.info('signing in', {
+      body: { username: 'librarian', password: 'hunter2' },
+      headers: { Authorization: 'Bearer abc', accept: 'application/json' },
+      sessions: [{ refreshToken: 'xyz', id: 1 }]
+    });
+
+    expect(lines[0]).toMatchObject({
+      body: { username: 'librarian', password: '[Redacted]' },
+      headers: { Authorization: '[Redacted]', accept: 'application/json' },
+      sessions: [{ refreshToken: '[Redacted]', id: 1 }]
+    });
+  });
+
+  test('should log errors with their code and stack', () => {
+    const { log, lines } = captureLogger();
+    const error = Object.assign(new Error('SQLITE_BUSY: database is locked'), { code: 'SQLITE_BUSY' });
+
+    log.error('Error retrieving book', { error, bookId: '1' });
+
+    expect(lines[0]).toMatchObject({
+      level: 'error',
+      msg: 'Error retrieving book',
+      bookId: '1',
+      error: { name: 'Error', message: 'SQLITE_BUSY: database is locked', code: 'SQLITE_BUSY' }
+    });
+    expect(lines[0].error.stack).toContain('SQLITE_BUSY');
+  });
+
+  test('should add the request context to every line', () => {
+    const { log, lines } = captureLogger();
+
+    requestContext.run({ requestId: 'req-42' }, () => log.warn('inside'));
+    log.warn('outside');
+
+    expect(lines[0]).toMatchObject({ msg: 'inside', requestId: 'req-42' });
+    expect(lines[1]).not.toHaveProperty('requestId');
+  });
+});
+
+describe('Logging middleware', () => {
+  test('should tie the route\'s log lines and the access log to the request id', async () => {
+    const { log, lines } = captureLogger();
+    const app = express();
+    app.use(assignRequestId);
+    app.use(accessLog(log));
+    app.use(express.json());
+    app.use(withRequestContext);
+    app.post('/things/:id', async (req, res) => {
+      await new Promise((resolve) => setImmediate(resolve));
+      log.info('handling thing', { thingId: req.params.id });
+      res.status(201).json({ success: true });
+    });
+
+    const response = await request(app)
+      .post('/things/5?token=secret')
+      .set('X-Request-Id', 'trace-me')
+      .send({ name: 'five' })
+      .expect(201);
+
+    expect(response.headers['x-request-id']).toBe('trace-me');
+    expect(lines).toEqual([
+      expect.objectContaining({ msg: 'handling thing', requestId: 'trace-me', method: 'POST', path: '/things/5' }),
+      expect.objectContaining({
+        msg: 'request completed',
+        requestId: 'trace-me',
+        method: 'POST',
+        route: '/things/:id',
+        path: '/things/5',
+        status: 201,
+        durationMs: expect.any(Number),
+        userId: null
+      })
+    ]);
+    expect(JSON.stringify(lines)).not.toContain('secret');
+  });
+
+  test('should log requests that matched no route', async () => {
+    const { log, lines } = captureLogger();
+    const app = express();
+    app.use(assignRequestId);
+    app.use(accessLog(log));
+
+    await request(app).get('/missing').expect(404);
+
+    expect(lines[0]).toMatchObject({ route: null, path: '/missing', status: 404, requestId: expect.any(String) });
+  });
+});
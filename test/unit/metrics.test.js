@@ -0,0 +1,148 @@
+const request = require('supertest');
+const express = require('express');
+
+const { createRegistry, createMetrics } = require('../../server/metrics');
+const { recordRequests } = require('../../server/middleware/metrics');
+const { HttpError } = require('../../server/errors');
+
+describe('Metrics', () => {
+  describe('createRegistry', () => {
+    test('should render counters and gauges in the Prometheus text format', async () => {
+      const registry = createRegistry();
+      const requests = registry.counter({ name: 'requests_total', help: 'Requests', labelNames: ['route'] });
+      registry.gauge({ name: 'queue_depth', help: 'Queued jobs', collect: async () => 3 });
+
+      requests.inc({ route: '/a' });
+      requests.inc({ route: '/a' });
+      requests.inc({ route: 'say "hi"\n' });
+
+      expect(await registry.render()).toBe([
+        '# HELP requests_total Requests',
+        '# TYPE requests_total counter',
+        'requests_total{route="/a"} 2',
+        'requests_total{route="say \\"hi\\"\\n"} 1',
+        '# HELP queue_depth Queued jobs',
+        '# TYPE queue_depth gauge',
+        'queue_depth 3',
+        ''
+      ].join('\n'));
+    });
+
+    test('should start an unlabelled counter at 0', async () => {
+      const registry = createRegistry();
+      registry.counter({ name: 'restarts_total', help: 'Restarts' });
+
+      expect(await registry.render()).toContain('\nrestarts_total 0\n');
+    });
+
+    test('should render cumulative histogram buckets with sum and count', async () => {
+      const registry = createRegistry();
+      const latency = registry.histogram({ name: 'latency_seconds', help: 'Latency', labelNames: ['route'], buckets: [0.1, 1] });
+
+      latency.observe({ route: '/a' }, 0.05);
+      latency.observe({ route: '/a' }, 0.5);
+      latency.observe({ route: '/a' }, 5);
+
+      const text = await registry.render();
+      expect(text).toContain('latency_seconds_bucket{route="/a",le="0.1"} 1\n');
+      expect(text).toContain('latency_seconds_bucket{route="/a",le="1"} 2\n');
+      expect(text).toContain('latency_seconds_bucket{route="/a",le="+Inf"} 3\n');
+      expect(text).toContain('latency_seconds_sum{route="/a"} 5.55\n');
+      expect(text).toContain('latency_seconds_count{route="/a"} 3\n');
+    });
+  });
+
+  describe('createMetrics', () => {
+    const dbOperations = {
+      countBooks: jest.fn().mockResolvedValue(12),
+      countTrash: jest.fn().mockResolvedValue(2)
+    };
+    let metrics;
+
+    beforeEach(() => {
+      metrics = createMetrics({ dbOperations });
+    });
+
+    afterEach(() => {
+      metrics.stop();
+    });
+
+    test('should report the catalog, memory and event loop lag', async () => {
+      const text = await metrics.render();
+
+      expect(text).toContain('catalog_books{state="live"} 12\n');
+      expect(text).toContain('catalog_books{state="trash"} 2\n');
+      expect(text).toMatch(/\nprocess_resident_memory_bytes \d+\n/);
+      expect(text).toMatch(/\nnodejs_heap_size_used_bytes \d+\n/);
+      expect(text).toMatch(/\nnodejs_eventloop_lag_seconds\{stat="p99"\} [\d.e-]+\n/);
+    });
+
+    test('should time instrumented operations without changing their results', async () => {
+      const book = { id: 1, title: 'Timed' };
+      const instrumented = metrics.instrument({
+        getBookById: jest.fn().mockResolvedValue(book),
+        updateBook: jest.fn().mockRejectedValue(new HttpError(412, 'Book has been changed since you loaded it')),
+        deleteBook: jest.fn().mockRejectedValue(new Error('SQLITE_BUSY: database is locked'))
+      });
+
+      await expect(instrumented.getBookById('1')).resolves.toBe(book);
+      await expect(instrumented.updateBook('1', {})).rejects.toMatchObject({ status: 412 });
+      await expect(instrumented.deleteBook('1')).rejects.toThrow('SQLITE_BUSY');
+
+      const text = await metrics.render();
+      expect(text).toContain('db_query_duration_seconds_count{method="getBookById"} 1\n');
+      expect(text).toContain('db_query_duration_seconds_count{method="updateBook"} 1\n');
+      expect(text).toContain('db_query_errors_total{method="deleteBook"} 1\n');
+      expect(text).not.toContain('db_query_errors_total{method="updateBook"}');
+    });
+
+    test('should time a cursor until it has been read to the end', async () => {
+      const instrumented = metrics.instrument({
+        exportBooks: jest.fn(async () => (async function* () {
+          yield { id: 1 };
+          await new Promise((resolve) => setTimeout(resolve, 50));
+          yield { id: 2 };
+        })()),
+        exportTrash: jest.fn(async () => (async function* () {
+          yield { id: 1 };
+          throw new Error('SQLITE_IOERR: disk I/O error');
+        })())
+      });
+
+      const books = await instrumented.exportBooks();
+      expect(await metrics.render()).not.toContain('db_query_duration_seconds_count{method="exportBooks"}');
+
+      const ids = [];
+      for await (const book of books) ids.push(book.id);
+      expect(ids).toEqual([1, 2]);
+
+      const rows = [];
+      await expect((async () => {
+        for await (const book of await instrumented.exportTrash()) rows.push(book);
+      })()).rejects.toThrow('SQLITE_IOERR');
+      expect(rows).toEqual([{ id: 1 }]);
+
+      const text = await metrics.render();
+      expect(text).toContain('db_query_duration_seconds_count{method="exportBooks"} 1\n');
+      expect(Number(/db_query_duration_seconds_sum\{method="exportBooks"\} ([\d.e-]+)/.exec(text)[1])).toBeGreaterThanOrEqual(0.04);
+      expect(text).toContain('db_query_errors_total{method="exportTrash"} 1\n');
+      expect(text).toContain('db_query_duration_seconds_count{method="exportTrash"} 1\n');
+    });
+
+    test('should count requests by route pattern and status', async () => {
+      const app = express();
+      app.use(recordRequests(metrics));
+      app.get('/things/:id', (req, res) => res.json({ success: true }));
+
+      await request(app).get('/things/1').expect(200);
+      await request(app).get('/things/2').expect(200);
+      await request(app).get('/elsewhere/3').expect(404);
+
+      const text = await metrics.render();
+      expect(text).toContain('http_requests_total{method="GET",route="/things/:id",status="200"} 2\n');
+      expect(text).toContain('http_requests_total{method="GET",route="unmatched",status="404"} 1\n');
+      expect(text).toContain('http_request_duration_seconds_count{method="GET",route="/things/:id",status="200"} 2\n');
+      expect(text).not.toContain('/things/1');
+    });
+  });
+});
@@ -0,0 +1,304 @@
+const sqlite3 = require('sqlite3').verbose();
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { migrate, rollback, status, loadMigrations } = require('../../server/migrate');
+
+const all = (db, sql, params = []) => new Promise((resolve, reject) => {
+  db.all(sql, params, (err, rows) => {
+    if (err) reject(err);
+    else resolve(rows);
+  });
+});
+
+const tableNames = async (db) => {
+  const rows = await all(db, "SELECT name FROM sqlite_master WHERE type = 'table' ORDER BY name");
+  return rows.map(row => row.name);
+};
+
+describe('Schema Migrations', () => {
+  let db;
+
+  beforeEach((done) => {
+    db = new sqlite3.Database(':memory:', done);
+  });
+
+  afterEach((done) => {
+    db.close(done);
+  });
+
+  test('should load migrations ordered by version', () => {
+    const migrations = loadMigrations();
+
+    expect(migrations.length).toBeGreaterThan(0);
+    migrations.forEach((migration, index) => {
+      expect(typeof migration.up).toBe('function');
+      expect(typeof migration.down).toBe('function');
+      if (index > 0) {
+        expect(migration.version).toBeGreaterThan(migrations[index - 1].version);
+      }
+    });
+  });
+
+  test('should apply all migrations and record them', async () => {
+    const applied = await migrate(db);
+    const migrations = loadMigrations();
+
+    expect(applied.map(m => m.name)).toEqual(migrations.map(m => m.name));
+    expect(await tableNames(db)).toEqual(expect.arrayContaining(['books', 'books_fts', 'schema_migrations']));
+
+    const recorded = await all(db, 'SELECT version FROM schema_migrations ORDER BY version');
+    expect(recorded.map(row => row.version)).toEqual(migrations.map(m => m.version));
+  });
+
+  test('should not re-apply migrations that already ran', async () => {
+    await migrate(db);
+    const applied = await migrate(db);
+
+    expect(applied).toEqual([]);
+    expect((await status(db)).pending).toEqual([]);
+  });
+
+  test('should adopt a database created before migrations existed', async () => {
+    await new Promise((resolve, reject) => {
+      db.exec(`
+        CREATE TABLE books (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          title TEXT NOT NULL,
+          author TEXT NOT NULL,
+          isbn TEXT UNIQUE,
+          published_year INTEGER,
+          genre TEXT,
+          description TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+        INSERT INTO books (title, author) VALUES ('Legacy Book', 'Legacy Author');
+      `, (err) => (err ? reject(err) : resolve()));
+    });
+
+    await migrate(db);
+
+    const books = await all(db, 'SELECT title FROM books');
+    expect(books).toEqual([{ title: 'Legacy Book' }]);
+  });
+
+  test('should move legacy author strings into authors and book_authors', async () => {
+    await new Promise((resolve, reject) => {
+      db.exec(`
+        CREATE TABLE books (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          title TEXT NOT NULL,
+          author TEXT NOT NULL,
+          isbn TEXT UNIQUE,
+          published_year INTEGER,
+          genre TEXT,
+          description TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+        INSERT INTO books (title, author) VALUES ('1984', 'George Orwell');
+        INSERT INTO books (title, author) VALUES ('Animal Farm', 'Orwell, George');
+        INSERT INTO books (title, author) VALUES ('Good Omens', 'Terry Pratchett & Neil Gaiman');
+      `, (err) => (err ? reject(err) : resolve()));
+    });
+
+    await migrate(db);
+
+    const authors = await all(db, 'SELECT name, sort_name FROM authors ORDER BY id');
+    expect(authors).toEqual([
+      { name: 'George Orwell', sort_name: 'Orwell, George' },
+      { name: 'Terry Pratchett', sort_name: 'Pratchett, Terry' },
+      { name: 'Neil Gaiman', sort_name: 'Gaiman, Neil' }
+    ]);
+
+    const credits = await all(db, `
+      SELECT books.title, authors.name, book_authors.position
+      FROM book_authors
+      JOIN books ON books.id = book_authors.book_id
+      JOIN authors ON authors.id = book_authors.author_id
+      ORDER BY books.id, book_authors.position
+    `);
+    expect(credits).toEqual([
+      { title: '1984', name: 'George Orwell', position: 0 },
+      { title: 'Animal Farm', name: 'George Orwell', position: 0 },
+      { title: 'Good Omens', name: 'Terry Pratchett', position: 0 },
+      { title: 'Good Omens', name: 'Neil Gaiman', position: 1 }
+    ]);
+  });
+
+  test('should move genre strings into genres and nest genres that extend another', async () => {
+    await new Promise((resolve, reject) => {
+      db.exec(`
+        CREATE TABLE books (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          title TEXT NOT NULL,
+          author TEXT NOT NULL,
+          isbn TEXT UNIQUE,
+          published_year INTEGER,
+          genre TEXT,
+          description TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+        INSERT INTO books (title, author, genre) VALUES ('The Great Gatsby', 'F. Scott Fitzgerald', 'Fiction');
+        INSERT INTO books (title, author, genre) VALUES ('1984', 'George Orwell', 'Dystopian Fiction');
+        INSERT INTO books (title, author, genre) VALUES ('Brave New World', 'Aldous Huxley', 'dystopian fiction');
+        INSERT INTO books (title, author, genre) VALUES ('Untitled', 'Anonymous', NULL);
+      `, (err) => (err ? reject(err) : resolve()));
+    });
+
+    await migrate(db);
+
+    const genres = await all(db, `
+      SELECT genres.name, parents.name AS parent,
+             (SELECT COUNT(*) FROM book_genres WHERE genre_id = genres.id) AS books
+      FROM genres LEFT JOIN genres AS parents ON parents.id = genres.parent_id
+      ORDER BY genres.id
+    `);
+    expect(genres).toEqual([
+      { name: 'Fiction', parent: null, books: 1 },
+      { name: 'Dystopian Fiction', parent: 'Fiction', books: 2 }
+    ]);
+  });
+
+  test('should store canonical ISBN-13s for valid legacy ISBNs', async () => {
+    await new Promise((resolve, reject) => {
+      db.exec(`
+        CREATE TABLE books (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          title TEXT NOT NULL,
+          author TEXT NOT NULL,
+          isbn TEXT UNIQUE,
+          published_year INTEGER,
+          genre TEXT,
+          description TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+        INSERT INTO books (title, author, isbn) VALUES ('1984', 'George Orwell', '978-0-452-28423-4');
+        INSERT INTO books (title, author, isbn) VALUES ('1984 (copy)', 'George Orwell', '0452284236');
+        INSERT INTO books (title, author, isbn) VALUES ('Typo', 'Anonymous', '978-0-452-28423-5');
+      `, (err) => (err ? reject(err) : resolve()));
+    });
+
+    await migrate(db);
+
+    const books = await all(db, 'SELECT title, isbn, isbn13 FROM books ORDER BY id');
+    expect(books).toEqual([
+      { title: '1984', isbn: '978-0-452-28423-4', isbn13: '9780452284234' },
+      { title: '1984 (copy)', isbn: '0452284236', isbn13: null },
+      { title: 'Typo', isbn: '978-0-452-28423-5', isbn13: null }
+    ]);
+  });
+
+  test('should keep legacy books and only require unique ISBNs outside the trash', async () => {
+    await new Promise((resolve, reject) => {
+      db.exec(`
+        CREATE TABLE books (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          title TEXT NOT NULL,
+          author TEXT NOT NULL,
+          isbn TEXT UNIQUE,
+          published_year INTEGER,
+          genre TEXT,
+          description TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+        INSERT INTO books (title, author, isbn) VALUES ('Kept', 'Some Author', '0-306-40615-2');
+        INSERT INTO books (title, author) VALUES ('Removed', 'Some Author');
+        DELETE FROM books WHERE title = 'Removed';
+      `, (err) => (err ? reject(err) : resolve()));
+    });
+
+    await migrate(db);
+
+    const [book] = await all(db, "SELECT id, title, isbn, deleted_at FROM books");
+    expect(book).toEqual({ id: 1, title: 'Kept', isbn: '0-306-40615-2', deleted_at: null });
+    const credits = await all(db, 'SELECT book_id FROM book_authors');
+    expect(credits).toEqual([{ book_id: 1 }]);
+
+    // Ids of removed books are not reused, and search still follows the table
+    await all(db, "INSERT INTO books (title, author) VALUES ('Next', 'Some Author')");
+    expect(await all(db, "SELECT id FROM books WHERE title = 'Next'")).toEqual([{ id: 3 }]);
+    expect(await all(db, "SELECT rowid FROM books_fts WHERE books_fts MATCH 'next'")).toEqual([{ rowid: 3 }]);
+
+    await expect(all(db, "INSERT INTO books (title, author, isbn) VALUES ('Copy', 'A', '0-306-40615-2')"))
+      .rejects.toThrow('UNIQUE constraint failed');
+    await all(db, "UPDATE books SET deleted_at = CURRENT_TIMESTAMP WHERE id = 1");
+    await all(db, "INSERT INTO books (title, author, isbn) VALUES ('Copy', 'A', '0-306-40615-2')");
+  });
+
+  test('should count every change to the catalog', async () => {
+    await migrate(db);
+    const [before] = await all(db, 'SELECT change_count FROM catalog_state');
+
+    await all(db, "INSERT INTO books (title, author) VALUES ('Counted', 'Some Author')");
+    await all(db, "INSERT INTO tags (name, name_key) VALUES ('counted', 'counted')");
+    await all(db, 'INSERT INTO book_tags (book_id, tag_id) SELECT MAX(books.id), MAX(tags.id) FROM books, tags');
+    await all(db, "UPDATE tags SET name = 'Counted' WHERE name_key = 'counted'");
+
+    const [after] = await all(db, 'SELECT change_count FROM catalog_state');
+    expect(after.change_count).toBe(before.change_count + 4);
+  });
+
+  test('should roll back the latest migration', async () => {
+    await migrate(db);
+    const migrations = loadMigrations();
+    const latest = migrations[migrations.length - 1];
+
+    const reverted = await rollback(db);
+
+    expect(reverted.map(m => m.name)).toEqual([latest.name]);
+    expect((await status(db)).pending.map(m => m.name)).toEqual([latest.name]);
+
+    await migrate(db);
+    expect((await status(db)).pending).toEqual([]);
+  });
+
+  test('should roll back several steps', async () => {
+    await migrate(db);
+
+    await rollback(db, { steps: loadMigrations().length });
+
+    const tables = await tableNames(db);
+    expect(tables).not.toContain('books');
+    expect(tables).not.toContain('books_fts');
+    expect(tables).not.toContain('authors');
+    expect(tables).not.toContain('genres');
+    expect(tables).not.toContain('tags');
+    expect((await status(db)).applied).toEqual([]);
+  });
+
+  describe('with a failing migration', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+      fs.writeFileSync(path.join(dir, '001_create_widgets.js'), `
+        exports.up = (db) => db.exec('CREATE TABLE widgets (id INTEGER PRIMARY KEY);');
+        exports.down = (db) => db.exec('DROP TABLE widgets;');
+      `);
+      fs.writeFileSync(path.join(dir, '002_broken.js'), `
+        exports.up = async (db) => {
+          await db.exec('CREATE TABLE gadgets (id INTEGER PRIMARY KEY);');
+          await db.exec('THIS IS NOT SQL;');
+        };
+        exports.down = (db) => db.exec('DROP TABLE gadgets;');
+      `);
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should keep earlier migrations and roll back the failing one', async () => {
+      await expect(migrate(db, { dir })).rejects.toThrow('Migration 002_broken failed');
+
+      expect(await tableNames(db)).toEqual(['schema_migrations', 'widgets']);
+      expect((await status(db, { dir })).pending.map(m => m.name)).toEqual(['002_broken']);
+    });
+  });
+});
@@ -1,19 +1,45 @@
 const request = require('supertest');
 const express = require('express');
 
-// Mock the database module
-jest.mock('../../server/database', () => ({
-  dbOperations: {
-    getAllBooks: jest.fn(),
-    getBookById: jest.fn(),
-    createBook: jest.fn(),
-    updateBook: jest.fn(),
-    deleteBook: jest.fn()
-  }
-}));
-
-const { dbOperations } = require('../../server/database');
-const bookRoutes = require('../../server/routes/books');
+const { createBooksRouter } = require('../../server/routes/books');
+const { HttpError } = require('../../server/errors');
+const { logger } = require('../../server/logger');
+
+// Mocked database operations handed to the router
+const dbOperations = {
+  getAllBooks: jest.fn(),
+  countBooks: jest.fn(),
+  getCatalogState: jest.fn(),
+  searchBooks: jest.fn(),
+  countSearchResults: jest.fn(),
+  getBookById: jest.fn(),
+  getBookByIsbn: jest.fn(),
+  importBooks: jest.fn(),
+  exportBooks: jest.fn(),
+  createBook: jest.fn(),
+  updateBook: jest.fn(),
+  patchBook: jest.fn(),
+  deleteBook: jest.fn(),
+  getTrash: jest.fn(),
+  countTrash: jest.fn(),
+  restoreBook: jest.fn(),
+  purgeBook: jest.fn(),
+  purgeTrash: jest.fn(),
+  getBookHistory: jest.fn(),
+  countBookHistory: jest.fn(),
+  revertBook: jest.fn()
+};
+
+// Authorization is exercised by the API tests; here it records the permission and lets everything through
+const checkedPermissions = [];
+const requirePermission = (permission) => (req, res, next) => {
+  checkedPermissions.push(`${req.method} ${permission}`);
+  req.user = { id: 7, username: 'route-tester', role: 'admin' };
+  next();
+};
+
+// Who the routes report as making each change
+const actor = { userId: 7, username: 'route-tester', requestId: null };
 
 describe('Book Routes Unit Tests (Mocked Database)', () => {
   let app;
@@ -21,12 +47,14 @@ describe('Book Routes Unit Tests (Mocked Database)', () => {
   beforeAll(() => {
     app = express();
     app.use(express.json());
-    app.use('/api/books', bookRoutes);
+    app.use('/api/books', createBooksRouter({ dbOperations, requirePermission }));
   });
 
   beforeEach(() => {
     // Clear all mocks before each test
     jest.clearAllMocks();
+    checkedPermissions.length = 0;
+    dbOperations.getCatalogState.mockResolvedValue({ change_count: 12, changed_at: '2024-05-01 09:30:12' });
   });
 
   describe('GET /api/books', () => {
@@ -36,7 +64,7 @@ describe('Book Routes Unit Tests (Mocked Database)', () => {
           id: 1,
           title: 'Test Book 1',
           author: 'Author 1',
-          isbn: '978-0-123456-78-9',
+          isbn: '978-0-123456-78-6',
           published_year: 2024,
           genre: 'Fiction',
           description: 'A test book'
@@ -45,7 +73,7 @@ describe('Book Routes Unit Tests (Mocked Database)', () => {
           id: 2,
           title: 'Test Book 2',
           author: 'Author 2',
-          isbn: '978-0-123456-78-8',
+          isbn: '978-0-123456-81-6',
           published_year: 2023,
           genre: 'Non-Fiction',
           description: 'Another test book'
@@ -53,6 +81,7 @@ describe('Book Routes Unit Tests (Mocked Database)', () => {
       ];
 
       dbOperations.getAllBooks.mockResolvedValue(mockBooks);
+      dbOperations.countBooks.mockResolvedValue(2);
 
       const response = await request(app)
         .get('/api/books')
@@ -61,14 +90,25 @@ describe('Book Routes Unit Tests (Mocked Database)', () => {
       expect(response.body).toEqual({
         success: true,
         data: mockBooks,
-        total: 2
+        total: 2,
+        page: 1,
+        pageSize: 20,
+        links: { next: null, prev: null }
       });
 
       expect(dbOperations.getAllBooks).toHaveBeenCalledTimes(1);
+      expect(dbOperations.getAllBooks).toHaveBeenCalledWith({
+        filters: {},
+        sort: 'created_at',
+        order: 'desc',
+        limit: 20,
+        offset: 0
+      });
     });
 
     test('should return empty array when no books exist', async () => {
       dbOperations.getAllBooks.mockResolvedValue([]);
+      dbOperations.countBooks.mockResolvedValue(0);
 
       const response = await request(app)
         .get('/api/books')
@@ -77,12 +117,86 @@ describe('Book Routes Unit Tests (Mocked Database)', () => {
       expect(response.body).toEqual({
         success: true,
         data: [],
-        total: 0
+        total: 0,
+        page: 1,
+        pageSize: 20,
+        links: { next: null, prev: null }
+      });
+    });
+
+    test('should pass filters, sorting and pagination to the database', async () => {
+      dbOperations.getAllBooks.mockResolvedValue([]);
+      dbOperations.countBooks.mockResolvedValue(0);
+
+      await request(app)
+        .get('/api/books?author=Orwell&genre=Fiction&year_from=1900&year_to=1950&sort=title&order=ASC&page=3&limit=5')
+        .expect(200);
+
+      const filters = { author: 'Orwell', genre: 'Fiction', yearFrom: 1900, yearTo: 1950 };
+      expect(dbOperations.getAllBooks).toHaveBeenCalledWith({
+        filters,
+        sort: 'title',
+        order: 'asc',
+        limit: 5,
+        offset: 10
       });
+      expect(dbOperations.countBooks).toHaveBeenCalledWith(filters);
+    });
+
+    test('should return next and prev links that keep the other query parameters', async () => {
+      dbOperations.getAllBooks.mockResolvedValue([]);
+      dbOperations.countBooks.mockResolvedValue(12);
+
+      const response = await request(app)
+        .get('/api/books?genre=Fiction&limit=5&page=2')
+        .expect(200);
+
+      expect(response.body.total).toBe(12);
+      expect(response.body.page).toBe(2);
+      expect(response.body.pageSize).toBe(5);
+      expect(response.body.links).toEqual({
+        next: '/api/books?genre=Fiction&limit=5&page=3',
+        prev: '/api/books?genre=Fiction&limit=5&page=1'
+      });
+    });
+
+    test('should pass repeated tag parameters as a list of tags', async () => {
+      dbOperations.getAllBooks.mockResolvedValue([]);
+      dbOperations.countBooks.mockResolvedValue(0);
+
+      await request(app)
+        .get('/api/books?genre=Fiction&tag=classic&tag=award-winner')
+        .expect(200);
+
+      expect(dbOperations.countBooks).toHaveBeenCalledWith({ genre: 'Fiction', tags: ['classic', 'award-winner'] });
+    });
+
+    test('should reject unknown sort fields with 400', async () => {
+      const response = await request(app)
+        .get('/api/books?sort=password')
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.message).toContain("Invalid sort field 'password'");
+      expect(dbOperations.getAllBooks).not.toHaveBeenCalled();
+    });
+
+    test.each([
+      ['order=sideways', "order must be 'asc' or 'desc'"],
+      ['page=0', 'page must be a positive integer'],
+      ['limit=1000', 'limit must be an integer between 1 and 100'],
+      ['year_from=nineteen', 'year_from must be an integer']
+    ])('should reject invalid query %s with 400', async (query, message) => {
+      const response = await request(app)
+        .get(`/api/books?${query}`)
+        .expect(400);
+
+      expect(response.body).toEqual({ success: false, message });
     });
 
     test('should handle database errors', async () => {
       dbOperations.getAllBooks.mockRejectedValue(new Error('Database error'));
+      dbOperations.countBooks.mockResolvedValue(0);
 
       const response = await request(app)
         .get('/api/books')
@@ -93,13 +207,224 @@ describe('Book Routes Unit Tests (Mocked Database)', () => {
     });
   });
 
+  describe('GET /api/books/search', () => {
+    test('should return ranked matches with snippets', async () => {
+      const matches = [
+        { id: 3, title: '1984', author: 'George Orwell', snippet: 'A <mark>dystopian</mark> novel', score: 2.5 }
+      ];
+      dbOperations.searchBooks.mockResolvedValue(matches);
+      dbOperations.countSearchResults.mockResolvedValue(1);
+
+      const response = await request(app)
+        .get('/api/books/search?q=dystop*&page=2&limit=5')
+        .expect(200);
+
+      expect(response.body).toEqual({
+        success: true,
+        data: matches,
+        total: 1,
+        page: 2,
+        pageSize: 5,
+        query: 'dystop*',
+        links: {
+          next: null,
+          prev: '/api/books/search?q=dystop*&page=1&limit=5'
+        }
+      });
+      expect(dbOperations.searchBooks).toHaveBeenCalledWith('dystop*', { limit: 5, offset: 5 });
+      expect(dbOperations.getBookById).not.toHaveBeenCalled();
+    });
+
+    test('should return 400 when q is missing', async () => {
+      const response = await request(app)
+        .get('/api/books/search')
+        .expect(400);
+
+      expect(response.body).toEqual({
+        success: false,
+        message: 'Search query (q) is required'
+      });
+      expect(dbOperations.searchBooks).not.toHaveBeenCalled();
+    });
+
+    test('should return 400 for FTS syntax errors', async () => {
+      dbOperations.searchBooks.mockRejectedValue(new HttpError(400, 'Invalid search query'));
+      dbOperations.countSearchResults.mockResolvedValue(0);
+
+      const response = await request(app)
+        .get('/api/books/search?q=NOT')
+        .expect(400);
+
+      expect(response.body).toEqual({
+        success: false,
+        message: 'Invalid search query'
+      });
+    });
+
+    test('should return 500 for other search failures', async () => {
+      dbOperations.searchBooks.mockRejectedValue(new Error('SQLITE_CORRUPT: fts5: corrupt index'));
+      dbOperations.countSearchResults.mockResolvedValue(0);
+
+      const response = await request(app)
+        .get('/api/books/search?q=lighthouse')
+        .expect(500);
+
+      expect(response.body).toEqual({
+        success: false,
+        message: 'Error searching books'
+      });
+    });
+  });
+
+  describe('GET /api/books/isbn/:isbn', () => {
+    test('should look a book up by ISBN', async () => {
+      const book = { id: 3, title: '1984', isbn: '978-0-452-28423-4', isbn13: '9780452284234' };
+      dbOperations.getBookByIsbn.mockResolvedValue(book);
+
+      const response = await request(app)
+        .get('/api/books/isbn/0-452-28423-6')
+        .expect(200);
+
+      expect(response.body.data).toEqual(book);
+      expect(dbOperations.getBookByIsbn).toHaveBeenCalledWith('0-452-28423-6');
+    });
+
+    test('should return 400 for an invalid ISBN', async () => {
+      const response = await request(app)
+        .get('/api/books/isbn/12345')
+        .expect(400);
+
+      expect(response.body.message).toBe('isbn is invalid: ISBN must have 10 or 13 digits');
+      expect(dbOperations.getBookByIsbn).not.toHaveBeenCalled();
+    });
+
+    test('should return 404 when no book has the ISBN', async () => {
+      dbOperations.getBookByIsbn.mockResolvedValue(undefined);
+
+      await request(app)
+        .get('/api/books/isbn/9780452284234')
+        .expect(404);
+    });
+  });
+
+  describe('GET /api/books/export', () => {
+    test('should stream the books from exportBooks with the list options', async () => {
+      dbOperations.exportBooks.mockResolvedValue([
+        { id: 1, title: 'One', author: 'A', genres: [], tags: [] },
+        { id: 2, title: 'Two', author: 'B', genres: [], tags: [] }
+      ]);
+
+      const response = await request(app)
+        .get('/api/books/export?format=jsonl&tag=classic&sort=title&order=ASC')
+        .expect(200);
+
+      expect(dbOperations.exportBooks).toHaveBeenCalledWith({
+        sort: 'title',
+        order: 'asc',
+        filters: { tags: ['classic'] }
+      });
+      expect(response.text.trim().split('\n').map((line) => JSON.parse(line).title)).toEqual(['One', 'Two']);
+      expect(checkedPermissions).toEqual(['GET books:read']);
+    });
+
+    test('should default to CSV and ignore pagination parameters', async () => {
+      dbOperations.exportBooks.mockResolvedValue([]);
+
+      const response = await request(app).get('/api/books/export?page=0').expect(200);
+
+      expect(response.headers['content-type']).toBe('text/csv; charset=utf-8');
+      expect(response.text).toBe('id,title,author,isbn,published_year,genres,tags,description,created_at,updated_at\r\n');
+    });
+
+    test('should return 500 when the export cannot start', async () => {
+      dbOperations.exportBooks.mockRejectedValue(new Error('Database error'));
+
+      const response = await request(app).get('/api/books/export').expect(500);
+
+      expect(response.body).toEqual({
+        success: false,
+        message: 'Error exporting books'
+      });
+    });
+
+    test('should return 500 when the first book cannot be read', async () => {
+      dbOperations.exportBooks.mockResolvedValue((async function* () {
+        throw new Error('SQLITE_ERROR: no such column');
+      })());
+
+      const response = await request(app).get('/api/books/export?format=jsonl').expect(500);
+
+      expect(response.headers['content-disposition']).toBeUndefined();
+      expect(response.body).toEqual({
+        success: false,
+        message: 'Error exporting books'
+      });
+    });
+
+    test('should drop the connection and log when a later book fails', async () => {
+      const logError = jest.spyOn(logger, 'error').mockImplementation(() => {});
+      dbOperations.exportBooks.mockResolvedValue((async function* () {
+        yield { id: 1, title: 'One', author: 'A', genres: [], tags: [] };
+        throw new Error('SQLITE_IOERR: disk I/O error');
+      })());
+
+      try {
+        await expect(request(app).get('/api/books/export?format=jsonl')).rejects.toThrow();
+        expect(logError).toHaveBeenCalledWith('Error exporting books', {
+          error: expect.objectContaining({ message: 'SQLITE_IOERR: disk I/O error' })
+        });
+      } finally {
+        logError.mockRestore();
+      }
+    });
+  });
+
+  describe('POST /api/books/import', () => {
+    test('should pass validated rows to importBooks and merge the failures by line', async () => {
+      dbOperations.importBooks.mockResolvedValue({
+        created: [{ line: 3 }],
+        skipped: [],
+        failed: [{ line: 4, errors: [{ field: null, code: 'rejected', message: 'Author 9 not found' }] }]
+      });
+
+      const response = await request(app)
+        .post('/api/books/import?dryRun=1')
+        .set('Content-Type', 'text/csv')
+        .send('title,author\n,Nobody\nDune,Frank Herbert\nOther,Someone\n')
+        .expect(200);
+
+      expect(dbOperations.importBooks).toHaveBeenCalledWith([
+        { line: 3, book: { title: 'Dune', author: 'Frank Herbert' } },
+        { line: 4, book: { title: 'Other', author: 'Someone' } }
+      ], { dryRun: true, actor });
+      expect(response.body.data.total).toBe(3);
+      expect(response.body.data.failed.map((row) => row.line)).toEqual([2, 4]);
+      expect(checkedPermissions).toEqual(['POST books:create']);
+    });
+
+    test('should return 500 when the import fails', async () => {
+      dbOperations.importBooks.mockRejectedValue(new Error('Database error'));
+
+      const response = await request(app)
+        .post('/api/books/import')
+        .set('Content-Type', 'text/csv')
+        .send('title,author\nDune,Frank Herbert\n')
+        .expect(500);
+
+      expect(response.body).toEqual({
+        success: false,
+        message: 'Error importing books'
+      });
+    });
+  });
+
   describe('GET /api/books/:id', () => {
     test('should return book by ID successfully', async () => {
       const mockBook = {
         id: 1,
         title: 'Test Book',
         author: 'Test Author',
-        isbn: '978-0-123456-78-9',
+        isbn: '978-0-123456-78-6',
         published_year: 2024,
         genre: 'Fiction',
         description: 'A test book'
@@ -149,7 +474,7 @@ describe('Book Routes Unit Tests (Mocked Database)', () => {
       const newBookData = {
         title: 'New Book',
         author: 'New Author',
-        isbn: '978-0-123456-78-9',
+        isbn: '978-0-123456-78-6',
         published_year: 2024,
         genre: 'Fiction',
         description: 'A new book'
@@ -175,10 +500,10 @@ describe('Book Routes Unit Tests (Mocked Database)', () => {
         data: createdBook
       });
 
-      expect(dbOperations.createBook).toHaveBeenCalledWith(newBookData);
+      expect(dbOperations.createBook).toHaveBeenCalledWith(newBookData, { actor });
     });
 
-    test('should return 400 when title is missing', async () => {
+    test('should return 422 when title is missing', async () => {
       const invalidBookData = {
         author: 'Author without title'
       };
@@ -186,17 +511,18 @@ describe('Book Routes Unit Tests (Mocked Database)', () => {
       const response = await request(app)
         .post('/api/books')
         .send(invalidBookData)
-        .expect(400);
+        .expect(422);
 
       expect(response.body).toEqual({
         success: false,
-        message: 'Title and author are required'
+        message: 'title is required',
+        errors: [{ field: 'title', code: 'required', message: 'title is required' }]
       });
 
       expect(dbOperations.createBook).not.toHaveBeenCalled();
     });
 
-    test('should return 400 when author is missing', async () => {
+    test('should return 422 when author is missing', async () => {
       const invalidBookData = {
         title: 'Title without author'
       };
@@ -204,11 +530,99 @@ describe('Book Routes Unit Tests (Mocked Database)', () => {
       const response = await request(app)
         .post('/api/books')
         .send(invalidBookData)
+        .expect(422);
+
+      expect(response.body).toEqual({
+        success: false,
+        message: 'author is required',
+        errors: [{ field: 'author', code: 'required', message: 'author is required' }]
+      });
+    });
+
+    test('should pass only known fields, coerced and trimmed, to the database', async () => {
+      dbOperations.createBook.mockResolvedValue({ id: 1 });
+
+      await request(app)
+        .post('/api/books')
+        .send({ title: ' Trimmed ', author: 'Someone', published_year: '2001', genre: '', id: 99 })
+        .expect(201);
+
+      expect(dbOperations.createBook).toHaveBeenCalledWith({
+        title: 'Trimmed',
+        author: 'Someone',
+        published_year: 2001,
+        genre: null
+      }, { actor });
+    });
+
+    test('should accept an authors array instead of the author string', async () => {
+      const bookData = {
+        title: 'Good Omens',
+        authors: ['Terry Pratchett', { name: 'Neil Gaiman', role: 'author' }]
+      };
+      dbOperations.createBook.mockResolvedValue({ id: 1, ...bookData, author: 'Terry Pratchett & Neil Gaiman' });
+
+      await request(app)
+        .post('/api/books')
+        .send(bookData)
+        .expect(201);
+
+      expect(dbOperations.createBook).toHaveBeenCalledWith(bookData, { actor });
+    });
+
+    test('should return 422 for authors entries with an unknown role', async () => {
+      const response = await request(app)
+        .post('/api/books')
+        .send({ title: 'Odd Credits', authors: [{ name: 'Someone', role: 'illustrator' }] })
+        .expect(422);
+
+      expect(response.body.errors).toEqual([{
+        field: 'authors[0]',
+        code: 'invalid_role',
+        message: 'authors[0].role must be one of: author, editor, translator'
+      }]);
+      expect(dbOperations.createBook).not.toHaveBeenCalled();
+    });
+
+    test('should return 422 for an ISBN with a wrong check digit', async () => {
+      const response = await request(app)
+        .post('/api/books')
+        .send({ title: 'Bad ISBN', author: 'Someone', isbn: '978-0-452-28423-5' })
+        .expect(422);
+
+      expect(response.body.errors).toEqual([{
+        field: 'isbn',
+        code: 'invalid_isbn',
+        message: 'isbn is invalid: ISBN-13 check digit does not match'
+      }]);
+      expect(dbOperations.createBook).not.toHaveBeenCalled();
+    });
+
+    test('should return 422 for tags that are not a list of names', async () => {
+      const response = await request(app)
+        .post('/api/books')
+        .send({ title: 'Tagged', author: 'Someone', tags: ['classic', 'x'.repeat(51)] })
+        .expect(422);
+
+      expect(response.body.errors).toEqual([{
+        field: 'tags[1]',
+        code: 'too_long',
+        message: 'tags[1] must have at most 50 characters'
+      }]);
+      expect(dbOperations.createBook).not.toHaveBeenCalled();
+    });
+
+    test('should pass on status errors raised by the database layer', async () => {
+      dbOperations.createBook.mockRejectedValue(new HttpError(400, 'Author 42 not found'));
+
+      const response = await request(app)
+        .post('/api/books')
+        .send({ title: 'Ghost', authors: [{ id: 42 }] })
         .expect(400);
 
       expect(response.body).toEqual({
         success: false,
-        message: 'Title and author are required'
+        message: 'Author 42 not found'
       });
     });
 
@@ -216,7 +630,7 @@ describe('Book Routes Unit Tests (Mocked Database)', () => {
       const bookData = {
         title: 'Test Book',
         author: 'Test Author',
-        isbn: '978-0-123456-78-9'
+        isbn: '978-0-123456-78-6'
       };
 
       dbOperations.createBook.mockRejectedValue(
@@ -240,7 +654,7 @@ describe('Book Routes Unit Tests (Mocked Database)', () => {
       const updateData = {
         title: 'Updated Book',
         author: 'Updated Author',
-        isbn: '978-0-123456-78-9',
+        isbn: '978-0-123456-78-6',
         published_year: 2024,
         genre: 'Updated Fiction',
         description: 'Updated description'
@@ -266,7 +680,7 @@ describe('Book Routes Unit Tests (Mocked Database)', () => {
         data: updatedBook
       });
 
-      expect(dbOperations.updateBook).toHaveBeenCalledWith('1', updateData);
+      expect(dbOperations.updateBook).toHaveBeenCalledWith('1', updateData, { actor });
     });
 
     test('should return 404 when updating non-existent book', async () => {
@@ -288,7 +702,7 @@ describe('Book Routes Unit Tests (Mocked Database)', () => {
       });
     });
 
-    test('should return 400 when title is missing', async () => {
+    test('should return 422 when title is missing', async () => {
       const invalidUpdateData = {
         author: 'Author without title'
       };
@@ -296,12 +710,195 @@ describe('Book Routes Unit Tests (Mocked Database)', () => {
       const response = await request(app)
         .put('/api/books/1')
         .send(invalidUpdateData)
-        .expect(400);
+        .expect(422);
+
+      expect(response.body.errors).toEqual([{ field: 'title', code: 'required', message: 'title is required' }]);
+      expect(dbOperations.updateBook).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('PATCH /api/books/:id', () => {
+    const existingBook = {
+      id: 1,
+      title: 'Original Title',
+      author: 'Original Author',
+      isbn: '978-0-123456-78-6',
+      published_year: 2020,
+      genre: 'Fiction',
+      description: 'Original description'
+    };
+
+    test('should update only the supplied fields', async () => {
+      const patchedBook = { ...existingBook, published_year: 2021 };
+      dbOperations.patchBook.mockResolvedValue(patchedBook);
+
+      const response = await request(app)
+        .patch('/api/books/1')
+        .send({ published_year: 2021 })
+        .expect(200);
+
+      expect(response.body).toEqual({
+        success: true,
+        message: 'Book updated successfully',
+        data: patchedBook
+      });
+      expect(dbOperations.patchBook).toHaveBeenCalledWith('1', { published_year: 2021 }, { actor });
+    });
+
+    test('should accept application/merge-patch+json and clear fields set to null', async () => {
+      dbOperations.patchBook.mockResolvedValue({ ...existingBook, genre: null });
+
+      await request(app)
+        .patch('/api/books/1')
+        .set('Content-Type', 'application/merge-patch+json')
+        .send(JSON.stringify({ genre: null }))
+        .expect(200);
+
+      expect(dbOperations.patchBook).toHaveBeenCalledWith('1', { genre: null }, { actor });
+    });
+
+    test('should return the current book for an empty patch', async () => {
+      dbOperations.getBookById.mockResolvedValue(existingBook);
+
+      const response = await request(app)
+        .patch('/api/books/1')
+        .send({})
+        .expect(200);
+
+      expect(response.body.data).toEqual(existingBook);
+      expect(dbOperations.patchBook).not.toHaveBeenCalled();
+    });
+
+    test('should report every invalid field', async () => {
+      const response = await request(app)
+        .patch('/api/books/1')
+        .send({ title: '', published_year: 'nineteen', id: 7 })
+        .expect(422);
 
       expect(response.body).toEqual({
         success: false,
-        message: 'Title and author are required'
+        message: 'id cannot be updated; title cannot be cleared; published_year must be an integer',
+        errors: [
+          { field: 'id', code: 'not_allowed', message: 'id cannot be updated' },
+          { field: 'title', code: 'required', message: 'title cannot be cleared' },
+          { field: 'published_year', code: 'type', message: 'published_year must be an integer' }
+        ]
       });
+      expect(dbOperations.patchBook).not.toHaveBeenCalled();
+    });
+
+    test('should reject an empty authors array', async () => {
+      const response = await request(app)
+        .patch('/api/books/1')
+        .send({ authors: [] })
+        .expect(422);
+
+      expect(response.body.message).toBe('authors must have at least 1 items');
+      expect(dbOperations.patchBook).not.toHaveBeenCalled();
+    });
+
+    test('should not allow clearing required fields', async () => {
+      const response = await request(app)
+        .patch('/api/books/1')
+        .set('Content-Type', 'application/merge-patch+json')
+        .send(JSON.stringify({ author: null }))
+        .expect(422);
+
+      expect(response.body.message).toBe('author cannot be cleared');
+    });
+
+    test('should reject non-object bodies', async () => {
+      await request(app)
+        .patch('/api/books/1')
+        .set('Content-Type', 'application/merge-patch+json')
+        .send(JSON.stringify(['title']))
+        .expect(422);
+    });
+
+    test('should return 415 for unsupported content types', async () => {
+      await request(app)
+        .patch('/api/books/1')
+        .set('Content-Type', 'text/plain')
+        .send('title=New')
+        .expect(415);
+    });
+
+    test('should return 404 when patching non-existent book', async () => {
+      dbOperations.patchBook.mockResolvedValue(null);
+
+      const response = await request(app)
+        .patch('/api/books/999')
+        .send({ title: 'Anything' })
+        .expect(404);
+
+      expect(response.body).toEqual({
+        success: false,
+        message: 'Book not found'
+      });
+    });
+
+    test('should handle duplicate ISBN error', async () => {
+      dbOperations.patchBook.mockRejectedValue(new Error('UNIQUE constraint failed: books.isbn'));
+
+      const response = await request(app)
+        .patch('/api/books/1')
+        .send({ isbn: '978-0-123456-81-6' })
+        .expect(400);
+
+      expect(response.body.message).toBe('ISBN already exists');
+    });
+  });
+
+  describe('Authorization', () => {
+    test('should check a permission on every route', async () => {
+      dbOperations.getAllBooks.mockResolvedValue([]);
+      dbOperations.countBooks.mockResolvedValue(0);
+      dbOperations.searchBooks.mockResolvedValue([]);
+      dbOperations.countSearchResults.mockResolvedValue(0);
+      dbOperations.getBookById.mockResolvedValue({ id: 1 });
+      dbOperations.createBook.mockResolvedValue({ id: 1 });
+      dbOperations.updateBook.mockResolvedValue({ id: 1 });
+      dbOperations.patchBook.mockResolvedValue({ id: 1 });
+      dbOperations.deleteBook.mockResolvedValue({ id: 1 });
+      dbOperations.getTrash.mockResolvedValue([]);
+      dbOperations.countTrash.mockResolvedValue(0);
+      dbOperations.restoreBook.mockResolvedValue({ id: 1 });
+      dbOperations.purgeBook.mockResolvedValue({ id: 1 });
+      dbOperations.purgeTrash.mockResolvedValue(0);
+      dbOperations.getBookHistory.mockResolvedValue([]);
+      dbOperations.countBookHistory.mockResolvedValue(0);
+      dbOperations.revertBook.mockResolvedValue({ id: 1 });
+      const book = { title: 'Title', author: 'Author' };
+
+      await request(app).get('/api/books');
+      await request(app).get('/api/books/search?q=title');
+      await request(app).get('/api/books/1');
+      await request(app).post('/api/books').send(book);
+      await request(app).put('/api/books/1').send(book);
+      await request(app).patch('/api/books/1').send(book);
+      await request(app).delete('/api/books/1');
+      await request(app).get('/api/books/trash');
+      await request(app).post('/api/books/1/restore');
+      await request(app).delete('/api/books/trash/1');
+      await request(app).delete('/api/books/trash');
+      await request(app).get('/api/books/1/history');
+      await request(app).post('/api/books/1/revert/2');
+
+      expect(checkedPermissions).toEqual([
+        'GET books:read',
+        'GET books:read',
+        'GET books:read',
+        'POST books:create',
+        'PUT books:update',
+        'PATCH books:update',
+        'DELETE books:delete',
+        'GET books:delete',
+        'POST books:delete',
+        'DELETE books:purge',
+        'DELETE books:purge',
+        'GET books:read',
+        'POST books:update'
+      ]);
     });
   });
 
@@ -311,7 +908,7 @@ describe('Book Routes Unit Tests (Mocked Database)', () => {
         id: 1,
         title: 'Book to Delete',
         author: 'Delete Author',
-        isbn: '978-0-123456-78-9',
+        isbn: '978-0-123456-78-6',
         published_year: 2024,
         genre: 'Fiction',
         description: 'A book to be deleted'
@@ -329,7 +926,7 @@ describe('Book Routes Unit Tests (Mocked Database)', () => {
         data: { deletedBook }
       });
 
-      expect(dbOperations.deleteBook).toHaveBeenCalledWith('1');
+      expect(dbOperations.deleteBook).toHaveBeenCalledWith('1', { actor });
     });
 
     test('should return 404 when deleting non-existent book', async () => {
@@ -356,4 +953,404 @@ describe('Book Routes Unit Tests (Mocked Database)', () => {
       expect(response.body.message).toBe('Error deleting book');
     });
   });
-});
\ No newline at end of file
+
+  describe('GET /api/books/trash', () => {
+    test('should return a page of deleted books', async () => {
+      const trashed = [{ id: 3, title: 'Gone', deleted_at: '2024-01-02 10:00:00' }];
+      dbOperations.getTrash.mockResolvedValue(trashed);
+      dbOperations.countTrash.mockResolvedValue(3);
+
+      const response = await request(app)
+        .get('/api/books/trash?page=2&limit=1')
+        .expect(200);
+
+      expect(response.body).toEqual({
+        success: true,
+        data: trashed,
+        total: 3,
+        page: 2,
+        pageSize: 1,
+        links: {
+          next: '/api/books/trash?page=3&limit=1',
+          prev: '/api/books/trash?page=1&limit=1'
+        }
+      });
+      expect(dbOperations.getTrash).toHaveBeenCalledWith({ limit: 1, offset: 1 });
+    });
+
+    test('should reject an invalid page', async () => {
+      const response = await request(app)
+        .get('/api/books/trash?page=0')
+        .expect(400);
+
+      expect(response.body).toEqual({ success: false, message: 'page must be a positive integer' });
+      expect(dbOperations.getTrash).not.toHaveBeenCalled();
+    });
+
+    test('should handle database errors', async () => {
+      dbOperations.getTrash.mockRejectedValue(new Error('Database error'));
+      dbOperations.countTrash.mockResolvedValue(0);
+
+      const response = await request(app)
+        .get('/api/books/trash')
+        .expect(500);
+
+      expect(response.body.message).toBe('Error retrieving the trash');
+    });
+  });
+
+  describe('POST /api/books/:id/restore', () => {
+    test('should restore a deleted book', async () => {
+      const restored = { id: 1, title: 'Back', deleted_at: null };
+      dbOperations.restoreBook.mockResolvedValue(restored);
+
+      const response = await request(app)
+        .post('/api/books/1/restore')
+        .expect(200);
+
+      expect(response.body).toEqual({
+        success: true,
+        message: 'Book restored successfully',
+        data: restored
+      });
+      expect(dbOperations.restoreBook).toHaveBeenCalledWith('1', { actor });
+    });
+
+    test('should return 404 when the book is not in the trash', async () => {
+      dbOperations.restoreBook.mockResolvedValue(null);
+
+      const response = await request(app)
+        .post('/api/books/1/restore')
+        .expect(404);
+
+      expect(response.body).toEqual({ success: false, message: 'Book not found in the trash' });
+    });
+
+    test('should pass on an ISBN clash', async () => {
+      dbOperations.restoreBook.mockRejectedValue(
+        new HttpError(409, 'Another book with this ISBN exists; delete or change it first', { data: { id: 2 } })
+      );
+
+      const response = await request(app)
+        .post('/api/books/1/restore')
+        .expect(409);
+
+      expect(response.body).toEqual({
+        success: false,
+        message: 'Another book with this ISBN exists; delete or change it first',
+        data: { id: 2 }
+      });
+    });
+
+    test('should handle database errors', async () => {
+      dbOperations.restoreBook.mockRejectedValue(new Error('Database error'));
+
+      const response = await request(app)
+        .post('/api/books/1/restore')
+        .expect(500);
+
+      expect(response.body).toEqual({
+        success: false,
+        message: 'Error restoring book'
+      });
+    });
+  });
+
+  describe('DELETE /api/books/trash', () => {
+    test('should purge one book', async () => {
+      const purgedBook = { id: 1, title: 'Gone for good' };
+      dbOperations.purgeBook.mockResolvedValue(purgedBook);
+
+      const response = await request(app)
+        .delete('/api/books/trash/1')
+        .expect(200);
+
+      expect(response.body).toEqual({
+        success: true,
+        message: 'Book permanently deleted',
+        data: { purgedBook }
+      });
+      expect(dbOperations.purgeBook).toHaveBeenCalledWith('1');
+    });
+
+    test('should return 404 when the book is not in the trash', async () => {
+      dbOperations.purgeBook.mockResolvedValue(null);
+
+      const response = await request(app)
+        .delete('/api/books/trash/1')
+        .expect(404);
+
+      expect(response.body).toEqual({ success: false, message: 'Book not found in the trash' });
+    });
+
+    test('should empty the trash', async () => {
+      dbOperations.purgeTrash.mockResolvedValue(4);
+
+      const response = await request(app)
+        .delete('/api/books/trash')
+        .expect(200);
+
+      expect(response.body).toEqual({
+        success: true,
+        message: '4 book(s) permanently deleted',
+        data: { purged: 4 }
+      });
+      expect(dbOperations.purgeTrash).toHaveBeenCalledWith();
+    });
+
+    test('should handle database errors', async () => {
+      dbOperations.purgeTrash.mockRejectedValue(new Error('Database error'));
+
+      const response = await request(app)
+        .delete('/api/books/trash')
+        .expect(500);
+
+      expect(response.body.message).toBe('Error emptying the trash');
+    });
+  });
+
+  describe('GET /api/books/:id/history', () => {
+    test('should return a page of revisions', async () => {
+      const revisions = [{ id: 5, action: 'update', changes: [{ field: 'title', from: 'A', to: 'B' }] }];
+      dbOperations.getBookHistory.mockResolvedValue(revisions);
+      dbOperations.countBookHistory.mockResolvedValue(1);
+
+      const response = await request(app)
+        .get('/api/books/1/history?limit=5')
+        .expect(200);
+
+      expect(response.body).toEqual({
+        success: true,
+        data: revisions,
+        total: 1,
+        page: 1,
+        pageSize: 5,
+        links: { next: null, prev: null }
+      });
+      expect(dbOperations.getBookHistory).toHaveBeenCalledWith('1', { limit: 5, offset: 0 });
+    });
+
+    test('should return 404 for an unknown book', async () => {
+      dbOperations.getBookHistory.mockResolvedValue(null);
+      dbOperations.countBookHistory.mockResolvedValue(0);
+
+      const response = await request(app)
+        .get('/api/books/999/history')
+        .expect(404);
+
+      expect(response.body).toEqual({ success: false, message: 'Book not found' });
+    });
+
+    test('should reject an invalid limit', async () => {
+      await request(app).get('/api/books/1/history?limit=500').expect(400);
+      expect(dbOperations.getBookHistory).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/books/:id/revert/:revisionId', () => {
+    test('should revert a book', async () => {
+      const book = { id: 1, title: 'Earlier Title' };
+      dbOperations.revertBook.mockResolvedValue(book);
+
+      const response = await request(app)
+        .post('/api/books/1/revert/3')
+        .expect(200);
+
+      expect(response.body).toEqual({
+        success: true,
+        message: 'Book reverted to revision 3',
+        data: book
+      });
+      expect(dbOperations.revertBook).toHaveBeenCalledWith('1', '3', { actor });
+    });
+
+    test('should return 404 when the book is not live', async () => {
+      dbOperations.revertBook.mockResolvedValue(null);
+
+      const response = await request(app)
+        .post('/api/books/1/revert/3')
+        .expect(404);
+
+      expect(response.body).toEqual({ success: false, message: 'Book not found' });
+    });
+
+    test('should pass on a revision of another book', async () => {
+      dbOperations.revertBook.mockRejectedValue(new HttpError(404, 'Revision not found'));
+
+      const response = await request(app)
+        .post('/api/books/1/revert/3')
+        .expect(404);
+
+      expect(response.body).toEqual({ success: false, message: 'Revision not found' });
+    });
+
+    test('should report an ISBN taken since the revision', async () => {
+      dbOperations.revertBook.mockRejectedValue(new Error('SQLITE_CONSTRAINT: UNIQUE constraint failed: books.isbn13'));
+
+      const response = await request(app)
+        .post('/api/books/1/revert/3')
+        .expect(400);
+
+      expect(response.body).toEqual({ success: false, message: 'ISBN already exists' });
+    });
+  });
+
+  describe('Conditional requests', () => {
+    const book = { id: 1, title: 'Versioned', author: 'Someone', version: 4 };
+    const stale = new HttpError(412, 'Book has been changed since you loaded it', { data: book });
+
+    test('should send the version as a strong ETag', async () => {
+      dbOperations.getBookById.mockResolvedValue(book);
+
+      const response = await request(app).get('/api/books/1').expect(200);
+
+      expect(response.headers.etag).toBe('"4"');
+    });
+
+    test('should pass the If-Match versions to the database', async () => {
+      dbOperations.updateBook.mockResolvedValue({ ...book, version: 5 });
+
+      const response = await request(app)
+        .put('/api/books/1')
+        .set('If-Match', '"3", W/"4", "4"')
+        .send({ title: 'Versioned', author: 'Someone' })
+        .expect(200);
+
+      expect(response.headers.etag).toBe('"5"');
+      expect(dbOperations.updateBook).toHaveBeenCalledWith('1', { title: 'Versioned', author: 'Someone' }, {
+        actor,
+        ifMatch: [3, 4]
+      });
+    });
+
+    test('should treat If-Match: * as unconditional', async () => {
+      dbOperations.deleteBook.mockResolvedValue(book);
+
+      await request(app).delete('/api/books/1').set('If-Match', '*').expect(200);
+
+      expect(dbOperations.deleteBook).toHaveBeenCalledWith('1', { actor, ifMatch: undefined });
+    });
+
+    test.each([
+      ['put', { title: 'Versioned', author: 'Someone' }, 'updateBook'],
+      ['patch', { title: 'Versioned' }, 'patchBook'],
+      ['delete', undefined, 'deleteBook']
+    ])('should return 412 with the current book when %s is stale', async (method, body, operation) => {
+      dbOperations[operation].mockRejectedValue(stale);
+
+      const response = await request(app)[method]('/api/books/1')
+        .set('If-Match', '"3"')
+        .send(body)
+        .expect(412);
+
+      expect(response.headers.etag).toBe('"4"');
+      expect(response.body).toEqual({
+        success: false,
+        message: 'Book has been changed since you loaded it',
+        data: book
+      });
+    });
+
+    test('should check If-Match on an empty patch', async () => {
+      dbOperations.getBookById.mockResolvedValue(book);
+
+      await request(app).patch('/api/books/1').set('If-Match', '"3"').send({}).expect(412);
+      await request(app).patch('/api/books/1').set('If-Match', '"4"').send({}).expect(200);
+    });
+  });
+
+  describe('Server errors', () => {
+    test('should log an unexpected error instead of sending its details', async () => {
+      const logError = jest.spyOn(logger, 'error');
+      const locked = Object.assign(new Error('SQLITE_BUSY: database is locked'), { code: 'SQLITE_BUSY' });
+      dbOperations.getBookById.mockRejectedValue(locked);
+
+      try {
+        const response = await request(app).get('/api/books/1').expect(500);
+
+        expect(response.body).toEqual({ success: false, message: 'Error retrieving book' });
+        expect(logError).toHaveBeenCalledWith('Error retrieving book', { error: locked });
+      } finally {
+        logError.mockRestore();
+      }
+    });
+  });
+
+  describe('Conditional GET', () => {
+    const book = { id: 1, title: 'Cached', author: 'Someone', version: 4, updated_at: '2024-05-01 09:30:12' };
+
+    test('should send validators and Cache-Control with a book list', async () => {
+      dbOperations.getAllBooks.mockResolvedValue([]);
+      dbOperations.countBooks.mockResolvedValue(0);
+
+      const response = await request(app).get('/api/books').expect(200);
+
+      expect(response.headers.etag).toBe('W/"catalog-12"');
+      expect(response.headers['last-modified']).toBe('Wed, 01 May 2024 09:30:12 GMT');
+      expect(response.headers['cache-control']).toBe('private, no-cache');
+    });
+
+    test('should answer 304 for a current list without querying the books', async () => {
+      await request(app).get('/api/books?page=2').set('If-None-Match', 'W/"catalog-12"').expect(304);
+      await request(app).get('/api/books').set('If-Modified-Since', 'Wed, 01 May 2024 09:30:12 GMT').expect(304);
+
+      expect(dbOperations.getAllBooks).not.toHaveBeenCalled();
+      expect(dbOperations.countBooks).not.toHaveBeenCalled();
+    });
+
+    test('should send the list again once the catalog has changed', async () => {
+      dbOperations.getAllBooks.mockResolvedValue([]);
+      dbOperations.countBooks.mockResolvedValue(0);
+
+      await request(app).get('/api/books').set('If-None-Match', 'W/"catalog-11"').expect(200);
+      await request(app).get('/api/books').set('If-Modified-Since', 'Wed, 01 May 2024 09:30:11 GMT').expect(200);
+    });
+
+    test('should not answer If-Modified-Since within the second of the last change', async () => {
+      dbOperations.getAllBooks.mockResolvedValue([]);
+      dbOperations.countBooks.mockResolvedValue(0);
+      const now = jest.spyOn(Date, 'now').mockReturnValue(Date.parse('2024-05-01T09:30:12.800Z'));
+
+      try {
+        const response = await request(app)
+          .get('/api/books')
+          .set('If-Modified-Since', 'Wed, 01 May 2024 09:30:12 GMT')
+          .expect(200);
+
+        expect(response.headers['last-modified']).toBeUndefined();
+        expect(response.headers.etag).toBe('W/"catalog-12"');
+        expect(dbOperations.getAllBooks).toHaveBeenCalled();
+      } finally {
+        now.mockRestore();
+      }
+    });
+
+    test('should answer 304 for a current book', async () => {
+      dbOperations.getBookById.mockResolvedValue(book);
+
+      const response = await request(app).get('/api/books/1').set('If-None-Match', '"4"').expect(304);
+
+      expect(response.headers.etag).toBe('"4"');
+      expect(response.headers['last-modified']).toBe('Wed, 01 May 2024 09:30:12 GMT');
+      await request(app).get('/api/books/1').set('If-None-Match', '"3"').expect(200);
+    });
+
+    test('should use the configured Cache-Control for each route', async () => {
+      const cachedApp = express();
+      cachedApp.use('/api/books', createBooksRouter({
+        dbOperations,
+        requirePermission,
+        cacheControl: { bookList: 'public, max-age=60', book: 'no-store' }
+      }));
+      dbOperations.getAllBooks.mockResolvedValue([]);
+      dbOperations.countBooks.mockResolvedValue(0);
+      dbOperations.getBookById.mockResolvedValue(book);
+
+      const list = await request(cachedApp).get('/api/books').expect(200);
+      const item = await request(cachedApp).get('/api/books/1').expect(200);
+
+      expect(list.headers['cache-control']).toBe('public, max-age=60');
+      expect(item.headers['cache-control']).toBe('no-store');
+    });
+  });
+});
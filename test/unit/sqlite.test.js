@@ -0,0 +1,54 @@
+const sqlite3 = require('sqlite3').verbose();
+
+const { promisify, createTransaction } = require('../../server/sqlite');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('Connection queue', () => {
+  let db;
+  let conn;
+  let transaction;
+
+  beforeEach(async () => {
+    db = new sqlite3.Database(':memory:');
+    conn = promisify(db);
+    transaction = createTransaction(conn);
+    await conn.exec('CREATE TABLE items (name TEXT)');
+  });
+
+  afterEach((done) => {
+    db.close(done);
+  });
+
+  test('should keep other statements out of an open transaction', async () => {
+    const rollingBack = transaction(async () => {
+      await conn.run("INSERT INTO items (name) VALUES ('draft')");
+      await sleep(20);
+      throw new Error('Roll back');
+    }).catch(() => {});
+
+    const count = await conn.get('SELECT COUNT(*) AS count FROM items');
+    await rollingBack;
+
+    expect(count.count).toBe(0);
+  });
+
+  test('should queue work a transaction started once it has committed', async () => {
+    let later;
+    await transaction(async () => {
+      await conn.run("INSERT INTO items (name) VALUES ('kept')");
+      // Runs after the commit, while the next transaction below is open
+      later = new Promise((resolve) => {
+        setTimeout(() => resolve(conn.get('SELECT COUNT(*) AS count FROM items')), 10);
+      });
+    });
+
+    await transaction(async () => {
+      await conn.run("INSERT INTO items (name) VALUES ('draft')");
+      await sleep(40);
+      throw new Error('Roll back');
+    }).catch(() => {});
+
+    expect((await later).count).toBe(1);
+  });
+});
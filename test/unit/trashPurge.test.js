@@ -0,0 +1,52 @@
+const { startTrashPurge } = require('../../server/trashPurge');
+
+describe('startTrashPurge', () => {
+  const logger = { info: jest.fn(), error: jest.fn() };
+  let stop;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    if (stop) stop();
+    jest.useRealTimers();
+  });
+
+  test('should purge at start and then on every interval', async () => {
+    const dbOperations = { purgeTrash: jest.fn().mockResolvedValue(2) };
+
+    stop = startTrashPurge({ dbOperations, retentionDays: 30, intervalMs: 1000, logger });
+    await jest.advanceTimersByTimeAsync(2500);
+
+    expect(dbOperations.purgeTrash).toHaveBeenCalledTimes(3);
+    expect(dbOperations.purgeTrash).toHaveBeenCalledWith({ olderThanDays: 30 });
+    expect(logger.info).toHaveBeenCalledWith('Purged books from the trash', { purged: 2, retentionDays: 30 });
+
+    stop();
+    await jest.advanceTimersByTimeAsync(5000);
+    expect(dbOperations.purgeTrash).toHaveBeenCalledTimes(3);
+  });
+
+  test('should do nothing when retention is 0', async () => {
+    const dbOperations = { purgeTrash: jest.fn() };
+
+    stop = startTrashPurge({ dbOperations, retentionDays: 0, intervalMs: 1000, logger });
+    await jest.advanceTimersByTimeAsync(5000);
+
+    expect(dbOperations.purgeTrash).not.toHaveBeenCalled();
+  });
+
+  test('should log a failed purge and keep going', async () => {
+    const dbOperations = { purgeTrash: jest.fn().mockRejectedValue(new Error('database is locked')) };
+
+    stop = startTrashPurge({ dbOperations, retentionDays: 7, intervalMs: 1000, logger });
+    await jest.advanceTimersByTimeAsync(1000);
+
+    expect(logger.error).toHaveBeenCalledWith('Error purging the trash', {
+      error: expect.objectContaining({ message: 'database is locked' })
+    });
+    expect(dbOperations.purgeTrash).toHaveBeenCalledTimes(2);
+  });
+});
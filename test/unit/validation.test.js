@@ -0,0 +1,98 @@
+const { validate } = require('../../server/validation');
+const { bookSchema } = require('../../server/schemas/book');
+
+describe('Request validation', () => {
+  const schema = {
+    fields: {
+      name: { type: 'string', required: true, minLength: 2, maxLength: 5 },
+      count: { type: 'integer', nullable: true, min: 0, max: () => 10 },
+      labels: { type: 'array', maxLength: 2, items: { type: 'string', maxLength: 3 } }
+    }
+  };
+
+  test('should coerce and trim values and drop unknown fields', () => {
+    expect(validate(schema, { name: '  abc ', count: '7', extra: true })).toEqual({
+      value: { name: 'abc', count: 7 },
+      errors: []
+    });
+  });
+
+  test('should report every failing field with a code', () => {
+    const { errors } = validate(schema, { name: 'abcdef', count: 11, labels: ['ok', 'long'] });
+
+    expect(errors).toEqual([
+      { field: 'name', code: 'too_long', message: 'name must have at most 5 characters' },
+      { field: 'count', code: 'too_large', message: 'count must be at most 10' },
+      { field: 'labels[1]', code: 'too_long', message: 'labels[1] must have at most 3 characters' }
+    ]);
+  });
+
+  test('should report type errors instead of coercing nonsense', () => {
+    const { errors } = validate(schema, { name: ['a'], count: '1.5', labels: 'a,b' });
+
+    expect(errors.map((error) => [error.field, error.code])).toEqual([
+      ['name', 'type'],
+      ['count', 'type'],
+      ['labels', 'type']
+    ]);
+  });
+
+  test('should store empty nullable values as null and reject empty required ones', () => {
+    expect(validate(schema, { name: ' ', count: '' })).toEqual({
+      value: { count: null },
+      errors: [{ field: 'name', code: 'required', message: 'name is required' }]
+    });
+  });
+
+  test('should skip missing required fields for partial updates but not allow clearing them', () => {
+    expect(validate(schema, { count: 1 }, { partial: true }).errors).toEqual([]);
+    expect(validate(schema, { name: null }, { partial: true }).errors).toEqual([
+      { field: 'name', code: 'required', message: 'name cannot be cleared' }
+    ]);
+  });
+
+  test('should reject unknown fields when asked to', () => {
+    expect(validate(schema, { id: 3 }, { partial: true, rejectUnknown: true }).errors).toEqual([
+      { field: 'id', code: 'not_allowed', message: 'id cannot be updated' }
+    ]);
+  });
+
+  test('should reject bodies that are not objects', () => {
+    expect(validate(schema, [1]).errors).toEqual([
+      { field: null, code: 'type', message: 'Request body must be a JSON object' }
+    ]);
+  });
+
+  describe('book schema', () => {
+    test('should require an author string or an authors list', () => {
+      expect(validate(bookSchema, { title: 'T' }).errors).toEqual([
+        { field: 'author', code: 'required', message: 'author is required' }
+      ]);
+      expect(validate(bookSchema, { title: 'T', authors: ['A'] }).errors).toEqual([]);
+    });
+
+    test('should keep published_year between 1 and the current year', () => {
+      const nextYear = new Date().getFullYear() + 1;
+      const { errors } = validate(bookSchema, { published_year: nextYear }, { partial: true });
+
+      expect(errors).toEqual([{
+        field: 'published_year',
+        code: 'too_large',
+        message: `published_year must be at most ${nextYear - 1}`
+      }]);
+    });
+
+    test('should check ISBNs and credit entries', () => {
+      const { errors } = validate(bookSchema, {
+        isbn: '12345',
+        authors: [{ name: 'A', role: 'narrator' }, {}]
+      }, { partial: true });
+
+      expect(errors.map((error) => [error.field, error.code])).toEqual([
+        ['authors[0]', 'invalid_role'],
+        ['authors[1]', 'required'],
+        ['isbn', 'invalid_isbn']
+      ]);
+    });
+  });
+});
@@ -0,0 +1,184 @@
+const http = require('http');
+const crypto = require('crypto');
+
+const { signPayload, retryDelay, deliverDueWebhooks, startWebhookDelivery } = require('../../server/webhooks');
+
+describe('webhook delivery', () => {
+  const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+  let receiver;
+  let baseUrl;
+  let received;
+  // What the receiver does with the next request: a status code, or 'hang'
+  let reply;
+
+  beforeAll(async () => {
+    receiver = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        received.push({ path: req.url, headers: req.headers, body });
+        if (reply !== 'hang') res.writeHead(reply).end();
+      });
+    });
+    await new Promise((resolve) => receiver.listen(0, resolve));
+    baseUrl = `http://localhost:${receiver.address().port}`;
+  });
+
+  afterAll(async () => {
+    receiver.closeAllConnections();
+    await new Promise((resolve) => receiver.close(resolve));
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    received = [];
+    reply = 204;
+  });
+
+  const payload = JSON.stringify({ id: 'evt-1', event: 'book.created', data: { id: 1, title: 'Dune' } });
+
+  const queue = (deliveries) => ({
+    getDueDeliveries: jest.fn().mockResolvedValue(deliveries),
+    recordAttempt: jest.fn().mockResolvedValue()
+  });
+
+  const delivery = (overrides = {}) => ({
+    id: 3,
+    event: 'book.created',
+    payload,
+    attempt_count: 0,
+    url: `${baseUrl}/hooks`,
+    secret: 'a-very-secret-value',
+    ...overrides
+  });
+
+  const options = { timeoutMs: 1000, maxAttempts: 3, retryBaseSeconds: 30, logger };
+
+  test('should double the retry delay after every attempt', () => {
+    expect([1, 2, 3, 4].map((attempt) => retryDelay(attempt, 30))).toEqual([30, 60, 120, 240]);
+  });
+
+  test('should POST the payload with a signature the receiver can check', async () => {
+    const webhookOperations = queue([delivery()]);
+
+    await expect(deliverDueWebhooks({ webhookOperations, ...options })).resolves.toBe(1);
+
+    expect(received).toHaveLength(1);
+    const [{ path, headers, body }] = received;
+    expect(path).toBe('/hooks');
+    expect(body).toBe(payload);
+    expect(headers).toMatchObject({
+      'content-type': 'application/json',
+      'x-webhook-event': 'book.created',
+      'x-webhook-delivery': '3'
+    });
+
+    const expected = crypto.createHmac('sha256', 'a-very-secret-value')
+      .update(`${headers['x-webhook-timestamp']}.${body}`)
+      .digest('hex');
+    expect(headers['x-webhook-signature']).toBe(`sha256=${expected}`);
+    expect(signPayload('a-very-secret-value', headers['x-webhook-timestamp'], body)).toBe(`sha256=${expected}`);
+
+    expect(webhookOperations.recordAttempt).toHaveBeenCalledWith(3, expect.objectContaining({
+      attempt: 1,
+      statusCode: 204,
+      error: null,
+      durationMs: expect.any(Number),
+      status: 'delivered'
+    }));
+  });
+
+  test('should schedule a retry with backoff when the receiver fails', async () => {
+    reply = 503;
+    const webhookOperations = queue([delivery({ attempt_count: 1 })]);
+
+    await deliverDueWebhooks({ webhookOperations, ...options });
+
+    expect(webhookOperations.recordAttempt).toHaveBeenCalledWith(3, expect.objectContaining({
+      attempt: 2,
+      statusCode: 503,
+      status: 'pending',
+      retryInSeconds: 60
+    }));
+    expect(logger.info).toHaveBeenCalledWith('Webhook delivery failed; retrying later', expect.objectContaining({
+      deliveryId: 3,
+      statusCode: 503
+    }));
+  });
+
+  test('should treat a redirect as a failure', async () => {
+    reply = 302;
+    const webhookOperations = queue([delivery()]);
+
+    await deliverDueWebhooks({ webhookOperations, ...options });
+
+    expect(webhookOperations.recordAttempt).toHaveBeenCalledWith(3, expect.objectContaining({
+      statusCode: 302,
+      status: 'pending'
+    }));
+  });
+
+  test('should give up after the last attempt', async () => {
+    reply = 500;
+    const webhookOperations = queue([delivery({ attempt_count: 2 })]);
+
+    await deliverDueWebhooks({ webhookOperations, ...options });
+
+    expect(webhookOperations.recordAttempt).toHaveBeenCalledWith(3, expect.objectContaining({
+      attempt: 3,
+      statusCode: 500,
+      status: 'failed'
+    }));
+    expect(logger.warn).toHaveBeenCalledWith('Giving up on webhook delivery', expect.objectContaining({ attempt: 3 }));
+  });
+
+  test('should log a receiver that cannot be reached', async () => {
+    const closed = http.createServer();
+    await new Promise((resolve) => closed.listen(0, resolve));
+    const { port } = closed.address();
+    await new Promise((resolve) => closed.close(resolve));
+    const webhookOperations = queue([delivery({ url: `http://localhost:${port}/hooks` })]);
+
+    await deliverDueWebhooks({ webhookOperations, ...options });
+
+    expect(webhookOperations.recordAttempt).toHaveBeenCalledWith(3, expect.objectContaining({
+      statusCode: null,
+      error: expect.stringContaining('ECONNREFUSED'),
+      status: 'pending'
+    }));
+  });
+
+  test('should stop waiting for a receiver after the timeout', async () => {
+    reply = 'hang';
+    const webhookOperations = queue([delivery()]);
+
+    await deliverDueWebhooks({ webhookOperations, ...options, timeoutMs: 100 });
+
+    expect(webhookOperations.recordAttempt).toHaveBeenCalledWith(3, expect.objectContaining({
+      statusCode: null,
+      error: 'No response within 100 ms',
+      status: 'pending'
+    }));
+  });
+
+  test('should deliver at start and wait for the run in progress when stopped', async () => {
+    const webhookOperations = queue([delivery()]);
+
+    const stop = startWebhookDelivery({ webhookOperations, intervalMs: 60 * 1000, ...options });
+    await stop();
+
+    expect(webhookOperations.getDueDeliveries).toHaveBeenCalledTimes(1);
+    expect(webhookOperations.recordAttempt).toHaveBeenCalledTimes(1);
+  });
+
+  test('should log a failed run and keep going', async () => {
+    const webhookOperations = { getDueDeliveries: jest.fn().mockRejectedValue(new Error('database is locked')) };
+
+    const stop = startWebhookDelivery({ webhookOperations, intervalMs: 60 * 1000, ...options });
+    await stop();
+
+    expect(logger.error).toHaveBeenCalledWith('Error delivering webhooks', {
+      error: expect.objectContaining({ message: 'database is locked' })
+    });
+  });
+});